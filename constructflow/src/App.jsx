@@ -22,6 +22,9 @@ import WorkersPage from "./pages/WorkersPage";
 import ShiftPlannerPage from "./pages/ShiftPlannerPage";
 import WorkerShiftsPage from "./pages/WorkerShiftsPage";
 import MaterialsPage from "./pages/MaterialsPage";
+import PurchasingPage from "./pages/PurchasingPage";
+import InspectionsPage from "./pages/InspectionsPage";
+import SymbolLibraryPage from "./pages/SymbolLibraryPage";
 // import ReportsPage from "./pages/ReportsPage"; // Temporarily disabled
 import SettingsPage from "./pages/SettingsPage";
 import "./App.css";
@@ -75,6 +78,9 @@ function DashboardRouter() {
           element={<BlueprintViewer />}
         />
         <Route path="/materials" element={<MaterialsPage />} />
+        <Route path="/purchasing" element={<PurchasingPage />} />
+        <Route path="/inspections" element={<InspectionsPage />} />
+        <Route path="/symbols" element={<SymbolLibraryPage />} />
         <Route path="/workers" element={<WorkersPage />} />
         <Route path="/shifts" element={<ShiftPlannerPage />} />
         {/* <Route path="/reports" element={<ReportsPage />} /> */}
@@ -0,0 +1,154 @@
+import { describe, expect, it } from "vitest";
+import { analyzeBlueprintRouting, CLASH_KIND } from "../utils/blueprintClashes";
+
+const path = (id, type, points, extra = {}) => ({
+  id,
+  type,
+  pathPoints: points.map(([x, y]) => ({ x, y })),
+  ...extra,
+});
+
+const fixture = (id, rect, toolGroup = "plumbing") => ({
+  id,
+  type: "fixture_area",
+  toolGroup,
+  rect,
+});
+
+const kinds = (findings) => findings.map((finding) => finding.kind);
+
+describe("blueprint routing checks", () => {
+  it("reports wiring crossing a pipe but not pipes of one service crossing", () => {
+    const findings = analyzeBlueprintRouting({
+      wire: path("wire", "connection", [
+        [0, 50],
+        [100, 50],
+      ]),
+      hot: path("hot", "hot_pipe", [
+        [50, 0],
+        [50, 100],
+      ]),
+      hot2: path("hot2", "hot_pipe", [
+        [20, 0],
+        [80, 100],
+      ]),
+    }).filter((finding) => finding.kind === CLASH_KIND.CROSSING);
+
+    expect(findings).toHaveLength(2);
+    expect(findings[0]).toMatchObject({
+      severity: "error",
+      point: { x: 50, y: 50 },
+    });
+    expect(findings.map((f) => f.objectIds.sort())).toEqual([
+      ["hot", "wire"],
+      ["hot2", "wire"],
+    ]);
+  });
+
+  it("flags path ends that are not on a fixture or another run", () => {
+    const findings = analyzeBlueprintRouting(
+      [
+        fixture("sink", { x: 90, y: 40, width: 20, height: 20 }),
+        path("main", "cold_pipe", [
+          [0, 50],
+          [95, 50],
+        ]),
+        path("branch", "cold_pipe", [
+          [40, 52],
+          [40, 200],
+        ]),
+      ],
+      { getLabel: (obj) => obj.id },
+    );
+
+    expect(findings).toEqual([
+      expect.objectContaining({
+        kind: CLASH_KIND.DANGLING,
+        objectIds: ["main"],
+        point: { x: 0, y: 50 },
+        message: "main starts without connecting to anything",
+      }),
+      expect.objectContaining({
+        kind: CLASH_KIND.DANGLING,
+        objectIds: ["branch"],
+        point: { x: 40, y: 200 },
+      }),
+    ]);
+  });
+
+  it("does not count a fixture of the other trade as a connection", () => {
+    const findings = analyzeBlueprintRouting([
+      fixture("panel", { x: 0, y: 0, width: 20, height: 20 }, "electrical"),
+      fixture("tap", { x: 100, y: 0, width: 20, height: 20 }),
+      path("pipe", "hot_pipe", [
+        [10, 10],
+        [110, 10],
+      ]),
+    ]);
+
+    expect(kinds(findings)).toEqual([CLASH_KIND.DANGLING]);
+    expect(findings[0].point).toEqual({ x: 10, y: 10 });
+  });
+
+  it("reports runs drawn over each other once, not as a crossing", () => {
+    const findings = analyzeBlueprintRouting([
+      fixture("a", { x: -10, y: -10, width: 20, height: 20 }),
+      fixture("b", { x: 190, y: -10, width: 20, height: 20 }),
+      path("first", "drain_pipe", [
+        [0, 0],
+        [200, 0],
+      ]),
+      path("second", "drain_pipe", [
+        [50, 2],
+        [150, 2],
+        [150, 80],
+      ]),
+      path("wire", "connection", [
+        [60, 0],
+        [140, 0],
+      ]),
+    ]).filter((finding) => finding.kind !== CLASH_KIND.DANGLING);
+
+    expect(findings.map((f) => [f.kind, f.severity, f.objectIds])).toEqual([
+      [CLASH_KIND.OVERLAP, "error", ["first", "wire"]],
+      [CLASH_KIND.OVERLAP, "error", ["second", "wire"]],
+      [CLASH_KIND.OVERLAP, "warning", ["first", "second"]],
+    ]);
+    expect(findings[2].point.x).toBeCloseTo(100);
+  });
+
+  it("compares objects only within their own sheet and skips drafts", () => {
+    const findings = analyzeBlueprintRouting([
+      path(
+        "wire",
+        "connection",
+        [
+          [0, 50],
+          [100, 50],
+        ],
+        { sheetId: "ground" },
+      ),
+      path(
+        "pipe",
+        "hot_pipe",
+        [
+          [50, 0],
+          [50, 100],
+        ],
+        { sheetId: "first" },
+      ),
+      path(
+        "draft",
+        "cold_pipe",
+        [
+          [0, 0],
+          [10, 0],
+        ],
+        { drawing: true },
+      ),
+    ]);
+
+    expect(kinds(findings)).not.toContain(CLASH_KIND.CROSSING);
+    expect(findings.some((f) => f.objectIds.includes("draft"))).toBe(false);
+  });
+});
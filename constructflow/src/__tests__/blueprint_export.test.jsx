@@ -0,0 +1,109 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildExportLegend,
+  buildImagePdf,
+  EXPORT_ALL,
+  EXPORT_UNASSIGNED,
+  filterExportObjects,
+  getPdfPageSize,
+} from "../utils/blueprintExport";
+
+const objects = [
+  {
+    id: "a",
+    type: "hot_pipe",
+    toolGroup: "plumbing",
+    assignedTo: "u1",
+    completed: false,
+    pathPoints: [
+      { x: 0, y: 0 },
+      { x: 10, y: 0 },
+    ],
+    pointTasks: [{ requiredType: "valve", completed: true }, null],
+  },
+  {
+    id: "b",
+    type: "connection",
+    toolGroup: "electrical",
+    assignedTo: null,
+    completed: false,
+    pathPoints: [],
+    pointTasks: [],
+  },
+  {
+    id: "c",
+    type: "fixture_area",
+    toolGroup: "plumbing",
+    assignedTo: "u2",
+    completed: false,
+    rect: { x: 0, y: 0, width: 10, height: 10 },
+  },
+];
+
+const labels = {
+  lineLabel: (type) => `line ${type}`,
+  fixtureLabel: (group) => `area ${group}`,
+  pointLabel: (type, group) => `${group} ${type}`,
+};
+
+describe("blueprint export", () => {
+  it("filters by trade and assignee", () => {
+    const ids = (filters) =>
+      filterExportObjects(objects, filters).map((obj) => obj.id);
+
+    expect(ids({})).toEqual(["a", "b", "c"]);
+    expect(ids({ toolGroup: "plumbing" })).toEqual(["a", "c"]);
+    expect(ids({ toolGroup: EXPORT_ALL, assignee: "u2" })).toEqual(["c"]);
+    expect(ids({ assignee: EXPORT_UNASSIGNED })).toEqual(["b"]);
+  });
+
+  it("builds a legend for what is printed, completed last", () => {
+    const legend = buildExportLegend(objects, labels);
+
+    expect(legend.map((entry) => entry.label)).toEqual([
+      "line hot_pipe",
+      "line connection",
+      "area plumbing",
+      "plumbing valve",
+      "Completed",
+    ]);
+    expect(legend[3]).toMatchObject({ kind: "symbol", symbol: "circle" });
+    expect(
+      buildExportLegend([objects[1]], labels).some(
+        (entry) => entry.kind === "completed",
+      ),
+    ).toBe(false);
+  });
+
+  it("writes a one-page PDF with a valid cross-reference table", () => {
+    const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+    const pdf = buildImagePdf({
+      jpeg,
+      width: 400,
+      height: 300,
+      ...getPdfPageSize(400, 300),
+    });
+    const text = new TextDecoder("latin1").decode(pdf);
+
+    expect(text.startsWith("%PDF-1.4")).toBe(true);
+    expect(text).toContain("/MediaBox [0 0 1122.67 842]");
+    expect(text).toContain("/Width 400 /Height 300");
+
+    const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+    expect(text.slice(startxref, startxref + 4)).toBe("xref");
+    const offsets = [...text.matchAll(/^(\d{10}) 00000 n $/gm)].map((m) =>
+      Number(m[1]),
+    );
+    expect(offsets).toHaveLength(5);
+    offsets.forEach((offset, index) =>
+      expect(text.slice(offset).startsWith(`${index + 1} 0 obj`)).toBe(true),
+    );
+  });
+
+  it("fits the PDF page to A3 in the image's orientation", () => {
+    expect(getPdfPageSize(1000, 2000)).toEqual({
+      pageWidth: 595.5,
+      pageHeight: 1191,
+    });
+  });
+});
@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import {
+  arrangeObjectsByLayer,
+  createLayer,
+  DEFAULT_LAYERS,
+  getBlueprintLayers,
+  getObjectLayerId,
+  getTradeLayerIds,
+  moveLayer,
+} from "../utils/blueprintLayers";
+
+const TRADE = {
+  hot_pipe: "plumber",
+  drain_pipe: "plumber",
+  connection: "electrician",
+};
+const getTrade = (obj) => TRADE[obj.type] || null;
+
+describe("blueprint layers", () => {
+  it("gives older blueprints the default layers", () => {
+    const layers = getBlueprintLayers({});
+    expect(layers.map((layer) => layer.id)).toEqual(
+      DEFAULT_LAYERS.map((layer) => layer.id),
+    );
+    expect(layers[0]).toMatchObject({ locked: false, opacity: 1 });
+  });
+
+  it("places objects on their own layer or the default for their type", () => {
+    const layers = [...getBlueprintLayers({}), createLayer("Notes")];
+    const notes = layers[layers.length - 1];
+
+    expect(getObjectLayerId({ type: "drain_pipe" }, layers)).toBe("drainage");
+    expect(
+      getObjectLayerId(
+        { type: "fixture_area", toolGroup: "electrical" },
+        layers,
+      ),
+    ).toBe("power");
+    expect(
+      getObjectLayerId({ type: "hot_pipe", layerId: notes.id }, layers),
+    ).toBe(notes.id);
+    expect(
+      getObjectLayerId({ type: "hot_pipe", layerId: "deleted" }, layers),
+    ).toBe("plumbing_supply");
+  });
+
+  it("defaults workers to their trade's layers, including custom ones in use", () => {
+    const layers = [createLayer("Site notes"), ...getBlueprintLayers({})];
+    const objects = [
+      { id: "a", type: "hot_pipe", layerId: layers[0].id },
+      { id: "b", type: "connection" },
+    ];
+
+    const ids = getTradeLayerIds(layers, objects, "plumber", getTrade);
+    expect([...ids].sort()).toEqual(
+      [layers[0].id, "drainage", "plumbing_supply"].sort(),
+    );
+  });
+
+  it("orders visible objects bottom layer first with layer settings", () => {
+    const layers = getBlueprintLayers({
+      layers: [
+        { id: "top", name: "Top", opacity: 0.5 },
+        { id: "bottom", name: "Bottom", locked: true },
+        { id: "hidden", name: "Hidden" },
+      ],
+    });
+    const objects = [
+      { id: "a", layerId: "top" },
+      { id: "b", layerId: "bottom" },
+      { id: "c", layerId: "hidden" },
+      { id: "d", layerId: "hidden", drawing: true },
+    ];
+
+    const arranged = arrangeObjectsByLayer(
+      objects,
+      layers,
+      (layerId) => layerId !== "hidden",
+    );
+    expect(arranged.map((obj) => obj.id)).toEqual(["d", "b", "a"]);
+    expect(arranged[1]).toMatchObject({ layerLocked: true, layerOpacity: 1 });
+    expect(arranged[2]).toMatchObject({
+      layerLocked: false,
+      layerOpacity: 0.5,
+    });
+  });
+
+  it("moves layers up and down within bounds", () => {
+    const layers = getBlueprintLayers({});
+    expect(moveLayer(layers, "drainage", -1)[0].id).toBe("drainage");
+    expect(moveLayer(layers, "plumbing_supply", -1)).toBe(layers);
+  });
+});
@@ -0,0 +1,153 @@
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it, vi } from "vitest";
+
+import BlueprintMyWorkPanel from "../components/BlueprintMyWorkPanel";
+import { buildMyWorkItems, getWorkItemBounds } from "../utils/blueprintMyWork";
+
+const pipe = {
+  id: "pipe-1",
+  type: "connection",
+  sheetId: "sheet-2",
+  assignedWorkerIds: ["worker-1"],
+  pathPoints: [
+    { x: 10, y: 20 },
+    { x: 110, y: 20 },
+    { x: 110, y: 80 },
+  ],
+  pointTasks: [
+    { requiredType: "valve", completed: true },
+    null,
+    { requiredType: "join_2_way", rejection: { reason: "Blurry photo" } },
+  ],
+};
+
+const fixture = {
+  id: "fixture-1",
+  type: "fixture_area",
+  sheetId: "sheet-1",
+  assignedWorkerIds: ["worker-1"],
+  rect: { x: 200, y: 40, width: 60, height: 30 },
+};
+
+const doneFixture = { ...fixture, id: "fixture-2", completed: true };
+
+const othersPipe = { ...pipe, id: "pipe-2", assignedWorkerIds: ["worker-2"] };
+
+const isOwn = (obj) => obj.assignedWorkerIds?.includes("worker-1");
+
+describe("blueprint my work", () => {
+  it("lists outstanding steps in sheet order and counts finished ones", () => {
+    const { items, total, remaining } = buildMyWorkItems(
+      [pipe, othersPipe, fixture, doneFixture],
+      { isOwn, sheetIds: ["sheet-1", "sheet-2"] },
+    );
+
+    expect(total).toBe(4);
+    expect(remaining).toBe(2);
+    expect(items).toEqual([
+      {
+        key: "fixture-1:object",
+        objectId: "fixture-1",
+        sheetId: "sheet-1",
+        pointIndex: null,
+        completed: false,
+        rejected: false,
+      },
+      {
+        key: "pipe-1:2",
+        objectId: "pipe-1",
+        sheetId: "sheet-2",
+        pointIndex: 2,
+        completed: false,
+        rejected: true,
+      },
+    ]);
+  });
+
+  it("skips in-progress drawings and other workers' elements", () => {
+    const drawing = { ...fixture, id: "draft", drawing: true };
+    expect(buildMyWorkItems([drawing, othersPipe], { isOwn }).total).toBe(0);
+  });
+
+  it("bounds a step by its point or its whole element", () => {
+    expect(getWorkItemBounds(pipe, 2)).toEqual({
+      x: 110,
+      y: 80,
+      width: 0,
+      height: 0,
+    });
+    expect(getWorkItemBounds(pipe)).toEqual({
+      x: 10,
+      y: 20,
+      width: 100,
+      height: 60,
+    });
+    expect(getWorkItemBounds(fixture)).toEqual(fixture.rect);
+    expect(getWorkItemBounds(null)).toBeNull();
+  });
+
+  it("shows progress and steps through the remaining items", async () => {
+    const user = userEvent.setup();
+    const onToggle = vi.fn();
+    const onStep = vi.fn();
+    const onSelect = vi.fn();
+    const { items, total } = buildMyWorkItems([pipe, fixture, doneFixture], {
+      isOwn,
+      sheetIds: ["sheet-1", "sheet-2"],
+    });
+    const props = {
+      items,
+      total,
+      getItemLabel: (item) => `Step ${item.key}`,
+      getSheetName: (sheetId) => (sheetId === "sheet-2" ? "Level 2" : null),
+      onToggle,
+      onStep,
+      onSelect,
+    };
+
+    const { rerender } = render(<BlueprintMyWorkPanel {...props} />);
+    expect(screen.getByText("2 of 4 remaining")).toBeInTheDocument();
+    expect(
+      screen.getByRole("progressbar", { name: "My work progress" }),
+    ).toHaveAttribute("aria-valuenow", "2");
+    expect(screen.queryByText("Step pipe-1:2")).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "My work" }));
+    expect(onToggle).toHaveBeenCalledWith(true);
+
+    rerender(
+      <BlueprintMyWorkPanel {...props} active currentKey="fixture-1:object" />,
+    );
+    expect(screen.getByRole("button", { name: "My work" })).toHaveAttribute(
+      "aria-pressed",
+      "true",
+    );
+    expect(screen.getByText("Item 1 of 2")).toBeInTheDocument();
+    expect(screen.getByText("Rejected")).toBeInTheDocument();
+    expect(screen.getByText("Level 2")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Next item" }));
+    expect(onStep).toHaveBeenCalledWith(1);
+
+    await user.click(screen.getByRole("button", { name: /Step pipe-1:2/ }));
+    expect(onSelect).toHaveBeenCalledWith(items[1], 1);
+  });
+
+  it("says so when everything is done", () => {
+    render(
+      <BlueprintMyWorkPanel
+        items={[]}
+        total={3}
+        active
+        getItemLabel={() => ""}
+      />,
+    );
+    expect(
+      screen.getByText("All your work here is complete."),
+    ).toBeInTheDocument();
+    expect(
+      screen.getByRole("progressbar", { name: "My work progress" }),
+    ).toHaveAttribute("aria-valuenow", "3");
+  });
+});
@@ -0,0 +1,198 @@
+import { describe, expect, it } from "vitest";
+import {
+  diffBlueprintObjects,
+  restoreRevisionObjects,
+  sortRevisions,
+  summarizeRevisionDiff,
+} from "../utils/blueprintRevisions";
+
+const pipe = (overrides = {}) => ({
+  type: "hot_pipe",
+  sheetId: "s1",
+  pathPoints: [
+    { x: 0, y: 0 },
+    { x: 100, y: 0 },
+  ],
+  pointTasks: [],
+  rect: null,
+  assignedTo: null,
+  completed: false,
+  ...overrides,
+});
+
+describe("blueprintRevisions", () => {
+  it("numbers revisions oldest first", () => {
+    const sorted = sortRevisions([
+      { id: "b", createdAt: new Date("2026-03-02T10:00:00Z") },
+      {
+        id: "a",
+        createdAt: { toDate: () => new Date("2026-03-01T10:00:00Z") },
+      },
+    ]);
+    expect(sorted.map((revision) => [revision.id, revision.number])).toEqual([
+      ["a", 1],
+      ["b", 2],
+    ]);
+  });
+
+  it("classifies added, removed, moved and reassigned objects", () => {
+    const base = {
+      keep: pipe(),
+      gone: pipe(),
+      shifted: pipe(),
+      handedOver: pipe({ assignedTo: "w1" }),
+    };
+    const target = {
+      keep: pipe({ completed: true }),
+      shifted: pipe({
+        pathPoints: [
+          { x: 0, y: 10 },
+          { x: 100, y: 10 },
+        ],
+      }),
+      handedOver: pipe({ assignedTo: "w2" }),
+      fresh: pipe(),
+    };
+
+    const entries = diffBlueprintObjects(base, target);
+    const byId = Object.fromEntries(entries.map((entry) => [entry.id, entry]));
+
+    expect(byId.keep.change).toBe("unchanged");
+    expect(byId.gone.change).toBe("removed");
+    expect(byId.fresh.change).toBe("added");
+    expect(byId.shifted).toMatchObject({
+      change: "modified",
+      moved: true,
+      reassigned: false,
+    });
+    expect(byId.handedOver).toMatchObject({ moved: false, reassigned: true });
+    expect(summarizeRevisionDiff(entries)).toEqual({
+      added: 1,
+      removed: 1,
+      moved: 1,
+      reassigned: 1,
+    });
+  });
+
+  it("restores layout but keeps completion recorded since the revision", () => {
+    const revisionObjects = {
+      a: pipe({
+        assignedTo: "w1",
+        pointTasks: [
+          { requiredType: "valve", completed: false },
+          { requiredType: "join_2_way", completed: false },
+        ],
+      }),
+      b: pipe({ completed: false }),
+      deleted: pipe({ completed: true }),
+    };
+    const currentObjects = {
+      a: pipe({
+        assignedTo: "w2",
+        pointTasks: [
+          { requiredType: "valve", completed: true },
+          { requiredType: "join_3_way", completed: true },
+        ],
+      }),
+      b: pipe({ completed: true }),
+      added: pipe(),
+    };
+
+    const restored = restoreRevisionObjects(revisionObjects, currentObjects);
+
+    expect(Object.keys(restored).sort()).toEqual(["a", "b", "deleted"]);
+    expect(restored.a.assignedTo).toBe("w1");
+    expect(restored.a.pointTasks).toEqual([
+      { requiredType: "valve", completed: true },
+      { requiredType: "join_2_way", completed: false },
+    ]);
+    expect(restored.b.completed).toBe(true);
+    expect(restored.deleted.completed).toBe(true);
+  });
+
+  it("keeps photo evidence and rejections recorded since the revision", () => {
+    const evidence = {
+      photos: [{ url: "https://example.com/valve.jpg", path: null, name: "" }],
+      note: "",
+      by: "w1",
+      byName: "Wes",
+      at: "2026-03-03T10:00:00.000Z",
+    };
+    const rejection = {
+      reason: "Photo is blurry",
+      by: "m1",
+      byName: "Mia",
+      at: "2026-03-04T10:00:00.000Z",
+    };
+    const revisionObjects = {
+      a: pipe({
+        pointTasks: [{ requiredType: "valve", completed: false }],
+      }),
+      b: pipe({ completed: true, evidence }),
+    };
+    const currentObjects = {
+      a: pipe({
+        completed: true,
+        evidence,
+        pointTasks: [{ requiredType: "valve", completed: true, evidence }],
+      }),
+      b: pipe({ completed: false, evidence: null, rejection }),
+    };
+
+    const restored = restoreRevisionObjects(revisionObjects, currentObjects);
+
+    expect(restored.a).toMatchObject({ completed: true, evidence });
+    expect(restored.a.pointTasks[0]).toEqual({
+      requiredType: "valve",
+      completed: true,
+      evidence,
+    });
+    expect(restored.b).toMatchObject({
+      completed: false,
+      evidence: null,
+      rejection,
+    });
+  });
+
+  it("keeps the current sign-off instead of the revision's", () => {
+    const approval = {
+      by: "m1",
+      byName: "Mia",
+      at: "2026-03-02T10:00:00.000Z",
+    };
+    const rejection = {
+      reason: "Wrong valve",
+      by: "m1",
+      byName: "Mia",
+      at: "2026-03-05T10:00:00.000Z",
+    };
+    const revisionObjects = {
+      redone: pipe({ completed: true, approval }),
+      approved: pipe({
+        pointTasks: [{ requiredType: "valve", completed: false }],
+      }),
+    };
+    const currentObjects = {
+      redone: pipe({ completed: false, approval: null, rejection }),
+      approved: pipe({
+        pointTasks: [
+          { requiredType: "valve", completed: true, approval, rejection: null },
+        ],
+      }),
+    };
+
+    const restored = restoreRevisionObjects(revisionObjects, currentObjects);
+
+    expect(restored.redone).toMatchObject({
+      completed: false,
+      approval: null,
+      rejection,
+    });
+    expect(restored.approved.pointTasks[0]).toEqual({
+      requiredType: "valve",
+      completed: true,
+      approval,
+      rejection: null,
+    });
+  });
+});
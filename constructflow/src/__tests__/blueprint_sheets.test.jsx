@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import {
+  DEFAULT_SHEET_ID,
+  getBlueprintSheets,
+  getObjectSheetId,
+  isPdfFile,
+} from "../utils/blueprintSheets";
+import { getBlueprintCompletion } from "../utils/projectProgress";
+
+describe("blueprintSheets", () => {
+  it("treats a single-image blueprint as one sheet", () => {
+    expect(
+      getBlueprintSheets({
+        imageUrl: "https://img/plan.png",
+        scale: { pixelsPerMeter: 40 },
+      }),
+    ).toEqual([
+      {
+        id: DEFAULT_SHEET_ID,
+        name: "Sheet 1",
+        imageUrl: "https://img/plan.png",
+        scale: { pixelsPerMeter: 40 },
+      },
+    ]);
+    expect(getBlueprintSheets({})).toEqual([]);
+  });
+
+  it("reads stored sheets in order and skips ones without an image", () => {
+    const sheets = getBlueprintSheets({
+      imageUrl: "https://img/p1.png",
+      sheets: [
+        { id: "s1", name: "Page 1", imageUrl: "https://img/p1.png" },
+        {
+          id: "s2",
+          imageUrl: "https://img/p2.png",
+          scale: { pixelsPerMeter: 20 },
+        },
+        { id: "s3", name: "Broken" },
+      ],
+    });
+
+    expect(sheets.map((sheet) => sheet.id)).toEqual(["s1", "s2"]);
+    expect(sheets[1]).toMatchObject({
+      name: "Sheet 2",
+      scale: { pixelsPerMeter: 20 },
+    });
+    expect(sheets[0].scale).toBeNull();
+  });
+
+  it("places objects without a known sheet on the first sheet", () => {
+    const sheets = [{ id: "s1" }, { id: "s2" }];
+    expect(getObjectSheetId({ sheetId: "s2" }, sheets)).toBe("s2");
+    expect(getObjectSheetId({ sheetId: "gone" }, sheets)).toBe("s1");
+    expect(getObjectSheetId({}, sheets)).toBe("s1");
+    expect(getObjectSheetId({}, [])).toBeNull();
+  });
+
+  it("recognises PDFs by type or extension", () => {
+    expect(isPdfFile({ type: "application/pdf", name: "set" })).toBe(true);
+    expect(isPdfFile({ type: "", name: "Plans.PDF" })).toBe(true);
+    expect(isPdfFile({ type: "image/png", name: "plan.png" })).toBe(false);
+  });
+
+  it("counts progress across every sheet of a set", () => {
+    const blueprint = {
+      sheets: [
+        { id: "s1", imageUrl: "a" },
+        { id: "s2", imageUrl: "b" },
+      ],
+      objects: {
+        o1: { sheetId: "s1", completed: true },
+        o2: { sheetId: "s2", completed: false },
+        o3: {
+          sheetId: "s2",
+          pointTasks: [
+            { requiredType: "valve", completed: true },
+            { requiredType: "join_2_way", completed: true },
+          ],
+        },
+      },
+    };
+
+    expect(getBlueprintCompletion(blueprint)).toBe(75);
+  });
+});
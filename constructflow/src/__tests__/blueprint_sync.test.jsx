@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import {
+  getActiveCollaborators,
+  mergeRemoteObjects,
+  planBlueprintSave,
+  PRESENCE_MODE,
+  PRESENCE_STALE_MS,
+} from "../utils/blueprintSync";
+
+const pipe = (x, extra = {}) => ({
+  type: "hot_pipe",
+  pathPoints: [
+    { x, y: 0 },
+    { x: x + 10, y: 0 },
+  ],
+  pointTasks: [{ requiredType: "valve", completed: false }, null],
+  completed: false,
+  ...extra,
+});
+
+describe("blueprint sync", () => {
+  it("takes remote changes for untouched objects and keeps local edits", () => {
+    const base = { a: pipe(0), b: pipe(100), c: pipe(200) };
+    const local = { a: pipe(5), b: pipe(100), c: pipe(200) };
+    const remote = { a: pipe(0), b: pipe(150), d: pipe(300) };
+
+    const result = mergeRemoteObjects({ base, local, remote });
+
+    expect(result.objects.a).toEqual(pipe(5));
+    expect(result.objects.b).toEqual(pipe(150));
+    expect(result.objects.c).toBeUndefined();
+    expect(result.objects.d).toEqual(pipe(300));
+    expect(result.changedIds.sort()).toEqual(["b", "c", "d"]);
+    expect(result.conflicts).toEqual([]);
+  });
+
+  it("flags objects edited on both sides and folds in remote progress", () => {
+    const base = { a: pipe(0), b: pipe(100) };
+    const local = { a: pipe(5), b: pipe(100, { fixtureName: "Mine" }) };
+    const remote = {
+      a: pipe(9),
+      b: pipe(100, {
+        pointTasks: [{ requiredType: "valve", completed: true }, null],
+      }),
+    };
+
+    const result = mergeRemoteObjects({ base, local, remote });
+
+    expect(result.conflicts).toEqual(["a"]);
+    expect(result.objects.a).toEqual(pipe(5));
+    // Completion from a worker is not a conflict; it is merged in.
+    expect(result.objects.b.fixtureName).toBe("Mine");
+    expect(result.objects.b.pointTasks[0].completed).toBe(true);
+    expect(result.changedIds).toEqual(["b"]);
+  });
+
+  it("saves only local edits and refuses ones changed remotely", () => {
+    const base = { a: pipe(0), b: pipe(100), c: pipe(200) };
+    const local = { a: pipe(5), b: pipe(110), d: pipe(300) };
+    const remote = {
+      a: pipe(0, { completed: true }),
+      b: pipe(120),
+      c: pipe(200),
+      e: pipe(400),
+    };
+
+    const { writes, conflicts } = planBlueprintSave({ base, local, remote });
+
+    expect(conflicts).toEqual(["b"]);
+    expect(writes).toEqual({
+      a: pipe(5, { completed: true }),
+      c: null,
+      d: pipe(300),
+    });
+  });
+
+  it("lists other people on the blueprint once, editing first", () => {
+    const now = 1_000_000;
+    const collaborators = getActiveCollaborators(
+      [
+        { uid: "me", name: "Me", lastSeen: now, mode: PRESENCE_MODE.EDITING },
+        { uid: "u2", name: "Zoe", lastSeen: now, mode: PRESENCE_MODE.EDITING },
+        { uid: "u2", name: "Zoe", lastSeen: now, mode: PRESENCE_MODE.VIEWING },
+        { uid: "u3", name: "Adam", lastSeen: now - 1000 },
+        { uid: "u4", name: "Gone", lastSeen: now - PRESENCE_STALE_MS - 1 },
+      ],
+      "me",
+      now,
+    );
+
+    expect(collaborators).toEqual([
+      { uid: "u3", name: "Adam", mode: PRESENCE_MODE.VIEWING },
+      { uid: "u2", name: "Zoe", mode: PRESENCE_MODE.EDITING },
+    ]);
+  });
+});
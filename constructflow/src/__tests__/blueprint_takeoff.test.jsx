@@ -0,0 +1,231 @@
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { describe, expect, it, vi } from "vitest";
+
+const mockListProjectMaterials = vi.fn();
+const mockReserveMaterialsForTask = vi.fn();
+
+vi.mock("../utils/materialsRepository", () => ({
+  listProjectMaterials: (...args) => mockListProjectMaterials(...args),
+  reserveMaterialsForTask: (...args) => mockReserveMaterialsForTask(...args),
+}));
+
+import BlueprintTakeoffPanel from "../components/BlueprintTakeoffPanel";
+import {
+  buildBlueprintTakeoff,
+  buildTakeoffAllocations,
+  formatMeasuredLength,
+  getPathLengthPixels,
+  mergeTakeoffLines,
+  parseRealDistance,
+  suggestTakeoffMaterialId,
+} from "../utils/blueprintTakeoff";
+
+const objects = [
+  {
+    id: "a",
+    type: "hot_pipe",
+    toolGroup: "plumbing",
+    pathPoints: [
+      { x: 0, y: 0 },
+      { x: 300, y: 400 },
+    ],
+    pointTasks: [{ requiredType: "valve" }, { requiredType: "join_3_way" }],
+  },
+  {
+    id: "b",
+    type: "pipe",
+    pathPoints: [
+      { x: 0, y: 0 },
+      { x: 0, y: 150 },
+    ],
+    pointTasks: [{ requiredType: "fixture" }, { requiredType: null }],
+  },
+  {
+    id: "c",
+    type: "connection",
+    toolGroup: "electrical",
+    pathPoints: [
+      { x: 0, y: 0 },
+      { x: 100, y: 0 },
+      { x: 100, y: 100 },
+    ],
+    pointTasks: [{ requiredType: "join_3_way" }],
+  },
+  { id: "d", type: "fixture_area", toolGroup: "plumbing", pathPoints: [] },
+];
+
+describe("blueprintTakeoff", () => {
+  it("measures a path along all of its segments", () => {
+    expect(getPathLengthPixels(objects[2].pathPoints)).toBe(200);
+    expect(getPathLengthPixels([{ x: 5, y: 5 }])).toBe(0);
+  });
+
+  it("reads calibration distances in metres or another length unit", () => {
+    expect(parseRealDistance("3.5")).toBe(3.5);
+    expect(parseRealDistance(" 250 cm ")).toBe(2.5);
+    expect(parseRealDistance("10ft")).toBeCloseTo(3.048);
+    expect(parseRealDistance("0")).toBeNull();
+    expect(parseRealDistance("3 kg")).toBeNull();
+    expect(parseRealDistance("about 3 m")).toBeNull();
+  });
+
+  it("formats measured lengths in metres once calibrated", () => {
+    expect(formatMeasuredLength(250, 100)).toBe("2.50 m");
+    expect(formatMeasuredLength(249.6)).toBe("250 px");
+  });
+
+  it("derives lengths per path type and fitting counts per trade", () => {
+    const lines = buildBlueprintTakeoff(objects, { pixelsPerMeter: 100 });
+    const byKey = Object.fromEntries(lines.map((line) => [line.key, line]));
+
+    expect(byKey["length:plumbing:hot_pipe"]).toMatchObject({
+      quantity: 6.5,
+      unit: "m",
+    });
+    expect(byKey["length:electrical:connection"].quantity).toBe(2);
+    expect(byKey["count:plumbing:valve"].quantity).toBe(2);
+    expect(byKey["count:plumbing:join_3_way"].quantity).toBe(1);
+    expect(byKey["count:electrical:join_3_way"].quantity).toBe(1);
+    expect(byKey["count:plumbing:fixture_area"].quantity).toBe(1);
+    expect(lines[0].kind).toBe("length");
+  });
+
+  it("leaves lengths unmeasured until the blueprint has a scale", () => {
+    const lines = buildBlueprintTakeoff(objects, null);
+    expect(
+      lines.find((line) => line.key === "length:plumbing:hot_pipe").quantity,
+    ).toBeNull();
+    expect(
+      lines.find((line) => line.key === "count:plumbing:valve").quantity,
+    ).toBe(2);
+  });
+
+  it("sums take-offs from several sheets", () => {
+    const scaled = buildBlueprintTakeoff(objects, { pixelsPerMeter: 100 });
+    const merged = mergeTakeoffLines([
+      buildBlueprintTakeoff([objects[3]], null),
+      scaled,
+      scaled,
+    ]);
+    const byKey = Object.fromEntries(merged.map((line) => [line.key, line]));
+
+    expect(byKey["length:plumbing:hot_pipe"].quantity).toBe(13);
+    expect(byKey["count:plumbing:valve"].quantity).toBe(4);
+    expect(byKey["count:plumbing:fixture_area"].quantity).toBe(3);
+    expect(merged[0].kind).toBe("length");
+    expect(
+      mergeTakeoffLines([buildBlueprintTakeoff(objects, null), scaled])[0]
+        .quantity,
+    ).toBeNull();
+  });
+
+  it("suggests a material with a matching name and unit", () => {
+    const materials = [
+      { id: "m1", name: "Hot water pipe 22mm", unit: "box" },
+      { id: "m2", name: "Hot Water Pipe 22mm", unit: "ft" },
+      { id: "m3", name: "Valves", unit: "pcs" },
+    ];
+    const pipeLine = { kind: "length", unit: "m" };
+    const valveLine = { kind: "count", unit: "" };
+
+    expect(
+      suggestTakeoffMaterialId(pipeLine, "Hot Water Pipe", materials),
+    ).toBe("m2");
+    expect(suggestTakeoffMaterialId(valveLine, "Valve", materials)).toBe("m3");
+    expect(suggestTakeoffMaterialId(valveLine, "Outlet", materials)).toBe("");
+  });
+
+  it("builds reservations only for lines with a material and quantity", () => {
+    const lines = [
+      {
+        key: "length:plumbing:hot_pipe",
+        kind: "length",
+        quantity: 6.5,
+        unit: "m",
+      },
+      {
+        key: "length:plumbing:cold_pipe",
+        kind: "length",
+        quantity: null,
+        unit: "m",
+      },
+      { key: "count:plumbing:valve", kind: "count", quantity: 2, unit: "" },
+      {
+        key: "count:plumbing:join_2_way",
+        kind: "count",
+        quantity: 4,
+        unit: "",
+      },
+    ];
+
+    expect(
+      buildTakeoffAllocations(lines, {
+        "length:plumbing:hot_pipe": "m2",
+        "length:plumbing:cold_pipe": "m4",
+        "count:plumbing:valve": "m3",
+        "count:plumbing:join_2_way": "",
+      }),
+    ).toEqual([
+      { materialId: "m2", quantityRequired: 6.5, unit: "m" },
+      { materialId: "m3", quantityRequired: 2 },
+    ]);
+  });
+});
+
+describe("BlueprintTakeoffPanel", () => {
+  it("tops up the task's reservations when the take-off is attached again", async () => {
+    const user = userEvent.setup();
+    mockListProjectMaterials.mockResolvedValue([
+      { id: "m3", name: "Valve", unit: "", quantityOnHand: 10 },
+    ]);
+    mockReserveMaterialsForTask
+      .mockResolvedValueOnce({
+        reservations: [{ materialId: "m3", reserved: 2 }],
+        skippedMaterialIds: [],
+      })
+      .mockResolvedValueOnce({ reservations: [], skippedMaterialIds: ["m3"] });
+
+    render(
+      <BlueprintTakeoffPanel
+        lines={[
+          {
+            key: "count:plumbing:valve",
+            kind: "count",
+            label: "Valve",
+            quantity: 2,
+            unit: "",
+          },
+        ]}
+        organizationId="org-1"
+        projectId="p1"
+        taskId="t1"
+        performedBy="mgr-1"
+      />,
+    );
+    await waitFor(() =>
+      expect(screen.getByLabelText("Material for Valve")).toHaveValue("m3"),
+    );
+
+    await user.click(screen.getByRole("button", { name: "Attach to task" }));
+    expect(
+      await screen.findByText("Reserved 1 material for this task."),
+    ).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Attach to task" }));
+    expect(
+      await screen.findByText(
+        "This take-off is already reserved for the task.",
+      ),
+    ).toBeInTheDocument();
+    expect(mockReserveMaterialsForTask).toHaveBeenCalledTimes(2);
+    expect(mockReserveMaterialsForTask).toHaveBeenLastCalledWith({
+      organizationId: "org-1",
+      projectId: "p1",
+      taskId: "t1",
+      allocations: [{ materialId: "m3", quantityRequired: 2 }],
+      performedBy: "mgr-1",
+      topUp: true,
+    });
+  });
+});
@@ -0,0 +1,135 @@
+import { describe, expect, it, vi } from "vitest";
+import { render, screen } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+
+vi.mock("../firebase", () => ({ storage: {} }));
+
+vi.mock("firebase/storage", () => ({
+  ref: vi.fn((storage, path) => ({ path })),
+  uploadBytes: vi.fn(async () => ({})),
+  getDownloadURL: vi.fn(
+    async (storageRef) => `https://files/${storageRef.path}`,
+  ),
+}));
+
+import {
+  completeWithEvidence,
+  normalizeEvidence,
+  rejectCompletion,
+  reopenItem,
+  uploadEvidencePhotos,
+} from "../utils/completionEvidence";
+import { mergeRemoteObjects } from "../utils/blueprintSync";
+import CompletionEvidenceGallery from "../components/CompletionEvidenceGallery";
+
+const worker = { uid: "w1", name: "Wes" };
+const photo = { url: "https://files/a.jpg", path: "a.jpg", name: "a.jpg" };
+
+describe("completion evidence", () => {
+  it("completes with photos and a note, and reopens without them", () => {
+    const task = { requiredType: "valve", completed: false };
+    const done = completeWithEvidence(
+      { ...task, rejection: { reason: "Leaks" } },
+      { photos: [photo], note: "  Fitted  ", user: worker },
+    );
+
+    expect(done).toMatchObject({
+      completed: true,
+      rejection: null,
+      evidence: { photos: [photo], note: "Fitted", by: "w1", byName: "Wes" },
+    });
+    expect(typeof done.evidence.at).toBe("string");
+    expect(reopenItem(done)).toMatchObject({
+      completed: false,
+      evidence: null,
+    });
+    expect(normalizeEvidence({ photos: [], note: " " })).toBeNull();
+  });
+
+  it("rejects a completion with the manager's reason", () => {
+    const done = completeWithEvidence(
+      { requiredType: "valve" },
+      { photos: [photo], user: worker },
+    );
+    const rejected = rejectCompletion(done, {
+      reason: "Wrong valve",
+      user: { uid: "m1", name: "Mia" },
+    });
+
+    expect(rejected).toMatchObject({
+      completed: false,
+      evidence: null,
+      rejection: { reason: "Wrong valve", by: "m1", byName: "Mia" },
+    });
+  });
+
+  it("uploads each photo under the blueprint and object", async () => {
+    const files = [new File(["x"], "one.jpg"), new File(["y"], "two.jpg")];
+    const photos = await uploadEvidencePhotos(files, {
+      blueprintId: "bp1",
+      objectId: "obj1",
+    });
+
+    expect(photos).toHaveLength(2);
+    expect(photos[0].path).toMatch(
+      /^blueprints\/evidence\/bp1\/obj1\/\d+-one\.jpg$/,
+    );
+    expect(photos[1]).toMatchObject({
+      name: "two.jpg",
+      url: `https://files/${photos[1].path}`,
+    });
+  });
+
+  it("merges remote evidence as progress, not as a conflicting edit", () => {
+    const pipe = (task, extra = {}) => ({
+      type: "hot_pipe",
+      pathPoints: [
+        { x: 0, y: 0 },
+        { x: 10, y: 0 },
+      ],
+      pointTasks: [task],
+      completed: false,
+      ...extra,
+    });
+    const open = { requiredType: "valve", completed: false, evidence: null };
+    const done = completeWithEvidence(open, { photos: [photo], user: worker });
+
+    const result = mergeRemoteObjects({
+      base: { a: pipe(open) },
+      local: { a: pipe(open, { fixtureName: "Mine" }) },
+      remote: { a: pipe(done) },
+    });
+
+    expect(result.conflicts).toEqual([]);
+    expect(result.objects.a.fixtureName).toBe("Mine");
+    expect(result.objects.a.pointTasks[0]).toEqual(done);
+  });
+
+  it("shows photos to managers and collects a rejection reason", async () => {
+    const user = userEvent.setup();
+    const onReject = vi.fn();
+    const done = completeWithEvidence(
+      { requiredType: "valve" },
+      { photos: [photo], note: "Fitted", user: worker },
+    );
+    render(
+      <CompletionEvidenceGallery
+        items={[{ ...done, key: "point-1", pointIndex: 1, label: "P2" }]}
+        canInspect
+        onReject={onReject}
+      />,
+    );
+
+    expect(screen.getByAltText("a.jpg")).toHaveAttribute("src", photo.url);
+    expect(screen.getByText("Fitted")).toBeInTheDocument();
+
+    await user.click(screen.getByRole("button", { name: "Reject completion" }));
+    await user.type(
+      screen.getByLabelText("Reason for rejecting P2"),
+      "Not level",
+    );
+    await user.click(screen.getByRole("button", { name: "Reject" }));
+
+    expect(onReject).toHaveBeenCalledWith(1, "Not level");
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import {
+  COALESCE_WINDOW_MS,
+  createEditHistory,
+  rebaseEdits,
+  recordEdit,
+  redoEdit,
+  undoEdit,
+} from "../utils/editHistory";
+
+describe("edit history", () => {
+  it("undoes and redoes edits in order, clearing redo on a new edit", () => {
+    let history = createEditHistory();
+    history = recordEdit(history, { label: "draw", before: [], after: ["a"] });
+    history = recordEdit(history, {
+      label: "delete",
+      before: ["a"],
+      after: [],
+    });
+
+    const undone = undoEdit(history);
+    expect(undone.entry.label).toBe("delete");
+    expect(undone.entry.before).toEqual(["a"]);
+
+    const redone = redoEdit(undone.history);
+    expect(redone.entry.after).toEqual([]);
+    expect(redone.history.past).toHaveLength(2);
+
+    const branched = recordEdit(undone.history, {
+      label: "move",
+      before: ["a"],
+      after: ["a'"],
+    });
+    expect(branched.future).toHaveLength(0);
+    expect(redoEdit(branched).entry).toBeNull();
+  });
+
+  it("coalesces rapid edits with the same key into one step", () => {
+    let history = createEditHistory();
+    const drag = { label: "move points", coalesceKey: "path:1" };
+    history = recordEdit(history, { ...drag, before: [0], after: [1], at: 0 });
+    history = recordEdit(history, {
+      ...drag,
+      before: [1],
+      after: [2],
+      at: 500,
+    });
+    expect(history.past).toHaveLength(1);
+    expect(history.past[0]).toMatchObject({ before: [0], after: [2] });
+
+    history = recordEdit(history, {
+      ...drag,
+      before: [2],
+      after: [3],
+      at: 500 + COALESCE_WINDOW_MS + 1,
+    });
+    expect(history.past).toHaveLength(2);
+  });
+
+  it("drops the oldest entries beyond the limit", () => {
+    let history = createEditHistory();
+    for (let i = 0; i < 5; i++) {
+      history = recordEdit(
+        history,
+        { label: `edit ${i}`, before: i, after: i + 1 },
+        3,
+      );
+    }
+    expect(history.past.map((entry) => entry.label)).toEqual([
+      "edit 2",
+      "edit 3",
+      "edit 4",
+    ]);
+  });
+
+  it("rebases every snapshot so undo keeps changes made elsewhere", () => {
+    let history = createEditHistory();
+    history = recordEdit(history, { label: "draw", before: [], after: ["a"] });
+    history = undoEdit(history).history;
+
+    const rebased = rebaseEdits(history, (list) => [...list, "remote"]);
+    expect(rebased.future[0]).toMatchObject({
+      before: ["remote"],
+      after: ["a", "remote"],
+    });
+  });
+});
@@ -0,0 +1,205 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../firebase", () => ({ db: {}, storage: {} }));
+
+vi.mock("firebase/storage", () => ({
+  ref: vi.fn(),
+  uploadBytes: vi.fn(),
+  getDownloadURL: vi.fn(),
+}));
+
+const mockDoc = vi.fn((database, name, id) => ({ database, name, id }));
+let transactionGet = vi.fn();
+let transactionUpdate = vi.fn();
+const mockRunTransaction = vi.fn(async (_db, callback) =>
+  callback({ get: transactionGet, update: transactionUpdate }),
+);
+
+vi.mock("firebase/firestore", () => ({
+  collection: vi.fn(),
+  doc: (...args) => mockDoc(...args),
+  getDocs: vi.fn(),
+  query: vi.fn(),
+  runTransaction: (...args) => mockRunTransaction(...args),
+  where: vi.fn(),
+}));
+
+import {
+  approveCompletion,
+  completeWithEvidence,
+  getInspectionStatus,
+  INSPECTION_STATUS,
+  rejectCompletion,
+} from "../utils/completionEvidence";
+import {
+  buildInspectionQueue,
+  INSPECTION_STALE_ERROR,
+  reviewBlueprintCompletion,
+} from "../utils/inspectionRepository";
+import {
+  getBlueprintCompletion,
+  getProjectCompletion,
+  PROGRESS_MEASURE,
+} from "../utils/projectProgress";
+
+const worker = { uid: "w1", name: "Wes" };
+const manager = { uid: "m1", name: "Mia" };
+const photo = { url: "https://files/a.jpg", path: "a.jpg", name: "a.jpg" };
+
+const installed = (item, at) => ({
+  ...completeWithEvidence(item, { photos: [photo], user: worker }),
+  ...(at ? { evidence: { photos: [photo], note: "", at } } : {}),
+});
+
+describe("inspection workflow", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    transactionGet = vi.fn();
+    transactionUpdate = vi.fn();
+  });
+
+  it("moves work from open through pending inspection to approved or rejected", () => {
+    const open = { requiredType: "valve", completed: false };
+    expect(getInspectionStatus(open)).toBe(INSPECTION_STATUS.OPEN);
+    // Only installed work can be signed off.
+    expect(approveCompletion(open, { user: manager })).toBe(open);
+
+    const pending = installed(open);
+    expect(getInspectionStatus(pending)).toBe(INSPECTION_STATUS.PENDING);
+
+    const approved = approveCompletion(pending, { user: manager });
+    expect(getInspectionStatus(approved)).toBe(INSPECTION_STATUS.APPROVED);
+    expect(approved.approval).toMatchObject({ by: "m1", byName: "Mia" });
+    expect(approved.evidence).toEqual(pending.evidence);
+
+    const rejected = rejectCompletion(approved, {
+      reason: "Leaks",
+      user: manager,
+    });
+    expect(getInspectionStatus(rejected)).toBe(INSPECTION_STATUS.REJECTED);
+    expect(rejected.approval).toBeNull();
+  });
+
+  it("reports installed and approved progress separately", () => {
+    const blueprint = {
+      objects: {
+        a: {
+          pointTasks: [
+            approveCompletion(installed({ requiredType: "valve" }), {
+              user: manager,
+            }),
+            installed({ requiredType: "join_2_way" }),
+            { requiredType: "join_3_way", completed: false },
+            null,
+          ],
+        },
+        b: { completed: true },
+      },
+    };
+
+    expect(getBlueprintCompletion(blueprint)).toBe(75);
+    expect(getBlueprintCompletion(blueprint, PROGRESS_MEASURE.APPROVED)).toBe(
+      25,
+    );
+    expect(
+      getProjectCompletion(
+        [{ id: "t1" }],
+        [{ ...blueprint, taskId: "t1" }],
+        PROGRESS_MEASURE.APPROVED,
+      ),
+    ).toBe(25);
+  });
+
+  it("queues only work waiting for inspection, longest waiting first", () => {
+    const queue = buildInspectionQueue([
+      {
+        id: "bp1",
+        name: "Ground floor",
+        projectId: "p1",
+        objects: {
+          pipe: {
+            type: "hot_pipe",
+            pointTasks: [
+              installed({ requiredType: "valve" }, "2026-03-02T10:00:00Z"),
+              approveCompletion(installed({ requiredType: "valve" }), {
+                user: manager,
+              }),
+              { requiredType: "valve", completed: false },
+            ],
+          },
+          wire: installed({ type: "connection" }, "2026-03-01T10:00:00Z"),
+        },
+      },
+    ]);
+
+    expect(
+      queue.map((entry) => [entry.objectId, entry.pointIndex, entry.key]),
+    ).toEqual([
+      ["wire", null, "bp1:wire:object"],
+      ["pipe", 0, "bp1:pipe:0"],
+    ]);
+    expect(queue[1]).toMatchObject({
+      blueprintName: "Ground floor",
+      projectId: "p1",
+    });
+  });
+
+  it("rejects a queued point task by writing only that object", async () => {
+    const pipe = {
+      type: "hot_pipe",
+      completed: true,
+      pointTasks: [
+        installed({ requiredType: "valve" }),
+        installed({ requiredType: "valve" }),
+      ],
+    };
+    transactionGet.mockResolvedValue({
+      exists: () => true,
+      data: () => ({ objects: { pipe } }),
+    });
+
+    await reviewBlueprintCompletion({
+      blueprintId: "bp1",
+      objectId: "pipe",
+      pointIndex: 1,
+      approve: false,
+      reason: "Wrong valve",
+      user: manager,
+    });
+
+    const [ref, patch] = transactionUpdate.mock.calls[0];
+    expect(ref).toMatchObject({ name: "blueprints", id: "bp1" });
+    expect(Object.keys(patch)).toEqual(
+      expect.arrayContaining(["objects.pipe", "updatedBy"]),
+    );
+    expect(patch["objects.pipe"].completed).toBe(false);
+    expect(patch["objects.pipe"].pointTasks[0]).toEqual(pipe.pointTasks[0]);
+    expect(patch["objects.pipe"].pointTasks[1].rejection).toMatchObject({
+      reason: "Wrong valve",
+      byName: "Mia",
+    });
+  });
+
+  it("refuses to review work that is no longer pending", async () => {
+    transactionGet.mockResolvedValue({
+      exists: () => true,
+      data: () => ({
+        objects: {
+          wire: approveCompletion(installed({ type: "connection" }), {
+            user: manager,
+          }),
+        },
+      }),
+    });
+
+    await expect(
+      reviewBlueprintCompletion({
+        blueprintId: "bp1",
+        objectId: "wire",
+        approve: true,
+        user: manager,
+      }),
+    ).rejects.toMatchObject({ code: INSPECTION_STALE_ERROR });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -1,10 +1,19 @@
 import { describe, it, expect } from "vitest";
 import {
   normalizeInventoryMaterial,
+  getAvailableQuantity,
+  isBelowMinimumThreshold,
+  getMaterialStockLevel,
+  isLowStock,
+  wouldDropBelowThreshold,
   normalizeTaskAllocation,
   mergeAllocationsByMaterial,
+  assertUnitChangeAllowed,
   validateAssignmentDeduction,
   applyAssignmentDeduction,
+  describeMaterialReport,
+  planMaterialReportResolution,
+  findTransferTarget,
 } from "../utils/inventoryDomain";
 
 describe("inventoryDomain", () => {
@@ -28,6 +37,61 @@ describe("inventoryDomain", () => {
     );
   });
 
+  it("flags materials below their minimum threshold", () => {
+    expect(
+      isBelowMinimumThreshold({ quantityOnHand: 2, minimumThreshold: 5 }),
+    ).toBe(true);
+    expect(
+      isBelowMinimumThreshold({ quantityOnHand: 5, minimumThreshold: 5 }),
+    ).toBe(false);
+    expect(
+      isBelowMinimumThreshold({ quantityOnHand: 0, minimumThreshold: 0 }),
+    ).toBe(false);
+  });
+
+  it("derives in-stock, low and depleted stock levels", () => {
+    expect(
+      getMaterialStockLevel({ quantityOnHand: 8, minimumThreshold: 5 }),
+    ).toBe("in_stock");
+    expect(
+      getMaterialStockLevel({ quantityOnHand: 3, minimumThreshold: 5 }),
+    ).toBe("low");
+    expect(
+      getMaterialStockLevel({ quantityOnHand: 0, minimumThreshold: 0 }),
+    ).toBe("depleted");
+    expect(isLowStock({ quantityOnHand: 3, minimumThreshold: 5 })).toBe(true);
+    expect(isLowStock({ quantityOnHand: 9, minimumThreshold: 0 })).toBe(false);
+  });
+
+  it("derives available stock from on-hand minus reserved", () => {
+    expect(
+      getAvailableQuantity({ quantityOnHand: 10, quantityReserved: 4 }),
+    ).toBe(6);
+    expect(
+      getAvailableQuantity({ quantityOnHand: 3, quantityReserved: 5 }),
+    ).toBe(0);
+    expect(
+      getMaterialStockLevel({
+        quantityOnHand: 10,
+        quantityReserved: 7,
+        minimumThreshold: 5,
+      }),
+    ).toBe("low");
+    expect(
+      getMaterialStockLevel({ quantityOnHand: 4, quantityReserved: 4 }),
+    ).toBe("depleted");
+  });
+
+  it("detects deductions that cross the minimum threshold", () => {
+    const material = { quantityOnHand: 10, minimumThreshold: 4 };
+
+    expect(wouldDropBelowThreshold(material, 6)).toBe(false);
+    expect(wouldDropBelowThreshold(material, 7)).toBe(true);
+    expect(
+      wouldDropBelowThreshold({ quantityOnHand: 3, minimumThreshold: 4 }, 1),
+    ).toBe(false);
+  });
+
   it("normalizes task allocations", () => {
     const result = normalizeTaskAllocation({
       materialId: " mat-1 ",
@@ -53,6 +117,106 @@ describe("inventoryDomain", () => {
     ]);
   });
 
+  it("merges allocations in different compatible units", () => {
+    const merged = mergeAllocationsByMaterial([
+      { materialId: "a", quantityRequired: 2, unit: "m" },
+      { materialId: "a", quantityRequired: 100, unit: "cm" },
+    ]);
+
+    expect(merged).toEqual([{ materialId: "a", quantityRequired: 3, unit: "m" }]);
+  });
+
+  it("converts rows in the stock unit when merging them with other units", () => {
+    const rows = [
+      { materialId: "a", quantityRequired: 10 },
+      { materialId: "a", quantityRequired: 5, unit: "ft" },
+    ];
+
+    const [inStockUnit] = mergeAllocationsByMaterial(rows, { a: "m" });
+    expect(inStockUnit.unit).toBeUndefined();
+    expect(inStockUnit.quantityRequired).toBeCloseTo(11.524, 6);
+
+    const [inFeet] = mergeAllocationsByMaterial([...rows].reverse(), { a: "m" });
+    expect(inFeet.unit).toBe("ft");
+    expect(inFeet.quantityRequired).toBeCloseTo(37.8084, 3);
+    // Without the stock unit the rows cannot be combined safely.
+    expect(() => mergeAllocationsByMaterial(rows)).toThrow(
+      expect.objectContaining({ code: "INCOMPATIBLE_UNITS" }),
+    );
+
+    const inventory = [{ id: "a", name: "PVC", unit: "m", quantityOnHand: 20 }];
+    const { updatedInventory } = applyAssignmentDeduction(inventory, rows);
+    expect(updatedInventory[0].quantityOnHand).toBeCloseTo(8.476, 3);
+  });
+
+  it("only relabels the unit of a material without stock or allocations", () => {
+    const empty = { id: "a", unit: "m", quantityOnHand: 0 };
+
+    expect(() => assertUnitChangeAllowed(empty, "ft")).not.toThrow();
+    expect(() => assertUnitChangeAllowed(empty, "kg")).toThrow(
+      expect.objectContaining({ code: "INCOMPATIBLE_UNITS" }),
+    );
+    expect(() =>
+      assertUnitChangeAllowed({ ...empty, quantityOnHand: 5 }, "ft"),
+    ).toThrow(expect.objectContaining({ code: "UNIT_CHANGE_BLOCKED" }));
+    expect(() =>
+      assertUnitChangeAllowed({ ...empty, quantityReserved: 2 }, "ft"),
+    ).toThrow(expect.objectContaining({ code: "UNIT_CHANGE_BLOCKED" }));
+    expect(() =>
+      assertUnitChangeAllowed(empty, "ft", { hasAllocations: true }),
+    ).toThrow(expect.objectContaining({ code: "UNIT_CHANGE_BLOCKED" }));
+    // Saving the same unit is not a change.
+    expect(() =>
+      assertUnitChangeAllowed({ ...empty, quantityOnHand: 5 }, "M"),
+    ).not.toThrow();
+  });
+
+  it("converts allocations into the stock unit before validating", () => {
+    const inventory = [{ id: "a", name: "PVC", unit: "m", quantityOnHand: 3 }];
+
+    expect(
+      validateAssignmentDeduction(inventory, [
+        { materialId: "a", quantityRequired: 9, unit: "ft" },
+      ]).ok,
+    ).toBe(true);
+
+    const tooMuch = validateAssignmentDeduction(inventory, [
+      { materialId: "a", quantityRequired: 10, unit: "ft" },
+    ]);
+    expect(tooMuch.errors[0]).toEqual(
+      expect.objectContaining({
+        code: "INSUFFICIENT_STOCK",
+        available: 3,
+        required: 3.048,
+      }),
+    );
+  });
+
+  it("reports incompatible allocation units", () => {
+    const validation = validateAssignmentDeduction(
+      [{ id: "a", name: "PVC", unit: "m", quantityOnHand: 3 }],
+      [{ materialId: "a", quantityRequired: 1, unit: "kg" }],
+    );
+
+    expect(validation.ok).toBe(false);
+    expect(validation.errors[0]).toEqual(
+      expect.objectContaining({
+        code: "INCOMPATIBLE_UNITS",
+        unit: "kg",
+        materialUnit: "m",
+      }),
+    );
+  });
+
+  it("deducts converted quantities", () => {
+    const { updatedInventory } = applyAssignmentDeduction(
+      [{ id: "a", name: "Wire", unit: "kg", quantityOnHand: 2 }],
+      [{ materialId: "a", quantityRequired: 500, unit: "g" }],
+    );
+
+    expect(updatedInventory[0].quantityOnHand).toBe(1.5);
+  });
+
   it("validates missing materials", () => {
     const validation = validateAssignmentDeduction(
       [{ id: "a", name: "PVC", quantityOnHand: 10 }],
@@ -73,6 +237,22 @@ describe("inventoryDomain", () => {
     expect(validation.errors[0].code).toBe("INSUFFICIENT_STOCK");
   });
 
+  it("validates against available rather than on-hand stock", () => {
+    const validation = validateAssignmentDeduction(
+      [{ id: "a", name: "PVC", quantityOnHand: 10, quantityReserved: 8 }],
+      [{ materialId: "a", quantityRequired: 3 }],
+    );
+
+    expect(validation.ok).toBe(false);
+    expect(validation.errors[0]).toEqual(
+      expect.objectContaining({
+        code: "INSUFFICIENT_STOCK",
+        available: 2,
+        required: 3,
+      }),
+    );
+  });
+
   it("deducts material quantities when validation passes", () => {
     const { updatedInventory, deductionLog } = applyAssignmentDeduction(
       [
@@ -109,3 +289,113 @@ describe("inventoryDomain", () => {
     expect(source).toEqual(copy);
   });
 });
+
+describe("planMaterialReportResolution", () => {
+  const material = { id: "m1", quantityOnHand: 20, quantityReserved: 6 };
+  const reserved = { quantityRequired: 6, status: "reserved" };
+  const consumed = { quantityRequired: 6, status: "consumed" };
+
+  it("describes reports in the material unit", () => {
+    expect(describeMaterialReport({ kind: "usage", quantity: 4, unit: "m" })).toBe(
+      "Used 4 m",
+    );
+    expect(
+      describeMaterialReport({ kind: "leftover", quantity: 2, unit: "bag" }),
+    ).toBe("2 bag left over");
+    expect(
+      describeMaterialReport({ kind: "shortage", quantity: 3, unit: "kg" }),
+    ).toBe("Needs 3 kg more");
+  });
+
+  it("settles a reservation to the quantity actually used", () => {
+    expect(
+      planMaterialReportResolution({
+        allocation: reserved,
+        material,
+        report: { kind: "usage", quantity: 4 },
+      }),
+    ).toEqual({
+      quantityRequired: 4,
+      onHandDelta: -4,
+      reservedDelta: -6,
+      allocationStatus: "consumed",
+      ledgerType: "TASK_CONSUMPTION",
+    });
+  });
+
+  it("returns leftovers of an already deducted allocation to stock", () => {
+    expect(
+      planMaterialReportResolution({
+        allocation: { quantityRequired: 6 },
+        material,
+        report: { kind: "leftover", quantity: 2 },
+      }),
+    ).toEqual({
+      quantityRequired: 4,
+      onHandDelta: 2,
+      reservedDelta: 0,
+      allocationStatus: "consumed",
+      ledgerType: "ALLOCATION_RELEASE",
+    });
+  });
+
+  it("grows a reservation for a shortage without touching on-hand stock", () => {
+    expect(
+      planMaterialReportResolution({
+        allocation: reserved,
+        material,
+        report: { kind: "shortage", quantity: 5 },
+      }),
+    ).toEqual({
+      quantityRequired: 11,
+      onHandDelta: 0,
+      reservedDelta: 5,
+      allocationStatus: "reserved",
+      ledgerType: null,
+    });
+  });
+
+  it("rejects shortages beyond available stock and oversized leftovers", () => {
+    expect(() =>
+      planMaterialReportResolution({
+        allocation: consumed,
+        material,
+        report: { kind: "shortage", quantity: 15 },
+      }),
+    ).toThrow(expect.objectContaining({ code: "INSUFFICIENT_STOCK" }));
+    expect(() =>
+      planMaterialReportResolution({
+        allocation: consumed,
+        material,
+        report: { kind: "leftover", quantity: 7 },
+      }),
+    ).toThrow(expect.objectContaining({ code: "INVALID_QUANTITY" }));
+  });
+});
+
+describe("findTransferTarget", () => {
+  const source = { id: "m1", projectId: "p1", name: "Copper Pipe", unit: "m" };
+
+  it("prefers a same-name material in the exact unit", () => {
+    expect(
+      findTransferTarget(source, [
+        { id: "m2", projectId: "p2", name: "copper pipe ", unit: "cm" },
+        { id: "m3", projectId: "p2", name: "Copper Pipe", unit: "m" },
+      ]).id,
+    ).toBe("m3");
+  });
+
+  it("falls back to a compatible unit and ignores unrelated materials", () => {
+    expect(
+      findTransferTarget(source, [
+        { id: "m2", projectId: "p2", name: "Copper Pipe", unit: "roll" },
+        { id: "m3", projectId: "p2", name: "Copper Pipe", unit: "ft" },
+      ]).id,
+    ).toBe("m3");
+    expect(
+      findTransferTarget(source, [
+        { id: "m4", projectId: "p2", name: "Copper Wire", unit: "m" },
+      ]),
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,180 @@
+import { fireEvent, render, screen, within } from "@testing-library/react";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import * as firestoreModule from "firebase/firestore";
+
+import ManagerDashboard from "../pages/ManagerDashboard";
+
+const mockNavigate = vi.fn();
+
+vi.mock("react-router-dom", () => ({
+  useNavigate: () => mockNavigate,
+}));
+
+vi.mock("react-icons/md", () => ({
+  MdArrowForward: () => <span />,
+  MdCheck: () => <span />,
+  MdClose: () => <span />,
+  MdConstruction: () => <span />,
+  MdEdit: () => <span />,
+  MdEngineering: () => <span />,
+  MdFolder: () => <span />,
+  MdInventory2: () => <span />,
+}));
+
+vi.mock("../contexts/AuthContext", () => ({
+  useAuth: () => ({
+    currentUser: { uid: "mgr-1" },
+    userProfile: { name: "Alice Manager" },
+    organizationId: "org-1",
+  }),
+}));
+
+vi.mock("../firebase", () => ({ db: {} }));
+
+vi.mock("../components/Sidebar", () => ({
+  default: () => <nav data-testid="sidebar" />,
+}));
+
+vi.mock("../components/Header", () => ({
+  default: ({ title }) => <header data-testid="header">{title}</header>,
+}));
+
+vi.mock("firebase/firestore", () => ({
+  collection: vi.fn((database, name) => ({ kind: "collection", database, name })),
+  doc: vi.fn((database, name, id) => ({ kind: "doc", database, name, id })),
+  getDoc: vi.fn(),
+  getDocs: vi.fn(),
+  query: vi.fn((ref, ...clauses) => ({ kind: "query", ref, clauses })),
+  Timestamp: { fromDate: vi.fn((date) => date) },
+  updateDoc: vi.fn(() => Promise.resolve()),
+  where: vi.fn((field, op, value) => ({ kind: "where", field, op, value })),
+}));
+
+const mockListOrganizationMaterials = vi.fn();
+const mockListPendingMaterialReports = vi.fn();
+const mockApplyMaterialReport = vi.fn();
+const mockDismissMaterialReport = vi.fn();
+
+vi.mock("../utils/materialsRepository", () => ({
+  applyMaterialReport: (...args) => mockApplyMaterialReport(...args),
+  dismissMaterialReport: (...args) => mockDismissMaterialReport(...args),
+  listOrganizationMaterials: (...args) => mockListOrganizationMaterials(...args),
+  listPendingMaterialReports: (...args) =>
+    mockListPendingMaterialReports(...args),
+}));
+
+const makeSnap = (rows) => ({
+  size: rows.length,
+  docs: rows.map((row) => ({ id: row.id, data: () => row })),
+});
+
+describe("ManagerDashboard low-stock card", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    firestoreModule.getDoc.mockResolvedValue({
+      exists: () => true,
+      data: () => ({ name: "Acme Builders" }),
+    });
+    firestoreModule.getDocs.mockImplementation((queryRef) =>
+      Promise.resolve(
+        queryRef?.ref?.name === "projects"
+          ? makeSnap([{ id: "proj-1", name: "North Tower" }])
+          : makeSnap([]),
+      ),
+    );
+    mockListPendingMaterialReports.mockResolvedValue([]);
+    mockApplyMaterialReport.mockResolvedValue({});
+  });
+
+  it("lists materials below their minimum threshold, depleted first", async () => {
+    mockListOrganizationMaterials.mockResolvedValue([
+      {
+        id: "mat-1",
+        projectId: "proj-1",
+        name: "Copper Pipe",
+        unit: "m",
+        quantityOnHand: 40,
+        minimumThreshold: 10,
+      },
+      {
+        id: "mat-2",
+        projectId: "proj-1",
+        name: "Wire",
+        unit: "roll",
+        quantityOnHand: 2,
+        minimumThreshold: 4,
+      },
+      {
+        id: "mat-3",
+        projectId: "proj-1",
+        name: "Elbow Joint",
+        unit: "pcs",
+        quantityOnHand: 0,
+        minimumThreshold: 5,
+      },
+    ]);
+
+    render(<ManagerDashboard />);
+
+    expect(
+      await screen.findByText("materials need", { exact: false }),
+    ).toBeInTheDocument();
+    const items = screen.getAllByRole("listitem");
+    expect(items).toHaveLength(2);
+    expect(within(items[0]).getByText("Elbow Joint")).toBeInTheDocument();
+    expect(within(items[1]).getByText("2 / 4 roll")).toBeInTheDocument();
+    expect(screen.queryByText("Copper Pipe")).not.toBeInTheDocument();
+    expect(mockListOrganizationMaterials).toHaveBeenCalledWith({
+      organizationId: "org-1",
+    });
+  });
+
+  it("shows an all-clear message when nothing is low", async () => {
+    mockListOrganizationMaterials.mockResolvedValue([]);
+
+    render(<ManagerDashboard />);
+
+    expect(
+      await screen.findByText("All materials are above their minimum threshold."),
+    ).toBeInTheDocument();
+  });
+
+  it("applies a pending worker report and refreshes low stock", async () => {
+    mockListOrganizationMaterials.mockResolvedValue([]);
+    mockListPendingMaterialReports
+      .mockResolvedValueOnce([
+        {
+          id: "rep-1",
+          kind: "shortage",
+          quantity: 3,
+          unit: "m",
+          materialName: "Copper Pipe",
+          taskTitle: "Lay Pipe",
+          reportedByName: "Bob Worker",
+          note: "Extra run",
+        },
+      ])
+      .mockResolvedValue([]);
+
+    render(<ManagerDashboard />);
+
+    expect(
+      await screen.findByText("Needs 3 m more · Copper Pipe"),
+    ).toBeInTheDocument();
+    expect(screen.getByText("Bob Worker on Lay Pipe")).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Apply" }));
+
+    expect(
+      await screen.findByText("Applied: Needs 3 m more of Copper Pipe."),
+    ).toBeInTheDocument();
+    expect(mockApplyMaterialReport).toHaveBeenCalledWith({
+      reportId: "rep-1",
+      resolvedBy: "mgr-1",
+    });
+    expect(
+      await screen.findByText("No material reports waiting for review."),
+    ).toBeInTheDocument();
+    expect(mockListOrganizationMaterials).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildMaterialLedger,
+  countLedgerMismatches,
+  sortTransactionsChronologically,
+} from "../utils/materialLedger";
+
+const at = (iso) => ({ toDate: () => new Date(iso) });
+
+describe("materialLedger", () => {
+  it("orders transactions chronologically with pending writes last", () => {
+    const sorted = sortTransactionsChronologically([
+      { id: "pending", performedAt: null },
+      { id: "late", performedAt: at("2026-03-02T10:00:00Z") },
+      { id: "early", performedAt: at("2026-03-01T10:00:00Z") },
+    ]);
+
+    expect(sorted.map((tx) => tx.id)).toEqual(["early", "late", "pending"]);
+  });
+
+  it("computes a running balance per material", () => {
+    const rows = buildMaterialLedger([
+      {
+        id: "t2",
+        materialId: "a",
+        quantityDelta: -4,
+        beforeQty: 10,
+        afterQty: 6,
+        performedAt: at("2026-03-02T10:00:00Z"),
+      },
+      {
+        id: "t1",
+        materialId: "a",
+        quantityDelta: 10,
+        beforeQty: 0,
+        afterQty: 10,
+        performedAt: at("2026-03-01T10:00:00Z"),
+      },
+      {
+        id: "t3",
+        materialId: "b",
+        quantityDelta: 5,
+        beforeQty: 2,
+        afterQty: 7,
+        performedAt: at("2026-03-03T10:00:00Z"),
+      },
+    ]);
+
+    expect(rows.map((row) => [row.id, row.runningBalance])).toEqual([
+      ["t1", 10],
+      ["t2", 6],
+      ["t3", 7],
+    ]);
+    expect(countLedgerMismatches(rows)).toBe(0);
+  });
+
+  it("flags rows whose beforeQty does not follow the previous afterQty", () => {
+    const rows = buildMaterialLedger([
+      {
+        id: "t1",
+        materialId: "a",
+        quantityDelta: -2,
+        beforeQty: 10,
+        afterQty: 8,
+        performedAt: at("2026-03-01T10:00:00Z"),
+      },
+      {
+        id: "t2",
+        materialId: "a",
+        quantityDelta: -1,
+        beforeQty: 20,
+        afterQty: 19,
+        performedAt: at("2026-03-02T10:00:00Z"),
+      },
+    ]);
+
+    expect(rows[0].balanceMismatch).toBe(false);
+    expect(rows[1]).toEqual(
+      expect.objectContaining({
+        balanceMismatch: true,
+        expectedBeforeQty: 8,
+        runningBalance: 7,
+      }),
+    );
+    expect(countLedgerMismatches(rows)).toBe(1);
+  });
+});
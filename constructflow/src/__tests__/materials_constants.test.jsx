@@ -14,6 +14,9 @@ describe("materialsConstants", () => {
       MATERIALS: "materials",
       TASK_ALLOCATIONS: "taskMaterialAllocations",
       TRANSACTIONS: "materialTransactions",
+      REPORTS: "materialReports",
+      SUPPLIERS: "suppliers",
+      PURCHASE_ORDERS: "purchaseOrders",
     });
   });
 
@@ -30,6 +33,11 @@ describe("materialsConstants", () => {
     expect(MATERIAL_TRANSACTION_TYPE.MANUAL_ADJUSTMENT).toBe(
       "MANUAL_ADJUSTMENT",
     );
+    expect(MATERIAL_TRANSACTION_TYPE.ALLOCATION_RELEASE).toBe(
+      "ALLOCATION_RELEASE",
+    );
+    expect(MATERIAL_TRANSACTION_TYPE.TRANSFER_OUT).toBe("TRANSFER_OUT");
+    expect(MATERIAL_TRANSACTION_TYPE.TRANSFER_IN).toBe("TRANSFER_IN");
   });
 
   it("has expected task statuses", () => {
@@ -0,0 +1,236 @@
+import { describe, expect, it, vi, beforeEach } from "vitest";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+
+const mockCreateMaterialsBatch = vi.fn();
+const mockListProjectMaterialTransactions = vi.fn();
+
+vi.mock("../utils/materialsRepository", () => ({
+  createMaterialsBatch: (...args) => mockCreateMaterialsBatch(...args),
+  listProjectMaterialTransactions: (...args) =>
+    mockListProjectMaterialTransactions(...args),
+}));
+
+import MaterialsCsvPanel from "../components/MaterialsCsvPanel";
+import {
+  buildInventoryCsv,
+  buildMaterialImportPreview,
+  buildTransactionsCsv,
+  guessColumnMapping,
+  parseCsv,
+  toCsv,
+} from "../utils/materialsCsv";
+
+describe("materialsCsv", () => {
+  it("parses quoted fields, escaped quotes and CRLF line endings", () => {
+    const text =
+      '\uFEFFName,Unit,Qty\r\n"Pipe, 20mm",m,"12"\r\n"6"" nails",box,3\r\n\r\n';
+
+    expect(parseCsv(text)).toEqual([
+      ["Name", "Unit", "Qty"],
+      ["Pipe, 20mm", "m", "12"],
+      ['6" nails', "box", "3"],
+    ]);
+  });
+
+  it("round-trips values through toCsv", () => {
+    const csv = toCsv(["name", "note"], [["Tile", 'say "hi", then\nleave']]);
+
+    expect(csv).toBe('name,note\r\nTile,"say ""hi"", then\nleave"');
+    expect(parseCsv(csv)).toEqual([
+      ["name", "note"],
+      ["Tile", 'say "hi", then\nleave'],
+    ]);
+  });
+
+  it("guesses the column mapping from common header names", () => {
+    expect(
+      guessColumnMapping([
+        "Material",
+        "Qty",
+        "UOM",
+        "Reorder level",
+        "Notes",
+        "Unit price",
+      ]),
+    ).toEqual({
+      name: 0,
+      unit: 2,
+      quantityOnHand: 1,
+      minimumThreshold: 3,
+      unitCost: 5,
+    });
+    expect(guessColumnMapping(["Something"]).name).toBe(-1);
+  });
+
+  it("flags invalid rows and duplicate names in the preview", () => {
+    const mapping = {
+      name: 0,
+      unit: 1,
+      quantityOnHand: 2,
+      minimumThreshold: 3,
+      unitCost: 4,
+    };
+    const preview = buildMaterialImportPreview(
+      [
+        ["Rebar", "M", "40", "10", "2.5"],
+        ["", "m", "1", "", ""],
+        ["Grout", "crate", "abc", "-1", "x"],
+        ["rebar", "m", "5", "", ""],
+        ["Cement", "bag", "", "", ""],
+      ],
+      mapping,
+      { existingNames: ["Cement"] },
+    );
+
+    expect(preview[0]).toEqual({
+      rowNumber: 2,
+      material: {
+        name: "Rebar",
+        unit: "m",
+        quantityOnHand: 40,
+        minimumThreshold: 10,
+        unitCost: 2.5,
+      },
+      errors: [],
+    });
+    expect(preview[1].errors).toEqual(["Name is required."]);
+    expect(preview[2].errors).toEqual([
+      'Unknown unit "crate".',
+      "Quantity on hand must be a number.",
+      "Minimum threshold cannot be negative.",
+      "Unit cost must be a number.",
+    ]);
+    expect(preview[3].errors).toEqual(['"rebar" already exists.']);
+    expect(preview[4].errors).toEqual(['"Cement" already exists.']);
+  });
+
+  it("exports inventory and transactions", () => {
+    expect(
+      buildInventoryCsv([
+        {
+          name: "Rebar",
+          unit: "m",
+          quantityOnHand: 40,
+          quantityReserved: 15,
+          minimumThreshold: 10,
+          unitCost: 2.5,
+          status: "active",
+        },
+      ]),
+    ).toBe(
+      "name,unit,quantityOnHand,quantityReserved,availableQty,minimumThreshold,unitCost,status\r\n" +
+        "Rebar,m,40,15,25,10,2.5,active",
+    );
+
+    const csv = buildTransactionsCsv(
+      [
+        {
+          materialId: "m1",
+          type: "RESTOCK",
+          quantityDelta: 5,
+          beforeQty: 40,
+          afterQty: 45,
+          performedBy: "mgr-1",
+          performedAt: new Date("2026-03-02T10:00:00Z"),
+          note: "Delivery",
+        },
+        {
+          materialId: "m1",
+          type: "TASK_ASSIGNMENT_DEDUCTION",
+          quantityDelta: -10,
+          beforeQty: 50,
+          afterQty: 40,
+          unitCost: 2.5,
+          taskId: "t1",
+          performedBy: "mgr-1",
+          performedAt: new Date("2026-03-01T10:00:00Z"),
+          note: "",
+        },
+      ],
+      { m1: "Rebar" },
+    );
+
+    expect(csv.split("\r\n")).toEqual([
+      "performedAt,material,type,quantityDelta,beforeQty,afterQty,unitCost,taskId,performedBy,note",
+      "2026-03-01T10:00:00.000Z,Rebar,TASK_ASSIGNMENT_DEDUCTION,-10,50,40,2.5,t1,mgr-1,",
+      "2026-03-02T10:00:00.000Z,Rebar,RESTOCK,5,40,45,,,mgr-1,Delivery",
+    ]);
+  });
+});
+
+describe("MaterialsCsvPanel", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockCreateMaterialsBatch.mockResolvedValue([]);
+  });
+
+  const uploadCsv = (text) => {
+    const file = new File([text], "stock.csv", { type: "text/csv" });
+    fireEvent.change(screen.getByLabelText("Import materials CSV"), {
+      target: { files: [file] },
+    });
+  };
+
+  it("previews an upload and imports only the valid rows", async () => {
+    const onImported = vi.fn();
+    render(
+      <MaterialsCsvPanel
+        organizationId="org-1"
+        projectId="p1"
+        projectName="Tower A"
+        materials={[{ id: "m1", name: "Cement", unit: "bag" }]}
+        currentUid="mgr-1"
+        onImported={onImported}
+      />,
+    );
+
+    uploadCsv("Material,Qty,Unit\nRebar,40,m\nCement,5,bag\nTile,2,crate\n");
+
+    expect(await screen.findByText(/1 ready, 2 with errors/)).toBeInTheDocument();
+    expect(screen.getByText('"Cement" already exists.')).toBeInTheDocument();
+    expect(screen.getByText('Unknown unit "crate".')).toBeInTheDocument();
+
+    fireEvent.click(screen.getByRole("button", { name: "Import 1 material" }));
+
+    await waitFor(() => expect(onImported).toHaveBeenCalled());
+    expect(mockCreateMaterialsBatch).toHaveBeenCalledWith({
+      organizationId: "org-1",
+      projectId: "p1",
+      materials: [
+        {
+          name: "Rebar",
+          unit: "m",
+          quantityOnHand: 40,
+          minimumThreshold: 0,
+          unitCost: 0,
+        },
+      ],
+      createdBy: "mgr-1",
+    });
+    expect(screen.getByText("Imported 1 material.")).toBeInTheDocument();
+  });
+
+  it("lets the manager remap a column before importing", async () => {
+    render(
+      <MaterialsCsvPanel
+        organizationId="org-1"
+        projectId="p1"
+        materials={[]}
+        currentUid="mgr-1"
+      />,
+    );
+
+    uploadCsv("Item code,Label\nA-1,Plywood\n");
+
+    expect(await screen.findByText("Name is required.")).toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText("Column for Name"), {
+      target: { value: "1" },
+    });
+
+    expect(screen.queryByText("Name is required.")).not.toBeInTheDocument();
+    expect(
+      screen.getByRole("button", { name: "Import 1 material" }),
+    ).toBeEnabled();
+  });
+});
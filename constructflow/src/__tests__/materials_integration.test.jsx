@@ -4,11 +4,11 @@
  * End-to-end integration tests for materials workflow covering:
  *
  *  1. Manager can create multiple materials for a project
- *  2. Manager can attach single material to task (deducts stock)
- *  3. Manager can attach same material to multiple tasks (deducts cumulatively)
+ *  2. Manager can attach single material to task (reserves stock)
+ *  3. Manager can attach same material to multiple tasks (reserves cumulatively)
  *  4. Manager cannot attach more than available stock (error caught)
  *  5. Worker can see all material attachments for their tasks
- *  6. Transaction log records all deductions with before/after quantities
+ *  6. Transaction log records consumption with before/after quantities
  *  7. Material status transitions to "Depleted" when quantity reaches zero
  *  8. Project-level transaction log shows all material deductions
  */
@@ -69,13 +69,14 @@ vi.mock("firebase/firestore", () => ({
 }));
 
 import {
-  assignMaterialsToTaskWithDeduction,
+  consumeTaskMaterialAllocation,
   createMaterial,
   listProjectMaterials,
   listTaskMaterialAllocations,
   listProjectMaterialTransactions,
   updateMaterial,
   removeMaterial,
+  reserveMaterialsForTask,
 } from "../utils/materialsRepository";
 
 const makeSnap = (rows) => ({
@@ -91,6 +92,40 @@ const makeTxDocSnap = ({ id, data, exists = true }) => ({
   data: () => data,
 });
 
+const materialDoc = (id, data) =>
+  makeTxDocSnap({
+    id,
+    data: {
+      organizationId: "org-1",
+      projectId: "proj-1",
+      name: "Copper Pipe",
+      unit: "meters",
+      status: "active",
+      ...data,
+    },
+  });
+
+const reservedAllocation = (taskId, materialId, quantityRequired) =>
+  makeTxDocSnap({
+    id: `${taskId}_${materialId}`,
+    data: {
+      organizationId: "org-1",
+      projectId: "proj-1",
+      taskId,
+      materialId,
+      quantityRequired,
+      status: "reserved",
+    },
+  });
+
+// Serves transaction reads by collection; a missing allocation reads as absent.
+const routeTransactionGets = ({ material, allocation }) =>
+  vi.fn(async (ref) =>
+    ref.name === "taskMaterialAllocations"
+      ? allocation || makeTxDocSnap({ id: ref.id, data: {}, exists: false })
+      : material,
+  );
+
 // ── Tests ───────────────────────────────────────────────────────────────────
 describe("Materials Integration Workflow", () => {
   beforeEach(() => {
@@ -149,208 +184,102 @@ describe("Materials Integration Workflow", () => {
     );
   });
 
-  // ── Test 2 ── Manager attaches material to task with stock deduction ────
-  it("2. Manager can attach a single material to a task and stock deducts", async () => {
-    const orgId = "org-1";
-    const projId = "proj-1";
+  // ── Test 2 ── Manager attaches material to task, reserving stock ────────
+  it("2. Manager can attach a single material to a task and stock is reserved", async () => {
     const taskId = "task-1";
     const matId = "m-1";
+    transactionGet = routeTransactionGets({
+      material: materialDoc(matId, { quantityOnHand: 50 }),
+    });
 
-    transactionGet.mockResolvedValueOnce(
-      makeTxDocSnap({
-        id: matId,
-        data: {
-          organizationId: orgId,
-          projectId: projId,
-          name: "Copper Pipe",
-          unit: "meters",
-          quantityOnHand: 50,
-          status: "active",
-        },
-      }),
-    );
-
-    const result = await assignMaterialsToTaskWithDeduction({
-      organizationId: orgId,
-      projectId: projId,
+    const result = await reserveMaterialsForTask({
+      organizationId: "org-1",
+      projectId: "proj-1",
       taskId,
       allocations: [{ materialId: matId, quantityRequired: 10 }],
       performedBy: "mgr-1",
     });
 
-    // Verify material stock was deducted
+    // Stock stays on hand until the work is done; only the reservation grows.
     expect(transactionUpdate).toHaveBeenCalledWith(
       expect.objectContaining({ id: matId }),
-      expect.objectContaining({
-        quantityOnHand: 40, // 50 - 10
-        status: "active",
-      }),
+      { quantityReserved: 10, updatedAt: "__ts__" },
     );
-
-    // Verify allocation created
     expect(transactionSet).toHaveBeenCalledWith(
       expect.objectContaining({ id: `${taskId}_${matId}` }),
       expect.objectContaining({
         taskId,
         materialId: matId,
         quantityRequired: 10,
+        status: "reserved",
       }),
-      expect.any(Object),
     );
-
-    // Verify transaction log created
-    const logCalls = transactionSet.mock.calls.filter(
-      ([, payload]) => payload?.type === "TASK_ASSIGNMENT_DEDUCTION",
-    );
-    expect(logCalls).toHaveLength(1);
-    expect(logCalls[0][1]).toEqual(
-      expect.objectContaining({
-        type: "TASK_ASSIGNMENT_DEDUCTION",
-        quantityDelta: -10,
-        beforeQty: 50,
-        afterQty: 40,
-      }),
-    );
-
     expect(result.allocationIds).toContain(`${taskId}_${matId}`);
+    expect(result.reservations[0]).toEqual(
+      expect.objectContaining({ availableQty: 40 }),
+    );
   });
 
-  // ── Test 3 ── Same material attached to multiple tasks deducts cumulatively
-  it("3. Manager attaching same material to multiple tasks deducts stock cumulatively", async () => {
-    const orgId = "org-1";
-    const projId = "proj-1";
+  // ── Test 3 ── Same material attached to multiple tasks reserves cumulatively
+  it("3. Manager attaching same material to multiple tasks reserves stock cumulatively", async () => {
     const matId = "m-1";
-    const deductionLogs = [];
-
-    // First assignment: task-1 gets 10 units
-    transactionGet.mockResolvedValueOnce(
-      makeTxDocSnap({
-        id: matId,
-        data: {
-          organizationId: orgId,
-          projectId: projId,
-          name: "Copper Pipe",
-          unit: "meters",
-          quantityOnHand: 50,
-          status: "active",
-        },
-      }),
-    );
 
-    mockRunTransaction.mockImplementationOnce(async (_db, callback) => {
-      return callback({
-        get: transactionGet,
-        update: transactionUpdate,
-        set: (ref, payload) => {
-          if (payload?.type === "TASK_ASSIGNMENT_DEDUCTION") {
-            deductionLogs.push(payload);
-          }
-          transactionSet(ref, payload);
-        },
-      });
+    transactionGet = routeTransactionGets({
+      material: materialDoc(matId, { quantityOnHand: 50 }),
     });
-
-    await assignMaterialsToTaskWithDeduction({
-      organizationId: orgId,
-      projectId: projId,
+    await reserveMaterialsForTask({
+      organizationId: "org-1",
+      projectId: "proj-1",
       taskId: "task-1",
       allocations: [{ materialId: matId, quantityRequired: 10 }],
       performedBy: "mgr-1",
     });
 
-    // Second assignment: task-2 gets 15 units (from remaining 40)
-    vi.clearAllMocks();
-    transactionGet = vi.fn();
-    transactionUpdate = vi.fn();
-    transactionSet = vi.fn();
-
-    transactionGet.mockResolvedValueOnce(
-      makeTxDocSnap({
-        id: matId,
-        data: {
-          organizationId: orgId,
-          projectId: projId,
-          name: "Copper Pipe",
-          unit: "meters",
-          quantityOnHand: 40,
-          status: "active",
-        },
+    transactionGet = routeTransactionGets({
+      material: materialDoc(matId, {
+        quantityOnHand: 50,
+        quantityReserved: 10,
       }),
-    );
-
-    mockRunTransaction.mockImplementationOnce(async (_db, callback) => {
-      return callback({
-        get: transactionGet,
-        update: transactionUpdate,
-        set: (ref, payload) => {
-          if (payload?.type === "TASK_ASSIGNMENT_DEDUCTION") {
-            deductionLogs.push(payload);
-          }
-          transactionSet(ref, payload);
-        },
-      });
     });
-
-    await assignMaterialsToTaskWithDeduction({
-      organizationId: orgId,
-      projectId: projId,
+    const second = await reserveMaterialsForTask({
+      organizationId: "org-1",
+      projectId: "proj-1",
       taskId: "task-2",
       allocations: [{ materialId: matId, quantityRequired: 15 }],
       performedBy: "mgr-1",
     });
 
-    // Verify cumulative deductions
-    expect(deductionLogs).toHaveLength(2);
-    expect(deductionLogs[0]).toEqual(
-      expect.objectContaining({
-        quantityDelta: -10,
-        beforeQty: 50,
-        afterQty: 40,
-      }),
+    expect(transactionUpdate).toHaveBeenLastCalledWith(
+      expect.objectContaining({ id: matId }),
+      { quantityReserved: 25, updatedAt: "__ts__" },
     );
-    expect(deductionLogs[1]).toEqual(
-      expect.objectContaining({
-        quantityDelta: -15,
-        beforeQty: 40,
-        afterQty: 25,
-      }),
+    expect(second.reservations[0]).toEqual(
+      expect.objectContaining({ quantityReserved: 25, availableQty: 25 }),
     );
   });
 
-  // ── Test 4 ── Attached material exceeding stock is rejected ──────────────
+  // ── Test 4 ── Attached material exceeding available stock is rejected ────
   it("4. Manager cannot attach more material than available (insufficient stock error)", async () => {
-    const orgId = "org-1";
-    const projId = "proj-1";
-    const taskId = "task-1";
-    const matId = "m-1";
-
-    transactionGet.mockResolvedValueOnce(
-      makeTxDocSnap({
-        id: matId,
-        data: {
-          organizationId: orgId,
-          projectId: projId,
-          name: "Copper Pipe",
-          unit: "meters",
-          quantityOnHand: 20, // Only 20 available
-          status: "active",
-        },
+    transactionGet = routeTransactionGets({
+      // 30 on hand, 10 of it already reserved elsewhere.
+      material: materialDoc("m-1", {
+        quantityOnHand: 30,
+        quantityReserved: 10,
       }),
-    );
+    });
 
-    // Test that insufficient stock triggers an error in the transaction
     await expect(
-      assignMaterialsToTaskWithDeduction({
-        organizationId: orgId,
-        projectId: projId,
-        taskId,
-        allocations: [{ materialId: matId, quantityRequired: 50 }], // More than available
+      reserveMaterialsForTask({
+        organizationId: "org-1",
+        projectId: "proj-1",
+        taskId: "task-1",
+        allocations: [{ materialId: "m-1", quantityRequired: 25 }],
         performedBy: "mgr-1",
       }),
     ).rejects.toThrow(/insufficient stock/i);
 
-    // The repository function should have called runTransaction
-    expect(mockRunTransaction).toHaveBeenCalled();
+    expect(transactionUpdate).not.toHaveBeenCalled();
+    expect(transactionSet).not.toHaveBeenCalled();
   });
 
   // ── Test 5 ── Worker sees materials through allocation lookup ──────────────
@@ -406,100 +335,68 @@ describe("Materials Integration Workflow", () => {
     );
   });
 
-  // ── Test 6 ── Transaction log records deductions ───────────────────────
-  it("6. Transaction log records all deductions with before/after quantities", async () => {
-    const orgId = "org-1";
-    const projId = "proj-1";
+  // ── Test 6 ── Transaction log records consumption ──────────────────────
+  it("6. Transaction log records consumption with before/after quantities", async () => {
     const taskId = "task-1";
     const matId = "m-1";
-
-    const transactionLogs = [];
-
-    transactionGet.mockResolvedValueOnce(
-      makeTxDocSnap({
-        id: matId,
-        data: {
-          organizationId: orgId,
-          projectId: projId,
-          name: "Wire",
-          unit: "roll",
-          quantityOnHand: 100,
-          status: "active",
-        },
+    transactionGet = routeTransactionGets({
+      material: materialDoc(matId, {
+        name: "Wire",
+        unit: "roll",
+        quantityOnHand: 100,
+        quantityReserved: 25,
       }),
-    );
-
-    mockRunTransaction.mockImplementationOnce(async (_db, callback) => {
-      return callback({
-        get: transactionGet,
-        update: transactionUpdate,
-        set: (ref, payload) => {
-          if (payload?.type === "TASK_ASSIGNMENT_DEDUCTION") {
-            transactionLogs.push(payload);
-          }
-          transactionSet(ref, payload);
-        },
-      });
+      allocation: reservedAllocation(taskId, matId, 25),
     });
 
-    await assignMaterialsToTaskWithDeduction({
-      organizationId: orgId,
-      projectId: projId,
+    await consumeTaskMaterialAllocation({
       taskId,
-      allocations: [{ materialId: matId, quantityRequired: 25 }],
-      performedBy: "mgr-1",
+      materialId: matId,
+      performedBy: "wkr-1",
     });
 
-    expect(transactionLogs).toHaveLength(1);
-    expect(transactionLogs[0]).toEqual(
+    const logs = transactionSet.mock.calls
+      .map(([, payload]) => payload)
+      .filter((payload) => payload?.type === "TASK_CONSUMPTION");
+    expect(logs).toEqual([
       expect.objectContaining({
-        type: "TASK_ASSIGNMENT_DEDUCTION",
-        organizationId: orgId,
-        projectId: projId,
+        organizationId: "org-1",
+        projectId: "proj-1",
         taskId,
         materialId: matId,
         quantityDelta: -25,
         beforeQty: 100,
         afterQty: 75,
-        performedBy: "mgr-1",
+        performedBy: "wkr-1",
       }),
-    );
+    ]);
   });
 
   // ── Test 7 ── Status transitions to Depleted at zero quantity ───────────
   it("7. Material status transitions to Depleted when quantity reaches zero", async () => {
-    const orgId = "org-1";
-    const projId = "proj-1";
     const taskId = "task-1";
     const matId = "m-1";
-
-    transactionGet.mockResolvedValueOnce(
-      makeTxDocSnap({
-        id: matId,
-        data: {
-          organizationId: orgId,
-          projectId: projId,
-          name: "Rare Wire",
-          unit: "roll",
-          quantityOnHand: 10, // Exactly the amount to be used
-          status: "active",
-        },
+    transactionGet = routeTransactionGets({
+      material: materialDoc(matId, {
+        name: "Rare Wire",
+        unit: "roll",
+        quantityOnHand: 10, // Exactly the amount reserved
+        quantityReserved: 10,
       }),
-    );
+      allocation: reservedAllocation(taskId, matId, 10),
+    });
 
-    await assignMaterialsToTaskWithDeduction({
-      organizationId: orgId,
-      projectId: projId,
+    await consumeTaskMaterialAllocation({
       taskId,
-      allocations: [{ materialId: matId, quantityRequired: 10 }],
-      performedBy: "mgr-1",
+      materialId: matId,
+      performedBy: "wkr-1",
     });
 
-    // Verify material was updated with depleted status
     expect(transactionUpdate).toHaveBeenCalledWith(
       expect.objectContaining({ id: matId }),
       expect.objectContaining({
         quantityOnHand: 0,
+        quantityReserved: 0,
         status: "depleted", // Should transition to depleted
       }),
     );
@@ -0,0 +1,469 @@
+import { render, screen, waitFor, within } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import * as firestoreModule from "firebase/firestore";
+
+import MaterialsPage from "../pages/MaterialsPage";
+import { filterInventoryRows } from "../utils/materialsInventoryService";
+
+const mockUseAuth = vi.fn();
+
+vi.mock("../contexts/AuthContext", () => ({
+  useAuth: () => mockUseAuth(),
+}));
+
+vi.mock("../firebase", () => ({ db: {} }));
+
+vi.mock("../components/Sidebar", () => ({
+  default: () => <nav data-testid="sidebar" />,
+}));
+
+vi.mock("../components/Header", () => ({
+  default: ({ title }) => <header data-testid="header">{title}</header>,
+}));
+
+vi.mock("firebase/firestore", () => ({
+  collection: vi.fn((database, name) => ({
+    kind: "collection",
+    database,
+    name,
+  })),
+  getDocs: vi.fn(),
+  query: vi.fn((ref, ...clauses) => ({ kind: "query", ref, clauses })),
+  where: vi.fn((field, op, value) => ({ kind: "where", field, op, value })),
+}));
+
+const mockAdjustMaterialQuantity = vi.fn();
+const mockCreateMaterial = vi.fn();
+const mockListProjectMaterialTransactions = vi.fn();
+const mockListProjectMaterials = vi.fn();
+const mockRemoveMaterial = vi.fn();
+const mockRestockMaterial = vi.fn();
+const mockTransferMaterialBetweenProjects = vi.fn();
+const mockUpdateMaterial = vi.fn();
+
+vi.mock("../utils/materialsRepository", () => ({
+  adjustMaterialQuantity: (...args) => mockAdjustMaterialQuantity(...args),
+  createMaterial: (...args) => mockCreateMaterial(...args),
+  listProjectMaterialTransactions: (...args) =>
+    mockListProjectMaterialTransactions(...args),
+  listProjectMaterials: (...args) => mockListProjectMaterials(...args),
+  removeMaterial: (...args) => mockRemoveMaterial(...args),
+  restockMaterial: (...args) => mockRestockMaterial(...args),
+  transferMaterialBetweenProjects: (...args) =>
+    mockTransferMaterialBetweenProjects(...args),
+  updateMaterial: (...args) => mockUpdateMaterial(...args),
+}));
+
+const MANAGER = {
+  currentUser: { uid: "mgr-1" },
+  isManager: true,
+  isWorker: false,
+  organizationId: "org-1",
+};
+
+const WORKER = {
+  currentUser: { uid: "wkr-1" },
+  isManager: false,
+  isWorker: true,
+  organizationId: "org-1",
+};
+
+const makeSnap = (rows) => ({
+  docs: rows.map((row) => ({ id: row.id, data: () => row })),
+});
+
+const MATERIALS_BY_PROJECT = {
+  "proj-1": [
+    {
+      id: "mat-1",
+      projectId: "proj-1",
+      name: "Copper Pipe",
+      unit: "m",
+      quantityOnHand: 40,
+      minimumThreshold: 10,
+      status: "active",
+    },
+    {
+      id: "mat-2",
+      projectId: "proj-1",
+      name: "Elbow Joint",
+      unit: "pcs",
+      quantityOnHand: 0,
+      minimumThreshold: 5,
+      status: "depleted",
+    },
+  ],
+  "proj-2": [
+    {
+      id: "mat-3",
+      projectId: "proj-2",
+      name: "Wire",
+      unit: "roll",
+      quantityOnHand: 2,
+      minimumThreshold: 4,
+      status: "active",
+    },
+  ],
+};
+
+const primeInventory = ({ workerTasks = [] } = {}) => {
+  firestoreModule.getDocs.mockImplementation((queryRef) => {
+    const collectionName = queryRef?.ref?.name;
+    if (collectionName === "projects") {
+      return Promise.resolve(
+        makeSnap([
+          { id: "proj-1", name: "North Tower" },
+          { id: "proj-2", name: "South Annex" },
+        ]),
+      );
+    }
+    if (collectionName === "tasks") {
+      return Promise.resolve(makeSnap(workerTasks));
+    }
+    if (collectionName === "users") {
+      return Promise.resolve(
+        makeSnap([{ id: "mgr-1", name: "Alice Manager" }]),
+      );
+    }
+    return Promise.resolve(makeSnap([]));
+  });
+
+  mockListProjectMaterials.mockImplementation(({ projectId }) =>
+    Promise.resolve(MATERIALS_BY_PROJECT[projectId] || []),
+  );
+};
+
+describe("MaterialsPage inventory console", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockUseAuth.mockReturnValue(MANAGER);
+    mockCreateMaterial.mockResolvedValue({ id: "mat-new" });
+    mockRemoveMaterial.mockResolvedValue();
+    mockUpdateMaterial.mockResolvedValue({});
+    mockRestockMaterial.mockResolvedValue({});
+    mockAdjustMaterialQuantity.mockResolvedValue({});
+  });
+
+  it("lists materials from every project in the organisation", async () => {
+    primeInventory();
+
+    render(<MaterialsPage />);
+
+    expect(await screen.findByText("Copper Pipe")).toBeInTheDocument();
+    expect(screen.getByText("Elbow Joint")).toBeInTheDocument();
+    expect(screen.getByText("Wire")).toBeInTheDocument();
+    expect(mockListProjectMaterials).toHaveBeenCalledWith({
+      organizationId: "org-1",
+      projectId: "proj-1",
+    });
+    expect(mockListProjectMaterials).toHaveBeenCalledWith({
+      organizationId: "org-1",
+      projectId: "proj-2",
+    });
+  });
+
+  it("filters by project, status and below-threshold", async () => {
+    const user = userEvent.setup();
+    primeInventory();
+
+    render(<MaterialsPage />);
+    await screen.findByText("Copper Pipe");
+
+    await user.selectOptions(
+      screen.getByLabelText("Filter by project"),
+      "proj-2",
+    );
+    expect(screen.queryByText("Copper Pipe")).not.toBeInTheDocument();
+    expect(screen.getByText("Wire")).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText("Filter by project"), "all");
+    await user.selectOptions(
+      screen.getByLabelText("Filter by status"),
+      "depleted",
+    );
+    expect(screen.getByText("Elbow Joint")).toBeInTheDocument();
+    expect(screen.queryByText("Wire")).not.toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText("Filter by status"), "low");
+    expect(screen.getByText("Wire")).toBeInTheDocument();
+    expect(screen.queryByText("Elbow Joint")).not.toBeInTheDocument();
+    expect(screen.queryByText("Copper Pipe")).not.toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText("Filter by status"), "all");
+    await user.click(screen.getByLabelText("Below threshold only"));
+    expect(screen.queryByText("Copper Pipe")).not.toBeInTheDocument();
+    expect(screen.getByText("Elbow Joint")).toBeInTheDocument();
+    expect(screen.getByText("Wire")).toBeInTheDocument();
+  });
+
+  it("badges materials below their threshold as low stock", async () => {
+    primeInventory();
+
+    render(<MaterialsPage />);
+
+    const wireRow = (await screen.findByText("Wire")).closest("tr");
+    expect(within(wireRow).getByText("Low stock")).toBeInTheDocument();
+    const pipeRow = screen.getByText("Copper Pipe").closest("tr");
+    expect(within(pipeRow).getByText("In stock")).toBeInTheDocument();
+  });
+
+  it("lets a manager edit the minimum threshold inline", async () => {
+    const user = userEvent.setup();
+    primeInventory();
+
+    render(<MaterialsPage />);
+
+    const row = (await screen.findByText("Copper Pipe")).closest("tr");
+    await user.click(within(row).getByRole("button", { name: "Edit" }));
+
+    // Stock is recorded in metres, so the unit is locked.
+    expect(within(row).getByLabelText("Edit material unit")).toBeDisabled();
+
+    const thresholdInput = within(row).getByLabelText(
+      "Edit material minimum threshold",
+    );
+    await user.clear(thresholdInput);
+    await user.type(thresholdInput, "15");
+    await user.click(within(row).getByRole("button", { name: "Save" }));
+
+    await waitFor(() => {
+      expect(mockUpdateMaterial).toHaveBeenCalledWith({
+        materialId: "mat-1",
+        updates: {
+          name: "Copper Pipe",
+          unit: "m",
+          minimumThreshold: 15,
+          unitCost: 0,
+        },
+      });
+    });
+    expect(await screen.findByText("Material updated.")).toBeInTheDocument();
+  });
+
+  it("restocks a material through the ledger-backed operation", async () => {
+    const user = userEvent.setup();
+    primeInventory();
+
+    render(<MaterialsPage />);
+
+    const row = (await screen.findByText("Elbow Joint")).closest("tr");
+    await user.click(within(row).getByRole("button", { name: "Restock" }));
+    await user.type(screen.getByLabelText("Restock quantity"), "12");
+    await user.type(
+      screen.getByLabelText("Stock change reason"),
+      "Delivery #88",
+    );
+    await user.click(screen.getByRole("button", { name: "Apply" }));
+
+    await waitFor(() => {
+      expect(mockRestockMaterial).toHaveBeenCalledWith({
+        materialId: "mat-2",
+        quantity: 12,
+        reason: "Delivery #88",
+        performedBy: "mgr-1",
+      });
+    });
+    expect(await screen.findByText("Material restocked.")).toBeInTheDocument();
+  });
+
+  it("transfers available stock to another project", async () => {
+    const user = userEvent.setup();
+    primeInventory();
+    mockTransferMaterialBetweenProjects.mockResolvedValueOnce({
+      target: { projectName: "South Annex" },
+    });
+
+    render(<MaterialsPage />);
+
+    const row = (await screen.findByText("Copper Pipe")).closest("tr");
+    await user.click(within(row).getByRole("button", { name: "Transfer" }));
+
+    expect(
+      screen.getByLabelText("Transfer destination project"),
+    ).toHaveDisplayValue("South Annex");
+    await user.type(screen.getByLabelText("Transfer quantity"), "41");
+    await user.click(
+      within(screen.getByText("Transfer Copper Pipe").closest("tr")).getByRole(
+        "button",
+        { name: "Transfer" },
+      ),
+    );
+    expect(
+      await screen.findByText(
+        "Only 40 m of Copper Pipe is available to transfer.",
+      ),
+    ).toBeInTheDocument();
+    expect(mockTransferMaterialBetweenProjects).not.toHaveBeenCalled();
+
+    await user.clear(screen.getByLabelText("Transfer quantity"));
+    await user.type(screen.getByLabelText("Transfer quantity"), "15");
+    await user.click(
+      within(screen.getByText("Transfer Copper Pipe").closest("tr")).getByRole(
+        "button",
+        { name: "Transfer" },
+      ),
+    );
+
+    await waitFor(() => {
+      expect(mockTransferMaterialBetweenProjects).toHaveBeenCalledWith({
+        organizationId: "org-1",
+        materialId: "mat-1",
+        targetProjectId: "proj-2",
+        quantity: 15,
+        note: "",
+        performedBy: "mgr-1",
+      });
+    });
+    expect(
+      await screen.findByText("Transferred 15 m of Copper Pipe to South Annex."),
+    ).toBeInTheDocument();
+  });
+
+  it("requires a reason before adjusting to a counted quantity", async () => {
+    const user = userEvent.setup();
+    primeInventory();
+
+    render(<MaterialsPage />);
+
+    const row = (await screen.findByText("Copper Pipe")).closest("tr");
+    await user.click(within(row).getByRole("button", { name: "Adjust" }));
+
+    const countInput = screen.getByLabelText("Counted quantity");
+    expect(countInput).toHaveValue(40);
+    await user.clear(countInput);
+    await user.type(countInput, "37");
+    await user.click(screen.getByRole("button", { name: "Apply" }));
+
+    expect(
+      await screen.findByText("A reason is required for adjustments."),
+    ).toBeInTheDocument();
+    expect(mockAdjustMaterialQuantity).not.toHaveBeenCalled();
+
+    await user.type(
+      screen.getByLabelText("Stock change reason"),
+      "Cycle count",
+    );
+    await user.click(screen.getByRole("button", { name: "Apply" }));
+
+    await waitFor(() => {
+      expect(mockAdjustMaterialQuantity).toHaveBeenCalledWith({
+        materialId: "mat-1",
+        newQuantity: 37,
+        reason: "Cycle count",
+        performedBy: "mgr-1",
+      });
+    });
+  });
+
+  it("opens a material ledger and flags unrecorded stock changes", async () => {
+    const user = userEvent.setup();
+    primeInventory();
+    mockListProjectMaterialTransactions.mockResolvedValue([
+      {
+        id: "tx-2",
+        materialId: "mat-1",
+        type: "MANUAL_ADJUSTMENT",
+        quantityDelta: -5,
+        beforeQty: 45,
+        afterQty: 40,
+        performedBy: "mgr-1",
+        performedAt: new Date("2026-03-02T10:00:00Z"),
+        note: "Cycle count",
+      },
+      {
+        id: "tx-1",
+        materialId: "mat-1",
+        type: "RESTOCK",
+        quantityDelta: 30,
+        beforeQty: 0,
+        afterQty: 30,
+        performedBy: "mgr-1",
+        performedAt: new Date("2026-03-01T10:00:00Z"),
+        note: "Delivery",
+      },
+      {
+        id: "tx-3",
+        materialId: "mat-2",
+        type: "RESTOCK",
+        quantityDelta: 1,
+        beforeQty: 0,
+        afterQty: 1,
+        performedBy: "mgr-1",
+        performedAt: new Date("2026-03-03T10:00:00Z"),
+        note: "Other material",
+      },
+    ]);
+
+    render(<MaterialsPage />);
+
+    const row = (await screen.findByText("Copper Pipe")).closest("tr");
+    await user.click(within(row).getByRole("button", { name: "Ledger" }));
+
+    const panel = await screen.findByRole("region", {
+      name: "Ledger — Copper Pipe",
+    });
+    expect(await within(panel).findByText("Cycle count")).toBeInTheDocument();
+    expect(within(panel).queryByText("Other material")).not.toBeInTheDocument();
+    expect(within(panel).getAllByText("Alice Manager")).toHaveLength(2);
+    expect(within(panel).getByText("expected 30")).toBeInTheDocument();
+    expect(
+      within(panel).getByText(
+        "1 entry does not follow on from the previous balance.",
+      ),
+    ).toBeInTheDocument();
+    expect(mockListProjectMaterialTransactions).toHaveBeenCalledWith({
+      organizationId: "org-1",
+      projectId: "proj-1",
+    });
+  });
+
+  it("gives workers a read-only view scoped to their assigned projects", async () => {
+    mockUseAuth.mockReturnValue(WORKER);
+    primeInventory({
+      workerTasks: [
+        { id: "task-1", projectId: "proj-2", organizationId: "org-1" },
+      ],
+    });
+
+    render(<MaterialsPage />);
+
+    expect(await screen.findByText("Wire")).toBeInTheDocument();
+    expect(screen.queryByText("Copper Pipe")).not.toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "Edit" }),
+    ).not.toBeInTheDocument();
+    expect(
+      screen.queryByRole("button", { name: "Restock" }),
+    ).not.toBeInTheDocument();
+    expect(screen.queryByText("Add Material")).not.toBeInTheDocument();
+  });
+});
+
+describe("filterInventoryRows", () => {
+  const rows = [
+    {
+      id: "a",
+      projectId: "p1",
+      status: "active",
+      quantityOnHand: 3,
+      minimumThreshold: 5,
+    },
+    {
+      id: "b",
+      projectId: "p2",
+      status: "depleted",
+      quantityOnHand: 0,
+      minimumThreshold: 0,
+    },
+  ];
+
+  it("returns every row with default filters", () => {
+    expect(filterInventoryRows(rows)).toHaveLength(2);
+  });
+
+  it("treats a zero threshold as never below threshold", () => {
+    const result = filterInventoryRows(rows, { belowThresholdOnly: true });
+    expect(result.map((row) => row.id)).toEqual(["a"]);
+  });
+});
@@ -11,6 +11,9 @@ const mockUpdateDoc = vi.fn(() => Promise.resolve());
 const mockDeleteDoc = vi.fn(() => Promise.resolve());
 const mockSetDoc = vi.fn(() => Promise.resolve());
 const mockServerTimestamp = vi.fn(() => "__ts__");
+const batchSet = vi.fn();
+const batchCommit = vi.fn(() => Promise.resolve());
+const mockWriteBatch = vi.fn(() => ({ set: batchSet, commit: batchCommit }));
 
 const mockDoc = vi.fn((refOrDb, nameOrId, maybeId) => {
   if (maybeId !== undefined) {
@@ -30,11 +33,13 @@ const mockDoc = vi.fn((refOrDb, nameOrId, maybeId) => {
 let transactionGet = vi.fn();
 let transactionUpdate = vi.fn();
 let transactionSet = vi.fn();
+let transactionDelete = vi.fn();
 const mockRunTransaction = vi.fn(async (_db, callback) =>
   callback({
     get: transactionGet,
     update: transactionUpdate,
     set: transactionSet,
+    delete: transactionDelete,
   }),
 );
 
@@ -48,20 +53,32 @@ vi.mock("firebase/firestore", () => ({
   setDoc: (...args) => mockSetDoc(...args),
   updateDoc: (...args) => mockUpdateDoc(...args),
   where: (...args) => mockWhere(...args),
+  writeBatch: (...args) => mockWriteBatch(...args),
   query: (...args) => mockQuery(...args),
   getDocs: (...args) => mockGetDocs(...args),
 }));
 
 import {
-  assignMaterialsToTaskWithDeduction,
+  adjustMaterialQuantity,
+  applyMaterialReport,
   buildTaskMaterialAllocationId,
+  consumeTaskMaterialAllocation,
+  consumeTaskMaterials,
   createMaterial,
+  createMaterialsBatch,
+  dismissMaterialReport,
   listProjectMaterials,
   listProjectMaterialTransactions,
   listTaskMaterialAllocations,
   listTaskMaterialTransactions,
+  postRestockInTransaction,
+  releaseTaskMaterialAllocation,
   removeMaterial,
   removeTaskMaterialAllocation,
+  reportTaskMaterialUsage,
+  reserveMaterialsForTask,
+  restockMaterial,
+  transferMaterialBetweenProjects,
   updateMaterial,
   upsertTaskMaterialAllocation,
 } from "../utils/materialsRepository";
@@ -266,30 +283,142 @@ describe("materialsRepository writes", () => {
     );
   });
 
-  it("updates material quantity and auto-sets status", async () => {
+  it("creates imported materials in a single batch", async () => {
+    mockDoc
+      .mockImplementationOnce((ref) => ({ ...ref, id: "m-1" }))
+      .mockImplementationOnce((ref) => ({ ...ref, id: "m-2" }));
+
+    const created = await createMaterialsBatch({
+      organizationId: "org-1",
+      projectId: "p1",
+      materials: [
+        { name: " Rebar ", unit: "m", quantityOnHand: "40", minimumThreshold: "10" },
+        { name: "Sealant", unit: "unit", quantityOnHand: 0 },
+      ],
+      createdBy: "mgr-1",
+    });
+
+    expect(mockWriteBatch).toHaveBeenCalledTimes(1);
+    expect(batchSet).toHaveBeenCalledTimes(2);
+    expect(batchSet).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "m-1" }),
+      expect.objectContaining({
+        organizationId: "org-1",
+        projectId: "p1",
+        name: "Rebar",
+        quantityOnHand: 40,
+        minimumThreshold: 10,
+        status: "active",
+      }),
+    );
+    expect(batchCommit).toHaveBeenCalledTimes(1);
+    expect(created.map((row) => [row.id, row.status])).toEqual([
+      ["m-1", "active"],
+      ["m-2", "depleted"],
+    ]);
+  });
+
+  it("rejects an import batch containing a nameless material", async () => {
+    await expect(
+      createMaterialsBatch({
+        organizationId: "org-1",
+        projectId: "p1",
+        materials: [{ name: "Rebar" }, { name: "  " }],
+      }),
+    ).rejects.toMatchObject({ code: "INVALID_MATERIAL" });
+    expect(batchCommit).not.toHaveBeenCalled();
+  });
+
+  it("updates material details but never the stock quantity", async () => {
     await updateMaterial({
       materialId: "m1",
-      updates: { quantityOnHand: 0, minimumThreshold: 3 },
+      updates: { name: " Rebar ", quantityOnHand: 0, minimumThreshold: 3 },
     });
 
     expect(mockUpdateDoc).toHaveBeenCalledWith(
       expect.objectContaining({ name: "materials", id: "m1" }),
-      expect.objectContaining({
-        quantityOnHand: 0,
-        minimumThreshold: 3,
-        status: "depleted",
+      { name: "Rebar", minimumThreshold: 3, updatedAt: "__ts__" },
+    );
+  });
+
+  it("refuses to relabel the unit of a material with stock", async () => {
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({
+        id: "m1",
+        data: {
+          organizationId: "org-1",
+          projectId: "p1",
+          unit: "m",
+          quantityOnHand: 4,
+        },
+      }),
+    );
+    mockGetDocs.mockResolvedValueOnce(makeSnap([]));
+
+    await expect(
+      updateMaterial({ materialId: "m1", updates: { unit: "ft" } }),
+    ).rejects.toMatchObject({ code: "UNIT_CHANGE_BLOCKED" });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+  });
+
+  it("relabels an empty material only while no task uses it", async () => {
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({
+        id: "m1",
+        data: {
+          organizationId: "org-1",
+          projectId: "p1",
+          unit: "m",
+          quantityOnHand: 0,
+        },
       }),
     );
+    mockGetDocs.mockResolvedValueOnce(
+      makeSnap([{ id: "t1_m1", materialId: "m1", status: "consumed" }]),
+    );
+
+    await expect(
+      updateMaterial({ materialId: "m1", updates: { unit: "ft" } }),
+    ).rejects.toMatchObject({ code: "UNIT_CHANGE_BLOCKED" });
+    expect(mockWhere).toHaveBeenCalledWith("materialId", "==", "m1");
+
+    mockGetDocs.mockResolvedValueOnce(makeSnap([]));
+    await updateMaterial({ materialId: "m1", updates: { unit: "ft" } });
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m1" }),
+      { unit: "ft", updatedAt: "__ts__" },
+    );
   });
 
   it("removes a material document", async () => {
+    transactionDelete = vi.fn();
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({ id: "m9", data: { quantityOnHand: 3 } }),
+    );
+
     await removeMaterial({ materialId: "m9" });
 
-    expect(mockDeleteDoc).toHaveBeenCalledWith(
+    expect(transactionDelete).toHaveBeenCalledWith(
       expect.objectContaining({ name: "materials", id: "m9" }),
     );
   });
 
+  it("refuses to remove a material that tasks have reserved", async () => {
+    transactionDelete = vi.fn();
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({
+        id: "m9",
+        data: { quantityOnHand: 3, quantityReserved: 2 },
+      }),
+    );
+
+    await expect(removeMaterial({ materialId: "m9" })).rejects.toMatchObject({
+      code: "MATERIAL_RESERVED",
+      details: { materialId: "m9", quantityReserved: 2 },
+    });
+    expect(transactionDelete).not.toHaveBeenCalled();
+  });
+
   it("upserts a task material allocation with deterministic id", async () => {
     const result = await upsertTaskMaterialAllocation({
       organizationId: "org-1",
@@ -309,11 +438,19 @@ describe("materialsRepository writes", () => {
   });
 
   it("removes a task material allocation by deterministic id", async () => {
+    transactionDelete = vi.fn();
+    transactionGet = vi.fn(async (ref) =>
+      ref.id === "t1_m1"
+        ? makeTxDocSnap({ id: "t1_m1", data: { quantityRequired: 2 } })
+        : makeTxDocSnap({ id: "m1", data: { quantityOnHand: 3 } }),
+    );
+
     await removeTaskMaterialAllocation({ taskId: "t1", materialId: "m1" });
 
-    expect(mockDeleteDoc).toHaveBeenCalledWith(
+    expect(transactionDelete).toHaveBeenCalledWith(
       expect.objectContaining({ name: "taskMaterialAllocations", id: "t1_m1" }),
     );
+    expect(mockDeleteDoc).not.toHaveBeenCalled();
   });
 
   it("builds deterministic task material allocation id", () => {
@@ -321,90 +458,1020 @@ describe("materialsRepository writes", () => {
       "task-2_mat-7",
     );
   });
+});
 
-  it("assigns materials with atomic stock deduction", async () => {
-    transactionGet = vi.fn(async (ref) => {
-      if (ref.id === "m1") {
-        return makeTxDocSnap({
-          id: "m1",
-          data: {
-            organizationId: "org-1",
-            projectId: "p1",
-            name: "Wire",
-            unit: "roll",
-            quantityOnHand: 10,
-          },
-        });
-      }
-      return makeTxDocSnap({
-        id: "m2",
+describe("materialsRepository stock changes", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({
+        id: "m1",
         data: {
           organizationId: "org-1",
           projectId: "p1",
-          name: "Pipe",
-          unit: "m",
-          quantityOnHand: 5,
+          name: "Wire",
+          unit: "roll",
+          quantityOnHand: 0,
+          status: "depleted",
         },
-      });
-    });
+      }),
+    );
+    transactionUpdate = vi.fn();
+    transactionSet = vi.fn();
+  });
 
-    const result = await assignMaterialsToTaskWithDeduction({
-      organizationId: "org-1",
-      projectId: "p1",
-      taskId: "task-1",
-      allocations: [
-        { materialId: "m1", quantityRequired: 2 },
-        { materialId: "m1", quantityRequired: 1 },
-        { materialId: "m2", quantityRequired: 5 },
-      ],
+  it("restocks a material and records a RESTOCK ledger entry", async () => {
+    const result = await restockMaterial({
+      materialId: "m1",
+      quantity: "12",
+      reason: "Supplier delivery",
       performedBy: "mgr-1",
     });
 
-    expect(mockRunTransaction).toHaveBeenCalledTimes(1);
     expect(transactionUpdate).toHaveBeenCalledWith(
       expect.objectContaining({ name: "materials", id: "m1" }),
-      expect.objectContaining({ quantityOnHand: 7, status: "active" }),
+      expect.objectContaining({ quantityOnHand: 12, status: "active" }),
     );
-    expect(transactionUpdate).toHaveBeenCalledWith(
-      expect.objectContaining({ name: "materials", id: "m2" }),
-      expect.objectContaining({ quantityOnHand: 0, status: "depleted" }),
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        organizationId: "org-1",
+        projectId: "p1",
+        taskId: null,
+        type: "RESTOCK",
+        quantityDelta: 12,
+        beforeQty: 0,
+        afterQty: 12,
+        performedBy: "mgr-1",
+        note: "Supplier delivery",
+      }),
     );
-
-    const assignmentWrites = transactionSet.mock.calls.filter(
-      ([ref]) => ref.name === "taskMaterialAllocations",
+    expect(result).toEqual(
+      expect.objectContaining({ beforeQty: 0, afterQty: 12, quantityDelta: 12 }),
     );
-    const logWrites = transactionSet.mock.calls.filter(
-      ([, payload]) => payload.type === "TASK_ASSIGNMENT_DEDUCTION",
+  });
+
+  it("writes the same ledger entry for a restock inside another transaction", async () => {
+    await restockMaterial({
+      materialId: "m1",
+      quantity: 5,
+      reason: "Delivery",
+      performedBy: "mgr-1",
+    });
+    const [[, restockEntry]] = transactionSet.mock.calls;
+
+    transactionSet = vi.fn();
+    const materialRef = { name: "materials", id: "m1" };
+    postRestockInTransaction(
+      { update: vi.fn(), set: transactionSet },
+      {
+        materialRef,
+        materialSnap: await transactionGet(materialRef),
+        quantity: 5,
+        note: "Delivery",
+        performedBy: "mgr-1",
+      },
     );
 
-    expect(assignmentWrites).toHaveLength(2);
-    expect(logWrites).toHaveLength(2);
-    expect(result.allocationIds).toEqual(["task-1_m1", "task-1_m2"]);
-    expect(result.deductionLog).toHaveLength(2);
+    expect(transactionSet.mock.calls[0][1]).toEqual(restockEntry);
+  });
+
+  it("rejects a restock with a non-positive quantity", async () => {
+    await expect(
+      restockMaterial({ materialId: "m1", quantity: 0 }),
+    ).rejects.toMatchObject({ code: "INVALID_QUANTITY" });
+    expect(mockRunTransaction).not.toHaveBeenCalled();
   });
 
-  it("fails atomic deduction when stock is insufficient", async () => {
+  it("adjusts a material to a counted quantity with a reason", async () => {
     transactionGet = vi.fn(async () =>
       makeTxDocSnap({
         id: "m1",
         data: {
           organizationId: "org-1",
           projectId: "p1",
-          name: "Pipe",
-          quantityOnHand: 1,
+          name: "Wire",
+          quantityOnHand: 9,
         },
       }),
     );
 
+    await adjustMaterialQuantity({
+      materialId: "m1",
+      newQuantity: 6,
+      reason: "Damaged on site",
+      performedBy: "mgr-1",
+    });
+
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ id: "m1" }),
+      expect.objectContaining({ quantityOnHand: 6, status: "active" }),
+    );
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        type: "MANUAL_ADJUSTMENT",
+        quantityDelta: -3,
+        beforeQty: 9,
+        afterQty: 6,
+        note: "Damaged on site",
+      }),
+    );
+  });
+
+  it("saves detail updates in the same transaction as an adjustment", async () => {
+    await adjustMaterialQuantity({
+      materialId: "m1",
+      newQuantity: 4,
+      reason: "Recount",
+      performedBy: "mgr-1",
+      updates: { name: "Wire XL", quantityOnHand: 99 },
+    });
+
+    expect(mockRunTransaction).toHaveBeenCalledTimes(1);
+    expect(transactionUpdate).toHaveBeenCalledTimes(1);
+    expect(transactionUpdate).toHaveBeenCalledWith(expect.anything(), {
+      name: "Wire XL",
+      quantityOnHand: 4,
+      status: "active",
+      updatedAt: "__ts__",
+    });
+    expect(mockUpdateDoc).not.toHaveBeenCalled();
+  });
+
+  it("requires a reason for manual adjustments", async () => {
+    await expect(
+      adjustMaterialQuantity({ materialId: "m1", newQuantity: 2, reason: "  " }),
+    ).rejects.toMatchObject({ code: "REASON_REQUIRED" });
+    expect(mockRunTransaction).not.toHaveBeenCalled();
+  });
+
+  it("fails when the material no longer exists", async () => {
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({ id: "m1", data: {}, exists: false }),
+    );
+
     await expect(
-      assignMaterialsToTaskWithDeduction({
+      restockMaterial({ materialId: "m1", quantity: 3 }),
+    ).rejects.toMatchObject({ code: "MATERIAL_NOT_FOUND" });
+    expect(transactionSet).not.toHaveBeenCalled();
+  });
+});
+
+describe("materialsRepository allocation release", () => {
+  const allocationSnap = (quantityRequired, extra = {}) =>
+    makeTxDocSnap({
+      id: "t1_m1",
+      data: {
+        organizationId: "org-1",
+        projectId: "p1",
+        taskId: "t1",
+        materialId: "m1",
+        quantityRequired,
+        ...extra,
+      },
+    });
+
+  const materialSnap = (quantityOnHand, status = "active", extra = {}) =>
+    makeTxDocSnap({
+      id: "m1",
+      data: {
+        organizationId: "org-1",
+        projectId: "p1",
+        name: "Copper Pipe",
+        quantityOnHand,
+        status,
+        ...extra,
+      },
+    });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    transactionUpdate = vi.fn();
+    transactionSet = vi.fn();
+    transactionDelete = vi.fn();
+  });
+
+  it("credits the full allocation back and reactivates depleted stock", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "taskMaterialAllocations"
+        ? allocationSnap(5)
+        : materialSnap(0, "depleted"),
+    );
+
+    const result = await releaseTaskMaterialAllocation({
+      taskId: "t1",
+      materialId: "m1",
+      performedBy: "mgr-1",
+    });
+
+    expect(transactionDelete).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "taskMaterialAllocations", id: "t1_m1" }),
+    );
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m1" }),
+      expect.objectContaining({ quantityOnHand: 5, status: "active" }),
+    );
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
         organizationId: "org-1",
         projectId: "p1",
-        taskId: "task-1",
-        allocations: [{ materialId: "m1", quantityRequired: 2 }],
+        taskId: "t1",
+        type: "ALLOCATION_RELEASE",
+        quantityDelta: 5,
+        beforeQty: 0,
+        afterQty: 5,
+        performedBy: "mgr-1",
+        note: "Released from task",
+      }),
+    );
+    expect(result).toEqual(
+      expect.objectContaining({ released: 5, quantityRequired: 0 }),
+    );
+  });
+
+  it("reduces an allocation and returns only the difference", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "taskMaterialAllocations"
+        ? allocationSnap(8)
+        : materialSnap(4),
+    );
+
+    await releaseTaskMaterialAllocation({
+      taskId: "t1",
+      materialId: "m1",
+      quantityRequired: 3,
+      performedBy: "mgr-1",
+    });
+
+    expect(transactionDelete).not.toHaveBeenCalled();
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "taskMaterialAllocations", id: "t1_m1" }),
+      expect.objectContaining({ quantityRequired: 3 }),
+    );
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m1" }),
+      expect.objectContaining({ quantityOnHand: 9 }),
+    );
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        quantityDelta: 5,
+        beforeQty: 4,
+        afterQty: 9,
+        note: "Task allocation reduced",
+      }),
+    );
+  });
+
+  it("frees a reservation without touching on-hand stock", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "taskMaterialAllocations"
+        ? allocationSnap(5, { status: "reserved" })
+        : materialSnap(10, "active", { quantityReserved: 7 }),
+    );
+
+    const result = await releaseTaskMaterialAllocation({
+      taskId: "t1",
+      materialId: "m1",
+      performedBy: "mgr-1",
+    });
+
+    expect(transactionDelete).toHaveBeenCalled();
+    expect(transactionUpdate).toHaveBeenCalledTimes(1);
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m1" }),
+      { quantityReserved: 2, updatedAt: "__ts__" },
+    );
+    expect(transactionSet).not.toHaveBeenCalled();
+    expect(result).toEqual(
+      expect.objectContaining({
+        released: 5,
+        allocationStatus: "reserved",
+        beforeQty: 10,
+        afterQty: 10,
       }),
-    ).rejects.toThrow("Insufficient stock");
+    );
+  });
 
+  it("rejects raising an allocation through a release", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "taskMaterialAllocations"
+        ? allocationSnap(2)
+        : materialSnap(10),
+    );
+
+    await expect(
+      releaseTaskMaterialAllocation({
+        taskId: "t1",
+        materialId: "m1",
+        quantityRequired: 6,
+      }),
+    ).rejects.toMatchObject({ code: "INVALID_QUANTITY" });
     expect(transactionUpdate).not.toHaveBeenCalled();
+    expect(transactionSet).not.toHaveBeenCalled();
+  });
+
+  it("fails when the allocation does not exist", async () => {
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({ id: "t1_m1", data: {}, exists: false }),
+    );
+
+    await expect(
+      releaseTaskMaterialAllocation({ taskId: "t1", materialId: "m1" }),
+    ).rejects.toMatchObject({ code: "ALLOCATION_NOT_FOUND" });
+    expect(transactionDelete).not.toHaveBeenCalled();
+  });
+});
+
+describe("materialsRepository reservations", () => {
+  const materialData = (extra = {}) => ({
+    organizationId: "org-1",
+    projectId: "p1",
+    name: "Copper Pipe",
+    unit: "m",
+    quantityOnHand: 10,
+    status: "active",
+    ...extra,
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    transactionUpdate = vi.fn();
+    transactionSet = vi.fn();
+    transactionDelete = vi.fn();
+  });
+
+  it("reserves stock without deducting it or writing a ledger entry", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "materials"
+        ? makeTxDocSnap({ id: "m1", data: materialData({ quantityReserved: 3 }) })
+        : makeTxDocSnap({ id: ref.id, data: {}, exists: false }),
+    );
+
+    const result = await reserveMaterialsForTask({
+      organizationId: "org-1",
+      projectId: "p1",
+      taskId: "t1",
+      allocations: [{ materialId: "m1", quantityRequired: 4 }],
+      performedBy: "mgr-1",
+    });
+
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m1" }),
+      { quantityReserved: 7, updatedAt: "__ts__" },
+    );
+    expect(transactionSet).toHaveBeenCalledTimes(1);
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "taskMaterialAllocations", id: "t1_m1" }),
+      expect.objectContaining({
+        taskId: "t1",
+        materialId: "m1",
+        quantityRequired: 4,
+        status: "reserved",
+      }),
+    );
+    expect(result).toEqual({
+      reservations: [
+        { materialId: "m1", reserved: 4, quantityReserved: 7, availableQty: 3 },
+      ],
+      allocationIds: ["t1_m1"],
+      skippedMaterialIds: [],
+    });
+  });
+
+  it("converts rows in the stock unit when merging them with other units", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "materials"
+        ? makeTxDocSnap({ id: "m1", data: materialData() })
+        : makeTxDocSnap({ id: ref.id, data: {}, exists: false }),
+    );
+
+    const result = await reserveMaterialsForTask({
+      organizationId: "org-1",
+      projectId: "p1",
+      taskId: "t1",
+      allocations: [
+        { materialId: "m1", quantityRequired: 3 },
+        { materialId: "m1", quantityRequired: 5, unit: "ft" },
+      ],
+      performedBy: "mgr-1",
+    });
+
+    expect(result.reservations).toEqual([
+      expect.objectContaining({
+        materialId: "m1",
+        reserved: expect.closeTo(4.524, 6),
+      }),
+    ]);
+  });
+
+  it("reserves a compatible unit in the stock unit", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "materials"
+        ? makeTxDocSnap({ id: "m1", data: materialData() })
+        : makeTxDocSnap({ id: ref.id, data: {}, exists: false }),
+    );
+
+    const result = await reserveMaterialsForTask({
+      organizationId: "org-1",
+      projectId: "p1",
+      taskId: "t1",
+      allocations: [{ materialId: "m1", quantityRequired: 10, unit: "ft" }],
+      performedBy: "mgr-1",
+    });
+
+    expect(result.reservations[0]).toEqual(
+      expect.objectContaining({ reserved: 3.048, availableQty: 6.952 }),
+    );
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "taskMaterialAllocations", id: "t1_m1" }),
+      expect.objectContaining({ quantityRequired: 3.048 }),
+    );
+  });
+
+  it("rejects a reservation in an incompatible unit", async () => {
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({ id: "m1", data: materialData() }),
+    );
+
+    await expect(
+      reserveMaterialsForTask({
+        organizationId: "org-1",
+        projectId: "p1",
+        taskId: "t1",
+        allocations: [{ materialId: "m1", quantityRequired: 1, unit: "kg" }],
+      }),
+    ).rejects.toMatchObject({
+      code: "INCOMPATIBLE_UNITS",
+      details: { fromUnit: "kg", toUnit: "m", materialId: "m1" },
+    });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+  });
+
+  it("refuses a second reservation of a material unless topping up", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "materials"
+        ? makeTxDocSnap({ id: "m1", data: materialData({ quantityReserved: 4 }) })
+        : makeTxDocSnap({
+            id: ref.id,
+            data: { quantityRequired: 4, status: "reserved" },
+          }),
+    );
+
+    await expect(
+      reserveMaterialsForTask({
+        organizationId: "org-1",
+        projectId: "p1",
+        taskId: "t1",
+        allocations: [{ materialId: "m1", quantityRequired: 6 }],
+      }),
+    ).rejects.toMatchObject({ code: "ALLOCATION_EXISTS" });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+  });
+
+  it("tops up an existing reservation by the difference only", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "materials"
+        ? makeTxDocSnap({ id: "m1", data: materialData({ quantityReserved: 9 }) })
+        : makeTxDocSnap({
+            id: ref.id,
+            data: { quantityRequired: 4, status: "reserved" },
+          }),
+    );
+
+    // Only 1 is free, but the task already holds 4 of the 5 it now needs.
+    const result = await reserveMaterialsForTask({
+      organizationId: "org-1",
+      projectId: "p1",
+      taskId: "t1",
+      allocations: [{ materialId: "m1", quantityRequired: 5 }],
+      performedBy: "mgr-1",
+      topUp: true,
+    });
+
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m1" }),
+      { quantityReserved: 10, updatedAt: "__ts__" },
+    );
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "taskMaterialAllocations", id: "t1_m1" }),
+      expect.objectContaining({ quantityRequired: 5 }),
+    );
+    expect(transactionSet).not.toHaveBeenCalled();
+    expect(result.reservations).toEqual([
+      { materialId: "m1", reserved: 1, quantityReserved: 10, availableQty: 0 },
+    ]);
+  });
+
+  it("skips covered and consumed allocations when topping up", async () => {
+    const allocations = {
+      t1_m1: { quantityRequired: 4, status: "reserved" },
+      t1_m2: { quantityRequired: 2, status: "consumed" },
+    };
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "materials"
+        ? makeTxDocSnap({ id: ref.id, data: materialData({ quantityReserved: 4 }) })
+        : makeTxDocSnap({ id: ref.id, data: allocations[ref.id] }),
+    );
+
+    const result = await reserveMaterialsForTask({
+      organizationId: "org-1",
+      projectId: "p1",
+      taskId: "t1",
+      allocations: [
+        { materialId: "m1", quantityRequired: 3 },
+        { materialId: "m2", quantityRequired: 5 },
+      ],
+      topUp: true,
+    });
+
+    expect(result).toEqual({
+      reservations: [],
+      allocationIds: [],
+      skippedMaterialIds: ["m1", "m2"],
+    });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+    expect(transactionSet).not.toHaveBeenCalled();
+  });
+
+  it("rejects a reservation larger than the available quantity", async () => {
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({ id: "m1", data: materialData({ quantityReserved: 8 }) }),
+    );
+
+    await expect(
+      reserveMaterialsForTask({
+        organizationId: "org-1",
+        projectId: "p1",
+        taskId: "t1",
+        allocations: [{ materialId: "m1", quantityRequired: 3 }],
+      }),
+    ).rejects.toMatchObject({
+      code: "INSUFFICIENT_STOCK",
+      details: { materialId: "m1", available: 2, required: 3 },
+    });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+  });
+
+  it("deducts a reservation when it is marked consumed", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "taskMaterialAllocations"
+        ? makeTxDocSnap({
+            id: "t1_m1",
+            data: {
+              organizationId: "org-1",
+              projectId: "p1",
+              taskId: "t1",
+              materialId: "m1",
+              quantityRequired: 4,
+              status: "reserved",
+            },
+          })
+        : makeTxDocSnap({
+            id: "m1",
+            data: materialData({ quantityReserved: 6, unitCost: 2.5 }),
+          }),
+    );
+
+    const result = await consumeTaskMaterialAllocation({
+      taskId: "t1",
+      materialId: "m1",
+      performedBy: "wkr-1",
+    });
+
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m1" }),
+      expect.objectContaining({
+        quantityOnHand: 6,
+        quantityReserved: 2,
+        status: "active",
+      }),
+    );
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "taskMaterialAllocations", id: "t1_m1" }),
+      expect.objectContaining({ status: "consumed", consumedBy: "wkr-1" }),
+    );
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        type: "TASK_CONSUMPTION",
+        taskId: "t1",
+        quantityDelta: -4,
+        beforeQty: 10,
+        afterQty: 6,
+        unitCost: 2.5,
+        note: "Consumed on task",
+      }),
+    );
+    expect(result).toEqual(
+      expect.objectContaining({ materialId: "m1", consumed: 4, afterQty: 6 }),
+    );
+  });
+
+  it("refuses to consume an allocation twice", async () => {
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({
+        id: "t1_m1",
+        data: { materialId: "m1", quantityRequired: 4, status: "consumed" },
+      }),
+    );
+
+    await expect(
+      consumeTaskMaterialAllocation({ taskId: "t1", materialId: "m1" }),
+    ).rejects.toMatchObject({ code: "ALLOCATION_NOT_RESERVED" });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+  });
+
+  it("consumes only the open reservations when a task completes", async () => {
+    mockGetDocs.mockResolvedValueOnce(
+      makeSnap([
+        { id: "t1_m1", taskId: "t1", materialId: "m1", quantityRequired: 4, status: "reserved" },
+        { id: "t1_m2", taskId: "t1", materialId: "m2", quantityRequired: 1 },
+      ]),
+    );
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "taskMaterialAllocations"
+        ? makeTxDocSnap({
+            id: ref.id,
+            data: { materialId: "m1", quantityRequired: 4, status: "reserved" },
+          })
+        : makeTxDocSnap({ id: "m1", data: materialData({ quantityReserved: 4 }) }),
+    );
+
+    const consumed = await consumeTaskMaterials({
+      organizationId: "org-1",
+      projectId: "p1",
+      taskId: "t1",
+      performedBy: "wkr-1",
+    });
+
+    expect(transactionGet).toHaveBeenCalledTimes(2);
+    expect(consumed).toEqual([
+      expect.objectContaining({ materialId: "m1", consumed: 4, afterQty: 6 }),
+    ]);
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ note: "Consumed on task completion" }),
+    );
+  });
+
+  it("skips reservations whose material is gone when a task completes", async () => {
+    mockGetDocs.mockResolvedValueOnce(
+      makeSnap([
+        { id: "t1_gone", taskId: "t1", materialId: "gone", quantityRequired: 2, status: "reserved" },
+        { id: "t1_m1", taskId: "t1", materialId: "m1", quantityRequired: 4, status: "reserved" },
+      ]),
+    );
+    transactionGet = vi.fn(async (ref) => {
+      if (ref.name === "taskMaterialAllocations") {
+        return makeTxDocSnap({
+          id: ref.id,
+          data: { quantityRequired: ref.id === "t1_m1" ? 4 : 2, status: "reserved" },
+        });
+      }
+      return ref.id === "m1"
+        ? makeTxDocSnap({ id: "m1", data: materialData({ quantityReserved: 4 }) })
+        : makeTxDocSnap({ id: ref.id, data: {}, exists: false });
+    });
+
+    const consumed = await consumeTaskMaterials({
+      organizationId: "org-1",
+      projectId: "p1",
+      taskId: "t1",
+      performedBy: "wkr-1",
+    });
+
+    expect(consumed).toEqual([
+      expect.objectContaining({ materialId: "m1", consumed: 4, afterQty: 6 }),
+    ]);
+    expect(transactionUpdate).not.toHaveBeenCalledWith(
+      expect.objectContaining({ id: "t1_gone" }),
+      expect.anything(),
+    );
+  });
+});
+
+describe("materialsRepository worker reports", () => {
+  const materialData = (extra = {}) => ({
+    organizationId: "org-1",
+    projectId: "p1",
+    name: "Copper Pipe",
+    unit: "m",
+    quantityOnHand: 10,
+    quantityReserved: 4,
+    status: "active",
+    ...extra,
+  });
+  const allocationData = (extra = {}) => ({
+    organizationId: "org-1",
+    projectId: "p1",
+    taskId: "t1",
+    materialId: "m1",
+    quantityRequired: 4,
+    unit: "m",
+    status: "reserved",
+    ...extra,
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    transactionUpdate = vi.fn();
+    transactionSet = vi.fn();
+    transactionDelete = vi.fn();
+  });
+
+  it("records a pending report in the material unit with a ledger note", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      ref.name === "taskMaterialAllocations"
+        ? makeTxDocSnap({ id: "t1_m1", data: allocationData() })
+        : makeTxDocSnap({ id: "m1", data: materialData() }),
+    );
+
+    const report = await reportTaskMaterialUsage({
+      organizationId: "org-1",
+      projectId: "p1",
+      taskId: "t1",
+      taskTitle: "Rough-in",
+      materialId: "m1",
+      kind: "shortage",
+      quantity: 150,
+      unit: "cm",
+      note: "Run was longer than drawn",
+      reportedBy: "wkr-1",
+      reportedByName: "Sam Worker",
+    });
+
+    expect(report).toEqual(
+      expect.objectContaining({
+        materialName: "Copper Pipe",
+        kind: "shortage",
+        quantity: 1.5,
+        unit: "m",
+        reportedQuantity: 150,
+        reportedUnit: "cm",
+        status: "pending",
+      }),
+    );
+    expect(transactionUpdate).not.toHaveBeenCalled();
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({ taskTitle: "Rough-in", reportedBy: "wkr-1" }),
+    );
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        type: "WORKER_REPORT",
+        quantityDelta: 0,
+        beforeQty: 10,
+        afterQty: 10,
+        note: "Needs 1.5 m more: Run was longer than drawn",
+      }),
+    );
+  });
+
+  it("rejects a report for a material the task does not use", async () => {
+    transactionGet = vi.fn(async (ref) =>
+      makeTxDocSnap({ id: ref.id, data: {}, exists: false }),
+    );
+
+    await expect(
+      reportTaskMaterialUsage({
+        organizationId: "org-1",
+        projectId: "p1",
+        taskId: "t1",
+        materialId: "m9",
+        kind: "usage",
+        quantity: 1,
+      }),
+    ).rejects.toMatchObject({ code: "ALLOCATION_NOT_FOUND" });
+    expect(transactionSet).not.toHaveBeenCalled();
+  });
+
+  it("applies a usage report by deducting what was used and freeing the rest", async () => {
+    transactionGet = vi.fn(async (ref) => {
+      if (ref.name === "materialReports") {
+        return makeTxDocSnap({
+          id: "r1",
+          data: {
+            organizationId: "org-1",
+            projectId: "p1",
+            taskId: "t1",
+            materialId: "m1",
+            unit: "m",
+            kind: "usage",
+            quantity: 3,
+            status: "pending",
+          },
+        });
+      }
+      return ref.name === "taskMaterialAllocations"
+        ? makeTxDocSnap({ id: "t1_m1", data: allocationData() })
+        : makeTxDocSnap({ id: "m1", data: materialData() });
+    });
+
+    const result = await applyMaterialReport({ reportId: "r1", resolvedBy: "mgr-1" });
+
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m1" }),
+      expect.objectContaining({ quantityOnHand: 7, quantityReserved: 0 }),
+    );
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "taskMaterialAllocations", id: "t1_m1" }),
+      expect.objectContaining({ quantityRequired: 3, status: "consumed" }),
+    );
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        type: "TASK_CONSUMPTION",
+        quantityDelta: -3,
+        note: "Worker report applied: Used 3 m",
+      }),
+    );
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materialReports", id: "r1" }),
+      expect.objectContaining({ status: "applied", resolvedBy: "mgr-1" }),
+    );
+    expect(result).toEqual(
+      expect.objectContaining({ quantityDelta: -3, beforeQty: 10, afterQty: 7 }),
+    );
+  });
+
+  it("refuses to apply a report twice", async () => {
+    transactionGet = vi.fn(async () =>
+      makeTxDocSnap({ id: "r1", data: { kind: "usage", status: "applied" } }),
+    );
+
+    await expect(applyMaterialReport({ reportId: "r1" })).rejects.toMatchObject({
+      code: "REPORT_ALREADY_RESOLVED",
+    });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+  });
+
+  it("dismisses a report without touching stock", async () => {
+    await dismissMaterialReport({ reportId: "r1", resolvedBy: "mgr-1" });
+
+    expect(mockUpdateDoc).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materialReports", id: "r1" }),
+      { status: "dismissed", resolvedBy: "mgr-1", resolvedAt: "__ts__" },
+    );
+    expect(mockRunTransaction).not.toHaveBeenCalled();
+  });
+});
+
+describe("materialsRepository transfers", () => {
+  const PROJECTS = {
+    p1: { organizationId: "org-1", name: "North Tower" },
+    p2: { organizationId: "org-1", name: "South Annex" },
+  };
+  const MATERIALS = {
+    m1: {
+      organizationId: "org-1",
+      projectId: "p1",
+      name: "Copper Pipe",
+      unit: "m",
+      quantityOnHand: 20,
+      quantityReserved: 5,
+      minimumThreshold: 4,
+      unitCost: 3,
+      status: "active",
+    },
+    m2: {
+      organizationId: "org-1",
+      projectId: "p2",
+      name: "Copper Pipe",
+      unit: "cm",
+      quantityOnHand: 100,
+      unitCost: 0.03,
+      status: "active",
+    },
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    transactionGet = vi.fn(async (ref) => {
+      const data = ref.name === "projects" ? PROJECTS[ref.id] : MATERIALS[ref.id];
+      return makeTxDocSnap({ id: ref.id, data, exists: Boolean(data) });
+    });
+    transactionUpdate = vi.fn();
+    transactionSet = vi.fn();
+  });
+
+  it("credits the matching material in the destination project with paired ledger entries", async () => {
+    mockGetDocs.mockResolvedValueOnce(makeSnap([{ id: "m2", ...MATERIALS.m2 }]));
+
+    const result = await transferMaterialBetweenProjects({
+      organizationId: "org-1",
+      materialId: "m1",
+      targetProjectId: "p2",
+      quantity: 2,
+      performedBy: "mgr-1",
+    });
+
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m1" }),
+      expect.objectContaining({ quantityOnHand: 18, status: "active" }),
+    );
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m2" }),
+      expect.objectContaining({ quantityOnHand: 300 }),
+    );
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        projectId: "p1",
+        materialId: "m1",
+        type: "TRANSFER_OUT",
+        quantityDelta: -2,
+        beforeQty: 20,
+        afterQty: 18,
+        counterpartProjectId: "p2",
+        counterpartMaterialId: "m2",
+        note: "Transferred to South Annex",
+      }),
+    );
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        projectId: "p2",
+        materialId: "m2",
+        type: "TRANSFER_IN",
+        quantityDelta: 200,
+        beforeQty: 100,
+        afterQty: 300,
+        counterpartProjectId: "p1",
+        counterpartMaterialId: "m1",
+        note: "Transferred from North Tower",
+      }),
+    );
+    expect(result.target).toEqual(
+      expect.objectContaining({ materialId: "m2", created: false, quantity: 200 }),
+    );
+  });
+
+  it("creates the material in the destination project when it has none", async () => {
+    mockGetDocs.mockResolvedValueOnce(makeSnap([]));
+
+    const result = await transferMaterialBetweenProjects({
+      organizationId: "org-1",
+      materialId: "m1",
+      targetProjectId: "p2",
+      quantity: 15,
+      note: "Leftovers from North Tower",
+    });
+
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        organizationId: "org-1",
+        projectId: "p2",
+        name: "Copper Pipe",
+        unit: "m",
+        quantityOnHand: 15,
+        minimumThreshold: 4,
+        unitCost: 3,
+      }),
+    );
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        type: "TRANSFER_IN",
+        quantityDelta: 15,
+        note: "Leftovers from North Tower",
+      }),
+    );
+    expect(result.target.created).toBe(true);
+  });
+
+  it("only moves stock that is not reserved", async () => {
+    mockGetDocs.mockResolvedValueOnce(makeSnap([]));
+
+    await expect(
+      transferMaterialBetweenProjects({
+        organizationId: "org-1",
+        materialId: "m1",
+        targetProjectId: "p2",
+        quantity: 16,
+      }),
+    ).rejects.toMatchObject({
+      code: "INSUFFICIENT_STOCK",
+      details: { materialId: "m1", available: 15, required: 16 },
+    });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+    expect(transactionSet).not.toHaveBeenCalled();
+  });
+
+  it("rejects a transfer into the same project", async () => {
+    mockGetDocs.mockResolvedValueOnce(makeSnap([]));
+
+    await expect(
+      transferMaterialBetweenProjects({
+        organizationId: "org-1",
+        materialId: "m1",
+        targetProjectId: "p1",
+        quantity: 1,
+      }),
+    ).rejects.toMatchObject({ code: "INVALID_TRANSFER" });
   });
 });
@@ -63,23 +63,47 @@ vi.mock("firebase/firestore", () => ({
   where: vi.fn((field, op, value) => ({ kind: "where", field, op, value })),
 }));
 
-const mockAssignMaterialsToTaskWithDeduction = vi.fn();
+const mockAdjustMaterialQuantity = vi.fn();
+const mockConsumeTaskMaterialAllocation = vi.fn();
 const mockCreateMaterial = vi.fn();
+const mockCreateMaterialsBatch = vi.fn();
+const mockListOrganizationMaterials = vi.fn();
+const mockListOrganizationMaterialTransactions = vi.fn();
+const mockListOrganizationTaskAllocations = vi.fn();
 const mockListProjectMaterials = vi.fn();
 const mockListTaskMaterialAllocations = vi.fn();
+const mockReleaseTaskMaterialAllocation = vi.fn();
 const mockRemoveMaterial = vi.fn();
+const mockReserveMaterialsForTask = vi.fn();
 const mockUpdateMaterial = vi.fn();
 
 vi.mock("../utils/materialsRepository", () => ({
-  assignMaterialsToTaskWithDeduction: (...args) =>
-    mockAssignMaterialsToTaskWithDeduction(...args),
+  adjustMaterialQuantity: (...args) => mockAdjustMaterialQuantity(...args),
+  consumeTaskMaterialAllocation: (...args) =>
+    mockConsumeTaskMaterialAllocation(...args),
   createMaterial: (...args) => mockCreateMaterial(...args),
+  createMaterialsBatch: (...args) => mockCreateMaterialsBatch(...args),
+  listOrganizationMaterials: (...args) => mockListOrganizationMaterials(...args),
+  listOrganizationMaterialTransactions: (...args) =>
+    mockListOrganizationMaterialTransactions(...args),
+  listOrganizationTaskAllocations: (...args) =>
+    mockListOrganizationTaskAllocations(...args),
+  listProjectMaterialTransactions: vi.fn(() => Promise.resolve([])),
   listProjectMaterials: (...args) => mockListProjectMaterials(...args),
   listTaskMaterialAllocations: (...args) => mockListTaskMaterialAllocations(...args),
+  releaseTaskMaterialAllocation: (...args) =>
+    mockReleaseTaskMaterialAllocation(...args),
   removeMaterial: (...args) => mockRemoveMaterial(...args),
+  reserveMaterialsForTask: (...args) => mockReserveMaterialsForTask(...args),
   updateMaterial: (...args) => mockUpdateMaterial(...args),
 }));
 
+const mockCreatePurchaseOrder = vi.fn();
+
+vi.mock("../utils/purchasingRepository", () => ({
+  createPurchaseOrder: (...args) => mockCreatePurchaseOrder(...args),
+}));
+
 const MANAGER = {
   currentUser: { uid: "mgr-1", email: "manager@test.com" },
   userProfile: {
@@ -202,15 +226,20 @@ describe("materials UI flows", () => {
     vi.clearAllMocks();
     mockNavigate.mockReset();
     mockUseAuth.mockReturnValue(MANAGER);
-    mockAssignMaterialsToTaskWithDeduction.mockResolvedValue({
-      deductionLog: [],
+    mockAdjustMaterialQuantity.mockResolvedValue({});
+    mockReserveMaterialsForTask.mockResolvedValue({
+      reservations: [],
       allocationIds: [],
     });
     mockCreateMaterial.mockResolvedValue({ id: "mat-new" });
     mockListProjectMaterials.mockResolvedValue([]);
+    mockListOrganizationMaterials.mockResolvedValue([]);
+    mockListOrganizationMaterialTransactions.mockResolvedValue([]);
+    mockListOrganizationTaskAllocations.mockResolvedValue([]);
     mockListTaskMaterialAllocations.mockResolvedValue([]);
     mockRemoveMaterial.mockResolvedValue();
     mockUpdateMaterial.mockResolvedValue({});
+    mockCreatePurchaseOrder.mockResolvedValue({ id: "po-1" });
   });
 
   it("lets a manager edit inventory items from the project tasks page", async () => {
@@ -223,7 +252,7 @@ describe("materials UI flows", () => {
           id: "mat-1",
           name: "Copper Pipe",
           unit: "m",
-          quantityOnHand: 10,
+          quantityOnHand: 0,
           status: "active",
         },
       ])
@@ -231,7 +260,7 @@ describe("materials UI flows", () => {
         {
           id: "mat-1",
           name: "Copper Pipe XL",
-          unit: "box",
+          unit: "ft",
           quantityOnHand: 12,
           status: "active",
         },
@@ -247,25 +276,36 @@ describe("materials UI flows", () => {
 
     await user.clear(within(materialRow).getByDisplayValue("Copper Pipe"));
     await user.type(within(materialRow).getByDisplayValue(""), "Copper Pipe XL");
-    await user.clear(within(materialRow).getByDisplayValue("10"));
+    await user.clear(within(materialRow).getByDisplayValue("0"));
     await user.type(within(materialRow).getByRole("spinbutton"), "12");
-    await user.selectOptions(within(materialRow).getByRole("combobox"), "box");
+    // Only units the stock can be converted to are offered.
+    expect(
+      within(materialRow)
+        .getAllByRole("option")
+        .map((option) => option.value),
+    ).toEqual(["mm", "cm", "m", "in", "ft"]);
+    await user.selectOptions(within(materialRow).getByRole("combobox"), "ft");
     await user.click(within(materialRow).getByRole("button", { name: "Save" }));
 
     await waitFor(() => {
-      expect(mockUpdateMaterial).toHaveBeenCalledWith({
+      expect(mockAdjustMaterialQuantity).toHaveBeenCalledWith({
         materialId: "mat-1",
+        newQuantity: 12,
+        reason: "Edited from project inventory",
+        performedBy: "mgr-1",
         updates: {
           name: "Copper Pipe XL",
-          unit: "box",
-          quantityOnHand: 12,
+          unit: "ft",
         },
       });
     });
+    // One write: the details go with the ledger adjustment.
+    expect(mockUpdateMaterial).not.toHaveBeenCalled();
 
     expect(await screen.findByText("Material updated.")).toBeInTheDocument();
     expect(await screen.findByText("Copper Pipe XL")).toBeInTheDocument();
-    expect(screen.getByText("12 box")).toBeInTheDocument();
+    // Shown under both "In Stock" and "Available" while nothing is reserved.
+    expect(screen.getAllByText("12 ft")).toHaveLength(2);
   });
 
   it("lets a manager remove an inventory item after confirmation", async () => {
@@ -359,7 +399,389 @@ describe("materials UI flows", () => {
     expect(
       await within(taskCard).findByText("This material is already attached to the task."),
     ).toBeInTheDocument();
-    expect(mockAssignMaterialsToTaskWithDeduction).not.toHaveBeenCalled();
+    expect(mockReserveMaterialsForTask).not.toHaveBeenCalled();
+  });
+
+  it("warns when an attachment would push a material below its threshold", async () => {
+    const user = userEvent.setup();
+
+    primeTasksPageData({
+      tasks: [
+        {
+          id: "task-1",
+          title: "Kitchen Rough-In",
+          description: "Install the kitchen branch lines",
+          dueDate: "2026-04-20",
+          assignedWorkerId: "wkr-1",
+          assignedWorkerName: "Bob Worker",
+          projectId: "proj-1",
+          organizationId: "org-1",
+        },
+      ],
+    });
+
+    mockListProjectMaterials.mockResolvedValue([
+      {
+        id: "mat-1",
+        name: "Copper Pipe",
+        unit: "m",
+        quantityOnHand: 10,
+        minimumThreshold: 6,
+        status: "active",
+      },
+    ]);
+    mockListTaskMaterialAllocations.mockResolvedValue([]);
+
+    render(<TasksPage />);
+
+    const taskCard = (await screen.findByText("Kitchen Rough-In")).closest(
+      ".task-card",
+    );
+    await user.selectOptions(
+      within(taskCard).getByLabelText("Select material for Kitchen Rough-In"),
+      "mat-1",
+    );
+    const qtyInput = within(taskCard).getByLabelText(
+      "Material quantity for Kitchen Rough-In",
+    );
+    await user.type(qtyInput, "4");
+    expect(
+      within(taskCard).queryByText(/below the minimum/),
+    ).not.toBeInTheDocument();
+
+    await user.clear(qtyInput);
+    await user.type(qtyInput, "5");
+    expect(
+      within(taskCard).getByText(
+        "This leaves 5 m of Copper Pipe, below the minimum of 6 m.",
+      ),
+    ).toBeInTheDocument();
+  });
+
+  it("attaches a material in a compatible unit", async () => {
+    const user = userEvent.setup();
+
+    primeTasksPageData({
+      tasks: [
+        {
+          id: "task-1",
+          title: "Kitchen Rough-In",
+          description: "Install the kitchen branch lines",
+          dueDate: "2026-04-20",
+          assignedWorkerId: "wkr-1",
+          assignedWorkerName: "Bob Worker",
+          projectId: "proj-1",
+          organizationId: "org-1",
+        },
+      ],
+    });
+
+    mockListProjectMaterials.mockResolvedValue([
+      {
+        id: "mat-1",
+        name: "Copper Pipe",
+        unit: "m",
+        quantityOnHand: 10,
+        status: "active",
+      },
+    ]);
+    mockListTaskMaterialAllocations.mockResolvedValue([]);
+
+    render(<TasksPage />);
+
+    const taskCard = (await screen.findByText("Kitchen Rough-In")).closest(
+      ".task-card",
+    );
+    await user.selectOptions(
+      within(taskCard).getByLabelText("Select material for Kitchen Rough-In"),
+      "mat-1",
+    );
+    await user.type(
+      within(taskCard).getByLabelText("Material quantity for Kitchen Rough-In"),
+      "20",
+    );
+    await user.selectOptions(
+      within(taskCard).getByLabelText("Material unit for Kitchen Rough-In"),
+      "ft",
+    );
+    await user.click(within(taskCard).getByRole("button", { name: "Attach" }));
+
+    await waitFor(() => {
+      expect(mockReserveMaterialsForTask).toHaveBeenCalledWith(
+        expect.objectContaining({
+          taskId: "task-1",
+          allocations: [
+            { materialId: "mat-1", quantityRequired: 20, unit: "ft" },
+          ],
+        }),
+      );
+    });
+  });
+
+  it("drafts a purchase order for the shortfall when stock runs out", async () => {
+    const user = userEvent.setup();
+
+    primeTasksPageData({
+      tasks: [
+        {
+          id: "task-1",
+          title: "Kitchen Rough-In",
+          description: "Install the kitchen branch lines",
+          dueDate: "2026-04-20",
+          assignedWorkerId: "wkr-1",
+          assignedWorkerName: "Bob Worker",
+          projectId: "proj-1",
+          organizationId: "org-1",
+        },
+      ],
+    });
+
+    mockListProjectMaterials.mockResolvedValue([
+      {
+        id: "mat-1",
+        name: "Copper Pipe",
+        unit: "m",
+        quantityOnHand: 10,
+        quantityReserved: 4,
+        status: "active",
+      },
+    ]);
+    mockListTaskMaterialAllocations.mockResolvedValue([]);
+
+    render(<TasksPage />);
+
+    const taskCard = (await screen.findByText("Kitchen Rough-In")).closest(
+      ".task-card",
+    );
+    await user.selectOptions(
+      within(taskCard).getByLabelText("Select material for Kitchen Rough-In"),
+      "mat-1",
+    );
+    await user.type(
+      within(taskCard).getByLabelText("Material quantity for Kitchen Rough-In"),
+      "15",
+    );
+    await user.click(within(taskCard).getByRole("button", { name: "Attach" }));
+
+    expect(
+      within(taskCard).getByText(/Not enough stock\. Available: 6 m\./),
+    ).toBeInTheDocument();
+    expect(mockReserveMaterialsForTask).not.toHaveBeenCalled();
+
+    await user.click(
+      within(taskCard).getByRole("button", { name: "Draft purchase order" }),
+    );
+
+    await waitFor(() => {
+      expect(mockNavigate).toHaveBeenCalledWith("/purchasing");
+    });
+    expect(mockCreatePurchaseOrder).toHaveBeenCalledWith({
+      organizationId: "org-1",
+      lines: [
+        {
+          materialId: "mat-1",
+          materialName: "Copper Pipe",
+          projectId: "proj-1",
+          unit: "m",
+          quantityOrdered: 9,
+          quantityReceived: 0,
+        },
+      ],
+      note: 'Shortage on task "Kitchen Rough-In"',
+      createdBy: "mgr-1",
+    });
+  });
+
+  it("compares committed and consumed material cost with the project budget", async () => {
+    const user = userEvent.setup();
+
+    primeTasksPageData();
+    firestoreModule.getDoc.mockImplementation((docRef) =>
+      Promise.resolve(
+        makeDocSnap(docRef.id, { ...DEFAULT_PROJECT, budget: 100 }),
+      ),
+    );
+    mockListOrganizationMaterials.mockResolvedValue([
+      {
+        id: "mat-1",
+        projectId: "proj-1",
+        name: "Copper Pipe",
+        unit: "m",
+        unitCost: 4,
+        quantityOnHand: 30,
+      },
+    ]);
+    mockListOrganizationTaskAllocations.mockResolvedValue([
+      {
+        projectId: "proj-1",
+        taskId: "task-1",
+        materialId: "mat-1",
+        quantityRequired: 10,
+        status: "reserved",
+      },
+    ]);
+    mockListOrganizationMaterialTransactions.mockResolvedValue([
+      {
+        projectId: "proj-1",
+        taskId: "task-2",
+        materialId: "mat-1",
+        type: "TASK_CONSUMPTION",
+        quantityDelta: -20,
+        unitCost: 3,
+      },
+    ]);
+
+    render(<TasksPage />);
+
+    const panel = (await screen.findByText("Material Cost")).closest(
+      ".project-inventory-section",
+    );
+    const copperRow = (await within(panel).findByText("Copper Pipe")).closest("tr");
+    expect(within(copperRow).getByText("40.00")).toBeInTheDocument();
+    expect(within(copperRow).getByText("60.00")).toBeInTheDocument();
+    expect(within(panel).getByText("0.00")).toBeInTheDocument();
+    expect(within(panel).queryByText(/Over budget by/)).not.toBeInTheDocument();
+
+    await user.clear(screen.getByLabelText("Project budget"));
+    await user.type(screen.getByLabelText("Project budget"), "80");
+    await user.click(screen.getByRole("button", { name: "Save budget" }));
+
+    expect(await screen.findByText("Over budget by 20.00")).toBeInTheDocument();
+    expect(firestoreModule.updateDoc).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "projects", id: "proj-1" }),
+      { budget: 80 },
+    );
+  });
+
+  it("shows reserved stock and lets the assigned worker mark it used", async () => {
+    const user = userEvent.setup();
+    mockUseAuth.mockReturnValue(WORKER);
+
+    primeTasksPageData({
+      tasks: [
+        {
+          id: "task-1",
+          title: "Kitchen Rough-In",
+          description: "Install the kitchen branch lines",
+          dueDate: "2026-04-20",
+          assignedWorkerId: "wkr-1",
+          assignedWorkerName: "Bob Worker",
+          projectId: "proj-1",
+          organizationId: "org-1",
+        },
+      ],
+    });
+
+    mockListProjectMaterials.mockResolvedValue([
+      {
+        id: "mat-1",
+        name: "Copper Pipe",
+        unit: "m",
+        quantityOnHand: 10,
+        quantityReserved: 4,
+        status: "active",
+      },
+    ]);
+    mockListTaskMaterialAllocations.mockResolvedValue([
+      {
+        id: "task-1_mat-1",
+        taskId: "task-1",
+        materialId: "mat-1",
+        quantityRequired: 4,
+        status: "reserved",
+      },
+    ]);
+    mockConsumeTaskMaterialAllocation.mockResolvedValue({ consumed: 4 });
+
+    render(<TasksPage />);
+
+    const materialRow = (await screen.findByText("Copper Pipe")).closest("tr");
+    expect(within(materialRow).getByText("10 m")).toBeInTheDocument();
+    expect(within(materialRow).getByText("4 reserved")).toBeInTheDocument();
+
+    const taskCard = screen.getByText("Kitchen Rough-In").closest(".task-card");
+    expect(await within(taskCard).findByText("Reserved")).toBeInTheDocument();
+    await user.click(within(taskCard).getByRole("button", { name: "Mark used" }));
+
+    await waitFor(() => {
+      expect(mockConsumeTaskMaterialAllocation).toHaveBeenCalledWith({
+        taskId: "task-1",
+        materialId: "mat-1",
+        performedBy: "wkr-1",
+        note: "Used on task Kitchen Rough-In",
+      });
+    });
+    expect(
+      await within(taskCard).findByText("4 m deducted from stock."),
+    ).toBeInTheDocument();
+  });
+
+  it("reduces a task allocation and returns the difference to stock", async () => {
+    const user = userEvent.setup();
+
+    primeTasksPageData({
+      tasks: [
+        {
+          id: "task-1",
+          title: "Kitchen Rough-In",
+          description: "Install the kitchen branch lines",
+          dueDate: "2026-04-20",
+          assignedWorkerId: "wkr-1",
+          assignedWorkerName: "Bob Worker",
+          projectId: "proj-1",
+          organizationId: "org-1",
+        },
+      ],
+    });
+
+    mockListProjectMaterials.mockResolvedValue([
+      {
+        id: "mat-1",
+        name: "Copper Pipe",
+        unit: "m",
+        quantityOnHand: 10,
+        status: "active",
+      },
+    ]);
+
+    mockListTaskMaterialAllocations.mockResolvedValue([
+      {
+        id: "task-1_mat-1",
+        taskId: "task-1",
+        materialId: "mat-1",
+        quantityRequired: 5,
+      },
+    ]);
+    mockReleaseTaskMaterialAllocation.mockResolvedValue({ released: 3 });
+
+    render(<TasksPage />);
+
+    const taskCard = (await screen.findByText("Kitchen Rough-In")).closest(
+      ".task-card",
+    );
+    await user.click(
+      await within(taskCard).findByRole("button", { name: "Reduce" }),
+    );
+
+    const qtyInput = within(taskCard).getByLabelText(
+      "New quantity of Copper Pipe for Kitchen Rough-In",
+    );
+    await user.clear(qtyInput);
+    await user.type(qtyInput, "2");
+    await user.click(within(taskCard).getByRole("button", { name: "Save" }));
+
+    await waitFor(() => {
+      expect(mockReleaseTaskMaterialAllocation).toHaveBeenCalledWith({
+        taskId: "task-1",
+        materialId: "mat-1",
+        quantityRequired: 2,
+        performedBy: "mgr-1",
+        note: "Reduced on task Kitchen Rough-In",
+      });
+    });
+    expect(
+      await within(taskCard).findByText("3 m returned to stock."),
+    ).toBeInTheDocument();
   });
 
   it("shows only the first three task materials on the worker dashboard and collapses the rest", async () => {
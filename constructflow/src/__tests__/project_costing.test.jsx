@@ -0,0 +1,108 @@
+import { describe, expect, it } from "vitest";
+import {
+  getTransactionCost,
+  normalizeBudget,
+  summarizeProjectCost,
+} from "../utils/projectCosting";
+
+const materials = [
+  { id: "m1", projectId: "p1", name: "Rebar", unit: "m", unitCost: 5 },
+  { id: "m2", projectId: "p1", name: "Cement", unit: "bag", unitCost: 12 },
+];
+
+describe("projectCosting", () => {
+  it("costs task ledger entries at the captured unit cost", () => {
+    expect(
+      getTransactionCost({
+        type: "TASK_CONSUMPTION",
+        quantityDelta: -4,
+        unitCost: 2.5,
+      }),
+    ).toBe(10);
+    expect(
+      getTransactionCost({
+        type: "ALLOCATION_RELEASE",
+        quantityDelta: 2,
+        unitCost: 2.5,
+      }),
+    ).toBe(-5);
+    expect(
+      getTransactionCost({ type: "RESTOCK", quantityDelta: 50, unitCost: 2.5 }),
+    ).toBe(0);
+  });
+
+  it("falls back to the current price for entries without a unit cost", () => {
+    expect(
+      getTransactionCost(
+        { type: "TASK_ASSIGNMENT_DEDUCTION", quantityDelta: -3, unitCost: null },
+        4,
+      ),
+    ).toBe(12);
+  });
+
+  it("summarizes committed and consumed cost per material", () => {
+    const summary = summarizeProjectCost({
+      budget: 200,
+      materials,
+      allocations: [
+        { materialId: "m1", quantityRequired: 10, status: "reserved" },
+        { materialId: "m2", quantityRequired: 3, status: "consumed" },
+      ],
+      transactions: [
+        {
+          materialId: "m2",
+          type: "TASK_CONSUMPTION",
+          quantityDelta: -3,
+          unitCost: 10,
+        },
+        {
+          materialId: "m2",
+          type: "RESTOCK",
+          quantityDelta: 20,
+          unitCost: 12,
+        },
+      ],
+    });
+
+    expect(summary).toEqual({
+      budget: 200,
+      committedCost: 50,
+      consumedCost: 30,
+      totalCost: 80,
+      remaining: 120,
+      overBudget: false,
+      rows: [
+        {
+          materialId: "m2",
+          materialName: "Cement",
+          unit: "bag",
+          unitCost: 12,
+          committedCost: 0,
+          consumedCost: 30,
+        },
+        {
+          materialId: "m1",
+          materialName: "Rebar",
+          unit: "m",
+          unitCost: 5,
+          committedCost: 50,
+          consumedCost: 0,
+        },
+      ],
+    });
+  });
+
+  it("flags a project whose material cost exceeds its budget", () => {
+    const allocations = [
+      { materialId: "m1", quantityRequired: 21, status: "reserved" },
+    ];
+
+    expect(
+      summarizeProjectCost({ budget: 100, materials, allocations }).overBudget,
+    ).toBe(true);
+    expect(
+      summarizeProjectCost({ budget: 0, materials, allocations }).overBudget,
+    ).toBe(false);
+    expect(normalizeBudget("-5")).toBe(0);
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, expect, it } from "vitest";
+import {
+  buildShortageOrderLine,
+  derivePurchaseOrderStatus,
+  planPurchaseOrderReceipt,
+  validatePurchaseOrderLines,
+} from "../utils/purchaseOrderDomain";
+
+const placedOrder = (lines, status = "ordered") => ({ status, lines });
+
+describe("purchaseOrderDomain", () => {
+  it("validates draft lines", () => {
+    expect(
+      validatePurchaseOrderLines([
+        { materialId: " m1 ", materialName: "Rebar", unit: "m", quantityOrdered: "12" },
+      ]),
+    ).toEqual([
+      {
+        materialId: "m1",
+        materialName: "Rebar",
+        projectId: "",
+        unit: "m",
+        quantityOrdered: 12,
+        quantityReceived: 0,
+      },
+    ]);
+
+    expect(() => validatePurchaseOrderLines([])).toThrow(
+      expect.objectContaining({ code: "INVALID_PURCHASE_ORDER" }),
+    );
+    expect(() =>
+      validatePurchaseOrderLines([{ materialId: "m1", quantityOrdered: 0 }]),
+    ).toThrow(expect.objectContaining({ code: "INVALID_PURCHASE_ORDER" }));
+    expect(() =>
+      validatePurchaseOrderLines([
+        { materialId: "m1", quantityOrdered: 1 },
+        { materialId: "m1", quantityOrdered: 2 },
+      ]),
+    ).toThrow("A material can only appear once per purchase order");
+  });
+
+  it("derives the status from received quantities", () => {
+    const lines = [
+      { materialId: "m1", quantityOrdered: 10, quantityReceived: 10 },
+      { materialId: "m2", quantityOrdered: 5, quantityReceived: 0 },
+    ];
+
+    expect(derivePurchaseOrderStatus(lines, "draft")).toBe("draft");
+    expect(derivePurchaseOrderStatus(lines, "ordered")).toBe("partially_received");
+    expect(
+      derivePurchaseOrderStatus([{ materialId: "m2", quantityOrdered: 5 }], "ordered"),
+    ).toBe("ordered");
+    expect(
+      derivePurchaseOrderStatus(
+        [{ materialId: "m2", quantityOrdered: 5, quantityReceived: 5 }],
+        "partially_received",
+      ),
+    ).toBe("received");
+  });
+
+  it("plans a partial delivery and merges repeated materials", () => {
+    const plan = planPurchaseOrderReceipt(
+      placedOrder([
+        { materialId: "m1", unit: "m", quantityOrdered: 10 },
+        { materialId: "m2", unit: "bag", quantityOrdered: 4 },
+      ]),
+      [
+        { materialId: "m1", quantity: 3 },
+        { materialId: "m1", quantity: 2 },
+        { materialId: "m2", quantity: 0 },
+      ],
+    );
+
+    expect(plan.restocks).toEqual([{ materialId: "m1", quantity: 5 }]);
+    expect(plan.lines[0].quantityReceived).toBe(5);
+    expect(plan.lines[1].quantityReceived).toBe(0);
+    expect(plan.status).toBe("partially_received");
+  });
+
+  it("rejects receipts on unplaced orders, unknown lines and over-deliveries", () => {
+    const lines = [
+      { materialId: "m1", materialName: "Rebar", unit: "m", quantityOrdered: 10, quantityReceived: 8 },
+    ];
+
+    expect(() =>
+      planPurchaseOrderReceipt(placedOrder(lines, "draft"), [
+        { materialId: "m1", quantity: 1 },
+      ]),
+    ).toThrow(expect.objectContaining({ code: "PURCHASE_ORDER_NOT_OPEN" }));
+    expect(() =>
+      planPurchaseOrderReceipt(placedOrder(lines), [{ materialId: "m9", quantity: 1 }]),
+    ).toThrow(expect.objectContaining({ code: "LINE_NOT_FOUND" }));
+    expect(() =>
+      planPurchaseOrderReceipt(placedOrder(lines), [{ materialId: "m1", quantity: 3 }]),
+    ).toThrow("Only 2 m of Rebar is outstanding");
+    expect(() => planPurchaseOrderReceipt(placedOrder(lines), [])).toThrow(
+      expect.objectContaining({ code: "INVALID_QUANTITY" }),
+    );
+  });
+
+  it("builds a shortage line for what available stock cannot cover", () => {
+    expect(
+      buildShortageOrderLine(
+        {
+          id: "m1",
+          projectId: "p1",
+          name: "Copper Pipe",
+          unit: "m",
+          quantityOnHand: 10,
+          quantityReserved: 4,
+        },
+        15,
+      ),
+    ).toEqual({
+      materialId: "m1",
+      materialName: "Copper Pipe",
+      projectId: "p1",
+      unit: "m",
+      quantityOrdered: 9,
+      quantityReceived: 0,
+    });
+  });
+});
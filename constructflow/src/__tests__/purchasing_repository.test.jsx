@@ -0,0 +1,265 @@
+import { describe, it, expect, vi, beforeEach } from "vitest";
+
+vi.mock("../firebase", () => ({ db: {} }));
+
+const mockCollection = vi.fn((database, name) => ({ database, name }));
+const mockWhere = vi.fn((field, op, value) => ({ field, op, value }));
+const mockQuery = vi.fn((ref, ...clauses) => ({ ref, clauses }));
+const mockGetDocs = vi.fn();
+const mockAddDoc = vi.fn();
+const mockDeleteDoc = vi.fn(() => Promise.resolve());
+const mockServerTimestamp = vi.fn(() => "__ts__");
+
+const mockDoc = vi.fn((refOrDb, nameOrId, maybeId) => {
+  if (maybeId !== undefined) {
+    return { database: refOrDb, name: nameOrId, id: maybeId };
+  }
+  return { database: refOrDb, name: "", id: nameOrId };
+});
+
+let transactionGet = vi.fn();
+let transactionUpdate = vi.fn();
+let transactionSet = vi.fn();
+let transactionDelete = vi.fn();
+const mockRunTransaction = vi.fn(async (_db, callback) =>
+  callback({
+    get: transactionGet,
+    update: transactionUpdate,
+    set: transactionSet,
+    delete: transactionDelete,
+  }),
+);
+
+vi.mock("firebase/firestore", () => ({
+  addDoc: (...args) => mockAddDoc(...args),
+  collection: (...args) => mockCollection(...args),
+  deleteDoc: (...args) => mockDeleteDoc(...args),
+  doc: (...args) => mockDoc(...args),
+  runTransaction: (...args) => mockRunTransaction(...args),
+  serverTimestamp: (...args) => mockServerTimestamp(...args),
+  updateDoc: vi.fn(),
+  setDoc: vi.fn(),
+  writeBatch: vi.fn(),
+  where: (...args) => mockWhere(...args),
+  query: (...args) => mockQuery(...args),
+  getDocs: (...args) => mockGetDocs(...args),
+}));
+
+import {
+  createPurchaseOrder,
+  createSupplier,
+  listSuppliers,
+  placePurchaseOrder,
+  receivePurchaseOrder,
+  removePurchaseOrder,
+} from "../utils/purchasingRepository";
+
+const makeSnap = (rows) => ({
+  docs: rows.map((row) => ({
+    id: row.id,
+    data: () => row,
+  })),
+});
+
+const makeTxDocSnap = ({ id, data, exists = true }) => ({
+  id,
+  exists: () => exists,
+  data: () => data,
+});
+
+const orderSnap = (data) =>
+  makeTxDocSnap({
+    id: "po-1",
+    data: {
+      organizationId: "org-1",
+      supplierId: "s1",
+      supplierName: "BuildCo",
+      lines: [
+        {
+          materialId: "m1",
+          materialName: "Rebar",
+          projectId: "p1",
+          unit: "m",
+          quantityOrdered: 10,
+          quantityReceived: 0,
+        },
+        {
+          materialId: "m2",
+          materialName: "Cement",
+          projectId: "p1",
+          unit: "bag",
+          quantityOrdered: 4,
+          quantityReceived: 0,
+        },
+      ],
+      ...data,
+    },
+  });
+
+describe("purchasingRepository suppliers and drafts", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    transactionGet = vi.fn();
+    transactionUpdate = vi.fn();
+    transactionDelete = vi.fn();
+  });
+
+  it("lists suppliers for the organization sorted by name", async () => {
+    mockGetDocs.mockResolvedValueOnce(
+      makeSnap([
+        { id: "s2", organizationId: "org-1", name: "Steelworks" },
+        { id: "s1", organizationId: "org-1", name: "BuildCo" },
+      ]),
+    );
+
+    const suppliers = await listSuppliers({ organizationId: "org-1" });
+
+    expect(mockWhere).toHaveBeenCalledWith("organizationId", "==", "org-1");
+    expect(suppliers.map((supplier) => supplier.id)).toEqual(["s1", "s2"]);
+  });
+
+  it("requires a supplier name", async () => {
+    await expect(
+      createSupplier({ organizationId: "org-1", name: "  " }),
+    ).rejects.toMatchObject({ code: "INVALID_SUPPLIER" });
+    expect(mockAddDoc).not.toHaveBeenCalled();
+  });
+
+  it("saves a new purchase order as a draft", async () => {
+    mockAddDoc.mockResolvedValueOnce({ id: "po-1" });
+
+    const order = await createPurchaseOrder({
+      organizationId: "org-1",
+      lines: [{ materialId: "m1", materialName: "Rebar", unit: "m", quantityOrdered: 9 }],
+      note: " Shortage ",
+      createdBy: "mgr-1",
+    });
+
+    expect(mockAddDoc).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "purchaseOrders" }),
+      expect.objectContaining({
+        status: "draft",
+        supplierId: "",
+        note: "Shortage",
+        lines: [expect.objectContaining({ materialId: "m1", quantityOrdered: 9 })],
+      }),
+    );
+    expect(order.id).toBe("po-1");
+  });
+
+  it("refuses to place a draft without a supplier", async () => {
+    transactionGet = vi.fn(async () =>
+      orderSnap({ status: "draft", supplierId: "", supplierName: "" }),
+    );
+
+    await expect(placePurchaseOrder({ orderId: "po-1" })).rejects.toMatchObject({
+      code: "SUPPLIER_REQUIRED",
+    });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+  });
+
+  it("places a draft with a supplier", async () => {
+    transactionGet = vi.fn(async () => orderSnap({ status: "draft" }));
+
+    await placePurchaseOrder({ orderId: "po-1", performedBy: "mgr-1" });
+
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "purchaseOrders", id: "po-1" }),
+      expect.objectContaining({ status: "ordered", orderedBy: "mgr-1" }),
+    );
+  });
+
+  it("only deletes draft orders", async () => {
+    transactionGet = vi.fn(async () => orderSnap({ status: "ordered" }));
+
+    await expect(removePurchaseOrder({ orderId: "po-1" })).rejects.toMatchObject({
+      code: "PURCHASE_ORDER_NOT_DRAFT",
+    });
+    expect(transactionDelete).not.toHaveBeenCalled();
+  });
+});
+
+describe("purchasingRepository receiving", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    transactionGet = vi.fn(async (ref) => {
+      if (ref.name === "purchaseOrders") return orderSnap({ status: "ordered" });
+      return makeTxDocSnap({
+        id: ref.id,
+        data: {
+          organizationId: "org-1",
+          projectId: "p1",
+          name: ref.id === "m1" ? "Rebar" : "Cement",
+          quantityOnHand: 2,
+          status: "active",
+        },
+      });
+    });
+    transactionUpdate = vi.fn();
+    transactionSet = vi.fn();
+  });
+
+  it("restocks received lines through the ledger and marks the order partially received", async () => {
+    const result = await receivePurchaseOrder({
+      orderId: "po-1",
+      receipts: [{ materialId: "m1", quantity: 6 }],
+      performedBy: "mgr-1",
+    });
+
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "materials", id: "m1" }),
+      expect.objectContaining({ quantityOnHand: 8, status: "active" }),
+    );
+    expect(transactionSet).toHaveBeenCalledTimes(1);
+    expect(transactionSet).toHaveBeenCalledWith(
+      expect.anything(),
+      expect.objectContaining({
+        materialId: "m1",
+        type: "RESTOCK",
+        quantityDelta: 6,
+        beforeQty: 2,
+        afterQty: 8,
+        performedBy: "mgr-1",
+        note: "Received on purchase order from BuildCo",
+      }),
+    );
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "purchaseOrders", id: "po-1" }),
+      expect.objectContaining({
+        status: "partially_received",
+        lines: [
+          expect.objectContaining({ materialId: "m1", quantityReceived: 6 }),
+          expect.objectContaining({ materialId: "m2", quantityReceived: 0 }),
+        ],
+      }),
+    );
+    expect(result.status).toBe("partially_received");
+  });
+
+  it("marks the order received once every line is in", async () => {
+    await receivePurchaseOrder({
+      orderId: "po-1",
+      receipts: [
+        { materialId: "m1", quantity: 10 },
+        { materialId: "m2", quantity: 4 },
+      ],
+    });
+
+    expect(transactionSet).toHaveBeenCalledTimes(2);
+    expect(transactionUpdate).toHaveBeenCalledWith(
+      expect.objectContaining({ name: "purchaseOrders" }),
+      expect.objectContaining({ status: "received", receivedAt: "__ts__" }),
+    );
+  });
+
+  it("rejects receiving more than is outstanding without writing", async () => {
+    await expect(
+      receivePurchaseOrder({
+        orderId: "po-1",
+        receipts: [{ materialId: "m2", quantity: 5 }],
+      }),
+    ).rejects.toMatchObject({ code: "OVER_RECEIPT" });
+    expect(transactionUpdate).not.toHaveBeenCalled();
+    expect(transactionSet).not.toHaveBeenCalled();
+  });
+});
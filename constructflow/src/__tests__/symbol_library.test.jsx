@@ -0,0 +1,206 @@
+import { render, screen, waitFor } from "@testing-library/react";
+import userEvent from "@testing-library/user-event";
+import { beforeEach, describe, expect, it, vi } from "vitest";
+
+const mockUseAuth = vi.fn();
+
+vi.mock("../contexts/AuthContext", () => ({
+  useAuth: () => mockUseAuth(),
+}));
+
+vi.mock("../firebase", () => ({ db: {} }));
+
+vi.mock("../components/Sidebar", () => ({
+  default: () => <nav data-testid="sidebar" />,
+}));
+
+vi.mock("../components/Header", () => ({
+  default: ({ title }) => <header data-testid="header">{title}</header>,
+}));
+
+const mockGetDoc = vi.fn();
+const mockUpdateDoc = vi.fn();
+
+vi.mock("firebase/firestore", () => ({
+  doc: vi.fn((database, name, id) => ({ name, id })),
+  getDoc: (...args) => mockGetDoc(...args),
+  updateDoc: (...args) => mockUpdateDoc(...args),
+}));
+
+const mockListOrganizationMaterials = vi.fn();
+
+vi.mock("../utils/materialsRepository", () => ({
+  listOrganizationMaterials: (...args) =>
+    mockListOrganizationMaterials(...args),
+}));
+
+import SymbolLibraryPage from "../pages/SymbolLibraryPage";
+import {
+  buildSymbolLibrary,
+  createSymbolKey,
+  findSymbol,
+  getPaletteSymbols,
+  SYMBOL_INVALID_ERROR,
+} from "../utils/symbolLibrary";
+import { saveSymbolLibrary } from "../utils/symbolLibraryRepository";
+import { getPointTaskLabel } from "../utils/blueprintLabels";
+import { suggestTakeoffMaterialId } from "../utils/blueprintTakeoff";
+import { buildExportLegend } from "../utils/blueprintExport";
+
+const gfci = {
+  key: "gfci_outlet",
+  toolGroup: "electrical",
+  label: "GFCI Outlet",
+  color: "#DC2626",
+  icon: "square",
+  materialName: "GFCI receptacle 20A",
+};
+
+describe("symbol library", () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockUseAuth.mockReturnValue({
+      currentUser: { uid: "mgr-1" },
+      organizationId: "org-1",
+    });
+    mockListOrganizationMaterials.mockResolvedValue([]);
+    mockUpdateDoc.mockResolvedValue();
+  });
+
+  it("keeps the built-ins, applies saved changes and adds custom symbols", () => {
+    const library = buildSymbolLibrary([
+      { key: "valve", toolGroup: "plumbing", label: "Shutoff Valve" },
+      { key: "join_4_way", toolGroup: "electrical", archived: true },
+      gfci,
+    ]);
+
+    expect(findSymbol(library, "plumbing", "valve").label).toBe(
+      "Shutoff Valve",
+    );
+    // Legacy "fixture" tasks follow the valve symbol.
+    expect(getPointTaskLabel("fixture", "plumbing", library)).toBe(
+      "Shutoff Valve",
+    );
+    expect(findSymbol(library, "electrical", "gfci_outlet")).toMatchObject({
+      color: "#dc2626",
+      icon: "square",
+      builtIn: false,
+    });
+
+    const palette = getPaletteSymbols(library, "electrical").map((s) => s.key);
+    expect(palette).toEqual([
+      "valve",
+      "join_2_way",
+      "join_3_way",
+      "gfci_outlet",
+    ]);
+    // Archived symbols still label the tasks already placed with them.
+    expect(getPointTaskLabel("join_4_way", "electrical", library)).toBe(
+      "Ethernet/Data Port",
+    );
+  });
+
+  it("creates stable, unique keys per trade", () => {
+    const library = buildSymbolLibrary([gfci]);
+    expect(createSymbolKey("Cleanout", library, "plumbing")).toBe("cleanout");
+    expect(createSymbolKey("GFCI outlet!", library, "electrical")).toBe(
+      "gfci_outlet_2",
+    );
+    expect(createSymbolKey("GFCI outlet", library, "plumbing")).toBe(
+      "gfci_outlet",
+    );
+    expect(createSymbolKey("Valve", library, "plumbing")).toBe("valve_2");
+  });
+
+  it("refuses to save two active symbols with the same label", async () => {
+    const library = buildSymbolLibrary([{ ...gfci, key: "outlet_gfci" }, gfci]);
+
+    await expect(
+      saveSymbolLibrary({ organizationId: "org-1", library }),
+    ).rejects.toMatchObject({ code: SYMBOL_INVALID_ERROR });
+    expect(mockUpdateDoc).not.toHaveBeenCalled();
+  });
+
+  it("uses symbol labels, styles and default materials downstream", () => {
+    const library = buildSymbolLibrary([gfci]);
+    const line = {
+      kind: "count",
+      toolGroup: "electrical",
+      type: "gfci_outlet",
+      quantity: 3,
+      materialName: gfci.materialName,
+    };
+    const materials = [
+      { id: "m1", name: "Outlet GFCI spare", unit: "pcs" },
+      { id: "m2", name: "gfci receptacle 20a", unit: "pcs" },
+    ];
+    expect(suggestTakeoffMaterialId(line, "GFCI Outlet", materials)).toBe("m2");
+
+    const legend = buildExportLegend(
+      [
+        {
+          type: "connection",
+          toolGroup: "electrical",
+          pathPoints: [],
+          pointTasks: [{ requiredType: "gfci_outlet" }],
+        },
+      ],
+      {
+        lineLabel: (type) => type,
+        fixtureLabel: () => "",
+        pointLabel: (type, toolGroup) =>
+          getPointTaskLabel(type, toolGroup, library),
+        pointStyle: (type, toolGroup) => {
+          const symbol = findSymbol(library, toolGroup, type);
+          return { symbol: symbol.icon, color: symbol.color };
+        },
+      },
+    );
+    expect(legend.find((entry) => entry.kind === "symbol")).toMatchObject({
+      label: "GFCI Outlet",
+      symbol: "square",
+      color: "#dc2626",
+    });
+  });
+
+  it("lets a manager add a symbol and save the library", async () => {
+    const user = userEvent.setup();
+    mockGetDoc.mockResolvedValue({
+      exists: () => true,
+      data: () => ({ name: "Org", symbolLibrary: [] }),
+    });
+    mockListOrganizationMaterials.mockResolvedValue([
+      { id: "m1", name: "Cleanout plug 4in" },
+    ]);
+    render(<SymbolLibraryPage />);
+
+    expect(
+      await screen.findByLabelText("Label for plumbing:valve"),
+    ).toBeInTheDocument();
+    expect(screen.getByRole("button", { name: "Save library" })).toBeDisabled();
+
+    await user.type(screen.getByLabelText("New symbol label"), "Cleanout");
+    await user.type(
+      screen.getByLabelText("New symbol default material"),
+      "Cleanout plug 4in",
+    );
+    await user.click(screen.getByRole("button", { name: "Add symbol" }));
+    await user.click(screen.getByRole("button", { name: "Save library" }));
+
+    await waitFor(() => expect(mockUpdateDoc).toHaveBeenCalledTimes(1));
+    const [ref, patch] = mockUpdateDoc.mock.calls[0];
+    expect(ref).toEqual({ name: "organizations", id: "org-1" });
+    expect(patch.symbolLibrary).toContainEqual({
+      key: "cleanout",
+      toolGroup: "plumbing",
+      label: "Cleanout",
+      color: "#0f766e",
+      icon: "circle",
+      materialName: "Cleanout plug 4in",
+      archived: false,
+    });
+    expect(
+      await screen.findByText("Symbol library saved."),
+    ).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, expect, it } from "vitest";
+import {
+  areUnitsCompatible,
+  convertQuantity,
+  getCompatibleUnits,
+  getUnitFamily,
+} from "../utils/unitConversion";
+
+describe("unitConversion", () => {
+  it("groups units into length, mass, volume and count families", () => {
+    expect(getUnitFamily("ft")).toBe("length");
+    expect(getUnitFamily(" KG ")).toBe("mass");
+    expect(getUnitFamily("ml")).toBe("volume");
+    expect(getUnitFamily("pcs")).toBe("count");
+    expect(getUnitFamily("box")).toBeNull();
+  });
+
+  it("converts between compatible units", () => {
+    expect(convertQuantity(10, "ft", "m")).toBe(3.048);
+    expect(convertQuantity(2.5, "kg", "g")).toBe(2500);
+    expect(convertQuantity(750, "ml", "l")).toBe(0.75);
+    expect(convertQuantity(4, "pcs", "unit")).toBe(4);
+  });
+
+  it("treats packaging units as compatible only with themselves", () => {
+    expect(areUnitsCompatible("roll", "roll")).toBe(true);
+    expect(areUnitsCompatible("roll", "box")).toBe(false);
+    expect(getCompatibleUnits("roll")).toEqual(["roll"]);
+    expect(getCompatibleUnits("m")).toEqual(
+      expect.arrayContaining(["m", "ft", "cm"]),
+    );
+  });
+
+  it("rejects incompatible units with INCOMPATIBLE_UNITS", () => {
+    expect(() => convertQuantity(3, "kg", "m")).toThrow(
+      expect.objectContaining({
+        code: "INCOMPATIBLE_UNITS",
+        details: { fromUnit: "kg", toUnit: "m" },
+      }),
+    );
+  });
+});
@@ -1,4 +1,4 @@
-import { fireEvent, render, screen } from "@testing-library/react";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
 import { beforeEach, describe, expect, it, vi } from "vitest";
 
 import WorkerDashboard from "../pages/WorkerDashboard";
@@ -26,11 +26,13 @@ vi.mock("../firebase", () => ({ db: {} }));
 
 const mockListProjectMaterials = vi.fn(async () => []);
 const mockListTaskMaterialAllocations = vi.fn(async () => []);
+const mockReportTaskMaterialUsage = vi.fn(async () => ({ id: "r1" }));
 
 vi.mock("../utils/materialsRepository", () => ({
   listProjectMaterials: (...args) => mockListProjectMaterials(...args),
   listTaskMaterialAllocations: (...args) =>
     mockListTaskMaterialAllocations(...args),
+  reportTaskMaterialUsage: (...args) => mockReportTaskMaterialUsage(...args),
 }));
 
 const mockCollection = vi.fn((database, name) => ({ database, name }));
@@ -236,4 +238,68 @@ describe("Worker sees assigned tasks on dashboard", () => {
     expect(getStatValue("Completed")).toBe("0");
     expect(getStatValue("Pending")).toBe("0");
   });
+
+  it("Test 4: worker reports a material shortage without leaving the dashboard", async () => {
+    mockListProjectMaterials.mockResolvedValueOnce([
+      { id: "m1", name: "PVC Pipe", unit: "m", quantityOnHand: 40 },
+    ]);
+    mockListTaskMaterialAllocations.mockResolvedValueOnce([
+      { materialId: "m1", quantityRequired: 12, unit: "m", status: "reserved" },
+    ]);
+
+    setupPage({
+      workerRecord: {
+        organizationId: "org-1",
+        role: "plumber",
+        isClockedIn: false,
+      },
+      projects: [
+        { id: "p1", organizationId: "org-1", name: "Tower A", status: "active" },
+      ],
+      tasks: [
+        {
+          id: "t1",
+          organizationId: "org-1",
+          projectId: "p1",
+          assignedWorkerId: "wkr-1",
+          title: "Lay Pipe",
+          dueDate: "2026-04-01",
+          completed: false,
+        },
+      ],
+    });
+
+    fireEvent.click(await screen.findByRole("button", { name: "Report materials" }));
+    expect(mockNavigate).not.toHaveBeenCalled();
+
+    fireEvent.change(screen.getByLabelText("Report type for Lay Pipe"), {
+      target: { value: "shortage" },
+    });
+    fireEvent.change(screen.getByLabelText("Reported quantity for Lay Pipe"), {
+      target: { value: "3" },
+    });
+    fireEvent.change(screen.getByLabelText("Report note for Lay Pipe"), {
+      target: { value: "Extra run to the boiler" },
+    });
+    fireEvent.click(screen.getByRole("button", { name: "Send report" }));
+
+    expect(await screen.findByText("Report sent to your manager.")).toBeInTheDocument();
+    expect(mockReportTaskMaterialUsage).toHaveBeenCalledWith({
+      organizationId: "org-1",
+      projectId: "p1",
+      taskId: "t1",
+      taskTitle: "Lay Pipe",
+      materialId: "m1",
+      kind: "shortage",
+      quantity: 3,
+      unit: undefined,
+      note: "Extra run to the boiler",
+      reportedBy: "wkr-1",
+      reportedByName: "Bob Worker",
+    });
+    await waitFor(() =>
+      expect(screen.queryByRole("button", { name: "Send report" })).not.toBeInTheDocument(),
+    );
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
 });
@@ -1,5 +1,11 @@
 import { useState, useRef, useEffect, useCallback, useMemo } from "react";
 import { MdArchitecture } from "react-icons/md";
+import {
+  formatMeasuredLength,
+  getPathLengthPixels,
+} from "../utils/blueprintTakeoff";
+import { getObjectToolGroup } from "../utils/blueprintLabels";
+import { findSymbol } from "../utils/symbolLibrary";
 import "../styles/BlueprintCanvas.css";
 
 /**
@@ -13,6 +19,16 @@ import "../styles/BlueprintCanvas.css";
  *   drawing  — activeObjectId is set; clicks add points, double-click finishes
  *   dragging — selectedObjectId is set and user mousedowns on a finished path;
  *              the whole path translates without changing its shape
+ *   ruler    — rulerMode is "measure" or "calibrate"; two clicks span a
+ *              distance without creating an object. Calibration hands the
+ *              pixel distance to onCalibrate.
+ *
+ * Routing problems (see utils/blueprintClashes) are drawn as markers on top
+ * of everything, and the elements involved are outlined. Points with a task
+ * take the colour of its symbol from the organisation's library.
+ *
+ * Passing a new `focusRect` (natural-image pixels) zooms and pans so that
+ * area sits in the middle of the view; elements flagged `dimmed` fade back.
  */
 function BlueprintCanvas({
   imageUrl,
@@ -29,12 +45,23 @@ function BlueprintCanvas({
   onPointSelected,
   isWorker = false,
   showGrid = false,
+  pixelsPerMeter = null,
+  rulerMode = null,
+  onCalibrate,
+  problems = [],
+  selectedProblemId = null,
+  onProblemSelected,
+  symbols = [],
+  focusRect = null,
 }) {
   // ── Drawing state ─────────────────────────────────────────────────────────
   const [currentPoints, setCurrentPoints] = useState([]);
   const [redoStack, setRedoStack] = useState([]);
   const [mousePos, setMousePos] = useState(null);
   const [fixtureDraftRect, setFixtureDraftRect] = useState(null);
+  // Points belong to the mode they were placed in, so switching tools drops them.
+  const [ruler, setRuler] = useState({ mode: null, points: [] });
+  const rulerPoints = rulerMode && ruler.mode === rulerMode ? ruler.points : [];
 
   // ── Drag-to-reposition state ──────────────────────────────────────────────
   const [dragging, setDragging] = useState(false);
@@ -44,12 +71,18 @@ function BlueprintCanvas({
   const [imgRect, setImgRect] = useState(null); // rendered rect inside container
   const [naturalSize, setNaturalSize] = useState(null);
   const [zoom, setZoom] = useState(1);
+  // Offset of the image in unzoomed screen pixels, so it holds at any zoom.
+  const [pan, setPan] = useState({ x: 0, y: 0 });
+  const lastFocusRef = useRef(null);
   const [shiftPressed, setShiftPressed] = useState(false);
 
   const containerRef = useRef(null);
   const imgRef = useRef(null);
   const MIN_ZOOM = 0.5;
   const MAX_ZOOM = 4;
+  const FOCUS_MAX_ZOOM = 3;
+  // Smallest area to frame, so a single point keeps some surroundings.
+  const FOCUS_MIN_SIZE = 80;
 
   const normalizeRect = useCallback((start, end) => {
     const left = Math.min(start.x, end.x);
@@ -108,6 +141,7 @@ function BlueprintCanvas({
 
   const resetZoom = useCallback(() => {
     setZoom(1);
+    setPan({ x: 0, y: 0 });
   }, []);
 
   // ── Measure rendered image rect ───────────────────────────────────────────
@@ -124,6 +158,8 @@ function BlueprintCanvas({
       top: iRect.top - cRect.top,
       width: iRect.width,
       height: iRect.height,
+      // Which image was measured, so a focus request waits for a new sheet.
+      src: img.getAttribute("src"),
     });
     setNaturalSize({ w: img.naturalWidth, h: img.naturalHeight });
   }, []);
@@ -140,6 +176,7 @@ function BlueprintCanvas({
     setImgRect(null);
     setNaturalSize(null);
     setZoom(1);
+    setPan({ x: 0, y: 0 });
   }, [imageUrl]);
 
   useEffect(() => {
@@ -147,7 +184,45 @@ function BlueprintCanvas({
       measureImage();
     });
     return () => cancelAnimationFrame(rafId);
-  }, [zoom, measureImage]);
+  }, [zoom, pan, measureImage]);
+
+  // ── Focus on an area ──────────────────────────────────────────────────────
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!focusRect || focusRect === lastFocusRef.current) return;
+    if (!container || !naturalSize || imgRect?.src !== imageUrl) return;
+    lastFocusRef.current = focusRect;
+
+    const rafId = requestAnimationFrame(() => {
+      const cRect = container.getBoundingClientRect();
+      // Image size on screen at zoom 1
+      const baseWidth = imgRect.width / zoom;
+      const baseHeight = imgRect.height / zoom;
+      const areaWidth =
+        (Math.max(focusRect.width, FOCUS_MIN_SIZE) / naturalSize.w) * baseWidth;
+      const areaHeight =
+        (Math.max(focusRect.height, FOCUS_MIN_SIZE) / naturalSize.h) *
+        baseHeight;
+      const nextZoom = Math.min(
+        FOCUS_MAX_ZOOM,
+        Math.max(
+          1,
+          Math.min(
+            (cRect.width * 0.6) / areaWidth,
+            (cRect.height * 0.6) / areaHeight,
+          ),
+        ),
+      );
+      const centerX = focusRect.x + focusRect.width / 2;
+      const centerY = focusRect.y + focusRect.height / 2;
+      setZoom(nextZoom);
+      setPan({
+        x: -(centerX / naturalSize.w - 0.5) * baseWidth,
+        y: -(centerY / naturalSize.h - 0.5) * baseHeight,
+      });
+    });
+    return () => cancelAnimationFrame(rafId);
+  }, [focusRect, imageUrl, imgRect, naturalSize, zoom]);
 
   // ── Reset drawing state when active element changes ───────────────────────
   useEffect(() => {
@@ -312,6 +387,10 @@ function BlueprintCanvas({
       setFixtureDraftRect((prev) => ({ ...prev, current: raw, rect }));
     }
 
+    if (rulerMode && !activeObjectId) {
+      setMousePos(shiftPressed ? snapToGrid(raw) : raw);
+    }
+
     if (activeObjectId) {
       const snappedToGrid = shiftPressed ? snapToGrid(raw) : raw;
       const shouldSnapToFixture = [
@@ -330,7 +409,30 @@ function BlueprintCanvas({
     }
   };
 
+  const handleRulerClick = (e) => {
+    const raw = clientToSvg(e.clientX, e.clientY);
+    const pos = shiftPressed ? snapToGrid(raw) : raw;
+    if (rulerPoints.length !== 1) {
+      setRuler({ mode: rulerMode, points: [pos] });
+      return;
+    }
+
+    const points = [rulerPoints[0], pos];
+    if (rulerMode === "calibrate") {
+      setRuler({ mode: rulerMode, points: [] });
+      setMousePos(null);
+      const pixels = getPathLengthPixels(points);
+      if (pixels > 0 && onCalibrate) onCalibrate(pixels);
+      return;
+    }
+    setRuler({ mode: rulerMode, points });
+  };
+
   const handleSvgClick = (e) => {
+    if (rulerMode && !activeObjectId && !dragging) {
+      handleRulerClick(e);
+      return;
+    }
     if (!activeObjectId || dragging) return;
     if (isDrawingFixtureArea) return;
     const raw = clientToSvg(e.clientX, e.clientY);
@@ -414,7 +516,7 @@ function BlueprintCanvas({
 
   // ── Drag-to-reposition handlers ───────────────────────────────────────────
   const handlePathMouseDown = (e, obj) => {
-    if (activeObjectId) return; // don't drag while drawing
+    if (activeObjectId || rulerMode) return; // don't drag while drawing or measuring
 
     if (obj.id !== selectedObjectId) {
       return;
@@ -470,6 +572,25 @@ function BlueprintCanvas({
     return `M ${last.x.toFixed(2)} ${last.y.toFixed(2)} L ${mousePos.x.toFixed(2)} ${mousePos.y.toFixed(2)}`;
   };
 
+  // Labels are sized in screen pixels, so scale them into image space.
+  const problemObjectIds = new Set(
+    problems.flatMap((problem) => problem.objectIds),
+  );
+
+  const labelSize =
+    imgRect && naturalSize ? (13 * naturalSize.w) / imgRect.width : 13;
+
+  const drawingLengthLabel = () => {
+    if (currentPoints.length === 0 || !mousePos) return null;
+    const last = currentPoints[currentPoints.length - 1];
+    const segment = getPathLengthPixels([last, mousePos]);
+    const total = getPathLengthPixels(currentPoints) + segment;
+    return `${formatMeasuredLength(segment, pixelsPerMeter)} · total ${formatMeasuredLength(total, pixelsPerMeter)}`;
+  };
+
+  const rulerEnd =
+    rulerPoints.length === 2 ? rulerPoints[1] : rulerPoints[0] && mousePos;
+
   const trianglePoints = (point, size = 7) => {
     const x = point.x;
     const y = point.y;
@@ -536,14 +657,16 @@ function BlueprintCanvas({
         src={imageUrl}
         alt="Blueprint"
         className="blueprint-image"
-        style={{ transform: `scale(${zoom})` }}
+        style={{
+          transform: `scale(${zoom}) translate(${pan.x}px, ${pan.y}px)`,
+        }}
         onLoad={measureImage}
         draggable={false}
       />
 
       {imgRect && naturalSize && (
         <svg
-          className={`drawing-layer${activeObjectId ? " drawing" : ""}${dragging ? " dragging" : ""}`}
+          className={`drawing-layer${activeObjectId || rulerMode ? " drawing" : ""}${dragging ? " dragging" : ""}`}
           style={{
             position: "absolute",
             left: imgRect.left,
@@ -595,6 +718,17 @@ function BlueprintCanvas({
             const isSelected = obj.id === selectedObjectId;
             // Guard: isOwn is only true when a real uid matches AND obj is actually assigned
             const isOwn = obj.isOwn === true;
+            // Set when comparing revisions: added, removed, moved, ghost, reassigned
+            const diffClass = obj.diffStatus ? ` diff-${obj.diffStatus}` : "";
+            const problemClass = problemObjectIds.has(obj.id)
+              ? " has-problem"
+              : "";
+            // Layer opacity (faded further when dimmed), and no pointer events
+            // while the layer is locked
+            const layerProps = {
+              opacity: (obj.layerOpacity ?? 1) * (obj.dimmed ? 0.2 : 1),
+              className: obj.layerLocked ? "layer-locked" : undefined,
+            };
 
             if (obj.type === "fixture_area" && obj.rect) {
               const points = getFixtureConnectionPoints(
@@ -602,15 +736,15 @@ function BlueprintCanvas({
                 obj.connectionCount || 1,
               );
               return (
-                <g key={obj.id}>
+                <g key={obj.id} {...layerProps}>
                   <rect
                     x={obj.rect.x}
                     y={obj.rect.y}
                     width={obj.rect.width}
                     height={obj.rect.height}
-                    className={`fixture-area${isSelected ? " selected" : ""}`}
+                    className={`fixture-area${isSelected ? " selected" : ""}${diffClass}${problemClass}`}
                     onClick={(e) => {
-                      if (activeObjectId || dragging) return;
+                      if (activeObjectId || rulerMode || dragging) return;
                       e.stopPropagation();
                       onObjectSelected && onObjectSelected(obj);
                     }}
@@ -630,7 +764,7 @@ function BlueprintCanvas({
 
             const d = pointsToPath(obj.pathPoints);
             return (
-              <g key={obj.id}>
+              <g key={obj.id} {...layerProps}>
                 {/* Green outline rendered BEHIND the colored path for completed elements */}
                 {obj.completed && d && (
                   <path
@@ -642,7 +776,7 @@ function BlueprintCanvas({
                 )}
                 <path
                   d={d}
-                  className={`blueprint-object ${obj.type}${isSelected ? " selected" : ""}${isOwn ? " own-element" : ""}`}
+                  className={`blueprint-object ${obj.type}${isSelected ? " selected" : ""}${isOwn ? " own-element" : ""}${diffClass}${problemClass}`}
                   strokeWidth={isSelected ? 7 : 5}
                   fill="none"
                   style={{
@@ -656,7 +790,7 @@ function BlueprintCanvas({
                   }}
                   onMouseDown={(e) => !isWorker && handlePathMouseDown(e, obj)}
                   onClick={(e) => {
-                    if (activeObjectId || dragging) return;
+                    if (activeObjectId || rulerMode || dragging) return;
                     e.stopPropagation();
                     onObjectSelected && onObjectSelected(obj);
                   }}
@@ -666,14 +800,20 @@ function BlueprintCanvas({
                   const isPointSelected =
                     selectedPoint?.objectId === obj.id &&
                     selectedPoint?.pointIndex === pointIndex;
+                  const symbol = findSymbol(
+                    symbols,
+                    getObjectToolGroup(obj),
+                    obj.pointTasks?.[pointIndex]?.requiredType,
+                  );
 
                   return (
                     <g key={`${obj.id}-point-${pointIndex}`}>
                       <polygon
                         points={trianglePoints(point)}
                         className={`path-point-triangle${isPointSelected ? " selected" : ""}`}
+                        style={symbol ? { fill: symbol.color } : undefined}
                         onClick={(e) => {
-                          if (activeObjectId || dragging) return;
+                          if (activeObjectId || rulerMode || dragging) return;
                           e.stopPropagation();
                           if (activePointTool && onPointToolHover) {
                             onPointToolHover(
@@ -729,8 +869,76 @@ function BlueprintCanvas({
                   className="path-point"
                 />
               ))}
+              {mousePos && (
+                <text
+                  x={mousePos.x + labelSize}
+                  y={mousePos.y - labelSize}
+                  fontSize={labelSize}
+                  className="measure-label"
+                >
+                  {drawingLengthLabel()}
+                </text>
+              )}
             </>
           )}
+
+          {/* Ruler: measure or calibrate without creating an object */}
+          {rulerMode && rulerPoints[0] && (
+            <g className={`ruler ${rulerMode}`}>
+              {rulerEnd && (
+                <line
+                  x1={rulerPoints[0].x}
+                  y1={rulerPoints[0].y}
+                  x2={rulerEnd.x}
+                  y2={rulerEnd.y}
+                  className="ruler-line"
+                />
+              )}
+              {[rulerPoints[0], rulerEnd].filter(Boolean).map((p, i) => (
+                <circle
+                  key={i}
+                  cx={p.x}
+                  cy={p.y}
+                  r="5"
+                  className="ruler-point"
+                />
+              ))}
+              {rulerEnd && (
+                <text
+                  x={rulerEnd.x + labelSize}
+                  y={rulerEnd.y - labelSize}
+                  fontSize={labelSize}
+                  className="measure-label"
+                >
+                  {formatMeasuredLength(
+                    getPathLengthPixels([rulerPoints[0], rulerEnd]),
+                    pixelsPerMeter,
+                  )}
+                </text>
+              )}
+            </g>
+          )}
+
+          {problems.length > 0 && (
+            <g className="problem-layer">
+              {problems.map((problem) => (
+                <circle
+                  key={problem.id}
+                  cx={problem.point.x}
+                  cy={problem.point.y}
+                  r={problem.id === selectedProblemId ? 14 : 9}
+                  className={`problem-marker ${problem.severity}${problem.id === selectedProblemId ? " selected" : ""}`}
+                  onClick={(e) => {
+                    if (activeObjectId || rulerMode) return;
+                    e.stopPropagation();
+                    onProblemSelected && onProblemSelected(problem);
+                  }}
+                >
+                  <title>{problem.message}</title>
+                </circle>
+              ))}
+            </g>
+          )}
         </svg>
       )}
     </div>
@@ -0,0 +1,178 @@
+/**
+ * BlueprintExportPanel.jsx
+ *
+ * Downloads the open sheet as a marked-up PNG or PDF with a legend, for
+ * printing on site. The print can be narrowed to one trade or one worker.
+ */
+
+import { useState } from "react";
+import {
+  buildExportLegend,
+  canvasToBlob,
+  canvasToPdfBlob,
+  EXPORT_ALL,
+  EXPORT_UNASSIGNED,
+  filterExportObjects,
+  loadExportImage,
+  renderBlueprintExport,
+} from "../utils/blueprintExport";
+import { formatDateTime } from "../utils/dateTime";
+
+const TRADE_OPTIONS = [
+  { value: EXPORT_ALL, label: "All trades" },
+  { value: "plumbing", label: "Plumbing" },
+  { value: "electrical", label: "Electrical" },
+];
+
+const slugify = (value) =>
+  String(value || "blueprint")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "blueprint";
+
+const downloadBlob = (filename, blob) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+function BlueprintExportPanel({
+  objects = [],
+  imageUrl,
+  blueprintName = "",
+  sheetName = "",
+  labels,
+}) {
+  const [toolGroup, setToolGroup] = useState(EXPORT_ALL);
+  const [assignee, setAssignee] = useState(EXPORT_ALL);
+  const [exporting, setExporting] = useState("");
+  const [notice, setNotice] = useState("");
+
+  const assignees = Array.from(
+    new Map(
+      objects
+        .filter((obj) => obj.assignedTo)
+        .map((obj) => [obj.assignedTo, obj.assignedToName || "Worker"]),
+    ),
+  ).sort((a, b) => a[1].localeCompare(b[1]));
+  const hasUnassigned = objects.some((obj) => !obj.assignedTo);
+  const filtered = filterExportObjects(objects, { toolGroup, assignee });
+
+  const describeFilters = () => {
+    const parts = [];
+    if (toolGroup !== EXPORT_ALL) {
+      parts.push(TRADE_OPTIONS.find((o) => o.value === toolGroup)?.label);
+    }
+    if (assignee === EXPORT_UNASSIGNED) parts.push("Unassigned");
+    else if (assignee !== EXPORT_ALL) {
+      parts.push(assignees.find(([uid]) => uid === assignee)?.[1]);
+    }
+    return parts.filter(Boolean).join(" · ");
+  };
+
+  const handleExport = async (format) => {
+    setExporting(format);
+    setNotice("");
+    try {
+      const image = await loadExportImage(imageUrl);
+      const canvas = renderBlueprintExport({
+        image,
+        objects: filtered,
+        legend: buildExportLegend(filtered, labels),
+        pointStyle: labels?.pointStyle,
+        title: blueprintName || "Blueprint",
+        details: [
+          sheetName,
+          describeFilters(),
+          `Exported ${formatDateTime(new Date())}`,
+        ].filter(Boolean),
+      });
+      const blob =
+        format === "pdf"
+          ? await canvasToPdfBlob(canvas)
+          : await canvasToBlob(canvas);
+      downloadBlob(
+        `${slugify([blueprintName, sheetName].filter(Boolean).join(" "))}.${format}`,
+        blob,
+      );
+    } catch (err) {
+      console.error("Blueprint export:", err);
+      setNotice("Export failed. The blueprint image could not be read.");
+    }
+    setExporting("");
+  };
+
+  return (
+    <details className="takeoff-panel export-panel">
+      <summary>Export</summary>
+
+      <label className="takeoff-scale">
+        <span>Trade</span>
+        <select
+          value={toolGroup}
+          onChange={(e) => setToolGroup(e.target.value)}
+          aria-label="Export trade"
+        >
+          {TRADE_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <label className="takeoff-scale">
+        <span>Worker</span>
+        <select
+          value={assignee}
+          onChange={(e) => setAssignee(e.target.value)}
+          aria-label="Export worker"
+        >
+          <option value={EXPORT_ALL}>All workers</option>
+          {hasUnassigned && (
+            <option value={EXPORT_UNASSIGNED}>Unassigned</option>
+          )}
+          {assignees.map(([uid, name]) => (
+            <option key={uid} value={uid}>
+              {name}
+            </option>
+          ))}
+        </select>
+      </label>
+
+      <p className="takeoff-hint">
+        Exports the current sheet · {filtered.length} element
+        {filtered.length === 1 ? "" : "s"}
+      </p>
+
+      {notice && <p className="takeoff-notice error">{notice}</p>}
+
+      <div className="export-actions">
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => handleExport("png")}
+          disabled={Boolean(exporting) || !imageUrl}
+        >
+          {exporting === "png" ? "Exporting…" : "PNG"}
+        </button>
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => handleExport("pdf")}
+          disabled={Boolean(exporting) || !imageUrl}
+        >
+          {exporting === "pdf" ? "Exporting…" : "PDF"}
+        </button>
+      </div>
+    </details>
+  );
+}
+
+export default BlueprintExportPanel;
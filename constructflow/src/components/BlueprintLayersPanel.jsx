@@ -0,0 +1,128 @@
+/**
+ * BlueprintLayersPanel.jsx
+ *
+ * Layer list for the open blueprint, top layer first. Everyone can show or
+ * hide layers; managers can also lock them, fade them, reorder them and add
+ * custom layers.
+ */
+
+import { useState } from "react";
+import {
+  MdArrowDownward,
+  MdArrowUpward,
+  MdLock,
+  MdLockOpen,
+} from "react-icons/md";
+
+function BlueprintLayersPanel({
+  layers = [],
+  counts = {},
+  isVisible,
+  onToggleVisible,
+  canEdit = false,
+  onUpdateLayer,
+  onMoveLayer,
+  onAddLayer,
+}) {
+  const [newLayerName, setNewLayerName] = useState("");
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!newLayerName.trim()) return;
+    onAddLayer?.(newLayerName);
+    setNewLayerName("");
+  };
+
+  return (
+    <details className="takeoff-panel layers-panel">
+      <summary>Layers</summary>
+
+      <ul className="layer-list">
+        {layers.map((layer, index) => (
+          <li key={layer.id} className={layer.locked ? "locked" : ""}>
+            <label className="layer-name">
+              <input
+                type="checkbox"
+                checked={isVisible(layer.id)}
+                onChange={() => onToggleVisible?.(layer.id)}
+                aria-label={`Show ${layer.name}`}
+              />
+              <span>{layer.name}</span>
+              <span className="layer-count">{counts[layer.id] || 0}</span>
+            </label>
+
+            {canEdit && (
+              <div className="layer-controls">
+                <input
+                  type="range"
+                  min="0.1"
+                  max="1"
+                  step="0.1"
+                  value={layer.opacity}
+                  onChange={(e) =>
+                    onUpdateLayer?.(layer.id, {
+                      opacity: Number(e.target.value),
+                    })
+                  }
+                  aria-label={`Opacity of ${layer.name}`}
+                />
+                <button
+                  type="button"
+                  className="btn-icon-sm"
+                  onClick={() =>
+                    onUpdateLayer?.(layer.id, { locked: !layer.locked })
+                  }
+                  title={layer.locked ? "Unlock layer" : "Lock layer"}
+                  aria-label={`${layer.locked ? "Unlock" : "Lock"} ${layer.name}`}
+                >
+                  {layer.locked ? <MdLock /> : <MdLockOpen />}
+                </button>
+                <button
+                  type="button"
+                  className="btn-icon-sm"
+                  onClick={() => onMoveLayer?.(layer.id, -1)}
+                  disabled={index === 0}
+                  title="Move up"
+                  aria-label={`Move ${layer.name} up`}
+                >
+                  <MdArrowUpward />
+                </button>
+                <button
+                  type="button"
+                  className="btn-icon-sm"
+                  onClick={() => onMoveLayer?.(layer.id, 1)}
+                  disabled={index === layers.length - 1}
+                  title="Move down"
+                  aria-label={`Move ${layer.name} down`}
+                >
+                  <MdArrowDownward />
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {canEdit && (
+        <form className="layer-add" onSubmit={handleAdd}>
+          <input
+            type="text"
+            value={newLayerName}
+            onChange={(e) => setNewLayerName(e.target.value)}
+            placeholder="New layer name"
+            aria-label="New layer name"
+          />
+          <button
+            type="submit"
+            className="btn-secondary"
+            disabled={!newLayerName.trim()}
+          >
+            Add
+          </button>
+        </form>
+      )}
+    </details>
+  );
+}
+
+export default BlueprintLayersPanel;
@@ -0,0 +1,115 @@
+/**
+ * BlueprintMyWorkPanel.jsx
+ *
+ * A worker's outstanding work on the open blueprint. Turning "My work" on
+ * dims everyone else's elements; the list and the previous / next buttons
+ * step through what is left, and the parent zooms the canvas to each step.
+ */
+
+import { MdAssignmentInd, MdChevronLeft, MdChevronRight } from "react-icons/md";
+
+function BlueprintMyWorkPanel({
+  items = [],
+  total = 0,
+  active = false,
+  currentKey = null,
+  getItemLabel,
+  getSheetName,
+  onToggle,
+  onStep,
+  onSelect,
+}) {
+  const remaining = items.length;
+  const done = total - remaining;
+  const percent = total > 0 ? Math.round((done / total) * 100) : 0;
+  const currentIndex = items.findIndex((item) => item.key === currentKey);
+
+  return (
+    <div className={`my-work-panel${active ? " active" : ""}`}>
+      <div className="my-work-header">
+        <button
+          type="button"
+          className={`btn-secondary my-work-toggle${active ? " active" : ""}`}
+          onClick={() => onToggle?.(!active)}
+          aria-pressed={active}
+        >
+          <MdAssignmentInd />
+          My work
+        </button>
+        <span className="my-work-count">
+          {remaining} of {total} remaining
+        </span>
+      </div>
+
+      <div
+        className="my-work-progress"
+        role="progressbar"
+        aria-label="My work progress"
+        aria-valuemin={0}
+        aria-valuemax={total}
+        aria-valuenow={done}
+      >
+        <div
+          className="my-work-progress-fill"
+          style={{ width: `${percent}%` }}
+        />
+      </div>
+
+      {active &&
+        (remaining === 0 ? (
+          <p className="takeoff-hint">All your work here is complete.</p>
+        ) : (
+          <>
+            <div className="my-work-nav">
+              <button
+                type="button"
+                className="btn-secondary"
+                onClick={() => onStep?.(-1)}
+                aria-label="Previous item"
+              >
+                <MdChevronLeft />
+              </button>
+              <span>
+                {currentIndex === -1
+                  ? `${remaining} to go`
+                  : `Item ${currentIndex + 1} of ${remaining}`}
+              </span>
+              <button
+                type="button"
+                className="btn-secondary"
+                onClick={() => onStep?.(1)}
+                aria-label="Next item"
+              >
+                <MdChevronRight />
+              </button>
+            </div>
+
+            <ul className="my-work-list">
+              {items.map((item, index) => {
+                const sheetName = getSheetName?.(item.sheetId);
+                return (
+                  <li key={item.key}>
+                    <button
+                      type="button"
+                      className={`my-work-item${item.key === currentKey ? " active" : ""}`}
+                      onClick={() => onSelect?.(item, index)}
+                    >
+                      <span>{getItemLabel?.(item)}</span>
+                      {item.rejected && (
+                        <span className="my-work-rejected">Rejected</span>
+                      )}
+                      {sheetName && (
+                        <span className="problem-sheet">{sheetName}</span>
+                      )}
+                    </button>
+                  </li>
+                );
+              })}
+            </ul>
+          </>
+        ))}
+    </div>
+  );
+}
+
+export default BlueprintMyWorkPanel;
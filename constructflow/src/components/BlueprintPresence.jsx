@@ -0,0 +1,39 @@
+/**
+ * BlueprintPresence.jsx
+ *
+ * Initials of the other people who have the open blueprint on screen. Anyone
+ * with unsaved edits is marked as editing.
+ */
+
+import { PRESENCE_MODE } from "../utils/blueprintSync";
+
+const getInitials = (name = "") =>
+  name
+    .split(/[\s@.]+/)
+    .filter(Boolean)
+    .slice(0, 2)
+    .map((part) => part[0].toUpperCase())
+    .join("") || "?";
+
+function BlueprintPresence({ collaborators = [] }) {
+  if (collaborators.length === 0) return null;
+
+  return (
+    <div className="presence-list" aria-label="Also on this blueprint">
+      {collaborators.map((person) => {
+        const editing = person.mode === PRESENCE_MODE.EDITING;
+        return (
+          <span
+            key={person.uid}
+            className={`presence-chip${editing ? " editing" : ""}`}
+            title={`${person.name} · ${editing ? "editing" : "viewing"}`}
+          >
+            {getInitials(person.name)}
+          </span>
+        );
+      })}
+    </div>
+  );
+}
+
+export default BlueprintPresence;
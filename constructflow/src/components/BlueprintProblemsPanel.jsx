@@ -0,0 +1,65 @@
+/**
+ * BlueprintProblemsPanel.jsx
+ *
+ * Routing problems found in the open blueprint: incompatible services
+ * crossing, path ends that connect to nothing, and paths drawn over each
+ * other. Opening the panel shows the markers on the canvas; picking a
+ * problem jumps to it.
+ */
+
+import { MdErrorOutline, MdWarningAmber } from "react-icons/md";
+
+function BlueprintProblemsPanel({
+  problems = [],
+  selectedProblemId = null,
+  getSheetName,
+  onToggle,
+  onSelect,
+}) {
+  const errorCount = problems.filter((p) => p.severity === "error").length;
+
+  return (
+    <details
+      className="takeoff-panel problems-panel"
+      onToggle={(e) => onToggle?.(e.currentTarget.open)}
+    >
+      <summary>
+        Problems{" "}
+        <span className={`problem-count${errorCount > 0 ? " has-errors" : ""}`}>
+          ({problems.length})
+        </span>
+      </summary>
+
+      {problems.length === 0 ? (
+        <p className="takeoff-hint">No routing problems found.</p>
+      ) : (
+        <ul className="problem-list">
+          {problems.map((problem) => {
+            const sheetName = getSheetName?.(problem.sheetId);
+            return (
+              <li key={problem.id}>
+                <button
+                  type="button"
+                  className={`problem-item ${problem.severity}${problem.id === selectedProblemId ? " active" : ""}`}
+                  onClick={() => onSelect?.(problem)}
+                >
+                  {problem.severity === "error" ? (
+                    <MdErrorOutline />
+                  ) : (
+                    <MdWarningAmber />
+                  )}
+                  <span>{problem.message}</span>
+                  {sheetName && (
+                    <span className="problem-sheet">{sheetName}</span>
+                  )}
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </details>
+  );
+}
+
+export default BlueprintProblemsPanel;
@@ -0,0 +1,110 @@
+/**
+ * BlueprintRevisionsPanel.jsx
+ *
+ * Saved revisions of the open blueprint. Managers pick two revisions (or a
+ * revision and the current edits) to diff on the canvas, and can restore an
+ * older revision into the editor.
+ */
+
+import { formatDateTime } from "../utils/dateTime";
+
+function BlueprintRevisionsPanel({
+  revisions = [],
+  compareBaseId = "",
+  compareTargetId = "current",
+  onCompareBaseChange,
+  onCompareTargetChange,
+  diffSummary = null,
+  onRestore,
+}) {
+  const newestFirst = [...revisions].reverse();
+  const revisionLabel = (revision) =>
+    `#${revision.number} · ${formatDateTime(revision.createdAt)}`;
+
+  return (
+    <details className="revisions-panel">
+      <summary>Revision History ({revisions.length})</summary>
+
+      {revisions.length === 0 ? (
+        <p className="takeoff-hint">Revisions are recorded on every save.</p>
+      ) : (
+        <>
+          <div className="revision-compare">
+            <select
+              value={compareBaseId}
+              onChange={(e) => onCompareBaseChange?.(e.target.value)}
+              aria-label="Compare from revision"
+            >
+              <option value="">Compare…</option>
+              {newestFirst.map((revision) => (
+                <option key={revision.id} value={revision.id}>
+                  {revisionLabel(revision)}
+                </option>
+              ))}
+            </select>
+            <span>with</span>
+            <select
+              value={compareTargetId}
+              onChange={(e) => onCompareTargetChange?.(e.target.value)}
+              aria-label="Compare to revision"
+              disabled={!compareBaseId}
+            >
+              <option value="current">Current edits</option>
+              {newestFirst.map((revision) => (
+                <option key={revision.id} value={revision.id}>
+                  {revisionLabel(revision)}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {diffSummary && (
+            <div className="revision-diff-summary">
+              <span className="diff-chip added">{diffSummary.added} added</span>
+              <span className="diff-chip removed">
+                {diffSummary.removed} removed
+              </span>
+              <span className="diff-chip moved">{diffSummary.moved} moved</span>
+              <span className="diff-chip reassigned">
+                {diffSummary.reassigned} reassigned
+              </span>
+              <button
+                type="button"
+                className="btn-link"
+                onClick={() => onCompareBaseChange?.("")}
+              >
+                Close
+              </button>
+            </div>
+          )}
+
+          <ul className="revision-list">
+            {newestFirst.map((revision) => (
+              <li key={revision.id}>
+                <div>
+                  <strong>#{revision.number}</strong>{" "}
+                  {formatDateTime(revision.createdAt)}
+                  <span className="revision-meta">
+                    {revision.savedByName || "Unknown"} ·{" "}
+                    {Object.keys(revision.objects || {}).length} elements
+                    {revision.restoredFrom && " · restore"}
+                  </span>
+                </div>
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={() => onRestore?.(revision)}
+                  title="Load this revision into the editor"
+                >
+                  Restore
+                </button>
+              </li>
+            ))}
+          </ul>
+        </>
+      )}
+    </details>
+  );
+}
+
+export default BlueprintRevisionsPanel;
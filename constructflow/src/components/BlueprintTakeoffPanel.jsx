@@ -0,0 +1,182 @@
+/**
+ * BlueprintTakeoffPanel.jsx
+ *
+ * Suggested bill of materials for the open blueprint: pipe and wire lengths
+ * from the drawn paths and fitting counts from point tasks. Managers set the
+ * blueprint scale here and, on a task blueprint, reserve the take-off against
+ * project materials in one step. Attaching again after the drawing grows only
+ * reserves the extra quantity.
+ */
+
+import { useEffect, useState } from "react";
+import {
+  buildTakeoffAllocations,
+  suggestTakeoffMaterialId,
+  TAKEOFF_LINE_KIND,
+} from "../utils/blueprintTakeoff";
+import { getAvailableQuantity } from "../utils/inventoryDomain";
+import {
+  listProjectMaterials,
+  reserveMaterialsForTask,
+} from "../utils/materialsRepository";
+
+function BlueprintTakeoffPanel({
+  lines = [],
+  pixelsPerMeter = null,
+  onScaleChange,
+  organizationId,
+  projectId,
+  taskId,
+  performedBy,
+}) {
+  const [materials, setMaterials] = useState([]);
+  const [reloadToken, setReloadToken] = useState(0);
+  const [selectionOverrides, setSelectionOverrides] = useState({});
+  const [attaching, setAttaching] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [noticeType, setNoticeType] = useState("info");
+
+  const canAttach = Boolean(taskId && organizationId && projectId);
+
+  useEffect(() => {
+    if (!canAttach) return;
+    const load = async () => {
+      try {
+        setMaterials(await listProjectMaterials({ organizationId, projectId }));
+      } catch (err) {
+        console.error("Load take-off materials:", err);
+      }
+    };
+    load();
+  }, [canAttach, organizationId, projectId, reloadToken]);
+
+  const selections = Object.fromEntries(
+    lines.map((line) => [
+      line.key,
+      selectionOverrides[line.key] ??
+        suggestTakeoffMaterialId(line, line.label, materials),
+    ]),
+  );
+  const allocations = buildTakeoffAllocations(lines, selections);
+  const missingScale = lines.some(
+    (line) => line.kind === TAKEOFF_LINE_KIND.LENGTH && line.quantity === null,
+  );
+
+  const handleAttach = async () => {
+    if (allocations.length === 0) {
+      setNotice("Choose a material for at least one line.");
+      setNoticeType("error");
+      return;
+    }
+
+    setAttaching(true);
+    setNotice("");
+    try {
+      const { reservations } = await reserveMaterialsForTask({
+        organizationId,
+        projectId,
+        taskId,
+        allocations,
+        performedBy: performedBy || "",
+        topUp: true,
+      });
+      setNotice(
+        reservations.length === 0
+          ? "This take-off is already reserved for the task."
+          : `Reserved ${reservations.length} material${reservations.length === 1 ? "" : "s"} for this task.`,
+      );
+      setNoticeType("success");
+      setSelectionOverrides({});
+      setReloadToken((token) => token + 1);
+    } catch (err) {
+      setNotice(err.message || "Failed to attach take-off.");
+      setNoticeType("error");
+    }
+    setAttaching(false);
+  };
+
+  return (
+    <details className="takeoff-panel">
+      <summary>Material Take-off</summary>
+
+      <label className="takeoff-scale">
+        <span>Pixels per metre</span>
+        <input
+          type="number"
+          min="0"
+          step="any"
+          placeholder="Not calibrated"
+          value={pixelsPerMeter || ""}
+          onChange={(e) => onScaleChange?.(Number(e.target.value) || null)}
+          aria-label="Blueprint scale (pixels per metre)"
+        />
+      </label>
+
+      {missingScale && (
+        <p className="takeoff-hint">
+          Set the scale to measure pipe and wire lengths.
+        </p>
+      )}
+
+      {lines.length === 0 ? (
+        <p className="takeoff-hint">Draw elements to build a take-off.</p>
+      ) : (
+        <ul className="takeoff-lines">
+          {lines.map((line) => (
+            <li key={line.key}>
+              <div className="takeoff-line-head">
+                <span>{line.label}</span>
+                <strong>
+                  {line.quantity === null
+                    ? "—"
+                    : `${line.quantity}${line.unit ? ` ${line.unit}` : ""}`}
+                </strong>
+              </div>
+              {canAttach && (
+                <select
+                  value={selections[line.key]}
+                  onChange={(e) =>
+                    setSelectionOverrides((prev) => ({
+                      ...prev,
+                      [line.key]: e.target.value,
+                    }))
+                  }
+                  aria-label={`Material for ${line.label}`}
+                >
+                  <option value="">Don't attach</option>
+                  {materials.map((material) => (
+                    <option key={material.id} value={material.id}>
+                      {material.name} ({getAvailableQuantity(material)}{" "}
+                      {material.unit} available)
+                    </option>
+                  ))}
+                </select>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {notice && <p className={`takeoff-notice ${noticeType}`}>{notice}</p>}
+
+      {canAttach ? (
+        lines.length > 0 && (
+          <button
+            type="button"
+            className="btn-secondary"
+            onClick={handleAttach}
+            disabled={attaching}
+          >
+            {attaching ? "Attaching…" : "Attach to task"}
+          </button>
+        )
+      ) : (
+        <p className="takeoff-hint">
+          Open this blueprint from a task to reserve the take-off.
+        </p>
+      )}
+    </details>
+  );
+}
+
+export default BlueprintTakeoffPanel;
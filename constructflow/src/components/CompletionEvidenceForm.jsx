@@ -0,0 +1,85 @@
+/**
+ * CompletionEvidenceForm.jsx
+ *
+ * Shown when a worker completes a point task or element: at least one photo
+ * of the install plus an optional note. The parent uploads the photos and
+ * records the completion.
+ */
+
+import { useState } from "react";
+import { MdPhotoCamera } from "react-icons/md";
+import { EVIDENCE_MAX_PHOTOS } from "../utils/completionEvidence";
+import "../styles/CompletionEvidence.css";
+
+function CompletionEvidenceForm({
+  title,
+  uploading = false,
+  onSubmit,
+  onCancel,
+}) {
+  const [files, setFiles] = useState([]);
+  const [note, setNote] = useState("");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (files.length === 0 || uploading) return;
+    onSubmit?.({ files, note });
+  };
+
+  return (
+    <form
+      className="evidence-form"
+      onSubmit={handleSubmit}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <p className="evidence-title">Complete {title}</p>
+      <label className="btn-secondary evidence-file">
+        <MdPhotoCamera />
+        {files.length > 0
+          ? `${files.length} photo${files.length > 1 ? "s" : ""}`
+          : "Add photos"}
+        <input
+          type="file"
+          accept="image/*"
+          multiple
+          onChange={(e) =>
+            setFiles(Array.from(e.target.files).slice(0, EVIDENCE_MAX_PHOTOS))
+          }
+          style={{ display: "none" }}
+          disabled={uploading}
+          aria-label="Evidence photos"
+        />
+      </label>
+      <textarea
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Note (optional)"
+        aria-label="Completion note"
+        rows={2}
+        disabled={uploading}
+      />
+      <p className="takeoff-hint">
+        Up to {EVIDENCE_MAX_PHOTOS} photos showing the finished install.
+      </p>
+      <div className="evidence-actions">
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={onCancel}
+          disabled={uploading}
+        >
+          Cancel
+        </button>
+        <button
+          type="submit"
+          className="btn-primary"
+          disabled={files.length === 0 || uploading}
+        >
+          {uploading ? "Uploading..." : "Mark complete"}
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default CompletionEvidenceForm;
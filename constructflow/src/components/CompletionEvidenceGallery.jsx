@@ -0,0 +1,156 @@
+/**
+ * CompletionEvidenceGallery.jsx
+ *
+ * Inspection of the selected element: per completed task, its stage, photo
+ * thumbnails and the worker's note, and the reason for any rejected one.
+ * Managers approve installed work or reject it, which reopens the task.
+ */
+
+import { useState } from "react";
+import {
+  getInspectionStatus,
+  INSPECTION_STATUS,
+} from "../utils/completionEvidence";
+import { formatDateTime } from "../utils/dateTime";
+import "../styles/CompletionEvidence.css";
+
+const STATUS_LABELS = {
+  [INSPECTION_STATUS.PENDING]: "Pending inspection",
+  [INSPECTION_STATUS.APPROVED]: "Approved",
+  [INSPECTION_STATUS.REJECTED]: "Rejected",
+};
+
+function CompletionEvidenceGallery({
+  items = [],
+  canInspect = false,
+  onApprove,
+  onReject,
+}) {
+  // Key of the item whose rejection reason is being typed.
+  const [rejectingKey, setRejectingKey] = useState(null);
+  const [reason, setReason] = useState("");
+
+  if (items.length === 0) return null;
+
+  const submitRejection = (e, item) => {
+    e.preventDefault();
+    if (!reason.trim()) return;
+    onReject?.(item.pointIndex, reason);
+    setRejectingKey(null);
+    setReason("");
+  };
+
+  return (
+    <div className="evidence-gallery" onClick={(e) => e.stopPropagation()}>
+      {items.map((item) => {
+        const status = getInspectionStatus(item);
+        return (
+          <div key={item.key} className="evidence-item">
+            <p className="evidence-title">
+              {item.label}
+              <span className={`inspection-status ${status}`}>
+                {STATUS_LABELS[status]}
+              </span>
+            </p>
+
+            {item.completed && item.evidence && (
+              <>
+                {item.evidence.photos.length > 0 && (
+                  <div className="evidence-thumbs">
+                    {item.evidence.photos.map((photo) => (
+                      <a
+                        key={photo.url}
+                        href={photo.url}
+                        target="_blank"
+                        rel="noreferrer"
+                      >
+                        <img src={photo.url} alt={photo.name || item.label} />
+                      </a>
+                    ))}
+                  </div>
+                )}
+                {item.evidence.note && (
+                  <p className="evidence-note">{item.evidence.note}</p>
+                )}
+                <p className="evidence-meta">
+                  {item.evidence.byName || "Worker"} ·{" "}
+                  {formatDateTime(item.evidence.at)}
+                </p>
+              </>
+            )}
+
+            {status === INSPECTION_STATUS.APPROVED && (
+              <p className="evidence-meta">
+                Approved by {item.approval.byName || "manager"} ·{" "}
+                {formatDateTime(item.approval.at)}
+              </p>
+            )}
+
+            {!item.completed && item.rejection && (
+              <p className="evidence-rejection">
+                Rejected by {item.rejection.byName || "manager"}:{" "}
+                {item.rejection.reason}
+              </p>
+            )}
+
+            {canInspect &&
+              item.completed &&
+              (rejectingKey === item.key ? (
+                <form
+                  className="evidence-reject"
+                  onSubmit={(e) => submitRejection(e, item)}
+                >
+                  <input
+                    type="text"
+                    value={reason}
+                    onChange={(e) => setReason(e.target.value)}
+                    placeholder="Reason"
+                    aria-label={`Reason for rejecting ${item.label}`}
+                    autoFocus
+                  />
+                  <button
+                    type="submit"
+                    className="btn-secondary"
+                    disabled={!reason.trim()}
+                  >
+                    Reject
+                  </button>
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => setRejectingKey(null)}
+                  >
+                    Cancel
+                  </button>
+                </form>
+              ) : (
+                <div className="evidence-actions">
+                  {status === INSPECTION_STATUS.PENDING && (
+                    <button
+                      type="button"
+                      className="btn-primary"
+                      onClick={() => onApprove?.(item.pointIndex)}
+                    >
+                      Approve
+                    </button>
+                  )}
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={() => {
+                      setRejectingKey(item.key);
+                      setReason("");
+                    }}
+                  >
+                    Reject completion
+                  </button>
+                </div>
+              ))}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default CompletionEvidenceGallery;
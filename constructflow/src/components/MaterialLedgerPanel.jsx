@@ -0,0 +1,156 @@
+/**
+ * MaterialLedgerPanel.jsx
+ *
+ * Read-only view of the material transaction ledger for one material or a whole
+ * project. Rows are chronological with a running balance; rows whose beforeQty
+ * does not match the previous afterQty are highlighted as unrecorded changes.
+ */
+
+import { useEffect, useState } from "react";
+import { formatDateTime } from "../utils/dateTime";
+import { countLedgerMismatches } from "../utils/materialLedger";
+import { MATERIAL_TRANSACTION_TYPE } from "../utils/materialsConstants";
+import { loadMaterialLedger } from "../utils/materialsInventoryService";
+import "../styles/MaterialLedgerPanel.css";
+
+const TYPE_LABELS = {
+  [MATERIAL_TRANSACTION_TYPE.TASK_ASSIGNMENT_DEDUCTION]: "Task deduction",
+  [MATERIAL_TRANSACTION_TYPE.RESTOCK]: "Restock",
+  [MATERIAL_TRANSACTION_TYPE.MANUAL_ADJUSTMENT]: "Adjustment",
+  [MATERIAL_TRANSACTION_TYPE.ALLOCATION_RELEASE]: "Released from task",
+  [MATERIAL_TRANSACTION_TYPE.TASK_CONSUMPTION]: "Used on task",
+  [MATERIAL_TRANSACTION_TYPE.WORKER_REPORT]: "Worker report",
+  [MATERIAL_TRANSACTION_TYPE.TRANSFER_OUT]: "Transferred out",
+  [MATERIAL_TRANSACTION_TYPE.TRANSFER_IN]: "Transferred in",
+};
+
+const formatDelta = (value) => (value > 0 ? `+${value}` : String(value));
+
+function MaterialLedgerPanel({
+  organizationId,
+  projectId,
+  projectName,
+  material = null,
+  materialNames = {},
+  onClose,
+}) {
+  const materialId = material?.id || null;
+  const [rows, setRows] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      setError("");
+      try {
+        const ledger = await loadMaterialLedger({
+          organizationId,
+          projectId,
+          materialId,
+        });
+        setRows(ledger);
+      } catch (err) {
+        console.error("Load material ledger:", err);
+        setError("Failed to load the ledger.");
+      }
+      setLoading(false);
+    };
+    load();
+  }, [organizationId, projectId, materialId]);
+
+  const mismatchCount = countLedgerMismatches(rows);
+  const title = material
+    ? `Ledger — ${material.name}`
+    : `Ledger — ${projectName || "Project"}`;
+
+  return (
+    <section className="ledger-panel" aria-label={title}>
+      <div className="ledger-panel-header">
+        <div>
+          <h3>{title}</h3>
+          {material && projectName && <p>{projectName}</p>}
+        </div>
+        <button type="button" className="btn-secondary" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      {mismatchCount > 0 && (
+        <p className="ledger-warning">
+          {mismatchCount === 1
+            ? "1 entry does not follow on from the previous balance."
+            : `${mismatchCount} entries do not follow on from the previous balance.`}
+        </p>
+      )}
+
+      {loading ? (
+        <div className="ledger-empty">Loading ledger…</div>
+      ) : error ? (
+        <div className="ledger-empty ledger-empty-error">{error}</div>
+      ) : rows.length === 0 ? (
+        <div className="ledger-empty">No transactions recorded yet.</div>
+      ) : (
+        <div className="ledger-table-wrap">
+          <table className="ledger-table">
+            <thead>
+              <tr>
+                <th>When</th>
+                {!material && <th>Material</th>}
+                <th>Type</th>
+                <th>Change</th>
+                <th>Before</th>
+                <th>After</th>
+                <th>Balance</th>
+                <th>By</th>
+                <th>Task</th>
+                <th>Note</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row) => (
+                <tr
+                  key={row.id}
+                  className={row.balanceMismatch ? "ledger-row-mismatch" : ""}
+                >
+                  <td>{formatDateTime(row.performedAt)}</td>
+                  {!material && (
+                    <td>{materialNames[row.materialId] || row.materialId}</td>
+                  )}
+                  <td>{TYPE_LABELS[row.type] || row.type || "—"}</td>
+                  <td
+                    className={
+                      row.quantityDelta < 0
+                        ? "ledger-delta-out"
+                        : "ledger-delta-in"
+                    }
+                  >
+                    {formatDelta(row.quantityDelta)}
+                  </td>
+                  <td>
+                    {row.beforeQty}
+                    {row.balanceMismatch && (
+                      <span
+                        className="ledger-mismatch-flag"
+                        title={`Previous entry left ${row.expectedBeforeQty}`}
+                      >
+                        expected {row.expectedBeforeQty}
+                      </span>
+                    )}
+                  </td>
+                  <td>{row.afterQty}</td>
+                  <td>{row.runningBalance}</td>
+                  <td>{row.performedByName}</td>
+                  <td>{row.taskTitle || "—"}</td>
+                  <td>{row.note || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default MaterialLedgerPanel;
@@ -0,0 +1,158 @@
+/**
+ * MaterialReportForm.jsx
+ *
+ * Inline form on the worker dashboard for reporting what happened to a task's
+ * materials on site: the quantity actually used, leftovers handed back, or a
+ * shortage. Reports go to the manager as pending requests.
+ */
+
+import { useState } from "react";
+import { MATERIAL_REPORT_KIND } from "../utils/materialsConstants";
+import { reportTaskMaterialUsage } from "../utils/materialsRepository";
+import { getCompatibleUnits } from "../utils/unitConversion";
+
+const KIND_OPTIONS = [
+  { value: MATERIAL_REPORT_KIND.USAGE, label: "Used on site" },
+  { value: MATERIAL_REPORT_KIND.LEFTOVER, label: "Leftovers returned" },
+  { value: MATERIAL_REPORT_KIND.SHORTAGE, label: "Shortage — need more" },
+];
+
+function MaterialReportForm({
+  organizationId,
+  task,
+  materials = [],
+  currentUid,
+  workerName,
+  onReported,
+  onCancel,
+}) {
+  const [materialId, setMaterialId] = useState(materials[0]?.materialId || "");
+  const [kind, setKind] = useState(MATERIAL_REPORT_KIND.USAGE);
+  const [quantity, setQuantity] = useState("");
+  const [unit, setUnit] = useState("");
+  const [note, setNote] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+
+  const selected = materials.find((item) => item.materialId === materialId);
+  const selectedUnit = unit || selected?.unit || "";
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!selected) {
+      setError("Select a material first.");
+      return;
+    }
+    if (quantity === "" || !Number.isFinite(Number(quantity))) {
+      setError("Enter a quantity.");
+      return;
+    }
+
+    setSubmitting(true);
+    setError("");
+    try {
+      await reportTaskMaterialUsage({
+        organizationId,
+        projectId: task.projectId,
+        taskId: task.id,
+        taskTitle: task.title || "",
+        materialId,
+        kind,
+        quantity: Number(quantity),
+        unit: selectedUnit === selected.unit ? undefined : selectedUnit,
+        note,
+        reportedBy: currentUid || "",
+        reportedByName: workerName || "",
+      });
+      onReported?.("Report sent to your manager.");
+    } catch (err) {
+      setError(err.message || "Failed to send the report.");
+    }
+    setSubmitting(false);
+  };
+
+  return (
+    <form
+      className="material-report-form"
+      onSubmit={handleSubmit}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <div className="material-report-grid">
+        <select
+          value={materialId}
+          onChange={(e) => {
+            setMaterialId(e.target.value);
+            setUnit("");
+          }}
+          aria-label={`Material to report for ${task.title}`}
+        >
+          {materials.map((item) => (
+            <option key={item.materialId} value={item.materialId}>
+              {item.materialName}
+            </option>
+          ))}
+        </select>
+
+        <select
+          value={kind}
+          onChange={(e) => setKind(e.target.value)}
+          aria-label={`Report type for ${task.title}`}
+        >
+          {KIND_OPTIONS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.label}
+            </option>
+          ))}
+        </select>
+
+        <input
+          type="number"
+          min="0"
+          step="0.01"
+          placeholder="Qty"
+          value={quantity}
+          onChange={(e) => setQuantity(e.target.value)}
+          aria-label={`Reported quantity for ${task.title}`}
+        />
+
+        <select
+          value={selectedUnit}
+          onChange={(e) => setUnit(e.target.value)}
+          aria-label={`Reported unit for ${task.title}`}
+        >
+          {getCompatibleUnits(selected?.unit).map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <input
+        type="text"
+        placeholder="Note for your manager (optional)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        aria-label={`Report note for ${task.title}`}
+      />
+
+      {error && <p className="material-report-error">{error}</p>}
+
+      <div className="material-report-actions">
+        <button type="submit" className="btn-primary" disabled={submitting}>
+          {submitting ? "Sending…" : "Send report"}
+        </button>
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={onCancel}
+          disabled={submitting}
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default MaterialReportForm;
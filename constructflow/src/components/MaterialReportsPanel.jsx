@@ -0,0 +1,139 @@
+/**
+ * MaterialReportsPanel.jsx
+ *
+ * Manager dashboard card listing pending material reports sent in by workers.
+ * Applying a report settles the task allocation and stock to the reported
+ * figures; dismissing it leaves inventory untouched.
+ */
+
+import { useEffect, useState } from "react";
+import { describeMaterialReport } from "../utils/inventoryDomain";
+import { formatDateTime } from "../utils/dateTime";
+import {
+  applyMaterialReport,
+  dismissMaterialReport,
+  listPendingMaterialReports,
+} from "../utils/materialsRepository";
+
+function MaterialReportsPanel({ organizationId, currentUid, onApplied }) {
+  const [reports, setReports] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyReportId, setBusyReportId] = useState(null);
+  const [notice, setNotice] = useState("");
+  const [noticeType, setNoticeType] = useState("info");
+  const [reloadToken, setReloadToken] = useState(0);
+
+  useEffect(() => {
+    if (!organizationId) return;
+    const load = async () => {
+      setLoading(true);
+      try {
+        const pending = await listPendingMaterialReports({ organizationId });
+        pending.sort(
+          (a, b) =>
+            (a.reportedAt?.toMillis?.() || 0) -
+            (b.reportedAt?.toMillis?.() || 0),
+        );
+        setReports(pending);
+      } catch (err) {
+        console.error("Load material reports:", err);
+      }
+      setLoading(false);
+    };
+    load();
+  }, [organizationId, reloadToken]);
+
+  const resolve = async (report, action) => {
+    setBusyReportId(report.id);
+    setNotice("");
+    try {
+      if (action === "apply") {
+        await applyMaterialReport({
+          reportId: report.id,
+          resolvedBy: currentUid || "",
+        });
+        setNotice(
+          `Applied: ${describeMaterialReport(report)} of ${report.materialName}.`,
+        );
+        onApplied?.(report);
+      } else {
+        await dismissMaterialReport({
+          reportId: report.id,
+          resolvedBy: currentUid || "",
+        });
+        setNotice("Report dismissed.");
+      }
+      setNoticeType("success");
+      setReloadToken((prev) => prev + 1);
+    } catch (err) {
+      setNotice(err.message || "Failed to resolve the report.");
+      setNoticeType("error");
+    }
+    setBusyReportId(null);
+  };
+
+  if (loading) {
+    return (
+      <div className="loading-rows">
+        <div className="loading-row" />
+      </div>
+    );
+  }
+
+  return (
+    <>
+      {notice && (
+        <p className={`material-report-notice ${noticeType}`}>{notice}</p>
+      )}
+      {reports.length === 0 ? (
+        <div className="empty-state">
+          <p>No material reports waiting for review.</p>
+        </div>
+      ) : (
+        <ul className="material-report-list">
+          {reports.map((report) => (
+            <li
+              key={report.id}
+              className={`material-report-item ${report.kind}`}
+            >
+              <div className="material-report-body">
+                <span className="material-report-summary">
+                  {describeMaterialReport(report)} · {report.materialName}
+                </span>
+                <span className="material-report-meta">
+                  {report.reportedByName || "Worker"} on{" "}
+                  {report.taskTitle || "task"}
+                  {report.reportedAt &&
+                    ` · ${formatDateTime(report.reportedAt)}`}
+                </span>
+                {report.note && (
+                  <span className="material-report-note">“{report.note}”</span>
+                )}
+              </div>
+              <div className="material-report-actions">
+                <button
+                  type="button"
+                  className="btn-primary"
+                  onClick={() => resolve(report, "apply")}
+                  disabled={busyReportId === report.id}
+                >
+                  Apply
+                </button>
+                <button
+                  type="button"
+                  className="btn-secondary"
+                  onClick={() => resolve(report, "dismiss")}
+                  disabled={busyReportId === report.id}
+                >
+                  Dismiss
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </>
+  );
+}
+
+export default MaterialReportsPanel;
@@ -0,0 +1,287 @@
+/**
+ * MaterialsCsvPanel.jsx
+ *
+ * Bulk CSV tools for a project's inventory. Managers can export the current
+ * stock and the transaction ledger, or import a spreadsheet: columns are mapped
+ * to material fields, every row is validated in a preview, and valid rows are
+ * created in one batch.
+ */
+
+import { useMemo, useState } from "react";
+import {
+  createMaterialsBatch,
+  listProjectMaterialTransactions,
+} from "../utils/materialsRepository";
+import {
+  MATERIAL_CSV_FIELDS,
+  buildInventoryCsv,
+  buildMaterialImportPreview,
+  buildTransactionsCsv,
+  guessColumnMapping,
+  parseCsv,
+} from "../utils/materialsCsv";
+import "../styles/MaterialsCsvPanel.css";
+
+const slugify = (value) =>
+  String(value || "project")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "project";
+
+const downloadCsv = (filename, csv) => {
+  const blob = new Blob([csv], { type: "text/csv;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+function MaterialsCsvPanel({
+  organizationId,
+  projectId,
+  projectName,
+  materials = [],
+  currentUid,
+  onImported,
+}) {
+  const [fileName, setFileName] = useState("");
+  const [headers, setHeaders] = useState([]);
+  const [dataRows, setDataRows] = useState([]);
+  const [mapping, setMapping] = useState({});
+  const [importing, setImporting] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [noticeType, setNoticeType] = useState("info");
+
+  const preview = useMemo(
+    () =>
+      buildMaterialImportPreview(dataRows, mapping, {
+        existingNames: materials.map((material) => material.name),
+      }),
+    [dataRows, mapping, materials],
+  );
+  const validRows = preview.filter((row) => row.errors.length === 0);
+  const invalidCount = preview.length - validRows.length;
+
+  const showNotice = (message, type = "info") => {
+    setNotice(message);
+    setNoticeType(type);
+  };
+
+  const resetImport = () => {
+    setFileName("");
+    setHeaders([]);
+    setDataRows([]);
+    setMapping({});
+  };
+
+  const handleFileChange = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    showNotice("");
+    try {
+      const rows = parseCsv(await file.text());
+      if (rows.length < 2) {
+        resetImport();
+        showNotice(
+          "The file needs a header row and at least one material.",
+          "error",
+        );
+        return;
+      }
+      setFileName(file.name);
+      setHeaders(rows[0]);
+      setDataRows(rows.slice(1));
+      setMapping(guessColumnMapping(rows[0]));
+    } catch (err) {
+      console.error("Read materials CSV:", err);
+      showNotice("Could not read that file.", "error");
+    }
+  };
+
+  const handleImport = async () => {
+    if (validRows.length === 0) return;
+
+    setImporting(true);
+    showNotice("");
+    try {
+      await createMaterialsBatch({
+        organizationId,
+        projectId,
+        materials: validRows.map((row) => row.material),
+        createdBy: currentUid || "",
+      });
+      showNotice(
+        `Imported ${validRows.length} material${validRows.length === 1 ? "" : "s"}.`,
+        "success",
+      );
+      resetImport();
+      onImported?.();
+    } catch (err) {
+      showNotice(err.message || "Failed to import materials.", "error");
+    }
+    setImporting(false);
+  };
+
+  const handleExportInventory = () => {
+    downloadCsv(
+      `${slugify(projectName)}-inventory.csv`,
+      buildInventoryCsv(materials),
+    );
+  };
+
+  const handleExportTransactions = async () => {
+    setExporting(true);
+    showNotice("");
+    try {
+      const transactions = await listProjectMaterialTransactions({
+        organizationId,
+        projectId,
+      });
+      const materialNames = Object.fromEntries(
+        materials.map((material) => [material.id, material.name]),
+      );
+      downloadCsv(
+        `${slugify(projectName)}-transactions.csv`,
+        buildTransactionsCsv(transactions, materialNames),
+      );
+    } catch (err) {
+      showNotice(err.message || "Failed to export transactions.", "error");
+    }
+    setExporting(false);
+  };
+
+  return (
+    <div className="materials-csv-panel">
+      <div className="materials-csv-actions">
+        <label className="btn-secondary materials-csv-upload">
+          Import CSV
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFileChange}
+            aria-label="Import materials CSV"
+          />
+        </label>
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={handleExportInventory}
+          disabled={materials.length === 0}
+        >
+          Export inventory
+        </button>
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={handleExportTransactions}
+          disabled={exporting}
+        >
+          {exporting ? "Exporting…" : "Export transactions"}
+        </button>
+      </div>
+
+      {notice && <p className={`material-notice ${noticeType}`}>{notice}</p>}
+
+      {preview.length > 0 && (
+        <div className="materials-csv-preview">
+          <p className="materials-csv-summary">
+            <strong>{fileName}</strong> — {validRows.length} ready
+            {invalidCount > 0 && `, ${invalidCount} with errors (skipped)`}
+          </p>
+
+          <div className="materials-csv-mapping">
+            {MATERIAL_CSV_FIELDS.map((field) => (
+              <label key={field.key}>
+                {field.label}
+                <select
+                  value={mapping[field.key] ?? -1}
+                  onChange={(e) =>
+                    setMapping((prev) => ({
+                      ...prev,
+                      [field.key]: Number(e.target.value),
+                    }))
+                  }
+                  aria-label={`Column for ${field.label}`}
+                >
+                  <option value={-1}>
+                    {field.required ? "Select column" : "Not mapped"}
+                  </option>
+                  {headers.map((header, index) => (
+                    <option key={`${header}-${index}`} value={index}>
+                      {header || `Column ${index + 1}`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+
+          <div className="materials-csv-table-wrap">
+            <table className="materials-csv-table">
+              <thead>
+                <tr>
+                  <th>Row</th>
+                  <th>Name</th>
+                  <th>Unit</th>
+                  <th>In stock</th>
+                  <th>Minimum</th>
+                  <th>Unit cost</th>
+                  <th>Issues</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.map((row) => (
+                  <tr
+                    key={row.rowNumber}
+                    className={row.errors.length > 0 ? "has-errors" : ""}
+                  >
+                    <td>{row.rowNumber}</td>
+                    <td>{row.material.name || "—"}</td>
+                    <td>{row.material.unit}</td>
+                    <td>{row.material.quantityOnHand}</td>
+                    <td>{row.material.minimumThreshold}</td>
+                    <td>{row.material.unitCost}</td>
+                    <td>
+                      {row.errors.length > 0 ? row.errors.join(" ") : "OK"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="materials-csv-actions">
+            <button
+              type="button"
+              className="btn-primary"
+              onClick={handleImport}
+              disabled={importing || validRows.length === 0}
+            >
+              {importing
+                ? "Importing…"
+                : `Import ${validRows.length} material${validRows.length === 1 ? "" : "s"}`}
+            </button>
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={resetImport}
+              disabled={importing}
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default MaterialsCsvPanel;
@@ -2,8 +2,9 @@
  * ProjectCard.jsx
  *
  * Reusable card component for displaying individual project information. Shows project name,
- * status badge (In Progress, Pending, Completed), completion percentage with visual progress bar,
- * and action buttons for viewing details and opening blueprints. Used on Dashboard and Projects pages.
+ * status badge (In Progress, Pending, Completed), an over-budget flag when `project.cost` says
+ * material cost exceeds the budget, completion percentage with visual progress bar, and action
+ * buttons for viewing details and opening blueprints. Used on Dashboard and Projects pages.
  */
 
 import "../styles/ProjectCard.css";
@@ -13,6 +14,9 @@ function ProjectCard({ project }) {
     <div className="project-card">
       <div className="project-card-header">
         <h3>{project.name}</h3>
+        {project.cost?.overBudget && (
+          <span className="status-badge over-budget">Over budget</span>
+        )}
         <span
           className={`status-badge ${project.status.toLowerCase().replace(" ", "-")}`}
         >
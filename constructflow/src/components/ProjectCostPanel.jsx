@@ -0,0 +1,182 @@
+/**
+ * ProjectCostPanel.jsx
+ *
+ * Material cost of one project against its budget: what reserved allocations
+ * have committed and what tasks have consumed, broken down per material.
+ * Managers can set the budget here.
+ */
+
+import { useEffect, useState } from "react";
+import {
+  loadProjectCostSummaries,
+  updateProjectBudget,
+} from "../utils/materialsInventoryService";
+import { formatCost } from "../utils/projectCosting";
+
+function ProjectCostPanel({
+  organizationId,
+  project,
+  canEditBudget = false,
+  refreshKey,
+  onBudgetSaved,
+}) {
+  const [summary, setSummary] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [budgetInput, setBudgetInput] = useState(
+    project?.budget ? String(project.budget) : "",
+  );
+  const [savingBudget, setSavingBudget] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [noticeType, setNoticeType] = useState("info");
+
+  const projectId = project?.id;
+  const budget = project?.budget;
+
+  useEffect(() => {
+    if (!organizationId || !projectId) return;
+    const load = async () => {
+      setLoading(true);
+      setLoadError("");
+      try {
+        const summaries = await loadProjectCostSummaries({
+          organizationId,
+          projects: [{ id: projectId, budget }],
+        });
+        setSummary(summaries.get(projectId) || null);
+      } catch (err) {
+        console.error("Load project cost:", err);
+        setLoadError("Failed to load project cost.");
+      }
+      setLoading(false);
+    };
+    load();
+  }, [organizationId, projectId, budget, refreshKey]);
+
+  const handleSaveBudget = async (e) => {
+    e.preventDefault();
+    const value = Number(budgetInput || 0);
+    if (!Number.isFinite(value) || value < 0) {
+      setNotice("Budget must be zero or a positive number.");
+      setNoticeType("error");
+      return;
+    }
+
+    setSavingBudget(true);
+    setNotice("");
+    try {
+      const nextBudget = await updateProjectBudget({ projectId, budget: value });
+      setNotice(nextBudget > 0 ? "Budget saved." : "Budget cleared.");
+      setNoticeType("success");
+      onBudgetSaved?.(nextBudget);
+    } catch (err) {
+      setNotice(err.message || "Failed to save budget.");
+      setNoticeType("error");
+    }
+    setSavingBudget(false);
+  };
+
+  return (
+    <div className="project-cost-panel">
+      {canEditBudget && (
+        <form className="project-budget-form" onSubmit={handleSaveBudget}>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="No budget set"
+            value={budgetInput}
+            onChange={(e) => setBudgetInput(e.target.value)}
+            aria-label="Project budget"
+          />
+          <button
+            type="submit"
+            className="btn-secondary"
+            disabled={savingBudget}
+          >
+            {savingBudget ? "Saving…" : "Save budget"}
+          </button>
+        </form>
+      )}
+
+      {notice && (
+        <p className={`task-material-notice ${noticeType}`}>{notice}</p>
+      )}
+
+      {loading ? (
+        <p className="project-cost-empty">Loading project cost…</p>
+      ) : loadError ? (
+        <p className="project-cost-empty error">{loadError}</p>
+      ) : (
+        summary && (
+          <>
+            <div className="project-cost-totals">
+              <div>
+                <span>Budget</span>
+                <strong>
+                  {summary.budget > 0 ? formatCost(summary.budget) : "Not set"}
+                </strong>
+              </div>
+              <div>
+                <span>Committed</span>
+                <strong>{formatCost(summary.committedCost)}</strong>
+              </div>
+              <div>
+                <span>Consumed</span>
+                <strong>{formatCost(summary.consumedCost)}</strong>
+              </div>
+              {summary.budget > 0 && (
+                <div>
+                  <span>Remaining</span>
+                  <strong
+                    className={summary.overBudget ? "project-cost-over" : ""}
+                  >
+                    {formatCost(summary.remaining)}
+                  </strong>
+                </div>
+              )}
+            </div>
+
+            {summary.overBudget && (
+              <p className="project-budget-flag">
+                Over budget by {formatCost(-summary.remaining)}
+              </p>
+            )}
+
+            {summary.rows.length === 0 ? (
+              <p className="project-cost-empty">
+                No material cost recorded for this project yet.
+              </p>
+            ) : (
+              <table className="project-cost-table">
+                <thead>
+                  <tr>
+                    <th>Material</th>
+                    <th>Unit cost</th>
+                    <th>Committed</th>
+                    <th>Consumed</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.rows.map((row) => (
+                    <tr key={row.materialId}>
+                      <td>{row.materialName}</td>
+                      <td>
+                        {formatCost(row.unitCost)}
+                        {row.unit && ` / ${row.unit}`}
+                      </td>
+                      <td>{formatCost(row.committedCost)}</td>
+                      <td>{formatCost(row.consumedCost)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </>
+        )
+      )}
+    </div>
+  );
+}
+
+export default ProjectCostPanel;
@@ -0,0 +1,201 @@
+/**
+ * PurchaseOrderCard.jsx
+ *
+ * One purchase order on the purchasing page. Drafts can be given a supplier,
+ * placed or deleted; placed orders take deliveries line by line until every
+ * line has been received.
+ */
+
+import { useState } from "react";
+import { PURCHASE_ORDER_STATUS } from "../utils/materialsConstants";
+import { formatDateTime } from "../utils/dateTime";
+import { getOutstandingQuantity } from "../utils/purchaseOrderDomain";
+
+const PURCHASE_ORDER_STATUS_LABELS = {
+  [PURCHASE_ORDER_STATUS.DRAFT]: "Draft",
+  [PURCHASE_ORDER_STATUS.ORDERED]: "Ordered",
+  [PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED]: "Partially received",
+  [PURCHASE_ORDER_STATUS.RECEIVED]: "Received",
+};
+
+function PurchaseOrderCard({
+  order,
+  suppliers = [],
+  projectNames = {},
+  busy = false,
+  onChangeSupplier,
+  onPlace,
+  onDelete,
+  onReceive,
+}) {
+  const [receiving, setReceiving] = useState(false);
+  const [receivedQtyByMaterialId, setReceivedQtyByMaterialId] = useState({});
+
+  const isDraft = order.status === PURCHASE_ORDER_STATUS.DRAFT;
+  const isOpen =
+    order.status === PURCHASE_ORDER_STATUS.ORDERED ||
+    order.status === PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+
+  const startReceiving = () => {
+    setReceivedQtyByMaterialId(
+      Object.fromEntries(
+        order.lines.map((line) => [
+          line.materialId,
+          String(getOutstandingQuantity(line)),
+        ]),
+      ),
+    );
+    setReceiving(true);
+  };
+
+  const handlePostReceipt = async () => {
+    const receipts = order.lines
+      .map((line) => ({
+        materialId: line.materialId,
+        quantity: Number(receivedQtyByMaterialId[line.materialId] || 0),
+      }))
+      .filter((receipt) => receipt.quantity !== 0);
+
+    const posted = await onReceive?.(order, receipts);
+    if (posted) setReceiving(false);
+  };
+
+  return (
+    <div className={`purchase-order-card ${order.status}`}>
+      <div className="purchase-order-header">
+        <div>
+          <strong>{order.supplierName || "No supplier yet"}</strong>
+          <span className="purchase-order-meta">
+            Created {formatDateTime(order.createdAt)}
+            {order.note && ` · ${order.note}`}
+          </span>
+        </div>
+        <span className={`purchase-order-status ${order.status}`}>
+          {PURCHASE_ORDER_STATUS_LABELS[order.status]}
+        </span>
+      </div>
+
+      <table className="purchase-order-lines">
+        <thead>
+          <tr>
+            <th>Material</th>
+            <th>Project</th>
+            <th>Ordered</th>
+            <th>Received</th>
+            <th>Outstanding</th>
+            {receiving && <th>Receiving now</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {order.lines.map((line) => {
+            const outstanding = getOutstandingQuantity(line);
+            return (
+              <tr key={line.materialId}>
+                <td>{line.materialName || line.materialId}</td>
+                <td>{projectNames[line.projectId] || "—"}</td>
+                <td>
+                  {line.quantityOrdered} {line.unit}
+                </td>
+                <td>
+                  {line.quantityReceived} {line.unit}
+                </td>
+                <td>
+                  {outstanding} {line.unit}
+                </td>
+                {receiving && (
+                  <td>
+                    <input
+                      type="number"
+                      min="0"
+                      max={outstanding}
+                      step="0.01"
+                      value={receivedQtyByMaterialId[line.materialId] ?? ""}
+                      onChange={(e) =>
+                        setReceivedQtyByMaterialId((prev) => ({
+                          ...prev,
+                          [line.materialId]: e.target.value,
+                        }))
+                      }
+                      disabled={outstanding === 0}
+                      aria-label={`Received quantity for ${line.materialName}`}
+                    />
+                  </td>
+                )}
+              </tr>
+            );
+          })}
+        </tbody>
+      </table>
+
+      {isDraft && (
+        <div className="purchase-order-actions">
+          <select
+            value={order.supplierId}
+            onChange={(e) => onChangeSupplier?.(order, e.target.value)}
+            disabled={busy}
+            aria-label="Supplier for draft order"
+          >
+            <option value="">Choose supplier</option>
+            {suppliers.map((supplier) => (
+              <option key={supplier.id} value={supplier.id}>
+                {supplier.name}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="btn-primary"
+            onClick={() => onPlace?.(order)}
+            disabled={busy || !order.supplierId}
+          >
+            Place order
+          </button>
+          <button
+            type="button"
+            className="btn-secondary materials-action-btn danger"
+            onClick={() => onDelete?.(order)}
+            disabled={busy}
+          >
+            Delete draft
+          </button>
+        </div>
+      )}
+
+      {isOpen && (
+        <div className="purchase-order-actions">
+          {receiving ? (
+            <>
+              <button
+                type="button"
+                className="btn-primary"
+                onClick={handlePostReceipt}
+                disabled={busy}
+              >
+                {busy ? "Posting…" : "Post receipt"}
+              </button>
+              <button
+                type="button"
+                className="btn-secondary"
+                onClick={() => setReceiving(false)}
+                disabled={busy}
+              >
+                Cancel
+              </button>
+            </>
+          ) : (
+            <button
+              type="button"
+              className="btn-secondary"
+              onClick={startReceiving}
+              disabled={busy}
+            >
+              Receive delivery
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PurchaseOrderCard;
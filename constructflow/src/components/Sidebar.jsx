@@ -2,8 +2,9 @@
  * Sidebar.jsx
  *
  * Role-aware navigation sidebar.
- *   Manager  — Dashboard, Projects, Workers, Settings
- *   Worker   — Dashboard, Projects, Settings
+ *   Manager  — Dashboard, Projects, Inspections, Symbols, Inventory,
+ *              Purchasing, Workers, Shifts, Settings
+ *   Worker   — Dashboard, Projects, Inventory, Shifts, Settings
  *
  * Projects link goes to /projects (list); individual blueprints are accessed
  * from within each project card.
@@ -12,8 +13,12 @@
 import { useLocation, Link } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import {
+  MdCategory,
   MdDashboard,
+  MdFactCheck,
   MdFolder,
+  MdInventory2,
+  MdLocalShipping,
   MdPeople,
   MdCalendarMonth,
   // MdBarChart,
@@ -25,6 +30,10 @@ import "../styles/Sidebar.css";
 const MANAGER_LINKS = [
   { name: "Dashboard", icon: MdDashboard, path: "/dashboard" },
   { name: "Projects", icon: MdFolder, path: "/projects" },
+  { name: "Inspections", icon: MdFactCheck, path: "/inspections" },
+  { name: "Symbols", icon: MdCategory, path: "/symbols" },
+  { name: "Inventory", icon: MdInventory2, path: "/materials" },
+  { name: "Purchasing", icon: MdLocalShipping, path: "/purchasing" },
   { name: "Workers", icon: MdPeople, path: "/workers" },
   { name: "Shifts", icon: MdCalendarMonth, path: "/shifts" },
   // { name: "Reports", icon: MdBarChart, path: "/reports" },
@@ -34,6 +43,7 @@ const MANAGER_LINKS = [
 const WORKER_LINKS = [
   { name: "Dashboard", icon: MdDashboard, path: "/dashboard" },
   { name: "Projects", icon: MdFolder, path: "/projects" },
+  { name: "Inventory", icon: MdInventory2, path: "/materials" },
   { name: "Shifts", icon: MdCalendarMonth, path: "/shifts" },
   { name: "Settings", icon: MdSettings, path: "/settings" },
 ];
@@ -5,6 +5,9 @@
  *   Manager — full edit: upload, draw hot/cold pipes + wire, assign, delete, save/update
  *   Worker  — read-only: select blueprint, view assigned elements, mark own elements complete
  *
+ * A blueprint is a set of sheets (an image, or one per page of an uploaded PDF);
+ * objects are tagged with the sheet they were drawn on.
+ *
  * Drawing types:
  *   hot_pipe   → plumbers     (red)
  *   cold_pipe  → plumbers     (blue)
@@ -12,11 +15,20 @@
  *   connection → electricians
  */
 
-import { useState, useEffect, useCallback, useRef } from "react";
+import { useState, useEffect, useCallback, useMemo, useRef } from "react";
 import { useNavigate, useParams, useSearchParams } from "react-router-dom";
 import Header from "../components/Header";
 import Sidebar from "../components/Sidebar";
 import BlueprintCanvas from "../components/BlueprintCanvas";
+import BlueprintTakeoffPanel from "../components/BlueprintTakeoffPanel";
+import BlueprintMyWorkPanel from "../components/BlueprintMyWorkPanel";
+import BlueprintRevisionsPanel from "../components/BlueprintRevisionsPanel";
+import BlueprintPresence from "../components/BlueprintPresence";
+import BlueprintExportPanel from "../components/BlueprintExportPanel";
+import BlueprintLayersPanel from "../components/BlueprintLayersPanel";
+import BlueprintProblemsPanel from "../components/BlueprintProblemsPanel";
+import CompletionEvidenceForm from "../components/CompletionEvidenceForm";
+import CompletionEvidenceGallery from "../components/CompletionEvidenceGallery";
 import {
   MdSave,
   MdExpandMore,
@@ -24,6 +36,8 @@ import {
   MdEdit,
   MdImage,
   MdUpload,
+  MdUndo,
+  MdRedo,
 } from "react-icons/md";
 import { storage, db } from "../firebase";
 import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
@@ -33,12 +47,95 @@ import {
   getDocs,
   getDoc,
   doc,
-  updateDoc,
   deleteDoc,
+  setDoc,
+  deleteField,
+  onSnapshot,
+  runTransaction,
   query,
   where,
 } from "firebase/firestore";
 import { useAuth } from "../contexts/AuthContext";
+import { consumeTaskMaterials } from "../utils/materialsRepository";
+import {
+  buildBlueprintTakeoff,
+  formatMeasuredLength,
+  getPathLengthPixels,
+  getPixelsPerMeter,
+  mergeTakeoffLines,
+  parseRealDistance,
+  TAKEOFF_LINE_KIND,
+} from "../utils/blueprintTakeoff";
+import {
+  getBlueprintSheets,
+  getObjectSheetId,
+  isPdfFile,
+  makeSheetId,
+  rasterizePdfPages,
+} from "../utils/blueprintSheets";
+import {
+  BLUEPRINT_REVISIONS_COLLECTION,
+  diffBlueprintObjects,
+  REVISION_CHANGE,
+  restoreRevisionObjects,
+  sortRevisions,
+  summarizeRevisionDiff,
+} from "../utils/blueprintRevisions";
+import {
+  countBlueprintUnits,
+  getTaskCompletion,
+} from "../utils/projectProgress";
+import {
+  arrangeObjectsByLayer,
+  createLayer,
+  getBlueprintLayers,
+  getObjectLayerId,
+  getTradeLayerIds,
+  moveLayer,
+} from "../utils/blueprintLayers";
+import {
+  createEditHistory,
+  rebaseEdits,
+  recordEdit,
+  redoEdit,
+  undoEdit,
+} from "../utils/editHistory";
+import {
+  BLUEPRINT_CONFLICT_ERROR,
+  BLUEPRINT_PRESENCE_COLLECTION,
+  getActiveCollaborators,
+  mergeRemoteObjects,
+  planBlueprintSave,
+  PRESENCE_HEARTBEAT_MS,
+  PRESENCE_MODE,
+  sameStoredObject,
+} from "../utils/blueprintSync";
+import { analyzeBlueprintRouting } from "../utils/blueprintClashes";
+import { buildMyWorkItems, getWorkItemBounds } from "../utils/blueprintMyWork";
+import {
+  approveCompletion,
+  completeWithEvidence,
+  normalizeApproval,
+  normalizeEvidence,
+  normalizeRejection,
+  rejectCompletion,
+  reopenItem,
+  uploadEvidencePhotos,
+} from "../utils/completionEvidence";
+import {
+  getDefaultFixtureName,
+  getObjectToolGroup,
+  getObjectTrade,
+  getObjectTypeLabel,
+  getPointTaskLabel,
+  TYPE_LABELS,
+} from "../utils/blueprintLabels";
+import {
+  buildSymbolLibrary,
+  findSymbol,
+  getPaletteSymbols,
+} from "../utils/symbolLibrary";
+import { loadSymbolLibrary } from "../utils/symbolLibraryRepository";
 import "../styles/BlueprintViewer.css";
 
 const LS_KEY = "cf_last_blueprint_id";
@@ -54,139 +151,25 @@ const TOOL_GROUP_DEFAULTS = {
   electrical: "connection",
 };
 
-const TOOL_GROUP_FIXTURE_LABELS = {
-  plumbing: "Fixture",
-  electrical: "Breaker Panel",
-};
-
-// Type → trade mapping
-const TYPE_TRADE = {
-  hot_pipe: "plumber",
-  cold_pipe: "plumber",
-  drain_pipe: "plumber",
-  pipe: "plumber",
-  connection: "electrician",
-};
-
-const TYPE_LABELS = {
-  hot_pipe: "Hot Water Pipe",
-  cold_pipe: "Cold Water Pipe",
-  drain_pipe: "Drainage Pipe",
-  pipe: "Hot Water Pipe",
-  connection: "Wire",
-};
-
-const POINT_TASK_LABELS = {
-  plumbing: {
-    valve: "Valve",
-    fixture: "Valve",
-    join_2_way: "2 Way Joints",
-    join_3_way: "3 Way Joints",
-    join_4_way: "4 Way Joints",
-  },
-  electrical: {
-    valve: "Light",
-    fixture: "Light",
-    join_2_way: "Switches",
-    join_3_way: "Outlet",
-    join_4_way: "Ethernet/Data Port",
-  },
-};
-
-const POINT_TOOL_TYPES = ["valve", "join_2_way", "join_3_way", "join_4_way"];
-
-const POINT_TOOL_BUTTONS = {
-  plumbing: [
-    {
-      key: "valve",
-      label: "Valve",
-      className: "valve-btn",
-      iconClass: "valve-icon",
-      title: "Assign valve task to pipe point",
-    },
-    {
-      key: "join_2_way",
-      label: "2 Way Joints",
-      className: "join-2-btn",
-      iconClass: "join-2-icon",
-      title: "Assign 2 way joints task to pipe point",
-    },
-    {
-      key: "join_3_way",
-      label: "3 Way Joints",
-      className: "join-3-btn",
-      iconClass: "join-3-icon",
-      title: "Assign 3 way joints task to pipe point",
-    },
-    {
-      key: "join_4_way",
-      label: "4 Way Joints",
-      className: "join-4-btn",
-      iconClass: "join-4-icon",
-      title: "Assign 4 way joints task to pipe point",
-    },
-  ],
-  electrical: [
-    {
-      key: "valve",
-      label: "Light",
-      className: "valve-btn",
-      iconClass: "valve-icon",
-      title: "Assign light task to wire point",
-    },
-    {
-      key: "join_2_way",
-      label: "Switches",
-      className: "join-2-btn",
-      iconClass: "join-2-icon",
-      title: "Assign switches task to wire point",
-    },
-    {
-      key: "join_3_way",
-      label: "Outlet",
-      className: "join-3-btn",
-      iconClass: "join-3-icon",
-      title: "Assign outlet task to wire point",
-    },
-    {
-      key: "join_4_way",
-      label: "Ethernet/Data Port",
-      className: "join-4-btn",
-      iconClass: "join-4-icon",
-      title: "Assign ethernet/data port task to wire point",
-    },
-  ],
-};
-
-const getObjectToolGroup = (obj) =>
-  obj?.toolGroup || (obj?.type === "connection" ? "electrical" : "plumbing");
-
-const getDefaultFixtureName = (toolGroup = "plumbing") =>
-  TOOL_GROUP_FIXTURE_LABELS[toolGroup] || TOOL_GROUP_FIXTURE_LABELS.plumbing;
-
-const getObjectTrade = (obj) => {
-  if (!obj) return null;
-  if (obj.type === "fixture_area") {
-    return getObjectToolGroup(obj) === "electrical"
-      ? "electrician"
-      : "plumber";
+const getTakeoffLineLabel = (line, symbols) => {
+  if (line.kind === TAKEOFF_LINE_KIND.LENGTH) {
+    return TYPE_LABELS[line.type] || line.type;
   }
-  return TYPE_TRADE[obj.type] || null;
+  if (line.type === "fixture_area") return getDefaultFixtureName(line.toolGroup);
+  return getPointTaskLabel(line.type, line.toolGroup, symbols);
 };
 
-const getObjectTypeLabel = (obj) => {
-  if (!obj) return "";
-  if (obj.type === "fixture_area") {
-    return getDefaultFixtureName(getObjectToolGroup(obj));
-  }
-  return TYPE_LABELS[obj.type] || obj.type;
-};
-
-const getPointTaskLabel = (requiredType, toolGroup = "plumbing") => {
-  if (!requiredType) return null;
-  const labels = POINT_TASK_LABELS[toolGroup] || POINT_TASK_LABELS.plumbing;
-  return labels[requiredType] || requiredType;
-};
+// Labels and point styles the export legend uses, shared with the rest of
+// the viewer.
+const getExportLabels = (symbols) => ({
+  lineLabel: (type) => TYPE_LABELS[type] || type,
+  fixtureLabel: getDefaultFixtureName,
+  pointLabel: (type, toolGroup) => getPointTaskLabel(type, toolGroup, symbols),
+  pointStyle: (type, toolGroup) => {
+    const symbol = findSymbol(symbols, toolGroup, type);
+    return { symbol: symbol?.icon || "circle", color: symbol?.color };
+  },
+});
 
 const clampFixtureConnections = (value) =>
   Math.min(4, Math.max(1, Number(value) || 1));
@@ -195,10 +178,39 @@ const pointChipLabel = (
   pointTasks = [],
   pointIndex = 0,
   toolGroup = "plumbing",
+  symbols = [],
 ) => {
   const task = pointTasks[pointIndex];
   if (!task?.requiredType) return `P${pointIndex + 1}`;
-  return getPointTaskLabel(task.requiredType, toolGroup);
+  return getPointTaskLabel(task.requiredType, toolGroup, symbols);
+};
+
+// Completions to inspect, or rejections to explain, for an element: its
+// point tasks, or the element itself when it has none.
+const getInspectionItems = (obj, symbols) => {
+  const toolGroup = getObjectToolGroup(obj);
+  const tasks = (obj.pointTasks || [])
+    .map((task, pointIndex) => ({ ...task, pointIndex }))
+    .filter((task) => task.requiredType);
+  const items =
+    tasks.length > 0
+      ? tasks.map((task) => ({
+          ...task,
+          key: `point-${task.pointIndex}`,
+          label: `P${task.pointIndex + 1} · ${getPointTaskLabel(task.requiredType, toolGroup, symbols)}`,
+        }))
+      : [
+          {
+            key: "object",
+            pointIndex: null,
+            label: getObjectTypeLabel(obj),
+            completed: obj.completed,
+            evidence: obj.evidence,
+            approval: obj.approval,
+            rejection: obj.rejection,
+          },
+        ];
+  return items.filter((item) => item.completed || item.rejection);
 };
 
 const syncPointTasksWithPoints = (pointTasks = [], pointCount = 0) =>
@@ -209,6 +221,9 @@ const syncPointTasksWithPoints = (pointTasks = [], pointCount = 0) =>
       completed: Boolean(task.completed),
       instructions:
         typeof task.instructions === "string" ? task.instructions : "",
+      evidence: normalizeEvidence(task.evidence),
+      approval: normalizeApproval(task.approval),
+      rejection: normalizeRejection(task.rejection),
     };
   });
 
@@ -236,6 +251,8 @@ const hydrateObject = (id, raw) => {
   const toolGroup = getObjectToolGroup(raw);
   return withComputedCompletion({
     id,
+    sheetId: raw.sheetId || null,
+    layerId: raw.layerId || null,
     type: raw.type,
     toolGroup,
     pathPoints: raw.pathPoints || [],
@@ -248,10 +265,116 @@ const hydrateObject = (id, raw) => {
     assignedTo: raw.assignedTo || null,
     assignedToName: raw.assignedToName || null,
     completed: raw.completed || false,
+    evidence: normalizeEvidence(raw.evidence),
+    approval: normalizeApproval(raw.approval),
+    rejection: normalizeRejection(raw.rejection),
     drawing: Boolean(raw.drawing),
   });
 };
 
+// Shape of objects as stored in a blueprint doc's `objects` map.
+const serializeObjects = (objects = [], fallbackSheetId = null) =>
+  Object.fromEntries(
+    objects.map((obj) => [
+      obj.id,
+      {
+        sheetId: obj.sheetId || fallbackSheetId || null,
+        layerId: obj.layerId || null,
+        type: obj.type,
+        toolGroup: obj.toolGroup || getObjectToolGroup(obj),
+        pathPoints: obj.pathPoints,
+        pointTasks: obj.pointTasks || [],
+        rect: obj.rect || null,
+        fixtureName: obj.fixtureName || "",
+        connectionCount: clampFixtureConnections(obj.connectionCount || 1),
+        assignedTo: obj.assignedTo || null,
+        assignedToName: obj.assignedToName || null,
+        completed: obj.completed,
+        evidence: obj.evidence || null,
+        approval: obj.approval || null,
+        rejection: obj.rejection || null,
+      },
+    ]),
+  );
+
+// A raw objects map from Firestore in the same stored form the editor would
+// save, so an untouched object compares equal to its local copy.
+const normalizeStoredObjects = (rawObjects = {}, sheets = []) =>
+  serializeObjects(
+    Object.entries(rawObjects || {}).map(([id, obj]) =>
+      hydrateObject(id, { ...obj, sheetId: getObjectSheetId(obj, sheets) }),
+    ),
+    sheets[0]?.id,
+  );
+
+// Replaces, adds or removes the given objects in an editor list to match a
+// stored map. List order and the in-progress drawing flag are kept.
+const applyStoredObjects = (list, ids, storedMap) => {
+  const changed = new Set(ids);
+  const next = list.flatMap((obj) => {
+    if (!changed.has(obj.id)) return [obj];
+    const stored = storedMap[obj.id];
+    return stored
+      ? [hydrateObject(obj.id, { ...stored, drawing: obj.drawing })]
+      : [];
+  });
+  ids.forEach((id) => {
+    if (storedMap[id] && !list.some((obj) => obj.id === id)) {
+      next.push(hydrateObject(id, storedMap[id]));
+    }
+  });
+  return next;
+};
+
+// Conflicts are listed once per object, with who changed it last and their
+// version of it (null when they deleted it).
+const upsertConflicts = (conflicts, ids, remote, byName = "") => [
+  ...conflicts.filter((conflict) => !ids.includes(conflict.id)),
+  ...ids.map((id) => ({ id, byName, theirs: remote[id] || null })),
+];
+
+/**
+ * Saves an existing blueprint without overwriting other people's work: only
+ * objects edited since `base` are written, each under its own field, inside a
+ * transaction. Throws a BLUEPRINT_CONFLICT_ERROR when one of them was also
+ * changed by someone else. Resolves to the objects map as saved.
+ */
+const writeBlueprintChanges = (blueprintId, { data, base, local, sheets }) =>
+  runTransaction(db, async (transaction) => {
+    const blueprintRef = doc(db, "blueprints", blueprintId);
+    const snap = await transaction.get(blueprintRef);
+    const current = snap.exists() ? snap.data() : {};
+    const remote = normalizeStoredObjects(
+      current.objects,
+      getBlueprintSheets(current),
+    );
+    const { writes, conflicts } = planBlueprintSave({ base, local, remote });
+    if (conflicts.length > 0) {
+      const err = new Error("Blueprint elements were changed by someone else");
+      err.code = BLUEPRINT_CONFLICT_ERROR;
+      err.details = {
+        conflicts,
+        remote,
+        updatedByName: current.updatedByName || "",
+      };
+      throw err;
+    }
+
+    const saved = { ...remote };
+    const objectFields = {};
+    Object.entries(writes).forEach(([id, obj]) => {
+      if (obj) {
+        saved[id] = normalizeStoredObjects({ [id]: obj }, sheets)[id];
+        objectFields[`objects.${id}`] = saved[id];
+      } else {
+        delete saved[id];
+        objectFields[`objects.${id}`] = deleteField();
+      }
+    });
+    transaction.update(blueprintRef, { ...data, ...objectFields });
+    return saved;
+  });
+
 export default function BlueprintViewer() {
   const { currentUser, userProfile, isManager, organizationId } = useAuth();
   const { projectId, taskId } = useParams();
@@ -261,19 +384,82 @@ export default function BlueprintViewer() {
   const isAuthenticated = Boolean(currentUser);
   const isWorker = isAuthenticated && !isManager;
   const currentUid = currentUser?.uid || null;
+  const currentUserName = userProfile?.name || currentUser?.email || "";
+  const evidenceUser = { uid: currentUid, name: currentUserName };
+  // Managers inspect their own work as they mark it, so it is approved
+  // straight away. Workers' completions go through CompletionEvidenceForm.
+  const completeAsManager = (item) =>
+    approveCompletion(completeWithEvidence(item, { user: evidenceUser }), {
+      user: evidenceUser,
+    });
   // Worker trade role (null for manager)
   const workerTrade = isWorker ? userProfile?.role : null;
 
   // ── Blueprint state ──────────────────────────────────────────────────
   const [blueprintName, setBlueprintName] = useState("");
-  const [blueprintImage, setBlueprintImage] = useState(null);
+  const [sheets, setSheets] = useState([]);
+  const [activeSheetId, setActiveSheetId] = useState(null);
+  const [layers, setLayers] = useState(() => getBlueprintLayers());
+  // Visibility the viewer chose per layer; unset layers use the default.
+  const [layerVisibility, setLayerVisibility] = useState({});
   const [currentBlueprintId, setCurrentBlueprintId] = useState(null);
-  const [objects, setObjects] = useState([]);
+  const [objects, setObjectsState] = useState([]);
   const [isDirty, setIsDirty] = useState(false);
+  const [history, setHistory] = useState(createEditHistory);
+  // Always the latest objects, so edits fired back to back in one event
+  // (e.g. the last point and finishing a path) build on each other.
+  const objectsRef = useRef([]);
+  // Objects map as last seen in Firestore, the base for merging and saving
+  // (see utils/blueprintSync).
+  const baseObjectsRef = useRef({});
+  // Latest list taken from a snapshot, so dirty tracking can ignore it.
+  const remoteObjectsRef = useRef(null);
+  const [syncConflicts, setSyncConflicts] = useState([]);
+  const [presence, setPresence] = useState({ blueprintId: null, entries: [] });
+
+  /**
+   * Replaces the objects from a value or an updater. Passing `edit`
+   * ({ label, coalesceKey?, before? }) records the change for undo; `before`
+   * overrides the snapshot undo returns to.
+   */
+  const setObjects = useCallback(
+    (update, edit = null) => {
+      const before = objectsRef.current;
+      const after = typeof update === "function" ? update(before) : update;
+      if (after === before) return;
+      objectsRef.current = after;
+      setObjectsState(after);
+      if (!edit || !isManager) return;
+      setHistory((prev) =>
+        recordEdit(prev, {
+          label: edit.label,
+          coalesceKey: edit.coalesceKey,
+          before: edit.before || before,
+          after,
+        }),
+      );
+    },
+    [isManager],
+  );
+
+  const activeSheet =
+    sheets.find((sheet) => sheet.id === activeSheetId) || sheets[0] || null;
+  const blueprintImage = activeSheet?.imageUrl || null;
+  const blueprintScale = activeSheet?.scale || null;
 
   // ── Drawing state ────────────────────────────────────────────────────
   const [activeObjectId, setActiveObjectId] = useState(null);
   const [selectedObjectId, setSelectedObjectId] = useState(null);
+  // Completion waiting for the worker's photos: { objectId, pointIndex }.
+  const [evidenceTarget, setEvidenceTarget] = useState(null);
+  const [evidenceUploading, setEvidenceUploading] = useState(false);
+  const [showProblems, setShowProblems] = useState(false);
+  const [selectedProblemId, setSelectedProblemId] = useState(null);
+  // Worker "my work" mode: the step on show ({ key, index }) and the area
+  // the canvas zooms to.
+  const [myWorkMode, setMyWorkMode] = useState(false);
+  const [myWorkStep, setMyWorkStep] = useState(null);
+  const [focusRect, setFocusRect] = useState(null);
   const [selectedPoint, setSelectedPoint] = useState(null);
   const [activePlumbingTool, setActivePlumbingTool] = useState(
     TOOL_GROUP_DEFAULTS.plumbing,
@@ -281,17 +467,35 @@ export default function BlueprintViewer() {
   const [activeElectricalTool, setActiveElectricalTool] = useState(
     TOOL_GROUP_DEFAULTS.electrical,
   );
+  // The organisation's point-task types; the built-ins until it loads.
+  const [symbolLibrary, setSymbolLibrary] = useState(() =>
+    buildSymbolLibrary(),
+  );
+  const isPointTool = (toolGroup, tool) =>
+    getPaletteSymbols(symbolLibrary, toolGroup).some(
+      (symbol) => symbol.key === tool,
+    );
+  const exportLabels = useMemo(
+    () => getExportLabels(symbolLibrary),
+    [symbolLibrary],
+  );
 
   // ── UI state ─────────────────────────────────────────────────────────
   const [loading, setLoading] = useState(false);
   const [saving, setSaving] = useState(false);
   const [activeToolGroup, setActiveToolGroup] = useState("plumbing");
   const [showGrid, setShowGrid] = useState(false);
+  const [rulerMode, setRulerMode] = useState(null); // "measure" | "calibrate"
 
   // ── Data ─────────────────────────────────────────────────────────────
   const [savedBlueprints, setSavedBlueprints] = useState([]);
   const [showDropdown, setShowDropdown] = useState(false);
   const dropdownRef = useRef(null);
+  const [revisions, setRevisions] = useState([]);
+  const [revisionsToken, setRevisionsToken] = useState(0);
+  const [compareBaseId, setCompareBaseId] = useState("");
+  const [compareTargetId, setCompareTargetId] = useState("current");
+  const [restoredFromRevisionId, setRestoredFromRevisionId] = useState(null);
   const [taskAccessChecked, setTaskAccessChecked] = useState(false);
   const [canAccessTaskBlueprints, setCanAccessTaskBlueprints] = useState(true);
 
@@ -303,9 +507,119 @@ export default function BlueprintViewer() {
       setObjectsInitialized(true);
       return;
     }
+    if (objects === remoteObjectsRef.current) return;
     setIsDirty(true);
   }, [objects]); // eslint-disable-line
 
+  // ── Live sync ────────────────────────────────────────────────────────
+  // Changes saved elsewhere are merged in per object as they arrive; objects
+  // with unsaved local edits are kept and flagged if they changed there too.
+  useEffect(() => {
+    if (!currentBlueprintId) return;
+    return onSnapshot(
+      doc(db, "blueprints", currentBlueprintId),
+      (snap) => {
+        if (!snap.exists()) return;
+        const data = snap.data();
+        const remoteSheets = getBlueprintSheets(data);
+        const remote = normalizeStoredObjects(data.objects, remoteSheets);
+        const { objects: merged, changedIds, conflicts } = mergeRemoteObjects({
+          base: baseObjectsRef.current,
+          local: serializeObjects(objectsRef.current, remoteSheets[0]?.id),
+          remote,
+        });
+        baseObjectsRef.current = remote;
+
+        setSavedBlueprints((prev) =>
+          prev.map((b) => (b.id === snap.id ? { ...b, ...data } : b)),
+        );
+        setSheets((prev) => {
+          const added = remoteSheets.filter(
+            (sheet) => !prev.some((existing) => existing.id === sheet.id),
+          );
+          return added.length > 0 ? [...prev, ...added] : prev;
+        });
+        setLayers((prev) => {
+          const added = getBlueprintLayers(data).filter(
+            (layer) => !prev.some((existing) => existing.id === layer.id),
+          );
+          return added.length > 0 ? [...added, ...prev] : prev;
+        });
+        if (conflicts.length > 0) {
+          setSyncConflicts((prev) =>
+            upsertConflicts(prev, conflicts, remote, data.updatedByName),
+          );
+        }
+        if (changedIds.length === 0) return;
+
+        const patch = (list) => applyStoredObjects(list, changedIds, merged);
+        remoteObjectsRef.current = patch(objectsRef.current);
+        setObjects(remoteObjectsRef.current);
+        setHistory((prev) => rebaseEdits(prev, patch));
+      },
+      (err) => console.error("Blueprint live sync:", err),
+    );
+  }, [currentBlueprintId, setObjects]);
+
+  // ── Presence ─────────────────────────────────────────────────────────
+  const presenceMode =
+    isManager && (isDirty || activeObjectId)
+      ? PRESENCE_MODE.EDITING
+      : PRESENCE_MODE.VIEWING;
+
+  useEffect(() => {
+    if (!currentBlueprintId || !currentUid) return;
+    const presenceRef = doc(
+      db,
+      BLUEPRINT_PRESENCE_COLLECTION,
+      `${currentBlueprintId}_${currentUid}`,
+    );
+    const heartbeat = () =>
+      setDoc(presenceRef, {
+        blueprintId: currentBlueprintId,
+        organizationId: organizationId || null,
+        uid: currentUid,
+        name: currentUserName,
+        mode: presenceMode,
+        lastSeen: new Date(),
+      }).catch((err) => console.error("Blueprint presence:", err));
+    heartbeat();
+    const timer = setInterval(heartbeat, PRESENCE_HEARTBEAT_MS);
+    return () => {
+      clearInterval(timer);
+      deleteDoc(presenceRef).catch(() => {});
+    };
+  }, [
+    currentBlueprintId,
+    currentUid,
+    currentUserName,
+    organizationId,
+    presenceMode,
+  ]);
+
+  useEffect(() => {
+    if (!currentBlueprintId || !organizationId) return;
+    return onSnapshot(
+      query(
+        collection(db, BLUEPRINT_PRESENCE_COLLECTION),
+        where("blueprintId", "==", currentBlueprintId),
+        where("organizationId", "==", organizationId),
+      ),
+      (snap) =>
+        setPresence({
+          blueprintId: currentBlueprintId,
+          entries: snap.docs.map((d) => d.data()),
+        }),
+      (err) => console.error("Blueprint presence:", err),
+    );
+  }, [currentBlueprintId, organizationId]);
+
+  // Entries left over from the previously open blueprint are ignored.
+  const collaborators =
+    presence.blueprintId === currentBlueprintId
+      ? getActiveCollaborators(presence.entries, currentUid)
+      : [];
+
   // ── Unsaved-changes guard: browser close ─────────────────────────────
   useEffect(() => {
     if (!isManager) return;
@@ -383,6 +697,40 @@ export default function BlueprintViewer() {
     }
   }, [projectId, taskId]);
 
+  // ── Symbol library ──────────────────────────────────────────────────
+  useEffect(() => {
+    if (!organizationId) return;
+    const load = async () => {
+      try {
+        setSymbolLibrary(await loadSymbolLibrary({ organizationId }));
+      } catch (err) {
+        console.error("Load symbol library:", err);
+      }
+    };
+    load();
+  }, [organizationId]);
+
+  // ── Revision history (manager only) ─────────────────────────────────
+  useEffect(() => {
+    if (!isManager || !currentBlueprintId) return;
+    const load = async () => {
+      try {
+        const snap = await getDocs(
+          query(
+            collection(db, BLUEPRINT_REVISIONS_COLLECTION),
+            where("blueprintId", "==", currentBlueprintId),
+          ),
+        );
+        setRevisions(
+          sortRevisions(snap.docs.map((d) => ({ id: d.id, ...d.data() }))),
+        );
+      } catch (err) {
+        console.error("Fetch blueprint revisions:", err);
+      }
+    };
+    load();
+  }, [isManager, currentBlueprintId, revisionsToken]);
+
   // ── Task access control (for task-scoped blueprints) ────────────────
   useEffect(() => {
     if (!isAuthenticated) return;
@@ -461,12 +809,29 @@ export default function BlueprintViewer() {
     setActiveElectricalTool(TOOL_GROUP_DEFAULTS.electrical);
     setActiveToolGroup("plumbing");
     setBlueprintName(bp.name || "");
-    setBlueprintImage(bp.imageUrl || null);
+    const bpSheets = getBlueprintSheets(bp);
+    setSheets(bpSheets);
+    setActiveSheetId(bpSheets[0]?.id || null);
+    setLayers(getBlueprintLayers(bp));
+    setLayerVisibility({});
     setCurrentBlueprintId(bp.id);
+    setCompareBaseId("");
+    setCompareTargetId("current");
+    setRestoredFromRevisionId(null);
     const objs = Object.entries(bp.objects || {}).map(([id, obj]) =>
-      hydrateObject(id, { ...obj, drawing: false }),
+      hydrateObject(id, {
+        ...obj,
+        sheetId: getObjectSheetId(obj, bpSheets),
+        drawing: false,
+      }),
     );
-    setObjects(objs);
+    // Set directly rather than through setObjects so this stays free of
+    // component-scope callbacks and the mount effect can call it.
+    objectsRef.current = objs;
+    setObjectsState(objs);
+    baseObjectsRef.current = serializeObjects(objs, bpSheets[0]?.id);
+    setSyncConflicts([]);
+    setHistory(createEditHistory());
     setObjectsInitialized(false);
     setIsDirty(false);
     localStorage.setItem(LS_KEY, bp.id);
@@ -493,8 +858,14 @@ export default function BlueprintViewer() {
       if (currentBlueprintId === id) {
         setCurrentBlueprintId(null);
         setBlueprintName("");
-        setBlueprintImage(null);
+        setSheets([]);
+        setActiveSheetId(null);
+        setLayers(getBlueprintLayers());
+        setLayerVisibility({});
         setObjects([]);
+        baseObjectsRef.current = {};
+        setSyncConflicts([]);
+        setHistory(createEditHistory());
         setSelectedPoint(null);
         setIsDirty(false);
         localStorage.removeItem(LS_KEY);
@@ -515,9 +886,15 @@ export default function BlueprintViewer() {
         return;
     }
     setBlueprintName("");
-    setBlueprintImage(null);
+    setSheets([]);
+    setActiveSheetId(null);
+    setLayers(getBlueprintLayers());
+    setLayerVisibility({});
     setCurrentBlueprintId(null);
     setObjects([]);
+    baseObjectsRef.current = {};
+    setSyncConflicts([]);
+    setHistory(createEditHistory());
     setActivePlumbingTool(TOOL_GROUP_DEFAULTS.plumbing);
     setActiveElectricalTool(TOOL_GROUP_DEFAULTS.electrical);
     setActiveToolGroup("plumbing");
@@ -526,28 +903,73 @@ export default function BlueprintViewer() {
     localStorage.removeItem(LS_KEY);
   };
 
-  // ── Image upload (manager only) ───────────────────────────────────
+  // ── Image / PDF upload (manager only) ─────────────────────────────
+  // Each PDF page becomes its own sheet. The first upload starts a new
+  // blueprint; later uploads add sheets to the open one.
   const handleImageUpload = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
+    const isFirstUpload = sheets.length === 0;
+    const baseName = file.name.replace(/\.[^.]+$/, "");
     setLoading(true);
     try {
-      const storageRef = ref(storage, `blueprints/${file.name}-${Date.now()}`);
-      await uploadBytes(storageRef, file);
-      const url = await getDownloadURL(storageRef);
-      setBlueprintImage(url);
-      setCurrentBlueprintId(null);
-      setObjects([]);
-      setSelectedPoint(null);
-      setIsDirty(false);
-      setObjectsInitialized(false);
-      if (!blueprintName) setBlueprintName(file.name.replace(/\.[^.]+$/, ""));
-    } catch {
-      alert("Failed to upload image.");
+      const pdf = isPdfFile(file);
+      const pages = pdf
+        ? await rasterizePdfPages(file)
+        : [{ name: baseName, blob: file }];
+      const stamp = Date.now();
+      const uploaded = [];
+      for (const [index, page] of pages.entries()) {
+        const storageRef = ref(
+          storage,
+          pdf
+            ? `blueprints/${file.name}-p${index + 1}-${stamp}.png`
+            : `blueprints/${file.name}-${stamp}`,
+        );
+        await uploadBytes(storageRef, page.blob);
+        uploaded.push({
+          id: makeSheetId(),
+          name: page.name,
+          imageUrl: await getDownloadURL(storageRef),
+          scale: null,
+        });
+      }
+      if (uploaded.length === 0) {
+        alert("That PDF has no pages.");
+      } else if (isFirstUpload) {
+        setSheets(uploaded);
+        setActiveSheetId(uploaded[0].id);
+        setLayers(getBlueprintLayers());
+        setLayerVisibility({});
+        setCurrentBlueprintId(null);
+        setObjects([]);
+        baseObjectsRef.current = {};
+        setSyncConflicts([]);
+        setHistory(createEditHistory());
+        setSelectedPoint(null);
+        setIsDirty(false);
+        setObjectsInitialized(false);
+        if (!blueprintName) setBlueprintName(baseName);
+      } else {
+        setSheets((prev) => [...prev, ...uploaded]);
+        selectSheet(uploaded[0].id);
+        setIsDirty(true);
+      }
+    } catch (err) {
+      console.error("Blueprint upload:", err);
+      alert("Failed to upload blueprint.");
     }
     setLoading(false);
   };
 
+  const selectSheet = (sheetId) => {
+    if (activeObjectId) cancelActiveDrawing();
+    setSelectedObjectId(null);
+    setSelectedPoint(null);
+    setRulerMode(null);
+    setActiveSheetId(sheetId);
+  };
+
   // ── Drawing ───────────────────────────────────────────────────────
   const startDrawing = (type) => {
     if (!blueprintImage) {
@@ -555,12 +977,15 @@ export default function BlueprintViewer() {
       return;
     }
     if (activeObjectId) cancelActiveDrawing();
+    setRulerMode(null);
+    setCompareBaseId("");
     const id = makeId();
     const toolGroup = activeToolGroup;
     setObjects((prev) => [
       ...prev,
       withComputedCompletion({
         id,
+        sheetId: activeSheet?.id || null,
         type,
         toolGroup,
         pathPoints: [],
@@ -598,49 +1023,88 @@ export default function BlueprintViewer() {
     setActiveObjectId(null);
   };
 
-  const handlePathUpdate = (id, points) =>
-    setObjects((prev) =>
-      prev.map((o) =>
-        o.id === id ? withComputedCompletion({ ...o, pathPoints: points }) : o,
-      ),
+  // Elements on a locked layer cannot be changed until it is unlocked.
+  const isObjectLocked = (id) => {
+    const obj = objectsRef.current.find((item) => item.id === id);
+    if (!obj || obj.drawing) return false;
+    const layerId = getObjectLayerId(obj, layers);
+    return Boolean(layers.find((layer) => layer.id === layerId)?.locked);
+  };
+
+  // Points placed while a path is still being drawn are undone by the canvas
+  // itself; the finished element becomes one history step.
+  const handlePathUpdate = (id, points) => {
+    if (isObjectLocked(id)) return;
+    setObjects(
+      (prev) =>
+        prev.map((o) =>
+          o.id === id
+            ? withComputedCompletion({ ...o, pathPoints: points })
+            : o,
+        ),
+      id === activeObjectId
+        ? null
+        : { label: "move points", coalesceKey: `path:${id}` },
     );
+  };
 
-  const handleObjectUpdate = (id, patch) =>
-    setObjects((prev) =>
-      prev.map((obj) =>
-        obj.id === id ? withComputedCompletion({ ...obj, ...patch }) : obj,
-      ),
+  const handleObjectUpdate = (id, patch) => {
+    if (isObjectLocked(id)) return;
+    setObjects(
+      (prev) =>
+        prev.map((obj) =>
+          obj.id === id ? withComputedCompletion({ ...obj, ...patch }) : obj,
+        ),
+      id === activeObjectId
+        ? null
+        : { label: "edit element", coalesceKey: `object:${id}` },
     );
+  };
 
-  const updateFixtureConfig = (id, fields) =>
-    setObjects((prev) =>
-      prev.map((obj) => {
-        if (obj.id !== id || obj.type !== "fixture_area") return obj;
-        return withComputedCompletion({
-          ...obj,
-          ...fields,
-          connectionCount:
-            fields.connectionCount !== undefined
-              ? clampFixtureConnections(fields.connectionCount)
-              : clampFixtureConnections(obj.connectionCount || 1),
-        });
-      }),
+  const updateFixtureConfig = (id, fields) => {
+    if (isObjectLocked(id)) return;
+    setObjects(
+      (prev) =>
+        prev.map((obj) => {
+          if (obj.id !== id || obj.type !== "fixture_area") return obj;
+          return withComputedCompletion({
+            ...obj,
+            ...fields,
+            connectionCount:
+              fields.connectionCount !== undefined
+                ? clampFixtureConnections(fields.connectionCount)
+                : clampFixtureConnections(obj.connectionCount || 1),
+          });
+        }),
+      { label: "edit fixture", coalesceKey: `fixture:${id}` },
     );
+  };
 
+  // Undoing a finished drawing removes the whole element.
   const handleFinishDrawing = (id) => {
-    setObjects((prev) =>
-      prev.map((o) =>
-        o.id === id ? withComputedCompletion({ ...o, drawing: false }) : o,
-      ),
+    setObjects(
+      (prev) =>
+        prev.map((o) =>
+          o.id === id ? withComputedCompletion({ ...o, drawing: false }) : o,
+        ),
+      {
+        label: "draw element",
+        before: objectsRef.current.filter((o) => o.id !== id),
+      },
     );
     setActiveObjectId(null);
   };
 
   const deleteObject = (id) => {
-    if (id === activeObjectId) setActiveObjectId(null);
+    if (isObjectLocked(id)) return;
+    const wasDrawing = id === activeObjectId;
+    if (wasDrawing) setActiveObjectId(null);
     if (id === selectedObjectId) setSelectedObjectId(null);
     if (selectedPoint?.objectId === id) setSelectedPoint(null);
-    setObjects((prev) => prev.filter((o) => o.id !== id));
+    setObjects(
+      (prev) => prev.filter((o) => o.id !== id),
+      wasDrawing ? null : { label: "delete element" },
+    );
   };
 
   const selectObject = (objId) => {
@@ -654,93 +1118,150 @@ export default function BlueprintViewer() {
     });
   };
 
-  const persistObjectForWorker = async (updatedObj) => {
+  // A task counts as complete once all of its blueprints are; at that point
+  // any materials still reserved for it are deducted from stock.
+  const consumeMaterialsIfTaskComplete = async (blueprints) => {
+    if (!taskId || !organizationId) return;
+    if (getTaskCompletion(taskId, blueprints) < 100) return;
+    try {
+      await consumeTaskMaterials({
+        organizationId,
+        projectId,
+        taskId,
+        performedBy: currentUid || "",
+      });
+    } catch (err) {
+      console.error("Failed to consume task materials:", err);
+    }
+  };
+
+  // Writes just the toggled completion, with its evidence, onto the object
+  // as it is in Firestore, so layout edits saved elsewhere since loading are
+  // kept.
+  // `pointIndex` is set for a point task, otherwise the object is toggled.
+  const persistObjectForWorker = async (updatedObj, pointIndex = null) => {
     if (!isWorker || !currentBlueprintId) return;
     try {
-      const bp = savedBlueprints.find((b) => b.id === currentBlueprintId);
-      if (!bp) return;
-      const updatedObjects = { ...bp.objects };
-      updatedObjects[updatedObj.id] = {
-        ...updatedObjects[updatedObj.id],
-        type: updatedObj.type,
-        toolGroup: updatedObj.toolGroup || getObjectToolGroup(updatedObj),
-        pathPoints: updatedObj.pathPoints,
-        pointTasks: updatedObj.pointTasks || [],
-        rect: updatedObj.rect || null,
-        fixtureName: updatedObj.fixtureName || "",
-        connectionCount: clampFixtureConnections(
-          updatedObj.connectionCount || 1,
-        ),
-        assignedTo: updatedObj.assignedTo || null,
-        assignedToName: updatedObj.assignedToName || null,
-        completed: updatedObj.completed,
-      };
-      await updateDoc(doc(db, "blueprints", currentBlueprintId), {
-        objects: updatedObjects,
+      const blueprintRef = doc(db, "blueprints", currentBlueprintId);
+      const stored = await runTransaction(db, async (transaction) => {
+        const snap = await transaction.get(blueprintRef);
+        const remoteObj = snap.exists()
+          ? snap.data().objects?.[updatedObj.id]
+          : null;
+        // Removed by a manager in the meantime; the snapshot will drop it.
+        if (!remoteObj) return null;
+
+        const updatedTask = updatedObj.pointTasks?.[pointIndex];
+        const next =
+          pointIndex === null
+            ? {
+                ...remoteObj,
+                completed: updatedObj.completed,
+                evidence: updatedObj.evidence || null,
+                approval: updatedObj.approval || null,
+                rejection: updatedObj.rejection || null,
+              }
+            : {
+                ...remoteObj,
+                pointTasks: (remoteObj.pointTasks || []).map((task, index) =>
+                  index === pointIndex &&
+                  task?.requiredType === updatedTask?.requiredType
+                    ? {
+                        ...task,
+                        completed: Boolean(updatedTask.completed),
+                        evidence: updatedTask.evidence || null,
+                        approval: updatedTask.approval || null,
+                        rejection: updatedTask.rejection || null,
+                      }
+                    : task,
+                ),
+              };
+        const storedObj = serializeObjects([
+          hydrateObject(updatedObj.id, next),
+        ])[updatedObj.id];
+        transaction.update(blueprintRef, {
+          [`objects.${updatedObj.id}`]: storedObj,
+          updatedAt: new Date(),
+          updatedBy: currentUid,
+          updatedByName: currentUserName,
+        });
+        return storedObj;
       });
-      setSavedBlueprints((prev) =>
-        prev.map((b) =>
-          b.id === currentBlueprintId ? { ...b, objects: updatedObjects } : b,
-        ),
+      if (!stored) return;
+      const nextBlueprints = savedBlueprints.map((b) =>
+        b.id === currentBlueprintId
+          ? { ...b, objects: { ...b.objects, [updatedObj.id]: stored } }
+          : b,
       );
+      setSavedBlueprints(nextBlueprints);
+      await consumeMaterialsIfTaskComplete(nextBlueprints);
     } catch (err) {
       console.error("Failed to persist completion:", err);
     }
   };
 
   const setPointRequiredType = (objId, pointIndex, requiredType) => {
-    setObjects((prev) =>
-      prev.map((obj) => {
-        if (obj.id !== objId) return obj;
-        if (!POINT_ASSIGNABLE_TYPES.includes(obj.type))
-          return obj;
-        const pointTasks = syncPointTasksWithPoints(
-          obj.pointTasks,
-          obj.pathPoints.length,
-        );
-        const current = pointTasks[pointIndex] || {
-          requiredType: null,
-          completed: false,
-          instructions: "",
-        };
-        pointTasks[pointIndex] = {
-          requiredType,
-          completed: requiredType ? current.completed : false,
-          instructions: current.instructions || "",
-        };
-        return withComputedCompletion({ ...obj, pointTasks });
-      }),
+    if (isObjectLocked(objId)) return;
+    setObjects(
+      (prev) =>
+        prev.map((obj) => {
+          if (obj.id !== objId) return obj;
+          if (!POINT_ASSIGNABLE_TYPES.includes(obj.type))
+            return obj;
+          const pointTasks = syncPointTasksWithPoints(
+            obj.pointTasks,
+            obj.pathPoints.length,
+          );
+          const current = pointTasks[pointIndex] || {
+            requiredType: null,
+            completed: false,
+            instructions: "",
+          };
+          pointTasks[pointIndex] = {
+            requiredType,
+            completed: requiredType ? current.completed : false,
+            instructions: current.instructions || "",
+          };
+          return withComputedCompletion({ ...obj, pointTasks });
+        }),
+      { label: requiredType ? "set point task" : "clear point task" },
     );
   };
 
   const updatePointInstructions = (objId, pointIndex, instructions) => {
-    if (!isManager) return;
-    setObjects((prev) =>
-      prev.map((obj) => {
-        if (obj.id !== objId) return obj;
-        const pointTasks = syncPointTasksWithPoints(
-          obj.pointTasks,
-          obj.pathPoints.length,
-        );
-        const current = pointTasks[pointIndex] || {
-          requiredType: null,
-          completed: false,
-          instructions: "",
-        };
-        pointTasks[pointIndex] = {
-          ...current,
-          instructions,
-        };
-        return withComputedCompletion({ ...obj, pointTasks });
-      }),
+    if (!isManager || isObjectLocked(objId)) return;
+    setObjects(
+      (prev) =>
+        prev.map((obj) => {
+          if (obj.id !== objId) return obj;
+          const pointTasks = syncPointTasksWithPoints(
+            obj.pointTasks,
+            obj.pathPoints.length,
+          );
+          const current = pointTasks[pointIndex] || {
+            requiredType: null,
+            completed: false,
+            instructions: "",
+          };
+          pointTasks[pointIndex] = {
+            ...current,
+            instructions,
+          };
+          return withComputedCompletion({ ...obj, pointTasks });
+        }),
+      {
+        label: "edit instructions",
+        coalesceKey: `instructions:${objId}:${pointIndex}`,
+      },
     );
   };
 
   const handlePointToolHover = (objId, pointIndex, tool) => {
-    if (!isManager || !POINT_TOOL_TYPES.includes(tool)) return;
+    if (!isManager) return;
     const obj = objects.find((item) => item.id === objId);
     if (!obj || !POINT_ASSIGNABLE_TYPES.includes(obj.type))
       return;
+    if (!isPointTool(getObjectToolGroup(obj), tool)) return;
     const existingTask = obj.pointTasks?.[pointIndex];
     if (existingTask?.requiredType === tool) return;
     setPointRequiredType(objId, pointIndex, tool);
@@ -755,18 +1276,28 @@ export default function BlueprintViewer() {
     const canComplete = isManager || isOwn;
     const task = target.pointTasks?.[pointIndex];
     if (!canComplete || !task?.requiredType) return;
+    // Workers attach photos before a completion counts.
+    if (isWorker && !task.completed) {
+      setEvidenceTarget({ objectId: objId, pointIndex });
+      return;
+    }
 
     const updated = withComputedCompletion({
       ...target,
       pointTasks: target.pointTasks.map((pointTask, index) =>
         index === pointIndex
-          ? { ...pointTask, completed: !pointTask.completed }
+          ? pointTask.completed
+            ? reopenItem(pointTask)
+            : completeAsManager(pointTask)
           : pointTask,
       ),
     });
 
-    setObjects((prev) => prev.map((obj) => (obj.id === objId ? updated : obj)));
-    if (isWorker) persistObjectForWorker(updated);
+    setObjects(
+      (prev) => prev.map((obj) => (obj.id === objId ? updated : obj)),
+      { label: "mark point complete" },
+    );
+    if (isWorker) persistObjectForWorker(updated, pointIndex);
   };
 
   // ── Mark complete ─────────────────────────────────────────────────
@@ -778,68 +1309,555 @@ export default function BlueprintViewer() {
     );
     if (hasPointRequirements) return;
     if (isWorker && !canWorkerOperateOnObject(obj)) return;
-    const newCompleted = !obj.completed;
-    const updated = withComputedCompletion({ ...obj, completed: newCompleted });
-    setObjects((prev) => prev.map((o) => (o.id === id ? updated : o)));
+    if (isWorker && !obj.completed) {
+      setEvidenceTarget({ objectId: id, pointIndex: null });
+      return;
+    }
+    const updated = withComputedCompletion(
+      obj.completed ? reopenItem(obj) : completeAsManager(obj),
+    );
+    setObjects((prev) => prev.map((o) => (o.id === id ? updated : o)), {
+      label: "mark complete",
+    });
     if (isWorker && currentBlueprintId) {
       persistObjectForWorker(updated);
     }
   };
 
+  // ── Completion evidence ────────────────────────────────────────────
+  // Applies `update` to the point task, or to the object itself.
+  const updateProgress = (obj, pointIndex, update) =>
+    withComputedCompletion(
+      pointIndex === null
+        ? update(obj)
+        : {
+            ...obj,
+            pointTasks: obj.pointTasks.map((task, index) =>
+              index === pointIndex ? update(task) : task,
+            ),
+          },
+    );
+
+  const submitCompletionEvidence = async ({ files, note }) => {
+    if (!evidenceTarget || !currentBlueprintId) return;
+    const { objectId, pointIndex } = evidenceTarget;
+    setEvidenceUploading(true);
+    try {
+      const photos = await uploadEvidencePhotos(files, {
+        blueprintId: currentBlueprintId,
+        objectId,
+      });
+      // The object may have changed remotely during the upload.
+      const target = objectsRef.current.find((obj) => obj.id === objectId);
+      if (target) {
+        const updated = updateProgress(target, pointIndex, (item) =>
+          completeWithEvidence(item, { photos, note, user: evidenceUser }),
+        );
+        setObjects((prev) =>
+          prev.map((obj) => (obj.id === objectId ? updated : obj)),
+        );
+        persistObjectForWorker(updated, pointIndex);
+      }
+      setEvidenceTarget(null);
+    } catch (err) {
+      console.error("Evidence upload:", err);
+      alert("Failed to upload photos.");
+    }
+    setEvidenceUploading(false);
+  };
+
+  // Inspection decisions are saved with the blueprint like other manager
+  // edits. A rejection reopens the work with the manager's reason.
+  const approveObjectCompletion = (objId, pointIndex) => {
+    if (!isManager) return;
+    setObjects(
+      (prev) =>
+        prev.map((obj) =>
+          obj.id === objId
+            ? updateProgress(obj, pointIndex, (item) =>
+                approveCompletion(item, { user: evidenceUser }),
+              )
+            : obj,
+        ),
+      { label: "approve completion" },
+    );
+  };
+
+  const rejectObjectCompletion = (objId, pointIndex, reason) => {
+    if (!isManager || !reason.trim()) return;
+    setObjects(
+      (prev) =>
+        prev.map((obj) =>
+          obj.id === objId
+            ? updateProgress(obj, pointIndex, (item) =>
+                rejectCompletion(item, { reason, user: evidenceUser }),
+              )
+            : obj,
+        ),
+      { label: "reject completion" },
+    );
+  };
+
   // ── Save / update (manager only) ─────────────────────────────────
   const saveBlueprint = async () => {
     if (!blueprintImage || !blueprintName.trim()) {
       alert("Please upload an image and provide a name.");
       return;
     }
+    if (syncConflicts.length > 0) {
+      alert("Resolve the conflicting edits before saving.");
+      return;
+    }
     setSaving(true);
     try {
-      const objectsMap = {};
-      objects.forEach((obj) => {
-        objectsMap[obj.id] = {
-          type: obj.type,
-          toolGroup: obj.toolGroup || getObjectToolGroup(obj),
-          pathPoints: obj.pathPoints,
-          pointTasks: obj.pointTasks || [],
-          rect: obj.rect || null,
-          fixtureName: obj.fixtureName || "",
-          connectionCount: clampFixtureConnections(obj.connectionCount || 1),
-          assignedTo: obj.assignedTo || null,
-          assignedToName: obj.assignedToName || null,
-          completed: obj.completed,
-        };
-      });
+      const localObjects = serializeObjects(objects, sheets[0]?.id);
+      const savedAt = new Date();
       const data = {
         name: blueprintName.trim(),
-        imageUrl: blueprintImage,
-        objects: objectsMap,
+        // The first sheet's image stays at the top level for older readers.
+        imageUrl: sheets[0].imageUrl,
+        sheets: sheets.map((sheet) => {
+          const pixelsPerMeter = getPixelsPerMeter(sheet.scale);
+          return {
+            id: sheet.id,
+            name: sheet.name,
+            imageUrl: sheet.imageUrl,
+            scale: pixelsPerMeter ? { pixelsPerMeter } : null,
+          };
+        }),
+        layers,
         projectId,
         taskId: taskId || null,
         organizationId,
-        updatedAt: new Date(),
+        updatedAt: savedAt,
+        updatedBy: currentUid,
+        updatedByName: currentUserName,
       };
       let savedId = currentBlueprintId;
+      let objectsMap = localObjects;
       if (currentBlueprintId) {
-        await updateDoc(doc(db, "blueprints", currentBlueprintId), data);
+        objectsMap = await writeBlueprintChanges(currentBlueprintId, {
+          data,
+          base: baseObjectsRef.current,
+          local: localObjects,
+          sheets,
+        });
       } else {
         const docRef = await addDoc(collection(db, "blueprints"), {
           ...data,
-          createdAt: new Date(),
+          objects: localObjects,
+          createdAt: savedAt,
         });
         savedId = docRef.id;
         setCurrentBlueprintId(savedId);
       }
+      // The saved map also carries progress and edits from elsewhere; bring
+      // the editor in line with it. Only objects not edited here are
+      // rebased in the undo history, so local edits stay undoable.
+      const previousBase = baseObjectsRef.current;
+      baseObjectsRef.current = objectsMap;
+      const staleIds = Object.keys({ ...localObjects, ...objectsMap }).filter(
+        (id) => !sameStoredObject(localObjects[id], objectsMap[id]),
+      );
+      if (staleIds.length > 0) {
+        const remoteIds = staleIds.filter((id) =>
+          sameStoredObject(localObjects[id], previousBase[id]),
+        );
+        remoteObjectsRef.current = applyStoredObjects(
+          objectsRef.current,
+          staleIds,
+          objectsMap,
+        );
+        setObjects(remoteObjectsRef.current);
+        setHistory((prev) =>
+          rebaseEdits(prev, (list) =>
+            applyStoredObjects(list, remoteIds, objectsMap),
+          ),
+        );
+      }
+      // Revisions are write-once snapshots of what was just saved.
+      await addDoc(collection(db, BLUEPRINT_REVISIONS_COLLECTION), {
+        blueprintId: savedId,
+        projectId,
+        taskId: taskId || null,
+        organizationId,
+        name: data.name,
+        sheets: data.sheets,
+        objects: objectsMap,
+        restoredFrom: restoredFromRevisionId,
+        savedBy: currentUid,
+        savedByName: currentUserName,
+        createdAt: savedAt,
+      });
+      setRestoredFromRevisionId(null);
+      setRevisionsToken((token) => token + 1);
       localStorage.setItem(LS_KEY, savedId);
-      await fetchBlueprints();
+      const refreshed = await fetchBlueprints();
+      await consumeMaterialsIfTaskComplete(refreshed);
       setIsDirty(false);
       alert("Blueprint saved!");
-    } catch {
-      alert("Failed to save blueprint.");
+    } catch (err) {
+      if (err.code === BLUEPRINT_CONFLICT_ERROR) {
+        setSyncConflicts((prev) =>
+          upsertConflicts(
+            prev,
+            err.details.conflicts,
+            err.details.remote,
+            err.details.updatedByName,
+          ),
+        );
+        alert(
+          `${err.details.updatedByName || "Someone else"} changed ${err.details.conflicts.length} element(s) you edited. Review the conflicts, then save again.`,
+        );
+      } else {
+        alert("Failed to save blueprint.");
+      }
     }
     setSaving(false);
   };
 
   // ── Derived ───────────────────────────────────────────────────────
+  const pixelsPerMeter = getPixelsPerMeter(blueprintScale);
+  const sheetObjects = objects.filter(
+    (obj) => !activeSheet || obj.sheetId === activeSheet.id,
+  );
+  // Workers start with only their trade's layers showing.
+  const tradeLayerIds =
+    isWorker && workerTrade
+      ? getTradeLayerIds(layers, objects, workerTrade, getObjectTrade)
+      : null;
+  const isLayerVisible = (layerId) =>
+    layerVisibility[layerId] ?? (!tradeLayerIds || tradeLayerIds.has(layerId));
+  const layeredObjects = arrangeObjectsByLayer(
+    sheetObjects,
+    layers,
+    isLayerVisible,
+  );
+  const layerCounts = sheetObjects.reduce((counts, obj) => {
+    const layerId = getObjectLayerId(obj, layers);
+    counts[layerId] = (counts[layerId] || 0) + 1;
+    return counts;
+  }, {});
+  // The take-off covers the whole set; each sheet's lengths use its own scale.
+  const takeoffLines = isManager
+    ? mergeTakeoffLines(
+        sheets.map((sheet) =>
+          buildBlueprintTakeoff(
+            objects.filter((obj) => obj.sheetId === sheet.id),
+            sheet.scale,
+          ),
+        ),
+      ).map((line) => ({
+        ...line,
+        label: getTakeoffLineLabel(line, symbolLibrary),
+        // Count lines for a point task suggest the symbol's default material.
+        materialName:
+          line.kind === TAKEOFF_LINE_KIND.COUNT
+            ? findSymbol(symbolLibrary, line.toolGroup, line.type)
+                ?.materialName || ""
+            : "",
+      }))
+    : [];
+
+  // Routing checks run over every sheet; the canvas shows the active one's.
+  const routingProblems = useMemo(
+    () =>
+      isManager
+        ? analyzeBlueprintRouting(objects, { getLabel: getObjectTypeLabel })
+        : [],
+    [isManager, objects],
+  );
+  const sheetProblems = routingProblems.filter(
+    (problem) => !activeSheet || problem.sheetId === activeSheet.id,
+  );
+
+  const selectProblem = (problem) => {
+    if (activeObjectId) return;
+    if (activeSheet && problem.sheetId && problem.sheetId !== activeSheet.id) {
+      selectSheet(problem.sheetId);
+    }
+    setSelectedProblemId(problem.id);
+    setSelectedObjectId(problem.objectIds[0]);
+  };
+
+  // ── My work (workers) ───────────────────────────────────────────────
+  const myWork = isWorker
+    ? buildMyWorkItems(objects, {
+        isOwn: canWorkerOperateOnObject,
+        sheetIds: sheets.map((sheet) => sheet.id),
+      })
+    : { items: [], total: 0, remaining: 0 };
+
+  const getWorkItemLabel = (item) => {
+    const obj = objects.find((o) => o.id === item.objectId);
+    if (!obj) return "";
+    if (item.pointIndex === null) {
+      return obj.fixtureName || getObjectTypeLabel(obj);
+    }
+    return `${getObjectTypeLabel(obj)} · P${item.pointIndex + 1} ${pointChipLabel(
+      obj.pointTasks || [],
+      item.pointIndex,
+      getObjectToolGroup(obj),
+      symbolLibrary,
+    )}`;
+  };
+
+  const goToWorkItem = (item, index) => {
+    if (activeSheet && item.sheetId && item.sheetId !== activeSheet.id) {
+      selectSheet(item.sheetId);
+    }
+    setSelectedObjectId(item.objectId);
+    setSelectedPoint(
+      item.pointIndex === null
+        ? null
+        : { objectId: item.objectId, pointIndex: item.pointIndex },
+    );
+    setMyWorkStep({ key: item.key, index });
+    setFocusRect(
+      getWorkItemBounds(
+        objects.find((o) => o.id === item.objectId),
+        item.pointIndex,
+      ),
+    );
+  };
+
+  // Finished steps drop out of the list, so stepping on from one continues
+  // from the position it had.
+  const stepMyWork = (delta) => {
+    const { items } = myWork;
+    if (items.length === 0) return;
+    const at = items.findIndex((item) => item.key === myWorkStep?.key);
+    let next;
+    if (at !== -1) next = at + delta;
+    else if (myWorkStep) {
+      next = delta > 0 ? myWorkStep.index : myWorkStep.index - 1;
+    } else next = delta > 0 ? 0 : items.length - 1;
+    const index = ((next % items.length) + items.length) % items.length;
+    goToWorkItem(items[index], index);
+  };
+
+  const toggleMyWork = (on) => {
+    setMyWorkMode(on);
+    setMyWorkStep(null);
+    if (on && myWork.items.length > 0) goToWorkItem(myWork.items[0], 0);
+  };
+
+  // ── Layers ──────────────────────────────────────────────────────────
+  // Visibility is the viewer's own; everything else is saved (managers).
+  const toggleLayerVisible = (layerId) =>
+    setLayerVisibility((prev) => ({
+      ...prev,
+      [layerId]: !isLayerVisible(layerId),
+    }));
+
+  const updateLayers = (update) => {
+    setLayers(update);
+    setIsDirty(true);
+  };
+
+  const addLayer = (name) =>
+    updateLayers((prev) => [createLayer(name), ...prev]);
+
+  const setObjectLayer = (id, layerId) => {
+    if (isObjectLocked(id)) return;
+    setObjects(
+      (prev) => prev.map((obj) => (obj.id === id ? { ...obj, layerId } : obj)),
+      { label: "change layer" },
+    );
+  };
+
+  const handleScaleChange = (nextPixelsPerMeter) => {
+    if (!activeSheet) return;
+    setSheets((prev) =>
+      prev.map((sheet) =>
+        sheet.id === activeSheet.id
+          ? {
+              ...sheet,
+              scale: nextPixelsPerMeter
+                ? { pixelsPerMeter: nextPixelsPerMeter }
+                : null,
+            }
+          : sheet,
+      ),
+    );
+    setIsDirty(true);
+  };
+
+  // ── Revision compare / restore ────────────────────────────────────
+  const blueprintRevisions = revisions.filter(
+    (revision) => revision.blueprintId === currentBlueprintId,
+  );
+  const compareBase = compareBaseId
+    ? blueprintRevisions.find((revision) => revision.id === compareBaseId)
+    : null;
+  const compareTarget = blueprintRevisions.find(
+    (revision) => revision.id === compareTargetId,
+  );
+  const revisionDiff = compareBase
+    ? diffBlueprintObjects(
+        compareBase.objects,
+        compareTarget
+          ? compareTarget.objects
+          : serializeObjects(objects, sheets[0]?.id),
+      )
+    : null;
+
+  // Removed objects are drawn from the older side; moved ones get a ghost of
+  // where they used to be.
+  const diffCanvasObjects = revisionDiff
+    ? revisionDiff.flatMap((entry) => {
+        const onSheet = (raw) =>
+          Boolean(raw) && getObjectSheetId(raw, sheets) === activeSheet?.id;
+        const show = (raw, diffStatus, idSuffix = "") => ({
+          ...hydrateObject(`${entry.id}${idSuffix}`, raw),
+          diffStatus,
+        });
+
+        if (entry.change === REVISION_CHANGE.ADDED) {
+          return onSheet(entry.target) ? [show(entry.target, "added")] : [];
+        }
+        if (entry.change === REVISION_CHANGE.REMOVED) {
+          return onSheet(entry.base) ? [show(entry.base, "removed")] : [];
+        }
+        const items = [];
+        if (entry.moved && onSheet(entry.base)) {
+          items.push(show(entry.base, "ghost", "-base"));
+        }
+        if (onSheet(entry.target)) {
+          items.push(
+            show(
+              entry.target,
+              entry.moved ? "moved" : entry.reassigned ? "reassigned" : null,
+            ),
+          );
+        }
+        return items;
+      })
+    : null;
+
+  const restoreRevision = async (revision) => {
+    if (!currentBlueprintId) return;
+    if (
+      !window.confirm(
+        `Restore revision ${revision.number}? Work marked complete since then is kept. Save afterwards to make it current.`,
+      )
+    )
+      return;
+    try {
+      // Completion is read fresh so worker progress since loading is kept.
+      const snap = await getDoc(doc(db, "blueprints", currentBlueprintId));
+      const currentObjects = snap.exists() ? snap.data()?.objects || {} : {};
+      const restoredSheets = getBlueprintSheets(revision);
+      const restored = restoreRevisionObjects(revision.objects, currentObjects);
+
+      setActiveObjectId(null);
+      setSelectedObjectId(null);
+      setSelectedPoint(null);
+      setSheets(restoredSheets);
+      setActiveSheetId(
+        restoredSheets.some((sheet) => sheet.id === activeSheet?.id)
+          ? activeSheet.id
+          : restoredSheets[0]?.id || null,
+      );
+      if (revision.name) setBlueprintName(revision.name);
+      setObjects(
+        Object.entries(restored).map(([id, obj]) =>
+          hydrateObject(id, {
+            ...obj,
+            sheetId: getObjectSheetId(obj, restoredSheets),
+            drawing: false,
+          }),
+        ),
+      );
+      // A restore can also swap the sheets, which undo does not track, so
+      // it starts a fresh history instead of becoming a step.
+      setHistory(createEditHistory());
+      setCompareBaseId("");
+      setRestoredFromRevisionId(revision.id);
+      setIsDirty(true);
+    } catch (err) {
+      console.error("Restore blueprint revision:", err);
+      alert("Failed to restore revision.");
+    }
+  };
+
+  // ── Sync conflicts (manager only) ──────────────────────────────────
+  // "Theirs" takes the version last seen in Firestore; "mine" keeps the local
+  // edit, which the next save writes over theirs.
+  const resolveConflict = (id, keepMine) => {
+    if (!keepMine) {
+      setObjects(
+        (prev) => applyStoredObjects(prev, [id], baseObjectsRef.current),
+        { label: "take their version" },
+      );
+      if (selectedObjectId === id && !baseObjectsRef.current[id]) {
+        setSelectedObjectId(null);
+        setSelectedPoint(null);
+      }
+    }
+    setSyncConflicts((prev) => prev.filter((conflict) => conflict.id !== id));
+  };
+
+  // ── Undo / redo (manager only) ─────────────────────────────────────
+  const stepHistory = useCallback(
+    (direction) => {
+      if (activeObjectId) return;
+      const { history: next, entry } =
+        direction === "undo" ? undoEdit(history) : redoEdit(history);
+      if (!entry) return;
+      const restored = direction === "undo" ? entry.before : entry.after;
+      setHistory(next);
+      setObjects(restored);
+      setSelectedPoint(null);
+      setSelectedObjectId((prev) =>
+        restored.some((obj) => obj.id === prev) ? prev : null,
+      );
+    },
+    [activeObjectId, history, setObjects],
+  );
+
+  // Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes. While a path is
+  // being drawn the canvas owns these keys for its own points.
+  useEffect(() => {
+    if (!isManager) return;
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey)) return;
+      if (e.target.closest?.("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if (key === "z") {
+        e.preventDefault();
+        stepHistory(e.shiftKey ? "redo" : "undo");
+      } else if (key === "y") {
+        e.preventDefault();
+        stepHistory("redo");
+      }
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [isManager, stepHistory]);
+
+  const lastEdit = history.past[history.past.length - 1];
+  const nextEdit = history.future[history.future.length - 1];
+
+  const toggleRulerMode = (mode) => {
+    if (activeObjectId) cancelActiveDrawing();
+    setRulerMode((prev) => (prev === mode ? null : mode));
+  };
+
+  const handleCalibrate = (pixels) => {
+    const input = window.prompt(
+      "Real distance between the two points (e.g. 3.5 m or 12 ft):",
+    );
+    if (input === null) return;
+    const meters = parseRealDistance(input);
+    if (!meters) {
+      alert("Enter a distance such as 3.5 m or 12 ft.");
+      return;
+    }
+    handleScaleChange(pixels / meters);
+    setRulerMode(null);
+  };
+
   const activeObject = activeObjectId
     ? objects.find((o) => o.id === activeObjectId) || null
     : null;
@@ -853,15 +1871,14 @@ export default function BlueprintViewer() {
   const isDrawingElectricalFixtureArea =
     activeType === "fixture_area" && activeDrawingGroup === "electrical";
   const isDrawingConnection = activeType === "connection";
+  const paletteSymbols = getPaletteSymbols(symbolLibrary, activeToolGroup);
+  const activeGroupTool =
+    activeToolGroup === "plumbing" ? activePlumbingTool : activeElectricalTool;
   const activePointTool =
-    isManager && !activeObjectId
-      ? activeToolGroup === "plumbing"
-        ? POINT_TOOL_TYPES.includes(activePlumbingTool)
-          ? activePlumbingTool
-          : null
-        : POINT_TOOL_TYPES.includes(activeElectricalTool)
-          ? activeElectricalTool
-          : null
+    isManager &&
+    !activeObjectId &&
+    isPointTool(activeToolGroup, activeGroupTool)
+      ? activeGroupTool
       : null;
 
   const selectToolGroup = (group) => {
@@ -869,21 +1886,17 @@ export default function BlueprintViewer() {
     setActiveToolGroup(group);
     if (
       group === "plumbing" &&
-      ![
-        "hot_pipe",
-        "cold_pipe",
-        "drain_pipe",
-        "fixture_area",
-        ...POINT_TOOL_TYPES,
-      ].includes(activePlumbingTool)
+      !["hot_pipe", "cold_pipe", "drain_pipe", "fixture_area"].includes(
+        activePlumbingTool,
+      ) &&
+      !isPointTool("plumbing", activePlumbingTool)
     ) {
       setActivePlumbingTool(TOOL_GROUP_DEFAULTS.plumbing);
     }
     if (
       group === "electrical" &&
-      !["connection", "fixture_area", ...POINT_TOOL_TYPES].includes(
-        activeElectricalTool,
-      )
+      !["connection", "fixture_area"].includes(activeElectricalTool) &&
+      !isPointTool("electrical", activeElectricalTool)
     ) {
       setActiveElectricalTool(TOOL_GROUP_DEFAULTS.electrical);
     }
@@ -905,9 +1918,14 @@ export default function BlueprintViewer() {
     }
   }, [activeDrawingGroup, activeType]);
 
-  const canvasObjects = objects.map((obj) => ({
+  // Comparing revisions shows a read-only canvas.
+  const canEditCanvas = isManager && !revisionDiff;
+  const canvasObjects = layeredObjects.map((obj) => ({
     ...obj,
     isOwn: canWorkerOperateOnObject(obj),
+    dimmed: myWorkMode && isWorker && !canWorkerOperateOnObject(obj),
+    // Locking only stops editing; workers can still pick locked elements.
+    layerLocked: isManager && obj.layerLocked,
   }));
 
   // Worker-specific filtering: only show elements relevant to them
@@ -1001,12 +2019,12 @@ export default function BlueprintViewer() {
                       "Uploading…"
                     ) : (
                       <>
-                        <MdUpload className="icon" /> Upload Image
+                        <MdUpload className="icon" /> Upload Image / PDF
                       </>
                     )}
                     <input
                       type="file"
-                      accept="image/*"
+                      accept="image/*,application/pdf"
                       onChange={handleImageUpload}
                       style={{ display: "none" }}
                       disabled={loading}
@@ -1038,6 +2056,33 @@ export default function BlueprintViewer() {
                     <span className="dirty-dot" title="Unsaved changes" />
                   )}
                 </button>
+
+                <button
+                  className="btn-secondary"
+                  onClick={() => stepHistory("undo")}
+                  disabled={!lastEdit || Boolean(activeObjectId)}
+                  title={
+                    lastEdit
+                      ? `Undo ${lastEdit.label} (Ctrl+Z)`
+                      : "Nothing to undo"
+                  }
+                  aria-label="Undo"
+                >
+                  <MdUndo className="icon" />
+                </button>
+                <button
+                  className="btn-secondary"
+                  onClick={() => stepHistory("redo")}
+                  disabled={!nextEdit || Boolean(activeObjectId)}
+                  title={
+                    nextEdit
+                      ? `Redo ${nextEdit.label} (Ctrl+Shift+Z)`
+                      : "Nothing to redo"
+                  }
+                  aria-label="Redo"
+                >
+                  <MdRedo className="icon" />
+                </button>
               </>
             )}
 
@@ -1051,6 +2096,26 @@ export default function BlueprintViewer() {
               Grid
             </button>
 
+            <button
+              className={`btn-secondary${rulerMode === "measure" ? " active" : ""}`}
+              onClick={() => toggleRulerMode("measure")}
+              disabled={!blueprintImage}
+              title="Measure a distance without drawing an element"
+            >
+              Measure
+            </button>
+
+            {isManager && (
+              <button
+                className={`btn-secondary${rulerMode === "calibrate" ? " active" : ""}`}
+                onClick={() => toggleRulerMode("calibrate")}
+                disabled={!blueprintImage}
+                title="Click two points and enter the real distance between them"
+              >
+                {pixelsPerMeter ? "Recalibrate" : "Calibrate"}
+              </button>
+            )}
+
             <div className="blueprint-selector" ref={dropdownRef}>
               <button
                 className="btn-secondary selector-btn"
@@ -1191,23 +2256,24 @@ export default function BlueprintViewer() {
                         : "Fixture"}
                     </button>
 
-                    {POINT_TOOL_BUTTONS.plumbing.map((toolButton) => {
-                      const isActive = activePointTool === toolButton.key;
+                    {paletteSymbols.map((symbol) => {
+                      const isActive = activePointTool === symbol.key;
                       return (
                         <button
-                          key={toolButton.key}
-                          className={`btn-secondary draw-btn ${toolButton.className}${isActive ? " active" : ""}`}
+                          key={symbol.key}
+                          className={`btn-secondary draw-btn symbol-btn${isActive ? " active" : ""}`}
+                          style={{ "--symbol-color": symbol.color }}
                           onClick={() => {
                             if (activeObjectId) cancelActiveDrawing();
-                            setActivePlumbingTool(toolButton.key);
+                            setActivePlumbingTool(symbol.key);
                           }}
                           disabled={!blueprintImage}
-                          title={toolButton.title}
+                          title={`Assign ${symbol.label.toLowerCase()} task to pipe point`}
                         >
                           <span
-                            className={`draw-icon ${toolButton.iconClass}`}
+                            className={`draw-icon symbol-icon ${symbol.icon}`}
                           />
-                          {toolButton.label}
+                          {symbol.label}
                         </button>
                       );
                     })}
@@ -1245,23 +2311,24 @@ export default function BlueprintViewer() {
                         : "Breaker Panel"}
                     </button>
 
-                    {POINT_TOOL_BUTTONS.electrical.map((toolButton) => {
-                      const isActive = activePointTool === toolButton.key;
+                    {paletteSymbols.map((symbol) => {
+                      const isActive = activePointTool === symbol.key;
                       return (
                         <button
-                          key={toolButton.key}
-                          className={`btn-secondary draw-btn ${toolButton.className}${isActive ? " active" : ""}`}
+                          key={symbol.key}
+                          className={`btn-secondary draw-btn symbol-btn${isActive ? " active" : ""}`}
+                          style={{ "--symbol-color": symbol.color }}
                           onClick={() => {
                             if (activeObjectId) cancelActiveDrawing();
-                            setActiveElectricalTool(toolButton.key);
+                            setActiveElectricalTool(symbol.key);
                           }}
                           disabled={!blueprintImage}
-                          title={toolButton.title}
+                          title={`Assign ${symbol.label.toLowerCase()} task to wire point`}
                         >
                           <span
-                            className={`draw-icon ${toolButton.iconClass}`}
+                            className={`draw-icon symbol-icon ${symbol.icon}`}
                           />
-                          {toolButton.label}
+                          {symbol.label}
                         </button>
                       );
                     })}
@@ -1270,8 +2337,8 @@ export default function BlueprintViewer() {
 
                 <span className="tool-ribbon-note">
                   {activeToolGroup === "plumbing"
-                    ? "Draw fixture rectangles, then click pipe points to assign valve/joint tasks"
-                    : "Draw breaker panels, then click wire points to assign light, switches, outlet, and ethernet/data port tasks"}
+                    ? "Draw fixture rectangles, then click pipe points to assign tasks from your symbol library"
+                    : "Draw breaker panels, then click wire points to assign tasks from your symbol library"}
                 </span>
               </div>
             </div>
@@ -1279,31 +2346,141 @@ export default function BlueprintViewer() {
 
           {/* ── Hint bar — always same height so toolbar never shifts ── */}
           <div className="blueprint-hint-bar">
-            {activeObjectId ? (
+            {revisionDiff ? (
+              <span className="hint-chip drawing-hint">
+                Comparing revisions · Editing is paused until you close the
+                comparison
+              </span>
+            ) : activeObjectId ? (
               <span className="hint-chip drawing-hint">
                 ✏️ Click to add points · Double-click to finish · Ctrl+Z undo
               </span>
+            ) : rulerMode === "calibrate" ? (
+              <span className="hint-chip drawing-hint">
+                📏 Click two points a known distance apart to set the scale
+              </span>
+            ) : rulerMode === "measure" ? (
+              <span className="hint-chip drawing-hint">
+                📏 Click two points to measure
+                {pixelsPerMeter ? "" : " · Calibrate to measure in metres"}
+              </span>
+            ) : isWorker && blueprintImage && myWorkMode ? (
+              <span className="hint-chip worker-hint">
+                My work · {myWork.remaining} of {myWork.total} remaining · Other
+                elements are dimmed
+              </span>
             ) : isWorker && blueprintImage ? (
               <span className="hint-chip worker-hint">
                 🟡 Highlighted = assigned to you · Click "Mark Done" to complete
               </span>
             ) : null}
+            <BlueprintPresence collaborators={collaborators} />
           </div>
 
+          {isManager && syncConflicts.length > 0 && (
+            <div className="sync-conflicts" role="alert">
+              <strong>
+                {syncConflicts.length} element
+                {syncConflicts.length === 1 ? " was" : "s were"} also changed
+                by someone else
+              </strong>
+              <ul>
+                {syncConflicts.map((conflict) => {
+                  const obj = objects.find((item) => item.id === conflict.id);
+                  const { theirs } = conflict;
+                  return (
+                    <li key={conflict.id}>
+                      <span>
+                        {getObjectTypeLabel(obj || theirs) || "Element"}
+                        {!obj && " (deleted here)"}
+                        {!theirs && " (deleted there)"}
+                        {conflict.byName && ` · ${conflict.byName}`}
+                      </span>
+                      <button
+                        type="button"
+                        className="btn-link"
+                        onClick={() => resolveConflict(conflict.id, true)}
+                      >
+                        Keep mine
+                      </button>
+                      <button
+                        type="button"
+                        className="btn-link"
+                        onClick={() => resolveConflict(conflict.id, false)}
+                      >
+                        Use theirs
+                      </button>
+                    </li>
+                  );
+                })}
+              </ul>
+            </div>
+          )}
+
+          {/* ── Sheet tabs ── */}
+          {sheets.length > 0 && (
+            <div className="sheet-tabs" role="tablist" aria-label="Sheets">
+              {sheets.map((sheet) => {
+                const { total, completed, approved } = countBlueprintUnits(
+                  objects.filter((obj) => obj.sheetId === sheet.id),
+                );
+                return (
+                  <button
+                    key={sheet.id}
+                    type="button"
+                    role="tab"
+                    aria-selected={sheet.id === activeSheet?.id}
+                    className={`sheet-tab${sheet.id === activeSheet?.id ? " active" : ""}`}
+                    onClick={() => selectSheet(sheet.id)}
+                  >
+                    {sheet.name}
+                    {total > 0 && (
+                      <span
+                        className="sheet-tab-progress"
+                        title={`${completed} of ${total} installed, ${approved} approved`}
+                      >
+                        {Math.round((completed / total) * 100)}%
+                      </span>
+                    )}
+                  </button>
+                );
+              })}
+              {isManager && (
+                <label
+                  className={`sheet-tab add${loading ? " disabled" : ""}`}
+                  title="Add sheets from an image or PDF"
+                >
+                  {loading ? "Uploading…" : "+ Sheet"}
+                  <input
+                    type="file"
+                    accept="image/*,application/pdf"
+                    onChange={handleImageUpload}
+                    style={{ display: "none" }}
+                    disabled={loading}
+                  />
+                </label>
+              )}
+            </div>
+          )}
+
           {/* ── Main area ── */}
           <div className="blueprint-main">
             <div className="blueprint-canvas-container">
               <BlueprintCanvas
                 imageUrl={blueprintImage}
-                objects={canvasObjects}
-                activeObjectId={isManager ? activeObjectId : null}
+                objects={diffCanvasObjects || canvasObjects}
+                activeObjectId={canEditCanvas ? activeObjectId : null}
                 selectedObjectId={selectedObjectId}
                 selectedPoint={selectedPoint}
-                onPathUpdate={isManager ? handlePathUpdate : undefined}
-                onObjectUpdate={isManager ? handleObjectUpdate : undefined}
-                onFinishDrawing={isManager ? handleFinishDrawing : undefined}
-                activePointTool={activePointTool}
-                onPointToolHover={isManager ? handlePointToolHover : undefined}
+                onPathUpdate={canEditCanvas ? handlePathUpdate : undefined}
+                onObjectUpdate={canEditCanvas ? handleObjectUpdate : undefined}
+                onFinishDrawing={
+                  canEditCanvas ? handleFinishDrawing : undefined
+                }
+                activePointTool={revisionDiff ? null : activePointTool}
+                onPointToolHover={
+                  canEditCanvas ? handlePointToolHover : undefined
+                }
                 onPointSelected={({ objectId, pointIndex }) => {
                   if (!activeObjectId) {
                     setSelectedObjectId(objectId);
@@ -1315,18 +2492,46 @@ export default function BlueprintViewer() {
                 }}
                 isWorker={isWorker}
                 showGrid={showGrid}
+                pixelsPerMeter={pixelsPerMeter}
+                rulerMode={activeObjectId || revisionDiff ? null : rulerMode}
+                onCalibrate={isManager ? handleCalibrate : undefined}
+                problems={showProblems && !revisionDiff ? sheetProblems : []}
+                selectedProblemId={selectedProblemId}
+                onProblemSelected={selectProblem}
+                symbols={symbolLibrary}
+                focusRect={focusRect}
               />
             </div>
 
             {/* Right panel */}
             <div className="blueprint-sidebar">
+              {isWorker && blueprintImage && (
+                <BlueprintMyWorkPanel
+                  items={myWork.items}
+                  total={myWork.total}
+                  active={myWorkMode}
+                  currentKey={myWorkStep?.key}
+                  getItemLabel={getWorkItemLabel}
+                  getSheetName={(sheetId) =>
+                    sheets.length > 1
+                      ? sheets.find((sheet) => sheet.id === sheetId)?.name
+                      : null
+                  }
+                  onToggle={toggleMyWork}
+                  onStep={stepMyWork}
+                  onSelect={goToWorkItem}
+                />
+              )}
+
               <h3>
                 Elements{" "}
-                <span className="element-count">({objects.length})</span>
+                <span className="element-count">
+                  ({layeredObjects.length})
+                </span>
               </h3>
 
               <div className="sections-list">
-                {objects.length === 0 && (
+                {layeredObjects.length === 0 && (
                   <p className="no-sections">
                     {isManager ? (
                       <>
@@ -1341,7 +2546,7 @@ export default function BlueprintViewer() {
                   </p>
                 )}
 
-                {objects.map((obj) => {
+                {layeredObjects.map((obj) => {
                   const isOwn = isWorker && canWorkerOperateOnObject(obj);
                   const canComplete = isManager || isOwn;
                   const hasPointRequirements = (obj.pointTasks || []).some(
@@ -1417,7 +2622,10 @@ export default function BlueprintViewer() {
                                 e.stopPropagation();
                                 deleteObject(obj.id);
                               }}
-                              title="Delete"
+                              disabled={obj.layerLocked}
+                              title={
+                                obj.layerLocked ? "Layer is locked" : "Delete"
+                              }
                             >
                               ✕
                             </button>
@@ -1433,8 +2641,32 @@ export default function BlueprintViewer() {
                         ) : (
                           <span className="point-count">
                             {obj.pathPoints.length} pts
+                            {pixelsPerMeter &&
+                              obj.pathPoints.length > 1 &&
+                              ` · ${formatMeasuredLength(
+                                getPathLengthPixels(obj.pathPoints),
+                                pixelsPerMeter,
+                              )}`}
                           </span>
                         )}
+                        {isManager && !obj.drawing && (
+                          <select
+                            className="layer-select"
+                            value={obj.layerId}
+                            disabled={obj.layerLocked}
+                            onClick={(e) => e.stopPropagation()}
+                            onChange={(e) =>
+                              setObjectLayer(obj.id, e.target.value)
+                            }
+                            aria-label={`Layer for ${getObjectTypeLabel(obj)}`}
+                          >
+                            {layers.map((layer) => (
+                              <option key={layer.id} value={layer.id}>
+                                {layer.name}
+                              </option>
+                            ))}
+                          </select>
+                        )}
                       </div>
 
                       {isFixture && (
@@ -1537,6 +2769,7 @@ export default function BlueprintViewer() {
                                     obj.pointTasks || [],
                                     pointIndex,
                                     getObjectToolGroup(obj),
+                                    symbolLibrary,
                                   )}
                                 </button>
 
@@ -1572,6 +2805,7 @@ export default function BlueprintViewer() {
                                         ? getPointTaskLabel(
                                             pointTask.requiredType,
                                             getObjectToolGroup(obj),
+                                            symbolLibrary,
                                           )
                                         : "No task")}
                                   </span>
@@ -1598,10 +2832,112 @@ export default function BlueprintViewer() {
                           })}
                         </div>
                       )}
+
+                      {evidenceTarget?.objectId === obj.id && (
+                        <CompletionEvidenceForm
+                          title={
+                            evidenceTarget.pointIndex === null
+                              ? getObjectTypeLabel(obj)
+                              : pointChipLabel(
+                                  obj.pointTasks || [],
+                                  evidenceTarget.pointIndex,
+                                  getObjectToolGroup(obj),
+                                  symbolLibrary,
+                                )
+                          }
+                          uploading={evidenceUploading}
+                          onSubmit={submitCompletionEvidence}
+                          onCancel={() => setEvidenceTarget(null)}
+                        />
+                      )}
+
+                      {selectedObjectId === obj.id && !obj.drawing && (
+                        <CompletionEvidenceGallery
+                          items={getInspectionItems(obj, symbolLibrary)}
+                          canInspect={isManager}
+                          onApprove={(pointIndex) =>
+                            approveObjectCompletion(obj.id, pointIndex)
+                          }
+                          onReject={(pointIndex, reason) =>
+                            rejectObjectCompletion(obj.id, pointIndex, reason)
+                          }
+                        />
+                      )}
                     </div>
                   );
                 })}
               </div>
+
+              {blueprintImage && (
+                <BlueprintLayersPanel
+                  layers={layers}
+                  counts={layerCounts}
+                  isVisible={isLayerVisible}
+                  onToggleVisible={toggleLayerVisible}
+                  canEdit={isManager}
+                  onUpdateLayer={(layerId, patch) =>
+                    updateLayers((prev) =>
+                      prev.map((layer) =>
+                        layer.id === layerId ? { ...layer, ...patch } : layer,
+                      ),
+                    )
+                  }
+                  onMoveLayer={(layerId, direction) =>
+                    updateLayers((prev) => moveLayer(prev, layerId, direction))
+                  }
+                  onAddLayer={addLayer}
+                />
+              )}
+
+              {isManager && blueprintImage && (
+                <BlueprintProblemsPanel
+                  problems={routingProblems}
+                  selectedProblemId={selectedProblemId}
+                  getSheetName={(sheetId) =>
+                    sheets.length > 1
+                      ? sheets.find((sheet) => sheet.id === sheetId)?.name
+                      : null
+                  }
+                  onToggle={setShowProblems}
+                  onSelect={selectProblem}
+                />
+              )}
+
+              {isManager && blueprintImage && (
+                <BlueprintTakeoffPanel
+                  lines={takeoffLines}
+                  pixelsPerMeter={pixelsPerMeter}
+                  onScaleChange={handleScaleChange}
+                  organizationId={organizationId}
+                  projectId={projectId}
+                  taskId={taskId}
+                  performedBy={currentUid}
+                />
+              )}
+
+              {blueprintImage && (
+                <BlueprintExportPanel
+                  objects={layeredObjects}
+                  imageUrl={blueprintImage}
+                  blueprintName={blueprintName}
+                  sheetName={sheets.length > 1 ? activeSheet?.name : ""}
+                  labels={exportLabels}
+                />
+              )}
+
+              {isManager && currentBlueprintId && (
+                <BlueprintRevisionsPanel
+                  revisions={blueprintRevisions}
+                  compareBaseId={compareBaseId}
+                  compareTargetId={compareTarget ? compareTarget.id : "current"}
+                  onCompareBaseChange={setCompareBaseId}
+                  onCompareTargetChange={setCompareTargetId}
+                  diffSummary={
+                    revisionDiff ? summarizeRevisionDiff(revisionDiff) : null
+                  }
+                  onRestore={restoreRevision}
+                />
+              )}
             </div>
           </div>
         </div>
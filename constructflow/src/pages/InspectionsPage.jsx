@@ -0,0 +1,232 @@
+/**
+ * InspectionsPage.jsx
+ *
+ * Manager queue of installed blueprint work waiting for sign-off, across all
+ * of the organisation's projects. Each entry shows the worker's photos and
+ * note; approving counts it towards approved progress, rejecting reopens it
+ * for the worker with a reason.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import Header from "../components/Header";
+import Sidebar from "../components/Sidebar";
+import CompletionEvidenceGallery from "../components/CompletionEvidenceGallery";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  getObjectToolGroup,
+  getObjectTypeLabel,
+  getPointTaskLabel,
+} from "../utils/blueprintLabels";
+import {
+  buildInspectionQueue,
+  INSPECTION_STALE_ERROR,
+  loadInspectionData,
+  reviewBlueprintCompletion,
+} from "../utils/inspectionRepository";
+import { buildSymbolLibrary } from "../utils/symbolLibrary";
+import { loadSymbolLibrary } from "../utils/symbolLibraryRepository";
+import "../styles/MaterialsPage.css";
+import "../styles/InspectionsPage.css";
+
+const getEntryLabel = (entry, symbols) => {
+  const typeLabel = getObjectTypeLabel(entry.object);
+  if (entry.pointIndex === null) return typeLabel;
+  const taskLabel = getPointTaskLabel(
+    entry.unit.requiredType,
+    getObjectToolGroup(entry.object),
+    symbols,
+  );
+  return `${typeLabel} · P${entry.pointIndex + 1} ${taskLabel}`;
+};
+
+const getBlueprintPath = (entry) =>
+  `/projects/${entry.projectId}${entry.taskId ? `/tasks/${entry.taskId}` : ""}/blueprints?blueprintId=${entry.blueprintId}`;
+
+export default function InspectionsPage() {
+  const navigate = useNavigate();
+  const { currentUser, userProfile, organizationId } = useAuth();
+  const reviewer = {
+    uid: currentUser?.uid || null,
+    name: userProfile?.name || currentUser?.email || "",
+  };
+
+  const [blueprints, setBlueprints] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [symbols, setSymbols] = useState(() => buildSymbolLibrary());
+  const [loadingData, setLoadingData] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [reloadToken, setReloadToken] = useState(0);
+  const [notice, setNotice] = useState("");
+  const [noticeType, setNoticeType] = useState("info");
+  const [projectFilter, setProjectFilter] = useState("");
+  const [busyKey, setBusyKey] = useState("");
+
+  useEffect(() => {
+    if (!organizationId) return;
+    const load = async () => {
+      setLoadingData(true);
+      setLoadError("");
+      try {
+        const [data, library] = await Promise.all([
+          loadInspectionData({ organizationId }),
+          loadSymbolLibrary({ organizationId }),
+        ]);
+        setBlueprints(data.blueprints);
+        setProjects(data.projects);
+        setSymbols(library);
+      } catch (err) {
+        console.error("Load inspections:", err);
+        setLoadError("Failed to load the inspection queue.");
+      }
+      setLoadingData(false);
+    };
+    load();
+  }, [organizationId, reloadToken]);
+
+  const reload = () => setReloadToken((prev) => prev + 1);
+
+  const showNotice = (message, type = "info") => {
+    setNotice(message);
+    setNoticeType(type);
+  };
+
+  const projectNames = useMemo(
+    () => Object.fromEntries(projects.map((p) => [p.id, p.name])),
+    [projects],
+  );
+
+  const queue = useMemo(() => buildInspectionQueue(blueprints), [blueprints]);
+  const visibleQueue = projectFilter
+    ? queue.filter((entry) => entry.projectId === projectFilter)
+    : queue;
+
+  const handleReview = async (entry, { approve, reason = "" }) => {
+    setBusyKey(entry.key);
+    showNotice("");
+    try {
+      const next = await reviewBlueprintCompletion({
+        blueprintId: entry.blueprintId,
+        objectId: entry.objectId,
+        pointIndex: entry.pointIndex,
+        approve,
+        reason,
+        user: reviewer,
+      });
+      setBlueprints((prev) =>
+        prev.map((blueprint) =>
+          blueprint.id === entry.blueprintId
+            ? {
+                ...blueprint,
+                objects: { ...blueprint.objects, [entry.objectId]: next },
+              }
+            : blueprint,
+        ),
+      );
+      showNotice(
+        approve ? "Work approved." : "Work rejected and reopened.",
+        "success",
+      );
+    } catch (err) {
+      showNotice(err.message || "Failed to save the inspection.", "error");
+      if (err.code === INSPECTION_STALE_ERROR) reload();
+    }
+    setBusyKey("");
+  };
+
+  return (
+    <div className="dashboard">
+      <Sidebar />
+      <div className="dashboard-content">
+        <Header title="Inspections" />
+
+        <div className="materials-page inspections-page">
+          <div className="materials-page-header">
+            <h2>Inspections</h2>
+            <p>Installed blueprint work waiting for your sign-off.</p>
+          </div>
+
+          {notice && (
+            <p className={`materials-notice ${noticeType}`}>{notice}</p>
+          )}
+
+          {loadingData ? (
+            <div className="materials-empty">Loading inspections…</div>
+          ) : loadError ? (
+            <div className="materials-empty materials-empty-error">
+              {loadError}
+            </div>
+          ) : (
+            <>
+              <div className="inspections-toolbar">
+                <select
+                  value={projectFilter}
+                  onChange={(e) => setProjectFilter(e.target.value)}
+                  aria-label="Filter by project"
+                >
+                  <option value="">All projects</option>
+                  {projects.map((project) => (
+                    <option key={project.id} value={project.id}>
+                      {project.name}
+                    </option>
+                  ))}
+                </select>
+                <span className="inspections-count">
+                  {visibleQueue.length} waiting
+                </span>
+              </div>
+
+              {visibleQueue.length === 0 ? (
+                <div className="materials-empty">
+                  Nothing is waiting for inspection.
+                </div>
+              ) : (
+                <ul className="inspection-queue">
+                  {visibleQueue.map((entry) => (
+                    <li
+                      key={entry.key}
+                      className={`inspection-card${busyKey === entry.key ? " busy" : ""}`}
+                    >
+                      <div className="inspection-card-header">
+                        <div>
+                          <span className="inspection-project">
+                            {projectNames[entry.projectId] || "Project"}
+                          </span>
+                          <span className="inspection-blueprint">
+                            {entry.blueprintName}
+                          </span>
+                        </div>
+                        <button
+                          type="button"
+                          className="btn-secondary"
+                          onClick={() => navigate(getBlueprintPath(entry))}
+                        >
+                          Open blueprint
+                        </button>
+                      </div>
+                      <CompletionEvidenceGallery
+                        items={[
+                          {
+                            ...entry.unit,
+                            key: entry.key,
+                            pointIndex: entry.pointIndex,
+                            label: getEntryLabel(entry, symbols),
+                          },
+                        ]}
+                        canInspect={busyKey !== entry.key}
+                        onApprove={() => handleReview(entry, { approve: true })}
+                        onReject={(pointIndex, reason) =>
+                          handleReview(entry, { approve: false, reason })
+                        }
+                      />
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
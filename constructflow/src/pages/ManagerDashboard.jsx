@@ -2,7 +2,8 @@
  * ManagerDashboard.jsx
  *
  * Landing page for the organisation manager.
- * Shows live stats (projects, workers, invite code) and recent projects.
+ * Shows live stats (projects, workers, invite code), low-stock materials,
+ * pending worker material reports and recent projects.
  */
 
 import { useState, useEffect } from "react";
@@ -15,8 +16,10 @@ import {
   MdEdit,
   MdCheck,
   MdClose,
+  MdInventory2,
 } from "react-icons/md";
 import Header from "../components/Header";
+import MaterialReportsPanel from "../components/MaterialReportsPanel";
 import Sidebar from "../components/Sidebar";
 import { useAuth } from "../contexts/AuthContext";
 import {
@@ -30,8 +33,17 @@ import {
   Timestamp,
 } from "firebase/firestore";
 import { db } from "../firebase";
+import {
+  getAvailableQuantity,
+  getMaterialStockLevel,
+  isLowStock,
+} from "../utils/inventoryDomain";
+import { MATERIAL_STOCK_LEVEL } from "../utils/materialsConstants";
+import { listOrganizationMaterials } from "../utils/materialsRepository";
 import "../styles/Dashboard.css";
 
+const LOW_STOCK_PREVIEW_LIMIT = 3;
+
 const getEffectiveProjectStatus = (project) => {
   const completion = Number(project?.completion);
   if (Number.isFinite(completion) && completion >= 100) {
@@ -76,6 +88,22 @@ function formatExpiry(date) {
   return `${date.toLocaleDateString()} ${date.toLocaleTimeString()}`;
 }
 
+const buildLowStockRows = (materials, projectNames) =>
+  materials
+    .filter(isLowStock)
+    .map((m) => ({
+      ...m,
+      projectName: projectNames.get(m.projectId) || "",
+      availableQty: getAvailableQuantity(m),
+      stockLevel: getMaterialStockLevel(m),
+    }))
+    .sort(
+      (a, b) =>
+        Number(b.stockLevel === MATERIAL_STOCK_LEVEL.DEPLETED) -
+          Number(a.stockLevel === MATERIAL_STOCK_LEVEL.DEPLETED) ||
+        a.availableQty - b.availableQty,
+    );
+
 export default function ManagerDashboard() {
   const { currentUser, userProfile, organizationId } = useAuth();
   const navigate = useNavigate();
@@ -87,6 +115,8 @@ export default function ManagerDashboard() {
   });
   const [orgData, setOrgData] = useState(null);
   const [recentProjects, setRecentProjects] = useState([]);
+  const [lowStockMaterials, setLowStockMaterials] = useState([]);
+  const [projectNames, setProjectNames] = useState(new Map());
   const [loadingData, setLoadingData] = useState(true);
   const [showCode, setShowCode] = useState(false);
   const [editingOrgName, setEditingOrgName] = useState(false);
@@ -135,6 +165,12 @@ export default function ManagerDashboard() {
           workers: workerSnap.size,
           blueprints: 0,
         });
+
+        // Materials under their minimum threshold, depleted first
+        const names = new Map(projs.map((p) => [p.id, p.name]));
+        setProjectNames(names);
+        const materials = await listOrganizationMaterials({ organizationId });
+        setLowStockMaterials(buildLowStockRows(materials, names));
       } catch (err) {
         console.error("Dashboard load error:", err);
       }
@@ -143,6 +179,16 @@ export default function ManagerDashboard() {
     load();
   }, [organizationId]);
 
+  // Applying a worker report moves stock, so the low-stock card is refreshed.
+  const refreshLowStock = async () => {
+    try {
+      const materials = await listOrganizationMaterials({ organizationId });
+      setLowStockMaterials(buildLowStockRows(materials, projectNames));
+    } catch (err) {
+      console.error("Low stock refresh error:", err);
+    }
+  };
+
   useEffect(() => {
     setOrgNameValue(orgData?.name || "");
     const currentExpiry = toDate(orgData?.inviteCodeExpiresAt);
@@ -460,6 +506,78 @@ export default function ManagerDashboard() {
             </div>
           </div>
 
+          {/* ── Low stock ── */}
+          <div className="section">
+            <div className="section-header">
+              <h2>Low Stock</h2>
+              <button
+                className="btn-secondary"
+                onClick={() => navigate("/materials")}
+              >
+                View Inventory <MdArrowForward />
+              </button>
+            </div>
+            {loadingData ? (
+              <div className="loading-rows">
+                <div className="loading-row" />
+              </div>
+            ) : lowStockMaterials.length === 0 ? (
+              <div className="empty-state">
+                <p>All materials are above their minimum threshold.</p>
+              </div>
+            ) : (
+              <div className="low-stock-card">
+                <div className="low-stock-summary">
+                  <span className="low-stock-icon">
+                    <MdInventory2 />
+                  </span>
+                  <p>
+                    <strong>{lowStockMaterials.length}</strong>{" "}
+                    {lowStockMaterials.length === 1
+                      ? "material needs"
+                      : "materials need"}{" "}
+                    restocking
+                  </p>
+                </div>
+                <ul className="low-stock-list">
+                  {lowStockMaterials
+                    .slice(0, LOW_STOCK_PREVIEW_LIMIT)
+                    .map((m) => (
+                      <li
+                        key={m.id}
+                        className={`low-stock-item ${m.stockLevel}`}
+                      >
+                        <span className="low-stock-name">{m.name}</span>
+                        <span className="low-stock-project">
+                          {m.projectName}
+                        </span>
+                        <span className="low-stock-qty">
+                          {m.availableQty} / {m.minimumThreshold} {m.unit}
+                        </span>
+                      </li>
+                    ))}
+                </ul>
+                {lowStockMaterials.length > LOW_STOCK_PREVIEW_LIMIT && (
+                  <p className="low-stock-more">
+                    +{lowStockMaterials.length - LOW_STOCK_PREVIEW_LIMIT} more
+                  </p>
+                )}
+              </div>
+            )}
+          </div>
+
+          {/* ── Worker material reports ── */}
+          <div className="section">
+            <div className="section-header">
+              <h2>Material Reports</h2>
+            </div>
+            <MaterialReportsPanel
+              organizationId={organizationId}
+              currentUid={currentUser?.uid}
+              onApplied={refreshLowStock}
+            />
+          </div>
+
           {/* ── Recent projects ── */}
           <div className="section">
             <div className="section-header">
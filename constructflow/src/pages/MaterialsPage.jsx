@@ -1,19 +1,953 @@
+/**
+ * MaterialsPage.jsx
+ *
+ * Organisation-wide inventory console.
+ *   Manager — lists materials across all projects, adds, edits inline, restocks,
+ *             adjusts counted quantities and removes
+ *   Worker  — read-only view of materials in the projects they are assigned to
+ *
+ * Rows can be filtered by project, stock status and below-threshold. Each
+ * material, and the filtered project, can open its transaction ledger.
+ * Quantity changes go through restock / adjustment / transfer so each one is
+ * written to the material transaction ledger. A transfer moves available stock
+ * to the same material in another project, creating it there if needed.
+ */
+
+import { Fragment, useEffect, useMemo, useState } from "react";
 import Header from "../components/Header";
+import MaterialLedgerPanel from "../components/MaterialLedgerPanel";
 import Sidebar from "../components/Sidebar";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  canChangeMaterialUnit,
+  getAvailableQuantity,
+  getMaterialStockLevel,
+  isBelowMinimumThreshold,
+} from "../utils/inventoryDomain";
+import {
+  adjustMaterialQuantity,
+  createMaterial,
+  removeMaterial,
+  restockMaterial,
+  transferMaterialBetweenProjects,
+  updateMaterial,
+} from "../utils/materialsRepository";
+import {
+  DEFAULT_MATERIAL_UNIT,
+  MATERIAL_STOCK_LEVEL,
+  MATERIAL_UNITS,
+} from "../utils/materialsConstants";
+import { getCompatibleUnits } from "../utils/unitConversion";
+import {
+  INVENTORY_FILTER_ALL,
+  filterInventoryRows,
+  loadInventoryConsoleData,
+} from "../utils/materialsInventoryService";
+import { formatCost } from "../utils/projectCosting";
+import "../styles/MaterialsPage.css";
+
+// Stock and allocations are recorded in the material's unit.
+const UNIT_LOCKED_HINT =
+  "The unit is locked while the material has stock or reservations.";
+
+const STOCK_ACTION = {
+  RESTOCK: "restock",
+  ADJUST: "adjust",
+  TRANSFER: "transfer",
+};
+
+const STATUS_FILTERS = [
+  { value: INVENTORY_FILTER_ALL, label: "All statuses" },
+  { value: MATERIAL_STOCK_LEVEL.IN_STOCK, label: "In stock" },
+  { value: MATERIAL_STOCK_LEVEL.LOW, label: "Low stock" },
+  { value: MATERIAL_STOCK_LEVEL.DEPLETED, label: "Depleted" },
+];
+
+const STOCK_LEVEL_LABELS = {
+  [MATERIAL_STOCK_LEVEL.IN_STOCK]: "In stock",
+  [MATERIAL_STOCK_LEVEL.LOW]: "Low stock",
+  [MATERIAL_STOCK_LEVEL.DEPLETED]: "Depleted",
+};
 
 export default function MaterialsPage() {
+  const { currentUser, organizationId, isManager } = useAuth();
+  const currentUid = currentUser?.uid || null;
+
+  const [projects, setProjects] = useState([]);
+  const [materials, setMaterials] = useState([]);
+  const [loadingData, setLoadingData] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [reloadToken, setReloadToken] = useState(0);
+  const [notice, setNotice] = useState("");
+  const [noticeType, setNoticeType] = useState("info");
+
+  const [projectFilter, setProjectFilter] = useState(INVENTORY_FILTER_ALL);
+  const [statusFilter, setStatusFilter] = useState(INVENTORY_FILTER_ALL);
+  const [belowThresholdOnly, setBelowThresholdOnly] = useState(false);
+
+  const [newProjectId, setNewProjectId] = useState("");
+  const [newName, setNewName] = useState("");
+  const [newUnit, setNewUnit] = useState(DEFAULT_MATERIAL_UNIT);
+  const [newQty, setNewQty] = useState("0");
+  const [newThreshold, setNewThreshold] = useState("0");
+  const [newUnitCost, setNewUnitCost] = useState("0");
+  const [savingNew, setSavingNew] = useState(false);
+
+  const [editingId, setEditingId] = useState("");
+  const [editName, setEditName] = useState("");
+  const [editUnit, setEditUnit] = useState(DEFAULT_MATERIAL_UNIT);
+  const [editThreshold, setEditThreshold] = useState("0");
+  const [editUnitCost, setEditUnitCost] = useState("0");
+  const [updating, setUpdating] = useState(false);
+  const [deletingId, setDeletingId] = useState("");
+
+  const [stockActionId, setStockActionId] = useState("");
+  const [stockActionType, setStockActionType] = useState(STOCK_ACTION.RESTOCK);
+  const [stockQty, setStockQty] = useState("");
+  const [stockReason, setStockReason] = useState("");
+  const [transferProjectId, setTransferProjectId] = useState("");
+  const [applyingStock, setApplyingStock] = useState(false);
+
+  const [ledgerView, setLedgerView] = useState(null);
+
+  const visibleMaterials = useMemo(
+    () =>
+      filterInventoryRows(materials, {
+        projectId: projectFilter,
+        status: statusFilter,
+        belowThresholdOnly,
+      }),
+    [materials, projectFilter, statusFilter, belowThresholdOnly],
+  );
+
+  const materialNamesById = useMemo(
+    () =>
+      materials.reduce((acc, material) => {
+        acc[material.id] = material.name;
+        return acc;
+      }, {}),
+    [materials],
+  );
+
+  useEffect(() => {
+    if (!organizationId) return;
+    const load = async () => {
+      setLoadingData(true);
+      setLoadError("");
+      try {
+        const snapshot = await loadInventoryConsoleData({
+          organizationId,
+          currentUid,
+          isManager,
+        });
+        setProjects(snapshot.projects);
+        setMaterials(snapshot.materials);
+        setNewProjectId((prev) => prev || snapshot.projects[0]?.id || "");
+      } catch (err) {
+        console.error("Load inventory:", err);
+        setLoadError("Failed to load inventory.");
+      }
+      setLoadingData(false);
+    };
+    load();
+  }, [organizationId, currentUid, isManager, reloadToken]);
+
+  const reloadInventory = () => setReloadToken((prev) => prev + 1);
+
+  const showNotice = (message, type = "info") => {
+    setNotice(message);
+    setNoticeType(type);
+  };
+
+  const handleCreateMaterial = async (e) => {
+    e.preventDefault();
+    if (!newProjectId) {
+      showNotice("Select a project first.", "error");
+      return;
+    }
+    if (!newName.trim()) {
+      showNotice("Material name is required.", "error");
+      return;
+    }
+
+    setSavingNew(true);
+    showNotice("");
+    try {
+      await createMaterial({
+        organizationId,
+        projectId: newProjectId,
+        name: newName,
+        unit: newUnit,
+        quantityOnHand: Math.max(0, Number(newQty) || 0),
+        minimumThreshold: Math.max(0, Number(newThreshold) || 0),
+        unitCost: Math.max(0, Number(newUnitCost) || 0),
+        createdBy: currentUid || "",
+      });
+      setNewName("");
+      setNewUnit(DEFAULT_MATERIAL_UNIT);
+      setNewQty("0");
+      setNewThreshold("0");
+      setNewUnitCost("0");
+      showNotice("Material added.", "success");
+      reloadInventory();
+    } catch (err) {
+      showNotice(err.message || "Failed to add material.", "error");
+    }
+    setSavingNew(false);
+  };
+
+  const startEdit = (material) => {
+    cancelStockAction();
+    setEditingId(material.id);
+    setEditName(material.name || "");
+    setEditUnit(material.unit || DEFAULT_MATERIAL_UNIT);
+    setEditThreshold(String(material.minimumThreshold ?? 0));
+    setEditUnitCost(String(material.unitCost ?? 0));
+    showNotice("");
+  };
+
+  const cancelEdit = () => {
+    setEditingId("");
+    setEditName("");
+    setEditUnit(DEFAULT_MATERIAL_UNIT);
+    setEditThreshold("0");
+    setEditUnitCost("0");
+  };
+
+  const handleSaveEdit = async () => {
+    if (!editingId) return;
+    if (!editName.trim()) {
+      showNotice("Material name is required.", "error");
+      return;
+    }
+
+    setUpdating(true);
+    showNotice("");
+    try {
+      await updateMaterial({
+        materialId: editingId,
+        updates: {
+          name: editName,
+          unit: editUnit,
+          minimumThreshold: Math.max(0, Number(editThreshold) || 0),
+          unitCost: Math.max(0, Number(editUnitCost) || 0),
+        },
+      });
+      showNotice("Material updated.", "success");
+      cancelEdit();
+      reloadInventory();
+    } catch (err) {
+      showNotice(err.message || "Failed to update material.", "error");
+    }
+    setUpdating(false);
+  };
+
+  const startStockAction = (material, type) => {
+    cancelEdit();
+    setStockActionId(material.id);
+    setStockActionType(type);
+    setStockQty(
+      type === STOCK_ACTION.ADJUST ? String(material.quantityOnHand ?? 0) : "",
+    );
+    setStockReason("");
+    setTransferProjectId(
+      projects.find((project) => project.id !== material.projectId)?.id || "",
+    );
+    showNotice("");
+  };
+
+  const cancelStockAction = () => {
+    setStockActionId("");
+    setStockQty("");
+    setStockReason("");
+    setTransferProjectId("");
+  };
+
+  const handleApplyStockAction = async () => {
+    if (!stockActionId) return;
+    const isRestock = stockActionType === STOCK_ACTION.RESTOCK;
+    const qty = Number(stockQty);
+
+    if (
+      stockQty === "" ||
+      !Number.isFinite(qty) ||
+      qty < 0 ||
+      (isRestock && qty === 0)
+    ) {
+      showNotice(
+        isRestock
+          ? "Restock quantity must be greater than zero."
+          : "Counted quantity cannot be negative.",
+        "error",
+      );
+      return;
+    }
+    if (!isRestock && !stockReason.trim()) {
+      showNotice("A reason is required for adjustments.", "error");
+      return;
+    }
+
+    setApplyingStock(true);
+    showNotice("");
+    try {
+      if (isRestock) {
+        await restockMaterial({
+          materialId: stockActionId,
+          quantity: qty,
+          reason: stockReason,
+          performedBy: currentUid || "",
+        });
+      } else {
+        await adjustMaterialQuantity({
+          materialId: stockActionId,
+          newQuantity: qty,
+          reason: stockReason,
+          performedBy: currentUid || "",
+        });
+      }
+      showNotice(
+        isRestock ? "Material restocked." : "Quantity adjusted.",
+        "success",
+      );
+      cancelStockAction();
+      reloadInventory();
+    } catch (err) {
+      showNotice(err.message || "Failed to update stock.", "error");
+    }
+    setApplyingStock(false);
+  };
+
+  const handleApplyTransfer = async (material) => {
+    const qty = Number(stockQty);
+    if (!transferProjectId) {
+      showNotice("Choose a project to transfer to.", "error");
+      return;
+    }
+    if (stockQty === "" || !Number.isFinite(qty) || qty <= 0) {
+      showNotice("Transfer quantity must be greater than zero.", "error");
+      return;
+    }
+    if (qty > getAvailableQuantity(material)) {
+      showNotice(
+        `Only ${getAvailableQuantity(material)} ${material.unit} of ${material.name} is available to transfer.`,
+        "error",
+      );
+      return;
+    }
+
+    setApplyingStock(true);
+    showNotice("");
+    try {
+      const result = await transferMaterialBetweenProjects({
+        organizationId,
+        materialId: material.id,
+        targetProjectId: transferProjectId,
+        quantity: qty,
+        note: stockReason,
+        performedBy: currentUid || "",
+      });
+      const projectName =
+        result?.target?.projectName ||
+        projects.find((project) => project.id === transferProjectId)?.name ||
+        "the other project";
+      showNotice(
+        `Transferred ${qty} ${material.unit} of ${material.name} to ${projectName}.`,
+        "success",
+      );
+      cancelStockAction();
+      reloadInventory();
+    } catch (err) {
+      showNotice(err.message || "Failed to transfer material.", "error");
+    }
+    setApplyingStock(false);
+  };
+
+  const openMaterialLedger = (material) => {
+    setLedgerView({
+      projectId: material.projectId,
+      projectName: material.projectName,
+      material,
+    });
+  };
+
+  const openProjectLedger = () => {
+    const project = projects.find((p) => p.id === projectFilter);
+    if (!project) return;
+    setLedgerView({
+      projectId: project.id,
+      projectName: project.name,
+      material: null,
+    });
+  };
+
+  const handleDelete = async (material) => {
+    if (!window.confirm(`Remove material "${material.name}"?`)) return;
+
+    setDeletingId(material.id);
+    showNotice("");
+    try {
+      await removeMaterial({ materialId: material.id });
+      if (editingId === material.id) cancelEdit();
+      if (ledgerView?.material?.id === material.id) setLedgerView(null);
+      showNotice("Material removed.", "success");
+      reloadInventory();
+    } catch (err) {
+      showNotice(err.message || "Failed to remove material.", "error");
+    }
+    setDeletingId("");
+  };
+
   return (
     <div className="dashboard">
       <Sidebar />
       <div className="dashboard-content">
         <Header title="Inventory" />
-        
+
         <div className="materials-page">
           <div className="materials-page-header">
             <h2>Project Inventory</h2>
+            <p>
+              {isManager
+                ? "Stock across every project in your organisation."
+                : "Materials available in the projects you are assigned to."}
+            </p>
+          </div>
+
+          <div className="materials-filters">
+            <select
+              value={projectFilter}
+              onChange={(e) => setProjectFilter(e.target.value)}
+              aria-label="Filter by project"
+            >
+              <option value={INVENTORY_FILTER_ALL}>All projects</option>
+              {projects.map((project) => (
+                <option key={project.id} value={project.id}>
+                  {project.name}
+                </option>
+              ))}
+            </select>
+
+            <select
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+              aria-label="Filter by status"
+            >
+              {STATUS_FILTERS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+
+            <label className="materials-filter-toggle">
+              <input
+                type="checkbox"
+                checked={belowThresholdOnly}
+                onChange={(e) => setBelowThresholdOnly(e.target.checked)}
+              />
+              Below threshold only
+            </label>
+
+            {projectFilter !== INVENTORY_FILTER_ALL && (
+              <button
+                type="button"
+                className="btn-secondary materials-action-btn"
+                onClick={openProjectLedger}
+              >
+                Project ledger
+              </button>
+            )}
           </div>
+
+          {isManager && (
+            <form
+              className="materials-create-form"
+              onSubmit={handleCreateMaterial}
+            >
+              <select
+                value={newProjectId}
+                onChange={(e) => setNewProjectId(e.target.value)}
+                aria-label="New material project"
+              >
+                {projects.length === 0 ? (
+                  <option value="">No projects available</option>
+                ) : (
+                  projects.map((project) => (
+                    <option key={project.id} value={project.id}>
+                      {project.name}
+                    </option>
+                  ))
+                )}
+              </select>
+
+              <input
+                type="text"
+                placeholder="Material name"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                aria-label="New material name"
+                required
+              />
+
+              <select
+                value={newUnit}
+                onChange={(e) => setNewUnit(e.target.value)}
+                aria-label="New material unit"
+              >
+                {MATERIAL_UNITS.map((unit) => (
+                  <option key={unit} value={unit}>
+                    {unit}
+                  </option>
+                ))}
+              </select>
+
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="In stock"
+                value={newQty}
+                onChange={(e) => setNewQty(e.target.value)}
+                aria-label="New material quantity"
+              />
+
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Minimum"
+                value={newThreshold}
+                onChange={(e) => setNewThreshold(e.target.value)}
+                aria-label="New material minimum threshold"
+              />
+
+              <input
+                type="number"
+                min="0"
+                step="0.01"
+                placeholder="Unit cost"
+                value={newUnitCost}
+                onChange={(e) => setNewUnitCost(e.target.value)}
+                aria-label="New material unit cost"
+              />
+
+              <button
+                type="submit"
+                className="btn-primary"
+                disabled={savingNew || projects.length === 0}
+              >
+                {savingNew ? "Adding…" : "Add Material"}
+              </button>
+            </form>
+          )}
+
+          {notice && (
+            <p className={`materials-notice ${noticeType}`}>{notice}</p>
+          )}
+
+          {loadingData ? (
+            <div className="materials-empty">Loading inventory…</div>
+          ) : loadError ? (
+            <div className="materials-empty materials-empty-error">
+              {loadError}
+            </div>
+          ) : visibleMaterials.length === 0 ? (
+            <div className="materials-empty">
+              {materials.length === 0
+                ? "No materials in your projects yet."
+                : "No materials match the current filters."}
+            </div>
+          ) : (
+            <div className="materials-table-wrap">
+              <table className="materials-table">
+                <thead>
+                  <tr>
+                    <th>Material</th>
+                    <th>Project</th>
+                    <th>In Stock</th>
+                    <th>Available</th>
+                    <th>Minimum</th>
+                    <th>Unit Cost</th>
+                    <th>Status</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {visibleMaterials.map((material) => {
+                    const isEditing = editingId === material.id;
+                    const stockLevel = getMaterialStockLevel(material);
+                    const stockFormOpen =
+                      isManager && stockActionId === material.id;
+                    const isTransfer =
+                      stockActionType === STOCK_ACTION.TRANSFER;
+                    return (
+                      <Fragment key={material.id}>
+                        <tr>
+                          <td>
+                            {isEditing ? (
+                              <input
+                                className="materials-edit-input"
+                                type="text"
+                                value={editName}
+                                onChange={(e) => setEditName(e.target.value)}
+                                aria-label="Edit material name"
+                              />
+                            ) : (
+                              material.name
+                            )}
+                          </td>
+                          <td>{material.projectName}</td>
+                          <td>
+                            {isEditing ? (
+                              <div className="materials-inline-fields">
+                                <span>{material.quantityOnHand}</span>
+                                <select
+                                  className="materials-edit-input"
+                                  value={editUnit}
+                                  onChange={(e) => setEditUnit(e.target.value)}
+                                  disabled={!canChangeMaterialUnit(material)}
+                                  title={
+                                    canChangeMaterialUnit(material)
+                                      ? undefined
+                                      : UNIT_LOCKED_HINT
+                                  }
+                                  aria-label="Edit material unit"
+                                >
+                                  {getCompatibleUnits(material.unit).map(
+                                    (unit) => (
+                                      <option key={unit} value={unit}>
+                                        {unit}
+                                      </option>
+                                    ),
+                                  )}
+                                </select>
+                              </div>
+                            ) : (
+                              <>
+                                {material.quantityOnHand} {material.unit}
+                              </>
+                            )}
+                          </td>
+                          <td>
+                            {getAvailableQuantity(material)} {material.unit}
+                            {material.quantityReserved > 0 && (
+                              <span className="materials-reserved-note">
+                                {material.quantityReserved} reserved
+                              </span>
+                            )}
+                          </td>
+                          <td>
+                            {isEditing ? (
+                              <input
+                                className="materials-edit-input"
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={editThreshold}
+                                onChange={(e) =>
+                                  setEditThreshold(e.target.value)
+                                }
+                                aria-label="Edit material minimum threshold"
+                              />
+                            ) : (
+                              <span
+                                className={
+                                  isBelowMinimumThreshold(material)
+                                    ? "materials-below-threshold"
+                                    : ""
+                                }
+                              >
+                                {material.minimumThreshold} {material.unit}
+                              </span>
+                            )}
+                          </td>
+                          <td>
+                            {isEditing ? (
+                              <input
+                                className="materials-edit-input"
+                                type="number"
+                                min="0"
+                                step="0.01"
+                                value={editUnitCost}
+                                onChange={(e) =>
+                                  setEditUnitCost(e.target.value)
+                                }
+                                aria-label="Edit material unit cost"
+                              />
+                            ) : (
+                              <>
+                                {formatCost(material.unitCost)} /{" "}
+                                {material.unit}
+                              </>
+                            )}
+                          </td>
+                          <td>
+                            <span
+                              className={`materials-status-chip ${stockLevel}`}
+                            >
+                              {STOCK_LEVEL_LABELS[stockLevel]}
+                            </span>
+                          </td>
+
+                          <td className="materials-actions-cell">
+                            {!isManager ? (
+                              <button
+                                type="button"
+                                className="btn-secondary materials-action-btn"
+                                onClick={() => openMaterialLedger(material)}
+                              >
+                                Ledger
+                              </button>
+                            ) : isEditing ? (
+                              <>
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn"
+                                  onClick={handleSaveEdit}
+                                  disabled={updating}
+                                >
+                                  {updating ? "Saving…" : "Save"}
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn"
+                                  onClick={cancelEdit}
+                                  disabled={updating}
+                                >
+                                  Cancel
+                                </button>
+                              </>
+                            ) : (
+                              <>
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn"
+                                  onClick={() => startEdit(material)}
+                                  disabled={deletingId === material.id}
+                                >
+                                  Edit
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn"
+                                  onClick={() =>
+                                    startStockAction(
+                                      material,
+                                      STOCK_ACTION.RESTOCK,
+                                    )
+                                  }
+                                  disabled={deletingId === material.id}
+                                >
+                                  Restock
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn"
+                                  onClick={() =>
+                                    startStockAction(
+                                      material,
+                                      STOCK_ACTION.ADJUST,
+                                    )
+                                  }
+                                  disabled={deletingId === material.id}
+                                >
+                                  Adjust
+                                </button>
+                                {projects.length > 1 && (
+                                  <button
+                                    type="button"
+                                    className="btn-secondary materials-action-btn"
+                                    onClick={() =>
+                                      startStockAction(
+                                        material,
+                                        STOCK_ACTION.TRANSFER,
+                                      )
+                                    }
+                                    disabled={
+                                      deletingId === material.id ||
+                                      getAvailableQuantity(material) === 0
+                                    }
+                                  >
+                                    Transfer
+                                  </button>
+                                )}
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn"
+                                  onClick={() => openMaterialLedger(material)}
+                                >
+                                  Ledger
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn danger"
+                                  onClick={() => handleDelete(material)}
+                                  disabled={deletingId === material.id}
+                                >
+                                  {deletingId === material.id
+                                    ? "Removing…"
+                                    : "Remove"}
+                                </button>
+                              </>
+                            )}
+                          </td>
+                        </tr>
+
+                        {stockFormOpen && isTransfer && (
+                          <tr className="materials-stock-row">
+                            <td colSpan={8}>
+                              <div className="materials-stock-form">
+                                <span className="materials-stock-label">
+                                  Transfer {material.name}
+                                </span>
+                                <select
+                                  value={transferProjectId}
+                                  onChange={(e) =>
+                                    setTransferProjectId(e.target.value)
+                                  }
+                                  aria-label="Transfer destination project"
+                                >
+                                  {projects
+                                    .filter(
+                                      (project) =>
+                                        project.id !== material.projectId,
+                                    )
+                                    .map((project) => (
+                                      <option
+                                        key={project.id}
+                                        value={project.id}
+                                      >
+                                        {project.name}
+                                      </option>
+                                    ))}
+                                </select>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  max={getAvailableQuantity(material)}
+                                  step="0.01"
+                                  placeholder="Quantity to move"
+                                  value={stockQty}
+                                  onChange={(e) => setStockQty(e.target.value)}
+                                  aria-label="Transfer quantity"
+                                />
+                                <span className="materials-stock-unit">
+                                  of {getAvailableQuantity(material)}{" "}
+                                  {material.unit} available
+                                </span>
+                                <input
+                                  type="text"
+                                  placeholder="Note (optional)"
+                                  value={stockReason}
+                                  onChange={(e) =>
+                                    setStockReason(e.target.value)
+                                  }
+                                  aria-label="Transfer note"
+                                />
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn"
+                                  onClick={() => handleApplyTransfer(material)}
+                                  disabled={applyingStock}
+                                >
+                                  {applyingStock ? "Moving…" : "Transfer"}
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn"
+                                  onClick={cancelStockAction}
+                                  disabled={applyingStock}
+                                >
+                                  Cancel
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+
+                        {stockFormOpen && !isTransfer && (
+                          <tr className="materials-stock-row">
+                            <td colSpan={8}>
+                              <div className="materials-stock-form">
+                                <span className="materials-stock-label">
+                                  {stockActionType === STOCK_ACTION.RESTOCK
+                                    ? `Restock ${material.name}`
+                                    : `Adjust ${material.name} to counted quantity`}
+                                </span>
+                                <input
+                                  type="number"
+                                  min="0"
+                                  step="0.01"
+                                  placeholder={
+                                    stockActionType === STOCK_ACTION.RESTOCK
+                                      ? "Quantity received"
+                                      : "Counted quantity"
+                                  }
+                                  value={stockQty}
+                                  onChange={(e) => setStockQty(e.target.value)}
+                                  aria-label={
+                                    stockActionType === STOCK_ACTION.RESTOCK
+                                      ? "Restock quantity"
+                                      : "Counted quantity"
+                                  }
+                                />
+                                <span className="materials-stock-unit">
+                                  {material.unit}
+                                </span>
+                                <input
+                                  type="text"
+                                  placeholder={
+                                    stockActionType === STOCK_ACTION.RESTOCK
+                                      ? "Reason (optional)"
+                                      : "Reason (required)"
+                                  }
+                                  value={stockReason}
+                                  onChange={(e) =>
+                                    setStockReason(e.target.value)
+                                  }
+                                  aria-label="Stock change reason"
+                                />
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn"
+                                  onClick={handleApplyStockAction}
+                                  disabled={applyingStock}
+                                >
+                                  {applyingStock ? "Applying…" : "Apply"}
+                                </button>
+                                <button
+                                  type="button"
+                                  className="btn-secondary materials-action-btn"
+                                  onClick={cancelStockAction}
+                                  disabled={applyingStock}
+                                >
+                                  Cancel
+                                </button>
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                      </Fragment>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+
+          {ledgerView && (
+            <MaterialLedgerPanel
+              key={`${ledgerView.projectId}:${ledgerView.material?.id || "all"}`}
+              organizationId={organizationId}
+              projectId={ledgerView.projectId}
+              projectName={ledgerView.projectName}
+              material={ledgerView.material}
+              materialNames={materialNamesById}
+              onClose={() => setLedgerView(null)}
+            />
+          )}
         </div>
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
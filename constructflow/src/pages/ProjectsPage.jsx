@@ -2,7 +2,8 @@
  * ProjectsPage.jsx
  *
  * Lists all projects for the current user's organisation.
- * Manager can create / delete projects.
+ * Manager can create / delete projects and set a material budget; cards flag
+ * projects whose committed and consumed material cost exceeds it.
  * Clicking a project navigates to its Tasks page.
  * Data is stored in Firestore: /projects/{id}
  */
@@ -35,6 +36,8 @@ import {
   getTaskCompletion,
   getEffectiveProjectStatus,
 } from "../utils/projectProgress";
+import { loadProjectCostSummaries } from "../utils/materialsInventoryService";
+import { formatCost, normalizeBudget } from "../utils/projectCosting";
 import "../styles/ProjectsPage.css";
 
 const STATUS_COLORS = {
@@ -54,6 +57,7 @@ export default function ProjectsPage() {
   const [showModal, setShowModal] = useState(false);
   const [newName, setNewName] = useState("");
   const [newDesc, setNewDesc] = useState("");
+  const [newBudget, setNewBudget] = useState("");
   const [creating, setCreating] = useState(false);
   const [createError, setCreateError] = useState("");
 
@@ -143,6 +147,21 @@ export default function ProjectsPage() {
 
       list = withAutoStatus.map(({ _storedStatus, ...project }) => project);
 
+      if (isManager) {
+        try {
+          const costs = await loadProjectCostSummaries({
+            organizationId,
+            projects: list,
+          });
+          list = list.map((project) => ({
+            ...project,
+            cost: costs.get(project.id) || null,
+          }));
+        } catch (err) {
+          console.error("Load project costs:", err);
+        }
+      }
+
       list.sort(
         (a, b) =>
           (b.createdAt?.toMillis?.() || 0) - (a.createdAt?.toMillis?.() || 0),
@@ -168,6 +187,7 @@ export default function ProjectsPage() {
       await addDoc(collection(db, "projects"), {
         name: newName.trim(),
         description: newDesc.trim(),
+        budget: normalizeBudget(newBudget),
         organizationId,
         managerId: userProfile?.uid || "",
         status: "active",
@@ -175,6 +195,7 @@ export default function ProjectsPage() {
       });
       setNewName("");
       setNewDesc("");
+      setNewBudget("");
       setShowModal(false);
       await fetchProjects();
     } catch (err) {
@@ -275,12 +296,22 @@ export default function ProjectsPage() {
                       <div className="project-card-icon">
                         <MdConstruction />
                       </div>
-                      <span
-                        className="project-status-badge"
-                        style={{ background: sc.bg, color: sc.fg }}
-                      >
-                        {status.charAt(0).toUpperCase() + status.slice(1)}
-                      </span>
+                      <div className="project-card-badges">
+                        {project.cost?.overBudget && (
+                          <span
+                            className="project-budget-badge"
+                            title={`Material cost ${formatCost(project.cost.totalCost)} of ${formatCost(project.cost.budget)} budget`}
+                          >
+                            Over budget
+                          </span>
+                        )}
+                        <span
+                          className="project-status-badge"
+                          style={{ background: sc.bg, color: sc.fg }}
+                        >
+                          {status.charAt(0).toUpperCase() + status.slice(1)}
+                        </span>
+                      </div>
                     </div>
                     <h3 className="project-card-name">{project.name}</h3>
                     {project.description && (
@@ -379,6 +410,22 @@ export default function ProjectsPage() {
                   onChange={(e) => setNewDesc(e.target.value)}
                 />
               </div>
+              <div className="form-group">
+                <label>
+                  Material Budget{" "}
+                  <span style={{ fontWeight: 400, color: "#a0aec0" }}>
+                    (optional)
+                  </span>
+                </label>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder=""
+                  value={newBudget}
+                  onChange={(e) => setNewBudget(e.target.value)}
+                />
+              </div>
               <button type="submit" className="btn-primary" disabled={creating}>
                 {creating ? "Creating…" : "Create Project"}
               </button>
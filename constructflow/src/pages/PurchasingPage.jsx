@@ -0,0 +1,499 @@
+/**
+ * PurchasingPage.jsx
+ *
+ * Manager console for restocking through suppliers. Keeps the organisation's
+ * supplier list, drafts purchase orders against project materials, places
+ * them and receives deliveries. Receiving posts RESTOCK entries to each
+ * material's ledger.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import Header from "../components/Header";
+import PurchaseOrderCard from "../components/PurchaseOrderCard";
+import Sidebar from "../components/Sidebar";
+import { useAuth } from "../contexts/AuthContext";
+import { PURCHASE_ORDER_STATUS } from "../utils/materialsConstants";
+import { loadInventoryConsoleData } from "../utils/materialsInventoryService";
+import {
+  createPurchaseOrder,
+  createSupplier,
+  listPurchaseOrders,
+  listSuppliers,
+  placePurchaseOrder,
+  receivePurchaseOrder,
+  removePurchaseOrder,
+  removeSupplier,
+  updatePurchaseOrderDraft,
+} from "../utils/purchasingRepository";
+import "../styles/MaterialsPage.css";
+import "../styles/PurchasingPage.css";
+
+// Open orders first, then newest first.
+const ORDER_SORT_RANK = {
+  [PURCHASE_ORDER_STATUS.DRAFT]: 0,
+  [PURCHASE_ORDER_STATUS.ORDERED]: 1,
+  [PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED]: 1,
+  [PURCHASE_ORDER_STATUS.RECEIVED]: 2,
+};
+
+const createdMillis = (order) => order.createdAt?.toMillis?.() || 0;
+
+export default function PurchasingPage() {
+  const { currentUser, organizationId } = useAuth();
+  const currentUid = currentUser?.uid || null;
+
+  const [suppliers, setSuppliers] = useState([]);
+  const [orders, setOrders] = useState([]);
+  const [projects, setProjects] = useState([]);
+  const [materials, setMaterials] = useState([]);
+  const [loadingData, setLoadingData] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [reloadToken, setReloadToken] = useState(0);
+  const [notice, setNotice] = useState("");
+  const [noticeType, setNoticeType] = useState("info");
+
+  const [supplierName, setSupplierName] = useState("");
+  const [supplierContact, setSupplierContact] = useState("");
+  const [supplierEmail, setSupplierEmail] = useState("");
+  const [supplierPhone, setSupplierPhone] = useState("");
+  const [savingSupplier, setSavingSupplier] = useState(false);
+
+  const [draftSupplierId, setDraftSupplierId] = useState("");
+  const [draftMaterialId, setDraftMaterialId] = useState("");
+  const [draftQty, setDraftQty] = useState("");
+  const [draftLines, setDraftLines] = useState([]);
+  const [draftNote, setDraftNote] = useState("");
+  const [savingDraft, setSavingDraft] = useState(false);
+
+  const [busyOrderId, setBusyOrderId] = useState("");
+
+  useEffect(() => {
+    if (!organizationId) return;
+    const load = async () => {
+      setLoadingData(true);
+      setLoadError("");
+      try {
+        const [supplierList, orderList, inventory] = await Promise.all([
+          listSuppliers({ organizationId }),
+          listPurchaseOrders({ organizationId }),
+          loadInventoryConsoleData({
+            organizationId,
+            currentUid,
+            isManager: true,
+          }),
+        ]);
+        setSuppliers(supplierList);
+        setOrders(orderList);
+        setProjects(inventory.projects);
+        setMaterials(inventory.materials);
+      } catch (err) {
+        console.error("Load purchasing:", err);
+        setLoadError("Failed to load purchasing data.");
+      }
+      setLoadingData(false);
+    };
+    load();
+  }, [organizationId, currentUid, reloadToken]);
+
+  const reload = () => setReloadToken((prev) => prev + 1);
+
+  const showNotice = (message, type = "info") => {
+    setNotice(message);
+    setNoticeType(type);
+  };
+
+  const projectNames = useMemo(
+    () => Object.fromEntries(projects.map((p) => [p.id, p.name])),
+    [projects],
+  );
+
+  const materialsById = useMemo(
+    () => Object.fromEntries(materials.map((m) => [m.id, m])),
+    [materials],
+  );
+
+  const sortedOrders = useMemo(
+    () =>
+      [...orders].sort(
+        (a, b) =>
+          ORDER_SORT_RANK[a.status] - ORDER_SORT_RANK[b.status] ||
+          createdMillis(b) - createdMillis(a),
+      ),
+    [orders],
+  );
+
+  const supplierNameFor = (supplierId) =>
+    suppliers.find((supplier) => supplier.id === supplierId)?.name || "";
+
+  const handleCreateSupplier = async (e) => {
+    e.preventDefault();
+    if (!supplierName.trim()) {
+      showNotice("Supplier name is required.", "error");
+      return;
+    }
+
+    setSavingSupplier(true);
+    showNotice("");
+    try {
+      await createSupplier({
+        organizationId,
+        name: supplierName,
+        contactName: supplierContact,
+        email: supplierEmail,
+        phone: supplierPhone,
+        createdBy: currentUid || "",
+      });
+      setSupplierName("");
+      setSupplierContact("");
+      setSupplierEmail("");
+      setSupplierPhone("");
+      showNotice("Supplier added.", "success");
+      reload();
+    } catch (err) {
+      showNotice(err.message || "Failed to add supplier.", "error");
+    }
+    setSavingSupplier(false);
+  };
+
+  const handleRemoveSupplier = async (supplier) => {
+    if (!window.confirm(`Remove supplier "${supplier.name}"?`)) return;
+
+    showNotice("");
+    try {
+      await removeSupplier({ supplierId: supplier.id });
+      showNotice("Supplier removed.", "success");
+      reload();
+    } catch (err) {
+      showNotice(err.message || "Failed to remove supplier.", "error");
+    }
+  };
+
+  const handleAddDraftLine = () => {
+    const material = materialsById[draftMaterialId];
+    const qty = Number(draftQty);
+    if (!material) {
+      showNotice("Select a material first.", "error");
+      return;
+    }
+    if (!Number.isFinite(qty) || qty <= 0) {
+      showNotice("Quantity must be greater than zero.", "error");
+      return;
+    }
+    if (draftLines.some((line) => line.materialId === material.id)) {
+      showNotice("That material is already on the order.", "error");
+      return;
+    }
+
+    setDraftLines((prev) => [
+      ...prev,
+      {
+        materialId: material.id,
+        materialName: material.name,
+        projectId: material.projectId,
+        unit: material.unit,
+        quantityOrdered: qty,
+      },
+    ]);
+    setDraftMaterialId("");
+    setDraftQty("");
+    showNotice("");
+  };
+
+  const handleSaveDraft = async () => {
+    if (draftLines.length === 0) {
+      showNotice("Add at least one line to the order.", "error");
+      return;
+    }
+
+    setSavingDraft(true);
+    showNotice("");
+    try {
+      await createPurchaseOrder({
+        organizationId,
+        supplierId: draftSupplierId,
+        supplierName: supplierNameFor(draftSupplierId),
+        lines: draftLines,
+        note: draftNote,
+        createdBy: currentUid || "",
+      });
+      setDraftLines([]);
+      setDraftNote("");
+      setDraftSupplierId("");
+      showNotice("Draft purchase order saved.", "success");
+      reload();
+    } catch (err) {
+      showNotice(err.message || "Failed to save purchase order.", "error");
+    }
+    setSavingDraft(false);
+  };
+
+  const runOrderAction = async (order, action, successMessage) => {
+    setBusyOrderId(order.id);
+    showNotice("");
+    let succeeded = false;
+    try {
+      await action();
+      showNotice(successMessage, "success");
+      succeeded = true;
+      reload();
+    } catch (err) {
+      showNotice(err.message || "Failed to update purchase order.", "error");
+    }
+    setBusyOrderId("");
+    return succeeded;
+  };
+
+  const handleChangeSupplier = (order, supplierId) =>
+    runOrderAction(
+      order,
+      () =>
+        updatePurchaseOrderDraft({
+          orderId: order.id,
+          updates: { supplierId, supplierName: supplierNameFor(supplierId) },
+        }),
+      "Supplier updated.",
+    );
+
+  const handlePlaceOrder = (order) =>
+    runOrderAction(
+      order,
+      () => placePurchaseOrder({ orderId: order.id, performedBy: currentUid }),
+      `Order placed with ${order.supplierName}.`,
+    );
+
+  const handleDeleteDraft = (order) => {
+    if (!window.confirm("Delete this draft purchase order?")) return;
+    return runOrderAction(
+      order,
+      () => removePurchaseOrder({ orderId: order.id }),
+      "Draft deleted.",
+    );
+  };
+
+  const handleReceive = (order, receipts) =>
+    runOrderAction(
+      order,
+      () =>
+        receivePurchaseOrder({
+          orderId: order.id,
+          receipts,
+          performedBy: currentUid,
+        }),
+      "Delivery received and stock updated.",
+    );
+
+  return (
+    <div className="dashboard">
+      <Sidebar />
+      <div className="dashboard-content">
+        <Header title="Purchasing" />
+
+        <div className="materials-page purchasing-page">
+          <div className="materials-page-header">
+            <h2>Purchasing</h2>
+            <p>Suppliers and purchase orders for project materials.</p>
+          </div>
+
+          {notice && (
+            <p className={`materials-notice ${noticeType}`}>{notice}</p>
+          )}
+
+          {loadingData ? (
+            <div className="materials-empty">Loading purchasing…</div>
+          ) : loadError ? (
+            <div className="materials-empty materials-empty-error">
+              {loadError}
+            </div>
+          ) : (
+            <>
+              <section className="purchasing-section">
+                <h3>Suppliers</h3>
+                <form
+                  className="purchasing-supplier-form"
+                  onSubmit={handleCreateSupplier}
+                >
+                  <input
+                    type="text"
+                    placeholder="Supplier name"
+                    value={supplierName}
+                    onChange={(e) => setSupplierName(e.target.value)}
+                    aria-label="Supplier name"
+                  />
+                  <input
+                    type="text"
+                    placeholder="Contact"
+                    value={supplierContact}
+                    onChange={(e) => setSupplierContact(e.target.value)}
+                    aria-label="Supplier contact"
+                  />
+                  <input
+                    type="email"
+                    placeholder="Email"
+                    value={supplierEmail}
+                    onChange={(e) => setSupplierEmail(e.target.value)}
+                    aria-label="Supplier email"
+                  />
+                  <input
+                    type="tel"
+                    placeholder="Phone"
+                    value={supplierPhone}
+                    onChange={(e) => setSupplierPhone(e.target.value)}
+                    aria-label="Supplier phone"
+                  />
+                  <button
+                    type="submit"
+                    className="btn-primary"
+                    disabled={savingSupplier}
+                  >
+                    {savingSupplier ? "Adding…" : "Add Supplier"}
+                  </button>
+                </form>
+
+                {suppliers.length === 0 ? (
+                  <div className="materials-empty">No suppliers yet.</div>
+                ) : (
+                  <ul className="purchasing-supplier-list">
+                    {suppliers.map((supplier) => (
+                      <li key={supplier.id}>
+                        <span className="purchasing-supplier-name">
+                          {supplier.name}
+                        </span>
+                        <span className="purchasing-supplier-contact">
+                          {[
+                            supplier.contactName,
+                            supplier.email,
+                            supplier.phone,
+                          ]
+                            .filter(Boolean)
+                            .join(" · ")}
+                        </span>
+                        <button
+                          type="button"
+                          className="btn-secondary materials-action-btn danger"
+                          onClick={() => handleRemoveSupplier(supplier)}
+                        >
+                          Remove
+                        </button>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </section>
+
+              <section className="purchasing-section">
+                <h3>New purchase order</h3>
+                <div className="purchasing-draft-form">
+                  <select
+                    value={draftSupplierId}
+                    onChange={(e) => setDraftSupplierId(e.target.value)}
+                    aria-label="New order supplier"
+                  >
+                    <option value="">Choose supplier later</option>
+                    {suppliers.map((supplier) => (
+                      <option key={supplier.id} value={supplier.id}>
+                        {supplier.name}
+                      </option>
+                    ))}
+                  </select>
+                  <select
+                    value={draftMaterialId}
+                    onChange={(e) => setDraftMaterialId(e.target.value)}
+                    aria-label="Material to order"
+                  >
+                    <option value="">Select material</option>
+                    {materials.map((material) => (
+                      <option key={material.id} value={material.id}>
+                        {material.name} — {material.projectName}
+                      </option>
+                    ))}
+                  </select>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    placeholder="Qty"
+                    value={draftQty}
+                    onChange={(e) => setDraftQty(e.target.value)}
+                    aria-label="Quantity to order"
+                  />
+                  <button
+                    type="button"
+                    className="btn-secondary"
+                    onClick={handleAddDraftLine}
+                  >
+                    Add line
+                  </button>
+                </div>
+
+                {draftLines.length > 0 && (
+                  <>
+                    <ul className="purchasing-draft-lines">
+                      {draftLines.map((line) => (
+                        <li key={line.materialId}>
+                          <span>
+                            {`${line.materialName} (${projectNames[line.projectId] || "—"}): ${line.quantityOrdered} ${line.unit}`}
+                          </span>
+                          <button
+                            type="button"
+                            className="btn-secondary materials-action-btn"
+                            onClick={() =>
+                              setDraftLines((prev) =>
+                                prev.filter(
+                                  (item) => item.materialId !== line.materialId,
+                                ),
+                              )
+                            }
+                          >
+                            Remove
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                    <div className="purchasing-draft-form">
+                      <input
+                        type="text"
+                        placeholder="Note (optional)"
+                        value={draftNote}
+                        onChange={(e) => setDraftNote(e.target.value)}
+                        aria-label="Purchase order note"
+                      />
+                      <button
+                        type="button"
+                        className="btn-primary"
+                        onClick={handleSaveDraft}
+                        disabled={savingDraft}
+                      >
+                        {savingDraft ? "Saving…" : "Save draft"}
+                      </button>
+                    </div>
+                  </>
+                )}
+              </section>
+
+              <section className="purchasing-section">
+                <h3>Purchase orders</h3>
+                {sortedOrders.length === 0 ? (
+                  <div className="materials-empty">No purchase orders yet.</div>
+                ) : (
+                  sortedOrders.map((order) => (
+                    <PurchaseOrderCard
+                      key={order.id}
+                      order={order}
+                      suppliers={suppliers}
+                      projectNames={projectNames}
+                      busy={busyOrderId === order.id}
+                      onChangeSupplier={handleChangeSupplier}
+                      onPlace={handlePlaceOrder}
+                      onDelete={handleDeleteDraft}
+                      onReceive={handleReceive}
+                    />
+                  ))
+                )}
+              </section>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
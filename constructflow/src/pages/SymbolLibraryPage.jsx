@@ -0,0 +1,362 @@
+/**
+ * SymbolLibraryPage.jsx
+ *
+ * The organisation's point-task types: what managers can place on pipe and
+ * wire points in the blueprint editor. Each symbol has a label, trade, colour
+ * and shape, and optionally the material take-offs should suggest for it.
+ * Changes are kept as a draft until saved, then apply to every blueprint.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import Header from "../components/Header";
+import Sidebar from "../components/Sidebar";
+import { useAuth } from "../contexts/AuthContext";
+import { listOrganizationMaterials } from "../utils/materialsRepository";
+import {
+  createSymbolKey,
+  DEFAULT_SYMBOL_COLOR,
+  normalizeSymbol,
+  SYMBOL_ICONS,
+} from "../utils/symbolLibrary";
+import {
+  loadSymbolLibrary,
+  saveSymbolLibrary,
+} from "../utils/symbolLibraryRepository";
+import "../styles/MaterialsPage.css";
+import "../styles/SymbolLibraryPage.css";
+
+const TRADE_OPTIONS = [
+  { value: "plumbing", label: "Plumbing" },
+  { value: "electrical", label: "Electrical" },
+];
+
+const ICON_LABELS = {
+  circle: "Circle",
+  square: "Square",
+  diamond: "Diamond",
+  cross: "Cross",
+};
+
+const EMPTY_DRAFT = {
+  toolGroup: "plumbing",
+  label: "",
+  color: DEFAULT_SYMBOL_COLOR,
+  icon: "circle",
+  materialName: "",
+};
+
+const symbolId = (symbol) => `${symbol.toolGroup}:${symbol.key}`;
+
+export default function SymbolLibraryPage() {
+  const { currentUser, organizationId } = useAuth();
+
+  const [library, setLibrary] = useState([]);
+  const [materials, setMaterials] = useState([]);
+  const [loadingData, setLoadingData] = useState(true);
+  const [loadError, setLoadError] = useState("");
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [noticeType, setNoticeType] = useState("info");
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+
+  useEffect(() => {
+    if (!organizationId) return;
+    const load = async () => {
+      setLoadingData(true);
+      setLoadError("");
+      try {
+        const [symbols, organizationMaterials] = await Promise.all([
+          loadSymbolLibrary({ organizationId }),
+          listOrganizationMaterials({ organizationId }),
+        ]);
+        setLibrary(symbols);
+        setMaterials(organizationMaterials);
+        setDirty(false);
+      } catch (err) {
+        console.error("Load symbol library:", err);
+        setLoadError("Failed to load the symbol library.");
+      }
+      setLoadingData(false);
+    };
+    load();
+  }, [organizationId]);
+
+  const showNotice = (message, type = "info") => {
+    setNotice(message);
+    setNoticeType(type);
+  };
+
+  // Materials are stocked per project, so the same name can appear several
+  // times; the mapping is by name.
+  const materialNames = useMemo(
+    () =>
+      Array.from(new Set(materials.map((m) => m.name).filter(Boolean))).sort(
+        (a, b) => a.localeCompare(b),
+      ),
+    [materials],
+  );
+
+  const updateSymbol = (target, updates) => {
+    setLibrary((prev) =>
+      prev.map((symbol) =>
+        symbolId(symbol) === symbolId(target)
+          ? { ...symbol, ...updates }
+          : symbol,
+      ),
+    );
+    setDirty(true);
+  };
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!draft.label.trim()) {
+      showNotice("Give the new symbol a label.", "error");
+      return;
+    }
+    const symbol = normalizeSymbol({
+      ...draft,
+      key: createSymbolKey(draft.label, library, draft.toolGroup),
+    });
+    setLibrary((prev) => [...prev, symbol]);
+    setDraft({ ...EMPTY_DRAFT, toolGroup: draft.toolGroup });
+    setDirty(true);
+    showNotice(`Added ${symbol.label}. Save the library to use it.`, "info");
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    showNotice("");
+    try {
+      const saved = await saveSymbolLibrary({
+        organizationId,
+        library,
+        user: { uid: currentUser?.uid || null },
+      });
+      setLibrary(saved);
+      setDirty(false);
+      showNotice("Symbol library saved.", "success");
+    } catch (err) {
+      showNotice(err.message || "Failed to save the symbol library.", "error");
+    }
+    setSaving(false);
+  };
+
+  return (
+    <div className="dashboard">
+      <Sidebar />
+      <div className="dashboard-content">
+        <Header title="Symbols" />
+
+        <div className="materials-page symbols-page">
+          <div className="materials-page-header">
+            <h2>Symbol Library</h2>
+            <p>
+              Point-task types your managers can place on pipe and wire points.
+            </p>
+          </div>
+
+          {notice && (
+            <p className={`materials-notice ${noticeType}`}>{notice}</p>
+          )}
+
+          {loadingData ? (
+            <div className="materials-empty">Loading symbols…</div>
+          ) : loadError ? (
+            <div className="materials-empty materials-empty-error">
+              {loadError}
+            </div>
+          ) : (
+            <>
+              <form className="symbol-create-form" onSubmit={handleAdd}>
+                <select
+                  value={draft.toolGroup}
+                  onChange={(e) =>
+                    setDraft({ ...draft, toolGroup: e.target.value })
+                  }
+                  aria-label="New symbol trade"
+                >
+                  {TRADE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  value={draft.label}
+                  onChange={(e) =>
+                    setDraft({ ...draft, label: e.target.value })
+                  }
+                  placeholder="Label, e.g. GFCI Outlet"
+                  aria-label="New symbol label"
+                />
+                <input
+                  type="color"
+                  value={draft.color}
+                  onChange={(e) =>
+                    setDraft({ ...draft, color: e.target.value })
+                  }
+                  aria-label="New symbol colour"
+                />
+                <select
+                  value={draft.icon}
+                  onChange={(e) => setDraft({ ...draft, icon: e.target.value })}
+                  aria-label="New symbol shape"
+                >
+                  {SYMBOL_ICONS.map((icon) => (
+                    <option key={icon} value={icon}>
+                      {ICON_LABELS[icon]}
+                    </option>
+                  ))}
+                </select>
+                <input
+                  type="text"
+                  list="symbol-material-names"
+                  value={draft.materialName}
+                  onChange={(e) =>
+                    setDraft({ ...draft, materialName: e.target.value })
+                  }
+                  placeholder="Default material (optional)"
+                  aria-label="New symbol default material"
+                />
+                <button type="submit" className="btn-secondary">
+                  Add symbol
+                </button>
+              </form>
+
+              <datalist id="symbol-material-names">
+                {materialNames.map((name) => (
+                  <option key={name} value={name} />
+                ))}
+              </datalist>
+
+              <div className="materials-table-wrap">
+                <table className="materials-table">
+                  <thead>
+                    <tr>
+                      <th>Symbol</th>
+                      <th>Trade</th>
+                      <th>Colour</th>
+                      <th>Shape</th>
+                      <th>Default material</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {library.map((symbol) => (
+                      <tr
+                        key={symbolId(symbol)}
+                        className={symbol.archived ? "symbol-archived" : ""}
+                      >
+                        <td>
+                          <div className="materials-inline-fields">
+                            <span
+                              className={`symbol-swatch ${symbol.icon}`}
+                              style={{ background: symbol.color }}
+                            />
+                            <input
+                              className="materials-edit-input"
+                              type="text"
+                              value={symbol.label}
+                              onChange={(e) =>
+                                updateSymbol(symbol, { label: e.target.value })
+                              }
+                              aria-label={`Label for ${symbolId(symbol)}`}
+                            />
+                          </div>
+                        </td>
+                        <td>
+                          {
+                            TRADE_OPTIONS.find(
+                              (option) => option.value === symbol.toolGroup,
+                            )?.label
+                          }
+                          {symbol.builtIn && (
+                            <span className="materials-reserved-note">
+                              Built-in
+                            </span>
+                          )}
+                        </td>
+                        <td>
+                          <input
+                            type="color"
+                            value={symbol.color}
+                            onChange={(e) =>
+                              updateSymbol(symbol, { color: e.target.value })
+                            }
+                            aria-label={`Colour for ${symbolId(symbol)}`}
+                          />
+                        </td>
+                        <td>
+                          <select
+                            className="materials-edit-input"
+                            value={symbol.icon}
+                            onChange={(e) =>
+                              updateSymbol(symbol, { icon: e.target.value })
+                            }
+                            aria-label={`Shape for ${symbolId(symbol)}`}
+                          >
+                            {SYMBOL_ICONS.map((icon) => (
+                              <option key={icon} value={icon}>
+                                {ICON_LABELS[icon]}
+                              </option>
+                            ))}
+                          </select>
+                        </td>
+                        <td>
+                          <input
+                            className="materials-edit-input"
+                            type="text"
+                            list="symbol-material-names"
+                            value={symbol.materialName}
+                            onChange={(e) =>
+                              updateSymbol(symbol, {
+                                materialName: e.target.value,
+                              })
+                            }
+                            placeholder="None"
+                            aria-label={`Default material for ${symbolId(symbol)}`}
+                          />
+                        </td>
+                        <td>
+                          <button
+                            type="button"
+                            className="btn-secondary materials-action-btn"
+                            onClick={() =>
+                              updateSymbol(symbol, {
+                                archived: !symbol.archived,
+                              })
+                            }
+                          >
+                            {symbol.archived ? "Restore" : "Archive"}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <p className="symbols-hint">
+                Archived symbols leave the blueprint palette but still label the
+                tasks already placed with them.
+              </p>
+
+              <div className="symbols-actions">
+                <button
+                  type="button"
+                  className="btn-primary"
+                  onClick={handleSave}
+                  disabled={!dirty || saving}
+                >
+                  {saving ? "Saving..." : "Save library"}
+                </button>
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
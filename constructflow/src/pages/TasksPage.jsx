@@ -17,24 +17,50 @@ import {
   MdPerson,
 } from "react-icons/md";
 import Header from "../components/Header";
+import MaterialsCsvPanel from "../components/MaterialsCsvPanel";
+import ProjectCostPanel from "../components/ProjectCostPanel";
 import Sidebar from "../components/Sidebar";
 import { useAuth } from "../contexts/AuthContext";
 import { db } from "../firebase";
 import {
-  assignMaterialsToTaskWithDeduction,
+  adjustMaterialQuantity,
+  consumeTaskMaterialAllocation,
   createMaterial,
   listProjectMaterials,
   listTaskMaterialAllocations,
+  releaseTaskMaterialAllocation,
   removeMaterial,
+  reserveMaterialsForTask,
   updateMaterial,
 } from "../utils/materialsRepository";
 import {
   DEFAULT_MATERIAL_UNIT,
+  MATERIAL_ALLOCATION_STATUS,
+  MATERIAL_STOCK_LEVEL,
   MATERIAL_UNITS,
 } from "../utils/materialsConstants";
-import { getTaskCompletion } from "../utils/projectProgress";
+import {
+  canChangeMaterialUnit,
+  getAvailableQuantity,
+  getMaterialStockLevel,
+  wouldDropBelowThreshold,
+} from "../utils/inventoryDomain";
+import {
+  areUnitsCompatible,
+  convertQuantity,
+  getCompatibleUnits,
+} from "../utils/unitConversion";
+import { getTaskCompletion, PROGRESS_MEASURE } from "../utils/projectProgress";
+import { buildShortageOrderLine } from "../utils/purchaseOrderDomain";
+import { createPurchaseOrder } from "../utils/purchasingRepository";
 import "../styles/TasksPage.css";
 
+const STOCK_LEVEL_LABELS = {
+  [MATERIAL_STOCK_LEVEL.IN_STOCK]: "In stock",
+  [MATERIAL_STOCK_LEVEL.LOW]: "Low stock",
+  [MATERIAL_STOCK_LEVEL.DEPLETED]: "Depleted",
+};
+
 export default function TasksPage() {
   const { projectId } = useParams();
   const navigate = useNavigate();
@@ -53,10 +79,15 @@ export default function TasksPage() {
   const [taskAllocationsByTaskId, setTaskAllocationsByTaskId] = useState({});
   const [assignMaterialByTaskId, setAssignMaterialByTaskId] = useState({});
   const [assignQtyByTaskId, setAssignQtyByTaskId] = useState({});
+  const [assignUnitByTaskId, setAssignUnitByTaskId] = useState({});
   const [assigningTaskId, setAssigningTaskId] = useState("");
   const [taskMaterialNoticeByTaskId, setTaskMaterialNoticeByTaskId] = useState(
     {},
   );
+  const [reducingAllocationKey, setReducingAllocationKey] = useState("");
+  const [reduceAllocationQty, setReduceAllocationQty] = useState("");
+  const [releasingAllocationKey, setReleasingAllocationKey] = useState("");
+  const [draftingOrderTaskId, setDraftingOrderTaskId] = useState("");
 
   const [newMaterialName, setNewMaterialName] = useState("");
   const [newMaterialUnit, setNewMaterialUnit] = useState(DEFAULT_MATERIAL_UNIT);
@@ -92,6 +123,11 @@ export default function TasksPage() {
     return taskList.map((task) => ({
       ...task,
       completion: getTaskCompletion(task.id, taskBlueprints),
+      approvedCompletion: getTaskCompletion(
+        task.id,
+        taskBlueprints,
+        PROGRESS_MEASURE.APPROVED,
+      ),
     }));
   }, [tasks, taskBlueprints, isManager, currentUser?.uid]);
 
@@ -99,13 +135,28 @@ export default function TasksPage() {
     () =>
       (Array.isArray(projectMaterials) ? projectMaterials : [])
         .filter((material) => material && typeof material === "object")
-        .map((material) => ({
-          id: String(material.id || ""),
-          name: String(material.name || "Unnamed Material"),
-          unit: String(material.unit || DEFAULT_MATERIAL_UNIT),
-          quantityOnHand: Math.max(0, Number(material.quantityOnHand) || 0),
-          status: material.status === "depleted" ? "depleted" : "active",
-        })),
+        .map((material) => {
+          const row = {
+            id: String(material.id || ""),
+            name: String(material.name || "Unnamed Material"),
+            unit: String(material.unit || DEFAULT_MATERIAL_UNIT),
+            quantityOnHand: Math.max(0, Number(material.quantityOnHand) || 0),
+            quantityReserved: Math.max(
+              0,
+              Number(material.quantityReserved) || 0,
+            ),
+            minimumThreshold: Math.max(
+              0,
+              Number(material.minimumThreshold) || 0,
+            ),
+            status: material.status === "depleted" ? "depleted" : "active",
+          };
+          return {
+            ...row,
+            availableQty: getAvailableQuantity(row),
+            stockLevel: getMaterialStockLevel(row),
+          };
+        }),
     [projectMaterials],
   );
 
@@ -337,14 +388,23 @@ export default function TasksPage() {
     setUpdatingMaterial(true);
     resetMaterialNotice();
     try {
-      await updateMaterial({
-        materialId: editingMaterialId,
-        updates: {
-          name: editMaterialName,
-          unit: editMaterialUnit,
-          quantityOnHand: Math.max(0, Number(editMaterialQty) || 0),
-        },
-      });
+      const updates = { name: editMaterialName, unit: editMaterialUnit };
+
+      // Quantity changes are posted as ledger adjustments, never silent
+      // overwrites; the details are saved in the same transaction.
+      const nextQty = Math.max(0, Number(editMaterialQty) || 0);
+      const current = projectMaterials.find((m) => m.id === editingMaterialId);
+      if (!current || Number(current.quantityOnHand) !== nextQty) {
+        await adjustMaterialQuantity({
+          materialId: editingMaterialId,
+          newQuantity: nextQty,
+          reason: "Edited from project inventory",
+          performedBy: currentUser?.uid || "",
+          updates,
+        });
+      } else {
+        await updateMaterial({ materialId: editingMaterialId, updates });
+      }
 
       setMaterialNotice("Material updated.");
       setMaterialNoticeType("success");
@@ -377,16 +437,176 @@ export default function TasksPage() {
     setDeletingMaterialId("");
   };
 
-  const setTaskMaterialNotice = (taskId, message, type = "info") => {
+  // `shortage` ({ materialId, requiredQty }) lets managers draft a purchase
+  // order for the missing stock straight from the notice.
+  const setTaskMaterialNotice = (
+    taskId,
+    message,
+    type = "info",
+    shortage = null,
+  ) => {
     setTaskMaterialNoticeByTaskId((prev) => ({
       ...prev,
-      [taskId]: { message, type },
+      [taskId]: { message, type, shortage },
     }));
   };
 
+  const handleDraftPurchaseOrder = async (task, shortage) => {
+    const material = materialsById[shortage.materialId];
+    if (!material) return;
+
+    setDraftingOrderTaskId(task.id);
+    try {
+      await createPurchaseOrder({
+        organizationId,
+        lines: [
+          buildShortageOrderLine({ ...material, projectId }, shortage.requiredQty),
+        ],
+        note: `Shortage on task "${task.title}"`,
+        createdBy: currentUser?.uid || "",
+      });
+      navigate("/purchasing");
+    } catch (err) {
+      setTaskMaterialNotice(
+        task.id,
+        err.message || "Failed to draft purchase order.",
+        "error",
+      );
+    }
+    setDraftingOrderTaskId("");
+  };
+
+  const releaseAllocation = async (task, allocation, quantityRequired) => {
+    const key = `${task.id}-${allocation.materialId}`;
+    const material = materialsById[allocation.materialId];
+
+    setReleasingAllocationKey(key);
+    setTaskMaterialNotice(task.id, "", "info");
+    try {
+      const result = await releaseTaskMaterialAllocation({
+        taskId: task.id,
+        materialId: allocation.materialId,
+        quantityRequired,
+        performedBy: currentUser?.uid || "",
+        note:
+          quantityRequired === 0
+            ? `Detached from task ${task.title}`
+            : `Reduced on task ${task.title}`,
+      });
+
+      setTaskMaterialNotice(
+        task.id,
+        result.allocationStatus === MATERIAL_ALLOCATION_STATUS.RESERVED
+          ? `${result.released} ${material?.unit || "unit"} released from reservation.`
+          : `${result.released} ${material?.unit || "unit"} returned to stock.`,
+        "success",
+      );
+      setReducingAllocationKey("");
+      setReduceAllocationQty("");
+      await Promise.all([loadProjectMaterials(), loadTaskMaterialMap(tasks)]);
+    } catch (err) {
+      setTaskMaterialNotice(
+        task.id,
+        err.message || "Failed to release material.",
+        "error",
+      );
+    }
+    setReleasingAllocationKey("");
+  };
+
+  const handleDetachAllocation = (task, allocation) => {
+    const material = materialsById[allocation.materialId];
+    const isReserved =
+      allocation.status === MATERIAL_ALLOCATION_STATUS.RESERVED;
+    if (
+      !window.confirm(
+        isReserved
+          ? `Detach ${material?.name || "this material"} and release its reservation?`
+          : `Detach ${material?.name || "this material"} and return it to stock?`,
+      )
+    ) {
+      return;
+    }
+    releaseAllocation(task, allocation, 0);
+  };
+
+  const handleConsumeAllocation = async (task, allocation) => {
+    const key = `${task.id}-${allocation.materialId}`;
+    const material = materialsById[allocation.materialId];
+
+    setReleasingAllocationKey(key);
+    setTaskMaterialNotice(task.id, "", "info");
+    try {
+      const result = await consumeTaskMaterialAllocation({
+        taskId: task.id,
+        materialId: allocation.materialId,
+        performedBy: currentUser?.uid || "",
+        note: `Used on task ${task.title}`,
+      });
+
+      setTaskMaterialNotice(
+        task.id,
+        `${result.consumed} ${material?.unit || "unit"} deducted from stock.`,
+        "success",
+      );
+      await Promise.all([loadProjectMaterials(), loadTaskMaterialMap(tasks)]);
+    } catch (err) {
+      setTaskMaterialNotice(
+        task.id,
+        err.message || "Failed to mark material as used.",
+        "error",
+      );
+    }
+    setReleasingAllocationKey("");
+  };
+
+  const startReduceAllocation = (task, allocation) => {
+    setReducingAllocationKey(`${task.id}-${allocation.materialId}`);
+    setReduceAllocationQty(String(allocation.quantityRequired));
+  };
+
+  const handleSubmitReduceAllocation = (task, allocation) => {
+    const nextQty = Number(reduceAllocationQty);
+    if (
+      reduceAllocationQty === "" ||
+      !Number.isFinite(nextQty) ||
+      nextQty < 0 ||
+      nextQty >= allocation.quantityRequired
+    ) {
+      setTaskMaterialNotice(
+        task.id,
+        `New quantity must be below ${allocation.quantityRequired}.`,
+        "error",
+      );
+      return;
+    }
+    releaseAllocation(task, allocation, nextQty);
+  };
+
+  // Quantity the attach row asks for, in the unit picked and in the stock unit.
+  const getAttachRequest = (task) => {
+    const material = materialsById[assignMaterialByTaskId[task.id] || ""];
+    const qty = Math.max(0, Number(assignQtyByTaskId[task.id]) || 0);
+    const unit = assignUnitByTaskId[task.id] || material?.unit || "";
+    const stockQty =
+      material && areUnitsCompatible(unit, material.unit)
+        ? convertQuantity(qty, unit, material.unit)
+        : null;
+    return { material, qty, unit, stockQty };
+  };
+
+  const getAttachThresholdWarning = (task) => {
+    const { material, stockQty } = getAttachRequest(task);
+    if (!material || !stockQty || stockQty > material.availableQty) return "";
+    if (!wouldDropBelowThreshold(material, stockQty)) return "";
+
+    const remaining = material.availableQty - stockQty;
+    return `This leaves ${remaining} ${material.unit} of ${material.name}, below the minimum of ${material.minimumThreshold} ${material.unit}.`;
+  };
+
   const handleAttachMaterialToTask = async (task) => {
     const selectedMaterialId = assignMaterialByTaskId[task.id] || "";
-    const qty = Math.max(0, Number(assignQtyByTaskId[task.id]) || 0);
+    const { qty, unit, stockQty } = getAttachRequest(task);
 
     if (!selectedMaterialId) {
       setTaskMaterialNotice(task.id, "Select a material first.", "error");
@@ -426,11 +646,21 @@ export default function TasksPage() {
       return;
     }
 
-    if (selectedMaterial.quantityOnHand < qty) {
+    if (stockQty === null) {
+      setTaskMaterialNotice(
+        task.id,
+        `${unit} cannot be converted to ${selectedMaterial.unit}.`,
+        "error",
+      );
+      return;
+    }
+
+    if (selectedMaterial.availableQty < stockQty) {
       setTaskMaterialNotice(
         task.id,
-        `Not enough stock. Available: ${selectedMaterial.quantityOnHand} ${selectedMaterial.unit}.`,
+        `Not enough stock. Available: ${selectedMaterial.availableQty} ${selectedMaterial.unit}.`,
         "error",
+        { materialId: selectedMaterialId, requiredQty: stockQty },
       );
       return;
     }
@@ -438,26 +668,34 @@ export default function TasksPage() {
     setAssigningTaskId(task.id);
     setTaskMaterialNotice(task.id, "", "info");
     try {
-      await assignMaterialsToTaskWithDeduction({
+      await reserveMaterialsForTask({
         organizationId,
         projectId,
         taskId: task.id,
         allocations: [
-          { materialId: selectedMaterialId, quantityRequired: qty },
+          unit === selectedMaterial.unit
+            ? { materialId: selectedMaterialId, quantityRequired: qty }
+            : { materialId: selectedMaterialId, quantityRequired: qty, unit },
         ],
         performedBy: currentUser?.uid || "",
-        note: `Attached to task ${task.title}`,
       });
 
-      setTaskMaterialNotice(task.id, "Material attached to task.", "success");
+      setTaskMaterialNotice(task.id, "Material reserved for task.", "success");
       setAssignMaterialByTaskId((prev) => ({ ...prev, [task.id]: "" }));
       setAssignQtyByTaskId((prev) => ({ ...prev, [task.id]: "" }));
+      setAssignUnitByTaskId((prev) => ({ ...prev, [task.id]: "" }));
       await Promise.all([loadProjectMaterials(), loadTaskMaterialMap(tasks)]);
     } catch (err) {
       setTaskMaterialNotice(
         task.id,
         err.message || "Failed to attach material.",
         "error",
+        err.code === "INSUFFICIENT_STOCK"
+          ? {
+              materialId: err.details?.materialId || selectedMaterialId,
+              requiredQty: err.details?.required ?? stockQty,
+            }
+          : null,
       );
     }
     setAssigningTaskId("");
@@ -552,6 +790,25 @@ export default function TasksPage() {
             </form>
           )}
 
+          {isManager && project && (
+            <div className="project-inventory-section">
+              <div className="project-inventory-header">
+                <h3>Material Cost</h3>
+                <p>Committed and consumed material cost against the budget.</p>
+              </div>
+              <ProjectCostPanel
+                key={project.id}
+                organizationId={organizationId}
+                project={project}
+                canEditBudget
+                refreshKey={projectMaterials}
+                onBudgetSaved={(budget) =>
+                  setProject((prev) => (prev ? { ...prev, budget } : prev))
+                }
+              />
+            </div>
+          )}
+
           <div className="project-inventory-section">
             <div className="project-inventory-header">
               <h3>Inventory</h3>
@@ -610,6 +867,17 @@ export default function TasksPage() {
               </form>
             )}
 
+            {isManager && (
+              <MaterialsCsvPanel
+                organizationId={organizationId}
+                projectId={projectId}
+                projectName={project?.name}
+                materials={projectMaterials}
+                currentUid={currentUser?.uid}
+                onImported={loadProjectMaterials}
+              />
+            )}
+
             {materialNotice && (
               <p className={`material-notice ${materialNoticeType}`}>
                 {materialNotice}
@@ -633,6 +901,7 @@ export default function TasksPage() {
                     <tr>
                       <th>Material</th>
                       <th>In Stock</th>
+                      <th>Available</th>
                       <th>Status</th>
                       {isManager && <th>Actions</th>}
                     </tr>
@@ -673,12 +942,16 @@ export default function TasksPage() {
                                 onChange={(e) =>
                                   setEditMaterialUnit(e.target.value)
                                 }
+                                disabled={!canChangeMaterialUnit(material)}
+                                aria-label={`Unit for ${material.name}`}
                               >
-                                {MATERIAL_UNITS.map((unit) => (
-                                  <option key={unit} value={unit}>
-                                    {unit}
-                                  </option>
-                                ))}
+                                {getCompatibleUnits(material.unit).map(
+                                  (unit) => (
+                                    <option key={unit} value={unit}>
+                                      {unit}
+                                    </option>
+                                  ),
+                                )}
                               </select>
                             </div>
                           ) : (
@@ -687,17 +960,19 @@ export default function TasksPage() {
                             </>
                           )}
                         </td>
+                        <td>
+                          {material.availableQty} {material.unit}
+                          {material.quantityReserved > 0 && (
+                            <span className="material-reserved-note">
+                              {material.quantityReserved} reserved
+                            </span>
+                          )}
+                        </td>
                         <td>
                           <span
-                            className={`material-status-chip ${
-                              material.status === "depleted"
-                                ? "depleted"
-                                : "active"
-                            }`}
+                            className={`material-status-chip ${material.stockLevel}`}
                           >
-                            {material.status === "depleted"
-                              ? "Depleted"
-                              : "In stock"}
+                            {STOCK_LEVEL_LABELS[material.stockLevel]}
                           </span>
                         </td>
 
@@ -805,13 +1080,117 @@ export default function TasksPage() {
                             (allocation) => {
                               const material =
                                 materialsById[allocation.materialId];
+                              const allocationKey = `${task.id}-${allocation.materialId}`;
+                              const isReducing =
+                                reducingAllocationKey === allocationKey;
+                              const isReleasing =
+                                releasingAllocationKey === allocationKey;
                               return (
-                                <li key={`${task.id}-${allocation.materialId}`}>
+                                <li key={allocationKey}>
                                   <span>{material?.name || "Material"}</span>
-                                  <strong>
-                                    {allocation.quantityRequired}{" "}
-                                    {material?.unit || "unit"}
-                                  </strong>
+                                  {isReducing ? (
+                                    <div className="task-allocation-actions">
+                                      <input
+                                        type="number"
+                                        min="0"
+                                        step="0.01"
+                                        value={reduceAllocationQty}
+                                        onChange={(e) =>
+                                          setReduceAllocationQty(e.target.value)
+                                        }
+                                        aria-label={`New quantity of ${material?.name || "material"} for ${task.title}`}
+                                      />
+                                      <button
+                                        type="button"
+                                        className="btn-secondary inventory-action-btn"
+                                        onClick={() =>
+                                          handleSubmitReduceAllocation(
+                                            task,
+                                            allocation,
+                                          )
+                                        }
+                                        disabled={isReleasing}
+                                      >
+                                        {isReleasing ? "Saving…" : "Save"}
+                                      </button>
+                                      <button
+                                        type="button"
+                                        className="btn-secondary inventory-action-btn"
+                                        onClick={() =>
+                                          setReducingAllocationKey("")
+                                        }
+                                        disabled={isReleasing}
+                                      >
+                                        Cancel
+                                      </button>
+                                    </div>
+                                  ) : (
+                                    <div className="task-allocation-actions">
+                                      <strong>
+                                        {allocation.quantityRequired}{" "}
+                                        {material?.unit || "unit"}
+                                      </strong>
+                                      <span
+                                        className={`task-allocation-status ${allocation.status}`}
+                                      >
+                                        {allocation.status ===
+                                        MATERIAL_ALLOCATION_STATUS.RESERVED
+                                          ? "Reserved"
+                                          : "Used"}
+                                      </span>
+                                      {allocation.status ===
+                                        MATERIAL_ALLOCATION_STATUS.RESERVED &&
+                                        (isManager ||
+                                          task.assignedWorkerId ===
+                                            currentUser?.uid) && (
+                                          <button
+                                            type="button"
+                                            className="btn-secondary inventory-action-btn"
+                                            onClick={() =>
+                                              handleConsumeAllocation(
+                                                task,
+                                                allocation,
+                                              )
+                                            }
+                                            disabled={isReleasing}
+                                          >
+                                            Mark used
+                                          </button>
+                                        )}
+                                      {isManager && (
+                                        <>
+                                          <button
+                                            type="button"
+                                            className="btn-secondary inventory-action-btn"
+                                            onClick={() =>
+                                              startReduceAllocation(
+                                                task,
+                                                allocation,
+                                              )
+                                            }
+                                            disabled={isReleasing}
+                                          >
+                                            Reduce
+                                          </button>
+                                          <button
+                                            type="button"
+                                            className="btn-secondary inventory-action-btn danger"
+                                            onClick={() =>
+                                              handleDetachAllocation(
+                                                task,
+                                                allocation,
+                                              )
+                                            }
+                                            disabled={isReleasing}
+                                          >
+                                            {isReleasing
+                                              ? "Releasing…"
+                                              : "Detach"}
+                                          </button>
+                                        </>
+                                      )}
+                                    </div>
+                                  )}
                                 </li>
                               );
                             },
@@ -823,18 +1202,22 @@ export default function TasksPage() {
                         <div className="task-materials-attach-row">
                           <select
                             value={assignMaterialByTaskId[task.id] || ""}
-                            onChange={(e) =>
+                            onChange={(e) => {
                               setAssignMaterialByTaskId((prev) => ({
                                 ...prev,
                                 [task.id]: e.target.value,
-                              }))
-                            }
+                              }));
+                              setAssignUnitByTaskId((prev) => ({
+                                ...prev,
+                                [task.id]: "",
+                              }));
+                            }}
                             aria-label={`Select material for ${task.title}`}
                           >
                             <option value="">Select material</option>
                             {safeProjectMaterials.map((material) => (
                               <option key={material.id} value={material.id}>
-                                {material.name} ({material.quantityOnHand}{" "}
+                                {material.name} ({material.availableQty}{" "}
                                 {material.unit} available)
                               </option>
                             ))}
@@ -855,6 +1238,26 @@ export default function TasksPage() {
                             aria-label={`Material quantity for ${task.title}`}
                           />
 
+                          <select
+                            value={getAttachRequest(task).unit}
+                            onChange={(e) =>
+                              setAssignUnitByTaskId((prev) => ({
+                                ...prev,
+                                [task.id]: e.target.value,
+                              }))
+                            }
+                            disabled={!getAttachRequest(task).material}
+                            aria-label={`Material unit for ${task.title}`}
+                          >
+                            {getCompatibleUnits(
+                              getAttachRequest(task).material?.unit,
+                            ).map((unit) => (
+                              <option key={unit} value={unit}>
+                                {unit}
+                              </option>
+                            ))}
+                          </select>
+
                           <button
                             type="button"
                             className="btn-secondary"
@@ -871,11 +1274,35 @@ export default function TasksPage() {
                         </div>
                       )}
 
+                      {isManager && getAttachThresholdWarning(task) && (
+                        <p className="task-material-notice warning">
+                          {getAttachThresholdWarning(task)}
+                        </p>
+                      )}
+
                       {taskMaterialNoticeByTaskId[task.id]?.message && (
                         <p
                           className={`task-material-notice ${taskMaterialNoticeByTaskId[task.id]?.type || "info"}`}
                         >
                           {taskMaterialNoticeByTaskId[task.id].message}
+                          {isManager &&
+                            taskMaterialNoticeByTaskId[task.id].shortage && (
+                              <button
+                                type="button"
+                                className="btn-secondary task-material-po-btn"
+                                onClick={() =>
+                                  handleDraftPurchaseOrder(
+                                    task,
+                                    taskMaterialNoticeByTaskId[task.id].shortage,
+                                  )
+                                }
+                                disabled={draftingOrderTaskId === task.id}
+                              >
+                                {draftingOrderTaskId === task.id
+                                  ? "Drafting…"
+                                  : "Draft purchase order"}
+                              </button>
+                            )}
                         </p>
                       )}
                     </div>
@@ -902,7 +1329,14 @@ export default function TasksPage() {
                             className="task-progress-fill"
                             style={{ width: `${task.completion}%` }}
                           />
+                          <div
+                            className="task-progress-fill approved"
+                            style={{ width: `${task.approvedCompletion}%` }}
+                          />
                         </div>
+                        <span className="task-progress-approved">
+                          {task.approvedCompletion}% approved
+                        </span>
                       </div>
                     </div>
                   </div>
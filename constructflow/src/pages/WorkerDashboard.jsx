@@ -3,6 +3,7 @@
  *
  * Dashboard for trade workers. Shows tasks assigned to the worker,
  * task counts, and completion stats. Clicking a task row navigates to its blueprint.
+ * Workers can report material usage, leftovers or shortages for a task from here.
  */
 
 import { useState, useEffect } from "react";
@@ -16,6 +17,7 @@ import {
   MdLogout,
 } from "react-icons/md";
 import Header from "../components/Header";
+import MaterialReportForm from "../components/MaterialReportForm";
 import Sidebar from "../components/Sidebar";
 import { useAuth } from "../contexts/AuthContext";
 import { formatDateTime, toDate, toDayKey } from "../utils/dateTime";
@@ -50,6 +52,8 @@ export default function WorkerDashboard() {
   const [clockMessage, setClockMessage] = useState("");
   const [nowMs, setNowMs] = useState(INITIAL_NOW_MS);
   const [taskMaterialsByTaskId, setTaskMaterialsByTaskId] = useState({});
+  const [reportingTaskId, setReportingTaskId] = useState(null);
+  const [reportNotices, setReportNotices] = useState({}); // { [taskId]: message }
 
   const currentUid = currentUser?.uid || null;
 
@@ -358,7 +362,49 @@ export default function WorkerDashboard() {
                               +{taskMaterials.length - 3} more
                             </span>
                           )}
+
+                          {taskMaterials.length > 0 &&
+                            reportingTaskId !== task.id && (
+                              <button
+                                type="button"
+                                className="worker-task-report-btn"
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setReportingTaskId(task.id);
+                                  setReportNotices((prev) => ({
+                                    ...prev,
+                                    [task.id]: "",
+                                  }));
+                                }}
+                              >
+                                Report materials
+                              </button>
+                            )}
                         </div>
+
+                        {reportingTaskId === task.id && (
+                          <MaterialReportForm
+                            organizationId={organizationId}
+                            task={task}
+                            materials={taskMaterials}
+                            currentUid={currentUid}
+                            workerName={userProfile?.name}
+                            onReported={(message) => {
+                              setReportingTaskId(null);
+                              setReportNotices((prev) => ({
+                                ...prev,
+                                [task.id]: message,
+                              }));
+                            }}
+                            onCancel={() => setReportingTaskId(null)}
+                          />
+                        )}
+
+                        {reportNotices[task.id] && (
+                          <p className="worker-task-report-notice">
+                            {reportNotices[task.id]}
+                          </p>
+                        )}
                       </div>
                       <span className="rp-arrow">
                         <MdArrowForward />
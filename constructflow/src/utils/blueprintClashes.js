@@ -0,0 +1,208 @@
+// Routing checks over a blueprint's objects: incompatible services crossing,
+// path ends left hanging, and paths drawn on top of each other. Geometry is
+// in natural image pixels; objects are only compared within one sheet.
+
+export const CLASH_KIND = {
+  CROSSING: "crossing",
+  DANGLING: "dangling",
+  OVERLAP: "overlap",
+};
+
+// Endpoints and overlaps within this many pixels count as touching.
+export const SNAP_TOLERANCE = 12;
+
+// Pairs of types that must not cross; the check is symmetric.
+const INCOMPATIBLE_TYPES = {
+  connection: ["hot_pipe", "cold_pipe", "drain_pipe"],
+  hot_pipe: ["cold_pipe"],
+};
+
+const TOOL_GROUP_BY_TYPE = {
+  hot_pipe: "plumbing",
+  cold_pipe: "plumbing",
+  drain_pipe: "plumbing",
+  connection: "electrical",
+};
+
+// Legacy "pipe" objects are hot pipes.
+const normalizeType = (type) => (type === "pipe" ? "hot_pipe" : type);
+
+const isIncompatible = (a, b) =>
+  INCOMPATIBLE_TYPES[a]?.includes(b) || INCOMPATIBLE_TYPES[b]?.includes(a);
+
+const cross = (o, a, b) =>
+  (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const distanceToSegment = (point, a, b) => {
+  const lengthSq = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+  if (lengthSq === 0) return distance(point, a);
+  const t = Math.max(
+    0,
+    Math.min(
+      1,
+      ((point.x - a.x) * (b.x - a.x) + (point.y - a.y) * (b.y - a.y)) /
+        lengthSq,
+    ),
+  );
+  return distance(point, {
+    x: a.x + t * (b.x - a.x),
+    y: a.y + t * (b.y - a.y),
+  });
+};
+
+// Where two segments cross, or null. Parallel segments never "cross"; runs
+// along each other are reported as overlaps instead.
+const segmentIntersection = (a1, a2, b1, b2) => {
+  const d1 = cross(b1, b2, a1);
+  const d2 = cross(b1, b2, a2);
+  const d3 = cross(a1, a2, b1);
+  const d4 = cross(a1, a2, b2);
+  if (d1 * d2 > 0 || d3 * d4 > 0) return null;
+  const denominator = d1 - d2;
+  if (denominator === 0) return null;
+  const t = d1 / denominator;
+  return { x: a1.x + t * (a2.x - a1.x), y: a1.y + t * (a2.y - a1.y) };
+};
+
+// Shared stretch of two collinear segments longer than the tolerance, as
+// its midpoint, or null.
+const segmentOverlap = (a1, a2, b1, b2, tolerance) => {
+  const length = distance(a1, a2);
+  if (length === 0) return null;
+  if (
+    distanceToSegment(b1, a1, a2) > tolerance / 2 &&
+    distanceToSegment(b2, a1, a2) > tolerance / 2
+  ) {
+    return null;
+  }
+  // Both ends of b must lie on a's line for the runs to be the same.
+  const ux = (a2.x - a1.x) / length;
+  const uy = (a2.y - a1.y) / length;
+  const offLine = (p) => Math.abs((p.x - a1.x) * uy - (p.y - a1.y) * ux);
+  if (offLine(b1) > tolerance / 2 || offLine(b2) > tolerance / 2) return null;
+
+  const project = (p) => (p.x - a1.x) * ux + (p.y - a1.y) * uy;
+  const start = Math.max(0, Math.min(project(b1), project(b2)));
+  const end = Math.min(length, Math.max(project(b1), project(b2)));
+  if (end - start <= tolerance) return null;
+  const mid = (start + end) / 2;
+  return { x: a1.x + ux * mid, y: a1.y + uy * mid };
+};
+
+const segmentsOf = (obj) =>
+  (obj.pathPoints || [])
+    .slice(1)
+    .map((point, index) => [obj.pathPoints[index], point]);
+
+const nearRect = (point, rect, tolerance) =>
+  Boolean(rect) &&
+  point.x >= rect.x - tolerance &&
+  point.x <= rect.x + rect.width + tolerance &&
+  point.y >= rect.y - tolerance &&
+  point.y <= rect.y + rect.height + tolerance;
+
+/**
+ * Runs every check over a blueprint's objects (the stored `objects` map or
+ * the editor's list). Each finding is
+ * { id, kind, severity, objectIds, sheetId, point, message }, errors first.
+ * `getLabel(obj)` names elements in messages.
+ */
+export const analyzeBlueprintRouting = (
+  objects = [],
+  { tolerance = SNAP_TOLERANCE, getLabel = (obj) => obj.type } = {},
+) => {
+  const list = (
+    Array.isArray(objects)
+      ? objects
+      : Object.entries(objects || {}).map(([id, obj]) => ({ ...obj, id }))
+  ).filter((obj) => !obj.drawing);
+  const paths = list.filter(
+    (obj) => obj.type !== "fixture_area" && (obj.pathPoints || []).length > 1,
+  );
+  const fixtures = list.filter((obj) => obj.type === "fixture_area");
+  const findings = [];
+  const sameSheet = (a, b) => (a.sheetId || null) === (b.sheetId || null);
+
+  paths.forEach((a, aIndex) => {
+    const typeA = normalizeType(a.type);
+    paths.slice(aIndex + 1).forEach((b) => {
+      if (!sameSheet(a, b)) return;
+      const typeB = normalizeType(b.type);
+      const incompatible = isIncompatible(typeA, typeB);
+      segmentsOf(a).forEach(([a1, a2], segA) => {
+        segmentsOf(b).forEach(([b1, b2], segB) => {
+          const overlap = segmentOverlap(a1, a2, b1, b2, tolerance);
+          if (overlap) {
+            findings.push({
+              id: `${CLASH_KIND.OVERLAP}:${a.id}:${segA}:${b.id}:${segB}`,
+              kind: CLASH_KIND.OVERLAP,
+              severity: incompatible ? "error" : "warning",
+              objectIds: [a.id, b.id],
+              sheetId: a.sheetId || null,
+              point: overlap,
+              message: `${getLabel(a)} and ${getLabel(b)} run along the same line`,
+            });
+            return;
+          }
+          if (!incompatible) return;
+          const point = segmentIntersection(a1, a2, b1, b2);
+          if (!point) return;
+          findings.push({
+            id: `${CLASH_KIND.CROSSING}:${a.id}:${segA}:${b.id}:${segB}`,
+            kind: CLASH_KIND.CROSSING,
+            severity: "error",
+            objectIds: [a.id, b.id],
+            sheetId: a.sheetId || null,
+            point,
+            message: `${getLabel(a)} crosses ${getLabel(b)}`,
+          });
+        });
+      });
+    });
+  });
+
+  // An end is connected when it sits on a fixture of the same trade or on
+  // another path of the same type (a branch or continuation).
+  paths.forEach((obj) => {
+    const type = normalizeType(obj.type);
+    const points = obj.pathPoints;
+    const ends = [
+      { point: points[0], end: "start" },
+      { point: points[points.length - 1], end: "end" },
+    ];
+    ends.forEach(({ point, end }) => {
+      const onFixture = fixtures.some(
+        (fixture) =>
+          sameSheet(obj, fixture) &&
+          (fixture.toolGroup || "plumbing") === TOOL_GROUP_BY_TYPE[type] &&
+          nearRect(point, fixture.rect, tolerance),
+      );
+      const onPath = paths.some(
+        (other) =>
+          other.id !== obj.id &&
+          sameSheet(obj, other) &&
+          normalizeType(other.type) === type &&
+          segmentsOf(other).some(
+            ([p1, p2]) => distanceToSegment(point, p1, p2) <= tolerance,
+          ),
+      );
+      if (onFixture || onPath) return;
+      findings.push({
+        id: `${CLASH_KIND.DANGLING}:${obj.id}:${end}`,
+        kind: CLASH_KIND.DANGLING,
+        severity: "warning",
+        objectIds: [obj.id],
+        sheetId: obj.sheetId || null,
+        point,
+        message: `${getLabel(obj)} ${end === "start" ? "starts" : "ends"} without connecting to anything`,
+      });
+    });
+  });
+
+  return findings.sort(
+    (a, b) =>
+      (a.severity === "error" ? 0 : 1) - (b.severity === "error" ? 0 : 1),
+  );
+};
@@ -0,0 +1,451 @@
+// Printable export of a blueprint sheet: the base image with its elements
+// drawn on top and a legend beside it, saved as PNG or as a one-page PDF.
+// Colours follow BlueprintCanvas.css so the print matches the screen.
+
+export const EXPORT_ALL = "all";
+export const EXPORT_UNASSIGNED = "unassigned";
+
+export const EXPORT_COLORS = {
+  hot_pipe: "#dc2626",
+  pipe: "#dc2626",
+  cold_pipe: "#2563eb",
+  drain_pipe: "#94a3b8",
+  connection: "#7c3aed",
+  fixture_area: "#0f766e",
+  completed: "#08da12",
+  point: "#f59e0b",
+};
+
+// Point tasks get a shape per fitting so they read in black and white too.
+export const POINT_SYMBOLS = {
+  valve: "circle",
+  fixture: "circle",
+  join_2_way: "square",
+  join_3_way: "diamond",
+  join_4_way: "cross",
+};
+
+// Shape and colour of a point task on the print. Callers with a symbol
+// library pass their own so custom types print the way they show on screen.
+const defaultPointStyle = (type) => ({
+  symbol: POINT_SYMBOLS[type] || "circle",
+  color: EXPORT_COLORS.point,
+});
+
+// A3 at 72 dpi; exported PDFs are scaled to fit it.
+const PDF_PAGE_LONG_SIDE = 1191;
+const PDF_PAGE_SHORT_SIDE = 842;
+
+/**
+ * Objects to print for the chosen trade (tool group) and assignee. The
+ * assignee filter takes a uid, EXPORT_UNASSIGNED or EXPORT_ALL.
+ */
+export const filterExportObjects = (
+  objects = [],
+  { toolGroup = EXPORT_ALL, assignee = EXPORT_ALL } = {},
+) =>
+  objects.filter((obj) => {
+    if (obj.drawing) return false;
+    if (toolGroup !== EXPORT_ALL && obj.toolGroup !== toolGroup) return false;
+    if (assignee === EXPORT_ALL) return true;
+    if (assignee === EXPORT_UNASSIGNED) return !obj.assignedTo;
+    return obj.assignedTo === assignee;
+  });
+
+/**
+ * Legend entries for what is actually on the print, in the order lines,
+ * fixture areas, point-task symbols, then the completed marker. Labels (and
+ * optionally point styles) come from the caller so they match the viewer.
+ */
+export const buildExportLegend = (
+  objects = [],
+  { lineLabel, fixtureLabel, pointLabel, pointStyle = defaultPointStyle },
+) => {
+  const entries = new Map();
+  let hasCompleted = false;
+
+  objects.forEach((obj) => {
+    if (obj.completed) hasCompleted = true;
+    if (obj.type === "fixture_area") {
+      const key = `area:${obj.toolGroup}`;
+      if (!entries.has(key)) {
+        entries.set(key, {
+          key,
+          kind: "area",
+          color: EXPORT_COLORS.fixture_area,
+          label: fixtureLabel(obj.toolGroup),
+        });
+      }
+      return;
+    }
+
+    const lineType = obj.type === "pipe" ? "hot_pipe" : obj.type;
+    if (!entries.has(`line:${lineType}`)) {
+      entries.set(`line:${lineType}`, {
+        key: `line:${lineType}`,
+        kind: "line",
+        color: EXPORT_COLORS[lineType] || EXPORT_COLORS.connection,
+        label: lineLabel(lineType),
+      });
+    }
+    (obj.pointTasks || []).forEach((task) => {
+      if (!task?.requiredType) return;
+      if (task.completed) hasCompleted = true;
+      const key = `symbol:${obj.toolGroup}:${task.requiredType}`;
+      if (entries.has(key)) return;
+      entries.set(key, {
+        key,
+        kind: "symbol",
+        ...pointStyle(task.requiredType, obj.toolGroup),
+        label: pointLabel(task.requiredType, obj.toolGroup),
+      });
+    });
+  });
+
+  const order = { line: 0, area: 1, symbol: 2 };
+  const legend = Array.from(entries.values()).sort(
+    (a, b) => order[a.kind] - order[b.kind],
+  );
+  if (hasCompleted) {
+    legend.push({
+      key: "completed",
+      kind: "completed",
+      color: EXPORT_COLORS.completed,
+      label: "Completed",
+    });
+  }
+  return legend;
+};
+
+const drawSymbol = (ctx, symbol, x, y, size) => {
+  ctx.beginPath();
+  if (symbol === "square") {
+    ctx.rect(x - size, y - size, size * 2, size * 2);
+  } else if (symbol === "diamond") {
+    ctx.moveTo(x, y - size * 1.3);
+    ctx.lineTo(x + size * 1.3, y);
+    ctx.lineTo(x, y + size * 1.3);
+    ctx.lineTo(x - size * 1.3, y);
+    ctx.closePath();
+  } else if (symbol === "cross") {
+    const arm = size * 0.45;
+    ctx.moveTo(x - arm, y - size);
+    ctx.lineTo(x + arm, y - size);
+    ctx.lineTo(x + arm, y - arm);
+    ctx.lineTo(x + size, y - arm);
+    ctx.lineTo(x + size, y + arm);
+    ctx.lineTo(x + arm, y + arm);
+    ctx.lineTo(x + arm, y + size);
+    ctx.lineTo(x - arm, y + size);
+    ctx.lineTo(x - arm, y + arm);
+    ctx.lineTo(x - size, y + arm);
+    ctx.lineTo(x - size, y - arm);
+    ctx.lineTo(x - arm, y - arm);
+    ctx.closePath();
+  } else {
+    ctx.arc(x, y, size, 0, Math.PI * 2);
+  }
+};
+
+// Completed symbols are filled green; open ones stay hollow in the task
+// colour so what is left to do stands out on paper.
+const drawPointTask = (
+  ctx,
+  symbol,
+  x,
+  y,
+  size,
+  completed,
+  color = EXPORT_COLORS.point,
+) => {
+  drawSymbol(ctx, symbol, x, y, size);
+  ctx.fillStyle = completed ? EXPORT_COLORS.completed : "#ffffff";
+  ctx.fill();
+  ctx.lineWidth = Math.max(1.5, size / 3);
+  ctx.strokeStyle = completed ? "#065f46" : color;
+  ctx.stroke();
+};
+
+const drawObjects = (ctx, objects, unit, pointStyle) => {
+  const lineWidth = 4 * unit;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+
+  objects.forEach((obj) => {
+    if (obj.type === "fixture_area") {
+      if (!obj.rect) return;
+      const { x, y, width, height } = obj.rect;
+      ctx.setLineDash([6 * unit, 3 * unit]);
+      ctx.fillStyle = obj.completed
+        ? "rgba(8, 218, 18, 0.18)"
+        : "rgba(15, 118, 110, 0.16)";
+      ctx.fillRect(x, y, width, height);
+      ctx.lineWidth = 2 * unit;
+      ctx.strokeStyle = obj.completed
+        ? EXPORT_COLORS.completed
+        : EXPORT_COLORS.fixture_area;
+      ctx.strokeRect(x, y, width, height);
+      ctx.setLineDash([]);
+      if (obj.fixtureName) {
+        ctx.fillStyle = "#134e4a";
+        ctx.font = `600 ${11 * unit}px sans-serif`;
+        ctx.fillText(obj.fixtureName, x + 4 * unit, y + 14 * unit);
+      }
+      return;
+    }
+
+    const points = obj.pathPoints || [];
+    if (points.length < 2) return;
+    const tracePath = () => {
+      ctx.beginPath();
+      points.forEach((point, index) =>
+        index === 0
+          ? ctx.moveTo(point.x, point.y)
+          : ctx.lineTo(point.x, point.y),
+      );
+    };
+    if (obj.completed) {
+      tracePath();
+      ctx.lineWidth = lineWidth * 1.8;
+      ctx.strokeStyle = EXPORT_COLORS.completed;
+      ctx.stroke();
+    }
+    tracePath();
+    ctx.lineWidth = lineWidth;
+    ctx.strokeStyle = EXPORT_COLORS[obj.type] || EXPORT_COLORS.connection;
+    ctx.stroke();
+
+    (obj.pointTasks || []).forEach((task, index) => {
+      const point = points[index];
+      if (!task?.requiredType || !point) return;
+      const { symbol, color } = pointStyle(task.requiredType, obj.toolGroup);
+      drawPointTask(
+        ctx,
+        symbol,
+        point.x,
+        point.y,
+        6 * unit,
+        task.completed,
+        color,
+      );
+    });
+  });
+};
+
+const drawLegend = (
+  ctx,
+  { left, width, height, unit, title, details, legend },
+) => {
+  const pad = 16 * unit;
+  const row = 22 * unit;
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(left, 0, width, height);
+  ctx.fillStyle = "#e5e7eb";
+  ctx.fillRect(left, 0, Math.max(1, unit), height);
+
+  let y = pad + 14 * unit;
+  ctx.fillStyle = "#111827";
+  ctx.font = `700 ${16 * unit}px sans-serif`;
+  ctx.fillText(title, left + pad, y, width - pad * 2);
+  ctx.font = `${11 * unit}px sans-serif`;
+  ctx.fillStyle = "#6b7280";
+  details.forEach((line) => {
+    y += 16 * unit;
+    ctx.fillText(line, left + pad, y, width - pad * 2);
+  });
+
+  y += row;
+  ctx.fillStyle = "#111827";
+  ctx.font = `700 ${12 * unit}px sans-serif`;
+  ctx.fillText("Legend", left + pad, y);
+
+  ctx.font = `${12 * unit}px sans-serif`;
+  legend.forEach((entry) => {
+    y += row;
+    const swatchX = left + pad;
+    const midY = y - 4 * unit;
+    if (entry.kind === "line" || entry.kind === "completed") {
+      ctx.beginPath();
+      ctx.moveTo(swatchX, midY);
+      ctx.lineTo(swatchX + 28 * unit, midY);
+      ctx.lineCap = "round";
+      ctx.lineWidth = (entry.kind === "completed" ? 7 : 4) * unit;
+      ctx.strokeStyle = entry.color;
+      ctx.stroke();
+    } else if (entry.kind === "area") {
+      ctx.setLineDash([6 * unit, 3 * unit]);
+      ctx.fillStyle = "rgba(15, 118, 110, 0.16)";
+      ctx.fillRect(swatchX, midY - 7 * unit, 28 * unit, 14 * unit);
+      ctx.lineWidth = 2 * unit;
+      ctx.strokeStyle = entry.color;
+      ctx.strokeRect(swatchX, midY - 7 * unit, 28 * unit, 14 * unit);
+      ctx.setLineDash([]);
+    } else {
+      drawPointTask(
+        ctx,
+        entry.symbol,
+        swatchX + 14 * unit,
+        midY,
+        6 * unit,
+        false,
+        entry.color,
+      );
+    }
+    ctx.fillStyle = "#374151";
+    ctx.fillText(
+      entry.label,
+      swatchX + 40 * unit,
+      y,
+      width - pad * 2 - 40 * unit,
+    );
+  });
+};
+
+export const loadExportImage = (url) =>
+  new Promise((resolve, reject) => {
+    const image = new Image();
+    // Storage URLs are cross-origin; without this the canvas cannot be read.
+    image.crossOrigin = "anonymous";
+    image.onload = () => resolve(image);
+    image.onerror = () => reject(new Error("Failed to load blueprint image"));
+    image.src = url;
+  });
+
+/**
+ * Draws the sheet image at its natural size with the objects on top (object
+ * coordinates are natural image pixels) and the legend in a panel on the
+ * right. `details` are short lines printed under the title.
+ */
+export const renderBlueprintExport = ({
+  image,
+  objects = [],
+  legend = [],
+  title = "",
+  details = [],
+  pointStyle = defaultPointStyle,
+}) => {
+  const imageWidth = image.naturalWidth || image.width;
+  const imageHeight = image.naturalHeight || image.height;
+  // Strokes and text scale with the drawing so large scans stay legible.
+  const unit = Math.max(1, Math.min(imageWidth, imageHeight) / 800);
+  const legendWidth = Math.round(260 * unit);
+
+  const canvas = document.createElement("canvas");
+  canvas.width = imageWidth + legendWidth;
+  canvas.height = imageHeight;
+  const ctx = canvas.getContext("2d");
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, canvas.width, canvas.height);
+  ctx.drawImage(image, 0, 0, imageWidth, imageHeight);
+  drawObjects(ctx, objects, unit, pointStyle);
+  drawLegend(ctx, {
+    left: imageWidth,
+    width: legendWidth,
+    height: imageHeight,
+    unit,
+    title,
+    details,
+    legend,
+  });
+  return canvas;
+};
+
+export const canvasToBlob = (canvas, type = "image/png", quality) =>
+  new Promise((resolve, reject) =>
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Failed to render export")),
+      type,
+      quality,
+    ),
+  );
+
+/**
+ * A single-page PDF showing one JPEG scaled to the page. Written by hand
+ * because a one-image page needs no more than these five objects.
+ */
+export const buildImagePdf = ({
+  jpeg,
+  width,
+  height,
+  pageWidth,
+  pageHeight,
+}) => {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+  const push = (part) => {
+    const bytes = typeof part === "string" ? encoder.encode(part) : part;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const writeObject = (id, dictionary, stream = null) => {
+    offsets[id] = length;
+    push(`${id} 0 obj\n${dictionary}\n`);
+    if (stream) {
+      push("stream\n");
+      push(stream);
+      push("\nendstream\n");
+    }
+    push("endobj\n");
+  };
+
+  const content = encoder.encode(
+    `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`,
+  );
+  push("%PDF-1.4\n");
+  writeObject(1, "<< /Type /Catalog /Pages 2 0 R >>");
+  writeObject(2, "<< /Type /Pages /Kids [3 0 R] /Count 1 >>");
+  writeObject(
+    3,
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R >>`,
+  );
+  writeObject(
+    4,
+    `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${jpeg.length} >>`,
+    jpeg,
+  );
+  writeObject(5, `<< /Length ${content.length} >>`, content);
+
+  const xrefOffset = length;
+  const xrefRows = offsets
+    .slice(1)
+    .map((offset) => `${String(offset).padStart(10, "0")} 00000 n \n`)
+    .join("");
+  push(
+    `xref\n0 ${offsets.length}\n0000000000 65535 f \n${xrefRows}trailer\n<< /Size ${offsets.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`,
+  );
+
+  const pdf = new Uint8Array(length);
+  let position = 0;
+  chunks.forEach((chunk) => {
+    pdf.set(chunk, position);
+    position += chunk.length;
+  });
+  return pdf;
+};
+
+// Page size in points for an image, fitted to A3 in its own orientation.
+export const getPdfPageSize = (width, height) => {
+  const landscape = width >= height;
+  const maxWidth = landscape ? PDF_PAGE_LONG_SIDE : PDF_PAGE_SHORT_SIDE;
+  const maxHeight = landscape ? PDF_PAGE_SHORT_SIDE : PDF_PAGE_LONG_SIDE;
+  const scale = Math.min(maxWidth / width, maxHeight / height);
+  return {
+    pageWidth: Math.round(width * scale * 100) / 100,
+    pageHeight: Math.round(height * scale * 100) / 100,
+  };
+};
+
+export const canvasToPdfBlob = async (canvas) => {
+  const jpegBlob = await canvasToBlob(canvas, "image/jpeg", 0.92);
+  const jpeg = new Uint8Array(await jpegBlob.arrayBuffer());
+  const pdf = buildImagePdf({
+    jpeg,
+    width: canvas.width,
+    height: canvas.height,
+    ...getPdfPageSize(canvas.width, canvas.height),
+  });
+  return new Blob([pdf], { type: "application/pdf" });
+};
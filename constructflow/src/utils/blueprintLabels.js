@@ -0,0 +1,80 @@
+// Display names and trades for blueprint objects, shared by the editor and
+// the pages that list blueprint work outside it.
+
+export const TOOL_GROUP_FIXTURE_LABELS = {
+  plumbing: "Fixture",
+  electrical: "Breaker Panel",
+};
+
+// Type → trade mapping
+export const TYPE_TRADE = {
+  hot_pipe: "plumber",
+  cold_pipe: "plumber",
+  drain_pipe: "plumber",
+  pipe: "plumber",
+  connection: "electrician",
+};
+
+export const TYPE_LABELS = {
+  hot_pipe: "Hot Water Pipe",
+  cold_pipe: "Cold Water Pipe",
+  drain_pipe: "Drainage Pipe",
+  pipe: "Hot Water Pipe",
+  connection: "Wire",
+};
+
+export const POINT_TASK_LABELS = {
+  plumbing: {
+    valve: "Valve",
+    fixture: "Valve",
+    join_2_way: "2 Way Joints",
+    join_3_way: "3 Way Joints",
+    join_4_way: "4 Way Joints",
+  },
+  electrical: {
+    valve: "Light",
+    fixture: "Light",
+    join_2_way: "Switches",
+    join_3_way: "Outlet",
+    join_4_way: "Ethernet/Data Port",
+  },
+};
+
+export const getObjectToolGroup = (obj) =>
+  obj?.toolGroup || (obj?.type === "connection" ? "electrical" : "plumbing");
+
+export const getDefaultFixtureName = (toolGroup = "plumbing") =>
+  TOOL_GROUP_FIXTURE_LABELS[toolGroup] || TOOL_GROUP_FIXTURE_LABELS.plumbing;
+
+export const getObjectTrade = (obj) => {
+  if (!obj) return null;
+  if (obj.type === "fixture_area") {
+    return getObjectToolGroup(obj) === "electrical" ? "electrician" : "plumber";
+  }
+  return TYPE_TRADE[obj.type] || null;
+};
+
+export const getObjectTypeLabel = (obj) => {
+  if (!obj) return "";
+  if (obj.type === "fixture_area") {
+    return getDefaultFixtureName(getObjectToolGroup(obj));
+  }
+  return TYPE_LABELS[obj.type] || obj.type;
+};
+
+// `symbols` is the organisation's symbol library (utils/symbolLibrary); its
+// labels win over the built-in ones.
+export const getPointTaskLabel = (
+  requiredType,
+  toolGroup = "plumbing",
+  symbols = [],
+) => {
+  if (!requiredType) return null;
+  const key = requiredType === "fixture" ? "valve" : requiredType;
+  const symbol = symbols.find(
+    (item) => item.toolGroup === toolGroup && item.key === key,
+  );
+  if (symbol?.label) return symbol.label;
+  const labels = POINT_TASK_LABELS[toolGroup] || POINT_TASK_LABELS.plumbing;
+  return labels[requiredType] || requiredType;
+};
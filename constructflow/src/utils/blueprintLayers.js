@@ -0,0 +1,112 @@
+// Named layers group blueprint objects for visibility, locking, opacity and
+// drawing order. Layers are stored on the blueprint doc; the first layer in
+// the list is drawn on top. Visibility is a per-viewer choice and is not
+// stored.
+
+export const DEFAULT_LAYERS = [
+  { id: "plumbing_supply", name: "Plumbing supply", trade: "plumber" },
+  { id: "drainage", name: "Drainage", trade: "plumber" },
+  { id: "lighting", name: "Lighting", trade: "electrician" },
+  { id: "power", name: "Power", trade: "electrician" },
+  { id: "data", name: "Data", trade: "electrician" },
+];
+
+const DEFAULT_LAYER_BY_TYPE = {
+  hot_pipe: "plumbing_supply",
+  cold_pipe: "plumbing_supply",
+  pipe: "plumbing_supply",
+  drain_pipe: "drainage",
+  connection: "power",
+};
+
+let _nextLayerId = 1;
+export const makeLayerId = () => `layer-${Date.now()}-${_nextLayerId++}`;
+
+const normalizeLayer = (layer) => ({
+  id: layer.id,
+  name: layer.name || "Layer",
+  trade: layer.trade || null,
+  locked: Boolean(layer.locked),
+  opacity:
+    typeof layer.opacity === "number"
+      ? Math.min(1, Math.max(0.1, layer.opacity))
+      : 1,
+});
+
+// Blueprints saved before layers existed get the default set.
+export const getBlueprintLayers = (blueprint = {}) =>
+  (Array.isArray(blueprint.layers) && blueprint.layers.length > 0
+    ? blueprint.layers.filter((layer) => layer?.id)
+    : DEFAULT_LAYERS
+  ).map(normalizeLayer);
+
+export const createLayer = (name) =>
+  normalizeLayer({ id: makeLayerId(), name: name.trim() });
+
+/**
+ * The layer an object is on: its own `layerId` when that layer still exists,
+ * otherwise the default layer for its type, otherwise the bottom layer.
+ */
+export const getObjectLayerId = (obj, layers = []) => {
+  if (layers.some((layer) => layer.id === obj?.layerId)) return obj.layerId;
+  const fallback =
+    obj?.type === "fixture_area"
+      ? obj.toolGroup === "electrical"
+        ? "power"
+        : "plumbing_supply"
+      : DEFAULT_LAYER_BY_TYPE[obj?.type];
+  if (layers.some((layer) => layer.id === fallback)) return fallback;
+  return layers[layers.length - 1]?.id || null;
+};
+
+/**
+ * Layers a worker of `trade` sees by default: those made for the trade plus
+ * any layer holding an object of that trade (custom layers have no trade of
+ * their own). `getTrade` maps an object to its trade.
+ */
+export const getTradeLayerIds = (
+  layers = [],
+  objects = [],
+  trade,
+  getTrade,
+) => {
+  const ids = new Set(
+    layers.filter((layer) => layer.trade === trade).map((layer) => layer.id),
+  );
+  objects.forEach((obj) => {
+    if (getTrade(obj) === trade) ids.add(getObjectLayerId(obj, layers));
+  });
+  return ids;
+};
+
+// Moves a layer one step up (-1, towards the top) or down (+1).
+export const moveLayer = (layers = [], id, direction) => {
+  const index = layers.findIndex((layer) => layer.id === id);
+  const target = index + direction;
+  if (index < 0 || target < 0 || target >= layers.length) return layers;
+  const next = [...layers];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
+
+/**
+ * Objects on visible layers, ordered bottom layer first so later ones draw
+ * on top, each tagged with its layer's opacity and lock.
+ */
+export const arrangeObjectsByLayer = (objects = [], layers = [], isVisible) => {
+  const rank = new Map(layers.map((layer, index) => [layer.id, index]));
+  const byId = new Map(layers.map((layer) => [layer.id, layer]));
+  return (
+    objects
+      .map((obj) => ({ obj, layerId: getObjectLayerId(obj, layers) }))
+      // The element being drawn stays on screen even on a hidden layer.
+      .filter(({ obj, layerId }) => obj.drawing || isVisible(layerId))
+      .sort((a, b) => (rank.get(b.layerId) ?? -1) - (rank.get(a.layerId) ?? -1))
+      .map(({ obj, layerId }) => ({
+        ...obj,
+        layerId,
+        layerOpacity: byId.get(layerId)?.opacity ?? 1,
+        layerLocked: Boolean(byId.get(layerId)?.locked),
+      }))
+  );
+};
@@ -0,0 +1,69 @@
+// A worker's "my work" mode: their outstanding blueprint work as a list of
+// steps, one per required point task (or per element when it has none), in
+// sheet order.
+
+const getWorkUnits = (obj) => {
+  const tasks = (obj.pointTasks || [])
+    .map((task, pointIndex) => ({ unit: task, pointIndex }))
+    .filter(({ unit }) => unit?.requiredType);
+  return tasks.length > 0 ? tasks : [{ unit: obj, pointIndex: null }];
+};
+
+/**
+ * Steps for the objects `isOwn` accepts. Returns { items, total, remaining }
+ * where `items` are the outstanding steps:
+ * { key, objectId, sheetId, pointIndex, completed: false, rejected }.
+ * `total` counts finished work too, for the progress bar.
+ */
+export const buildMyWorkItems = (
+  objects = [],
+  { isOwn = () => false, sheetIds = [] } = {},
+) => {
+  const sheetOrder = (sheetId) => {
+    const index = sheetIds.indexOf(sheetId);
+    return index === -1 ? sheetIds.length : index;
+  };
+
+  const steps = objects
+    .filter((obj) => !obj.drawing && isOwn(obj))
+    .flatMap((obj) =>
+      getWorkUnits(obj).map(({ unit, pointIndex }) => ({
+        key: `${obj.id}:${pointIndex ?? "object"}`,
+        objectId: obj.id,
+        sheetId: obj.sheetId || null,
+        pointIndex,
+        completed: Boolean(unit.completed),
+        rejected: Boolean(unit.rejection),
+      })),
+    )
+    // Array sort is stable, so drawing order is kept within a sheet.
+    .sort((a, b) => sheetOrder(a.sheetId) - sheetOrder(b.sheetId));
+
+  const items = steps.filter((step) => !step.completed);
+  return { items, total: steps.length, remaining: items.length };
+};
+
+/**
+ * The area of the blueprint a step covers, in natural-image pixels: the
+ * point for a point task, otherwise the element's bounding box.
+ */
+export const getWorkItemBounds = (obj, pointIndex = null) => {
+  if (!obj) return null;
+  if (obj.type === "fixture_area") return obj.rect ? { ...obj.rect } : null;
+
+  const points = (
+    pointIndex === null ? obj.pathPoints || [] : [obj.pathPoints?.[pointIndex]]
+  ).filter(Boolean);
+  if (points.length === 0) return null;
+
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return {
+    x,
+    y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y,
+  };
+};
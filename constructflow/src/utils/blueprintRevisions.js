@@ -0,0 +1,120 @@
+import { takeProgress } from "./blueprintSync";
+import { toDate } from "./dateTime";
+
+export const BLUEPRINT_REVISIONS_COLLECTION = "blueprintRevisions";
+
+export const REVISION_CHANGE = {
+  ADDED: "added",
+  REMOVED: "removed",
+  MODIFIED: "modified",
+  UNCHANGED: "unchanged",
+};
+
+const samePoints = (a = [], b = []) =>
+  a.length === b.length &&
+  a.every((point, index) => point.x === b[index].x && point.y === b[index].y);
+
+const sameRect = (a, b) =>
+  (!a && !b) ||
+  (Boolean(a) &&
+    Boolean(b) &&
+    a.x === b.x &&
+    a.y === b.y &&
+    a.width === b.width &&
+    a.height === b.height);
+
+/**
+ * Orders revisions oldest first and numbers them from 1, so the list reads
+ * the same however Firestore returned it.
+ */
+export const sortRevisions = (revisions = []) =>
+  [...revisions]
+    .sort(
+      (a, b) =>
+        (toDate(a.createdAt)?.getTime() || 0) -
+        (toDate(b.createdAt)?.getTime() || 0),
+    )
+    .map((revision, index) => ({ ...revision, number: index + 1 }));
+
+/**
+ * Compares two `objects` maps. Every id in either map gets one entry: added or
+ * removed when it exists on one side only, otherwise modified (with `moved`
+ * for geometry or sheet changes and `reassigned` for a different assignee) or
+ * unchanged. Completion is ignored; that is worker progress, not an edit.
+ */
+export const diffBlueprintObjects = (baseObjects = {}, targetObjects = {}) => {
+  const ids = new Set([
+    ...Object.keys(baseObjects || {}),
+    ...Object.keys(targetObjects || {}),
+  ]);
+
+  return Array.from(ids).map((id) => {
+    const base = baseObjects?.[id] || null;
+    const target = targetObjects?.[id] || null;
+    if (!base) {
+      return { id, change: REVISION_CHANGE.ADDED, base, target };
+    }
+    if (!target) {
+      return { id, change: REVISION_CHANGE.REMOVED, base, target };
+    }
+
+    const moved =
+      (base.sheetId || null) !== (target.sheetId || null) ||
+      !samePoints(base.pathPoints, target.pathPoints) ||
+      !sameRect(base.rect, target.rect);
+    const reassigned =
+      (base.assignedTo || null) !== (target.assignedTo || null);
+    return {
+      id,
+      change:
+        moved || reassigned
+          ? REVISION_CHANGE.MODIFIED
+          : REVISION_CHANGE.UNCHANGED,
+      moved,
+      reassigned,
+      base,
+      target,
+    };
+  });
+};
+
+export const summarizeRevisionDiff = (entries = []) => ({
+  added: entries.filter((entry) => entry.change === REVISION_CHANGE.ADDED)
+    .length,
+  removed: entries.filter((entry) => entry.change === REVISION_CHANGE.REMOVED)
+    .length,
+  moved: entries.filter((entry) => entry.moved).length,
+  reassigned: entries.filter((entry) => entry.reassigned).length,
+});
+
+/**
+ * Objects to put back when restoring a revision. Layout and assignments come
+ * from the revision; completion, evidence and sign-off come from the
+ * blueprint as it is now, so work done or inspected since the revision keeps
+ * its current status. A point task keeps its current progress only while it
+ * still asks for the same fitting.
+ */
+export const restoreRevisionObjects = (
+  revisionObjects = {},
+  currentObjects = {},
+) =>
+  Object.fromEntries(
+    Object.entries(revisionObjects || {}).map(([id, revisionObj]) => {
+      const current = currentObjects?.[id];
+      if (!current) return [id, revisionObj];
+
+      const currentTasks = current.pointTasks || [];
+      return [
+        id,
+        {
+          ...takeProgress(revisionObj, current),
+          pointTasks: (revisionObj.pointTasks || []).map((task, index) =>
+            task?.requiredType &&
+            currentTasks[index]?.requiredType === task.requiredType
+              ? takeProgress(task, currentTasks[index])
+              : task,
+          ),
+        },
+      ];
+    }),
+  );
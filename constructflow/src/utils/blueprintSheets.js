@@ -0,0 +1,90 @@
+// A blueprint is a set of one or more sheets (e.g. the pages of an
+// architect's PDF). Sheets hold the image and scale; objects stay in the
+// blueprint's single `objects` map and carry the id of the sheet they were
+// drawn on, so progress counts naturally cover the whole set.
+
+export const DEFAULT_SHEET_ID = "sheet-1";
+
+// Renders PDF pages at twice their CSS size so lines stay sharp when zoomed.
+const PDF_RENDER_SCALE = 2;
+
+let _nextSheetId = 1;
+export const makeSheetId = () => `sheet-${Date.now()}-${_nextSheetId++}`;
+
+export const isPdfFile = (file) =>
+  file?.type === "application/pdf" || /\.pdf$/i.test(file?.name || "");
+
+/**
+ * Sheets of a blueprint doc in display order. Blueprints saved before sheets
+ * existed have a single top-level image, which becomes the only sheet.
+ */
+export const getBlueprintSheets = (blueprint = {}) => {
+  if (Array.isArray(blueprint.sheets) && blueprint.sheets.length > 0) {
+    return blueprint.sheets
+      .filter((sheet) => sheet?.id && sheet.imageUrl)
+      .map((sheet, index) => ({
+        id: sheet.id,
+        name: sheet.name || `Sheet ${index + 1}`,
+        imageUrl: sheet.imageUrl,
+        scale: sheet.scale || null,
+      }));
+  }
+
+  if (!blueprint.imageUrl) return [];
+  return [
+    {
+      id: DEFAULT_SHEET_ID,
+      name: "Sheet 1",
+      imageUrl: blueprint.imageUrl,
+      scale: blueprint.scale || null,
+    },
+  ];
+};
+
+// Objects without a known sheet (older blueprints) sit on the first sheet.
+export const getObjectSheetId = (obj, sheets = []) =>
+  sheets.some((sheet) => sheet.id === obj?.sheetId)
+    ? obj.sheetId
+    : sheets[0]?.id || null;
+
+/**
+ * Rasterizes every page of a PDF file in the browser. Resolves to one PNG blob
+ * per page, in page order, named "Page N". pdf.js is loaded on demand so the
+ * viewer does not pay for it until a PDF is uploaded.
+ */
+export const rasterizePdfPages = async (file) => {
+  const [pdfjs, { default: workerUrl }] = await Promise.all([
+    import("pdfjs-dist"),
+    import("pdfjs-dist/build/pdf.worker.min.mjs?url"),
+  ]);
+  pdfjs.GlobalWorkerOptions.workerSrc = workerUrl;
+
+  const pdf = await pdfjs.getDocument({ data: await file.arrayBuffer() })
+    .promise;
+  const pages = [];
+  try {
+    for (let pageNumber = 1; pageNumber <= pdf.numPages; pageNumber++) {
+      const page = await pdf.getPage(pageNumber);
+      const viewport = page.getViewport({ scale: PDF_RENDER_SCALE });
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.ceil(viewport.width);
+      canvas.height = Math.ceil(viewport.height);
+      await page.render({ canvas, viewport }).promise;
+
+      const blob = await new Promise((resolve, reject) =>
+        canvas.toBlob(
+          (result) =>
+            result
+              ? resolve(result)
+              : reject(new Error(`Failed to render page ${pageNumber}`)),
+          "image/png",
+        ),
+      );
+      pages.push({ name: `Page ${pageNumber}`, blob });
+      page.cleanup();
+    }
+  } finally {
+    await pdf.destroy();
+  }
+  return pages;
+};
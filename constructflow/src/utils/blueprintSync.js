@@ -0,0 +1,196 @@
+import { toDate } from "./dateTime";
+
+// Live collaboration on one blueprint. Every client keeps the objects map as
+// it last saw it in Firestore (the base) next to its own edits, so changes
+// made elsewhere can be merged per object instead of overwriting the map.
+// All maps here are in stored form, keyed by object id.
+
+export const BLUEPRINT_PRESENCE_COLLECTION = "blueprintPresence";
+export const PRESENCE_HEARTBEAT_MS = 30 * 1000;
+// A presence doc not refreshed within this window belongs to a closed tab.
+export const PRESENCE_STALE_MS = 90 * 1000;
+
+export const PRESENCE_MODE = {
+  VIEWING: "viewing",
+  EDITING: "editing",
+};
+
+export const BLUEPRINT_CONFLICT_ERROR = "blueprint/conflict";
+
+const stableStringify = (value) =>
+  JSON.stringify(value, (key, val) =>
+    val && typeof val === "object" && !Array.isArray(val)
+      ? Object.fromEntries(
+          Object.keys(val)
+            .sort()
+            .map((k) => [k, val[k]]),
+        )
+      : val,
+  );
+
+export const sameStoredObject = (a, b) =>
+  stableStringify(a ?? null) === stableStringify(b ?? null);
+
+// Completion and the evidence, approval or rejection that goes with it.
+// Workers change these alongside the managers, so they are merged rather
+// than conflicting.
+const PROGRESS_FIELDS = ["completed", "evidence", "approval", "rejection"];
+
+const withoutProgress = (item) =>
+  item
+    ? {
+        ...item,
+        ...Object.fromEntries(PROGRESS_FIELDS.map((f) => [f, undefined])),
+      }
+    : item;
+
+const progressOf = (item) => ({
+  completed: Boolean(item?.completed),
+  evidence: item?.evidence ?? null,
+  approval: item?.approval ?? null,
+  rejection: item?.rejection ?? null,
+});
+
+const sameProgress = (a, b) => sameStoredObject(progressOf(a), progressOf(b));
+
+// `target` with the progress of `source`; evidence fields are only added
+// where either side has them.
+export const takeProgress = (target, source) => {
+  const next = { ...target, completed: Boolean(source?.completed) };
+  PROGRESS_FIELDS.slice(1).forEach((field) => {
+    if (field in next || source?.[field] !== undefined) {
+      next[field] = source?.[field] ?? null;
+    }
+  });
+  return next;
+};
+
+// Everything but progress.
+const layoutOf = (obj) =>
+  obj
+    ? {
+        ...withoutProgress(obj),
+        pointTasks: (obj.pointTasks || []).map(withoutProgress),
+      }
+    : null;
+
+const sameLayout = (a, b) => sameStoredObject(layoutOf(a), layoutOf(b));
+
+// Both sides edited the same object's layout, differently, since the base.
+const isConflict = (base, local, remote) =>
+  !sameLayout(remote, base) && !sameLayout(local, remote);
+
+/**
+ * Three-way merge of progress for one object: local progress wins where it
+ * differs from the base, anything else comes from the remote copy. A point
+ * task only takes remote progress while both ask for the same fitting.
+ */
+export const mergeObjectProgress = (local, base, remote) => {
+  if (!local || !remote) return local;
+  const baseTasks = base?.pointTasks || [];
+  const remoteTasks = remote.pointTasks || [];
+  return {
+    ...(sameProgress(local, base) ? takeProgress(local, remote) : local),
+    pointTasks: (local.pointTasks || []).map((task, index) => {
+      const remoteTask = remoteTasks[index];
+      if (!task?.requiredType || remoteTask?.requiredType !== task.requiredType)
+        return task;
+      if (!sameProgress(task, baseTasks[index])) return task;
+      return takeProgress(task, remoteTask);
+    }),
+  };
+};
+
+const objectIds = (...maps) =>
+  Array.from(new Set(maps.flatMap((map) => Object.keys(map || {}))));
+
+/**
+ * Folds a remote snapshot into the local objects. Objects without unsaved
+ * local edits take the remote version, including additions and deletions.
+ * Locally edited objects are kept (with remote progress merged in) and are
+ * reported as conflicts when their layout changed remotely as well.
+ *
+ * Returns { objects, changedIds, conflicts } where `changedIds` lists the
+ * objects whose local copy has to be replaced or removed.
+ */
+export const mergeRemoteObjects = ({ base = {}, local = {}, remote = {} }) => {
+  const objects = {};
+  const changedIds = [];
+  const conflicts = [];
+
+  objectIds(base, local, remote).forEach((id) => {
+    const baseObj = base[id] || null;
+    const localObj = local[id] || null;
+    const remoteObj = remote[id] || null;
+
+    const next = sameStoredObject(localObj, baseObj)
+      ? remoteObj
+      : mergeObjectProgress(localObj, baseObj, remoteObj);
+    if (next) objects[id] = next;
+    if (!sameStoredObject(next, localObj)) changedIds.push(id);
+    if (
+      !sameStoredObject(localObj, baseObj) &&
+      isConflict(baseObj, localObj, remoteObj)
+    ) {
+      conflicts.push(id);
+    }
+  });
+
+  return { objects, changedIds, conflicts };
+};
+
+/**
+ * What a save should write: only the objects edited locally since the base,
+ * with remote progress folded in. An object that also changed remotely since
+ * the base is a conflict and is left out.
+ *
+ * Returns { writes: { [id]: storedObject | null }, conflicts } where null
+ * deletes the object.
+ */
+export const planBlueprintSave = ({ base = {}, local = {}, remote = {} }) => {
+  const writes = {};
+  const conflicts = [];
+
+  objectIds(base, local).forEach((id) => {
+    const baseObj = base[id] || null;
+    const localObj = local[id] || null;
+    const remoteObj = remote[id] || null;
+    if (sameStoredObject(localObj, baseObj)) return;
+    if (isConflict(baseObj, localObj, remoteObj)) {
+      conflicts.push(id);
+      return;
+    }
+    writes[id] = localObj
+      ? mergeObjectProgress(localObj, baseObj, remoteObj)
+      : null;
+  });
+
+  return { writes, conflicts };
+};
+
+/**
+ * Other people currently on the blueprint, one entry per user (editing wins
+ * over viewing when they have several tabs open), sorted by name.
+ */
+export const getActiveCollaborators = (
+  entries = [],
+  currentUid = null,
+  now = Date.now(),
+) => {
+  const byUser = new Map();
+  entries.forEach((entry) => {
+    if (!entry?.uid || entry.uid === currentUid) return;
+    const lastSeen = toDate(entry.lastSeen)?.getTime();
+    if (!lastSeen || now - lastSeen > PRESENCE_STALE_MS) return;
+    const existing = byUser.get(entry.uid);
+    if (existing?.mode === PRESENCE_MODE.EDITING) return;
+    byUser.set(entry.uid, {
+      uid: entry.uid,
+      name: entry.name || "Someone",
+      mode: entry.mode || PRESENCE_MODE.VIEWING,
+    });
+  });
+  return Array.from(byUser.values()).sort((a, b) =>
+    a.name.localeCompare(b.name),
+  );
+};
@@ -0,0 +1,236 @@
+import {
+  convertQuantity,
+  getUnitFamily,
+  normalizeUnit,
+  UNIT_FAMILY,
+} from "./unitConversion";
+
+export const TAKEOFF_LINE_KIND = {
+  LENGTH: "length",
+  COUNT: "count",
+};
+
+export const TAKEOFF_LENGTH_UNIT = "m";
+
+// Legacy objects use "pipe" for hot water and "fixture" for valves; they are
+// counted with their current equivalents so old blueprints add up the same.
+const PATH_TYPE_ALIASES = { pipe: "hot_pipe" };
+const POINT_TYPE_ALIASES = { fixture: "valve" };
+
+const PATH_TYPES = ["hot_pipe", "cold_pipe", "drain_pipe", "connection"];
+
+const roundUpLength = (value) => Math.ceil(value * 100) / 100;
+
+const getToolGroup = (obj) =>
+  obj?.toolGroup || (obj?.type === "connection" ? "electrical" : "plumbing");
+
+/**
+ * Reads the calibration stored on a blueprint doc. Returns the number of
+ * natural-image pixels per metre, or null when the blueprint has no usable
+ * scale yet.
+ */
+export const getPixelsPerMeter = (scale) => {
+  const value = Number(scale?.pixelsPerMeter);
+  return Number.isFinite(value) && value > 0 ? value : null;
+};
+
+export const getPathLengthPixels = (points = []) =>
+  points.reduce((sum, point, index) => {
+    if (index === 0) return 0;
+    const prev = points[index - 1];
+    return sum + Math.hypot(point.x - prev.x, point.y - prev.y);
+  }, 0);
+
+/**
+ * Formats a distance measured on the blueprint: metres once the blueprint is
+ * calibrated, raw image pixels before that.
+ */
+export const formatMeasuredLength = (pixels, pixelsPerMeter = null) =>
+  pixelsPerMeter
+    ? `${(pixels / pixelsPerMeter).toFixed(2)} m`
+    : `${Math.round(pixels)} px`;
+
+/**
+ * Parses the real distance typed during calibration ("3.5", "3.5 m",
+ * "12 ft") into metres. A bare number is read as metres; anything that is not
+ * a positive length returns null.
+ */
+export const parseRealDistance = (input) => {
+  const match = String(input || "")
+    .trim()
+    .match(/^(\d+(?:\.\d+)?|\.\d+)\s*([a-z]*)$/i);
+  if (!match) return null;
+
+  const value = Number(match[1]);
+  const unit = normalizeUnit(match[2]) || TAKEOFF_LENGTH_UNIT;
+  if (!(value > 0) || getUnitFamily(unit) !== UNIT_FAMILY.LENGTH) return null;
+  return convertQuantity(value, unit, TAKEOFF_LENGTH_UNIT);
+};
+
+/**
+ * Turns blueprint objects into a suggested bill of materials: one length line
+ * per path type (pipes and wire, in metres) and one count line per fitting
+ * type and fixture, grouped by trade. Lengths need a scale; without one they
+ * are returned with `quantity: null` so callers can ask for calibration.
+ *
+ * Lines are keyed `<kind>:<toolGroup>:<type>` and ordered lengths first.
+ */
+export const buildBlueprintTakeoff = (objects = [], scale = null) => {
+  const pixelsPerMeter = getPixelsPerMeter(scale);
+  const lengths = new Map();
+  const counts = new Map();
+
+  const addCount = (toolGroup, type, quantity) => {
+    const key = `${TAKEOFF_LINE_KIND.COUNT}:${toolGroup}:${type}`;
+    const current = counts.get(key) || {
+      key,
+      kind: TAKEOFF_LINE_KIND.COUNT,
+      toolGroup,
+      type,
+      quantity: 0,
+    };
+    current.quantity += quantity;
+    counts.set(key, current);
+  };
+
+  objects.forEach((obj) => {
+    if (!obj || obj.drawing) return;
+    const toolGroup = getToolGroup(obj);
+
+    if (obj.type === "fixture_area") {
+      addCount(toolGroup, "fixture_area", 1);
+      return;
+    }
+
+    const pathType = PATH_TYPE_ALIASES[obj.type] || obj.type;
+    if (!PATH_TYPES.includes(pathType)) return;
+
+    const pixels = getPathLengthPixels(obj.pathPoints || []);
+    if (pixels > 0) {
+      const key = `${TAKEOFF_LINE_KIND.LENGTH}:${toolGroup}:${pathType}`;
+      lengths.set(key, {
+        key,
+        kind: TAKEOFF_LINE_KIND.LENGTH,
+        toolGroup,
+        type: pathType,
+        pixels: (lengths.get(key)?.pixels || 0) + pixels,
+      });
+    }
+
+    (obj.pointTasks || []).forEach((task) => {
+      if (!task?.requiredType) return;
+      addCount(
+        toolGroup,
+        POINT_TYPE_ALIASES[task.requiredType] || task.requiredType,
+        1,
+      );
+    });
+  });
+
+  const lengthLines = Array.from(lengths.values()).map(
+    ({ pixels, ...line }) => ({
+      ...line,
+      quantity: pixelsPerMeter ? roundUpLength(pixels / pixelsPerMeter) : null,
+      unit: TAKEOFF_LENGTH_UNIT,
+    }),
+  );
+  const countLines = Array.from(counts.values()).map((line) => ({
+    ...line,
+    unit: "",
+  }));
+
+  return [...lengthLines, ...countLines];
+};
+
+/**
+ * Combines take-offs of several sheets into one, summing lines with the same
+ * key. A length stays unmeasured (null) while any sheet contributing to it
+ * lacks a scale.
+ */
+export const mergeTakeoffLines = (lineGroups = []) => {
+  const merged = new Map();
+  lineGroups.flat().forEach((line) => {
+    const current = merged.get(line.key);
+    if (!current) {
+      merged.set(line.key, { ...line });
+      return;
+    }
+    current.quantity =
+      current.quantity === null || line.quantity === null
+        ? null
+        : Math.round((current.quantity + line.quantity) * 100) / 100;
+  });
+
+  const lines = Array.from(merged.values());
+  return [
+    ...lines.filter((line) => line.kind === TAKEOFF_LINE_KIND.LENGTH),
+    ...lines.filter((line) => line.kind !== TAKEOFF_LINE_KIND.LENGTH),
+  ];
+};
+
+const labelWords = (label) =>
+  String(label || "")
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word.replace(/s$/, ""));
+
+const normalizeName = (name) =>
+  String(name || "")
+    .trim()
+    .toLowerCase();
+
+const canStockLine = (line, material) => {
+  const family = getUnitFamily(material?.unit);
+  if (line.kind === TAKEOFF_LINE_KIND.LENGTH) {
+    return family === UNIT_FAMILY.LENGTH;
+  }
+  return family === null || family === UNIT_FAMILY.COUNT;
+};
+
+/**
+ * Best guess at which project material covers a take-off line: the material
+ * the line's symbol maps to (`line.materialName`) when the project stocks it,
+ * otherwise the first one with a suitable unit whose name contains every word
+ * of the line's label. Returns the material id, or "" when nothing matches.
+ */
+export const suggestTakeoffMaterialId = (line, label, materials = []) => {
+  const mapped = normalizeName(line.materialName);
+  const mappedMatch =
+    mapped &&
+    materials.find(
+      (material) =>
+        canStockLine(line, material) && normalizeName(material.name) === mapped,
+    );
+  if (mappedMatch) return mappedMatch.id;
+
+  const words = labelWords(label);
+  if (words.length === 0) return "";
+  const match = materials.find((material) => {
+    if (!canStockLine(line, material)) return false;
+    const name = labelWords(material.name).join(" ");
+    return words.every((word) => name.includes(word));
+  });
+  return match?.id || "";
+};
+
+/**
+ * Builds reservation requests from take-off lines and the material chosen for
+ * each line (`selections[line.key]`). Lengths are sent in metres and
+ * converted to the stock unit on reservation; counts are in the stock unit.
+ */
+export const buildTakeoffAllocations = (lines = [], selections = {}) =>
+  lines
+    .filter((line) => selections[line.key] && line.quantity > 0)
+    .map((line) =>
+      line.kind === TAKEOFF_LINE_KIND.LENGTH
+        ? {
+            materialId: selections[line.key],
+            quantityRequired: line.quantity,
+            unit: line.unit,
+          }
+        : {
+            materialId: selections[line.key],
+            quantityRequired: line.quantity,
+          },
+    );
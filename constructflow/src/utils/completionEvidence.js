@@ -0,0 +1,124 @@
+import { ref, uploadBytes, getDownloadURL } from "firebase/storage";
+import { storage } from "../firebase";
+
+// Proof of work and sign-off for blueprint completions. A point task, or an
+// object without point tasks, carries the worker's `evidence` (photos and a
+// note) while complete, the manager's `approval` once inspected, and the
+// manager's `rejection` once it has been sent back. Times are ISO strings so
+// stored copies compare equal to local ones.
+
+export const EVIDENCE_MAX_PHOTOS = 6;
+
+export const INSPECTION_STATUS = {
+  OPEN: "open",
+  PENDING: "pending",
+  APPROVED: "approved",
+  REJECTED: "rejected",
+};
+
+const normalizePhoto = (photo) =>
+  photo?.url
+    ? { url: photo.url, path: photo.path || null, name: photo.name || "" }
+    : null;
+
+const normalizeSignature = (raw) => ({
+  by: raw.by || null,
+  byName: raw.byName || null,
+  at: raw.at || null,
+});
+
+export const normalizeEvidence = (raw) => {
+  if (!raw) return null;
+  const photos = (raw.photos || []).map(normalizePhoto).filter(Boolean);
+  const note = typeof raw.note === "string" ? raw.note : "";
+  if (photos.length === 0 && !note.trim()) return null;
+  return { photos, note, ...normalizeSignature(raw) };
+};
+
+export const normalizeApproval = (raw) =>
+  raw ? normalizeSignature(raw) : null;
+
+export const normalizeRejection = (raw) =>
+  raw?.reason ? { reason: raw.reason, ...normalizeSignature(raw) } : null;
+
+// Installed work waits for inspection until a manager approves or rejects it.
+export const getInspectionStatus = (item) => {
+  if (item?.completed) {
+    return item.approval
+      ? INSPECTION_STATUS.APPROVED
+      : INSPECTION_STATUS.PENDING;
+  }
+  return item?.rejection ? INSPECTION_STATUS.REJECTED : INSPECTION_STATUS.OPEN;
+};
+
+const signedBy = (user) => ({
+  by: user?.uid,
+  byName: user?.name,
+  at: new Date().toISOString(),
+});
+
+/**
+ * Marks a task or object complete with the worker's evidence, clearing any
+ * earlier rejection. It then waits for inspection.
+ */
+export const completeWithEvidence = (
+  item,
+  { photos = [], note = "", user },
+) => ({
+  ...item,
+  completed: true,
+  evidence: normalizeEvidence({ photos, note: note.trim(), ...signedBy(user) }),
+  approval: null,
+  rejection: null,
+});
+
+// Back to open; the evidence no longer describes the work.
+export const reopenItem = (item) => ({
+  ...item,
+  completed: false,
+  evidence: null,
+  approval: null,
+});
+
+// A manager signs off installed work, keeping the worker's evidence.
+export const approveCompletion = (item, { user }) =>
+  item?.completed
+    ? { ...item, approval: normalizeApproval(signedBy(user)) }
+    : item;
+
+/**
+ * A manager sends a completion back: the task reopens and keeps the reason
+ * so the worker sees why.
+ */
+export const rejectCompletion = (item, { reason, user }) => ({
+  ...item,
+  completed: false,
+  evidence: null,
+  approval: null,
+  rejection: normalizeRejection({ reason: reason.trim(), ...signedBy(user) }),
+});
+
+export const getEvidenceStoragePath = (blueprintId, objectId, file, stamp) =>
+  `blueprints/evidence/${blueprintId}/${objectId}/${stamp}-${file.name}`;
+
+/**
+ * Uploads evidence photos for one object and returns them in stored form.
+ */
+export const uploadEvidencePhotos = async (
+  files,
+  { blueprintId, objectId },
+) => {
+  const stamp = Date.now();
+  const photos = [];
+  for (const file of files) {
+    const path = getEvidenceStoragePath(blueprintId, objectId, file, stamp);
+    const storageRef = ref(storage, path);
+    await uploadBytes(storageRef, file);
+    photos.push({
+      url: await getDownloadURL(storageRef),
+      path,
+      name: file.name,
+    });
+  }
+  return photos;
+};
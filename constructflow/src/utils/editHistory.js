@@ -0,0 +1,79 @@
+// Undo/redo history for blueprint edits. Each entry is a command holding the
+// objects before and after one edit; undo puts `before` back, redo `after`.
+
+export const EDIT_HISTORY_LIMIT = 100;
+
+// Edits sharing a coalesce key within this window (one drag, typing into one
+// field) collapse into a single undo step.
+export const COALESCE_WINDOW_MS = 1000;
+
+export const createEditHistory = () => ({ past: [], future: [] });
+
+/**
+ * Adds an edit to the history and clears anything that could be redone. The
+ * oldest entries are dropped once `limit` is reached.
+ */
+export const recordEdit = (
+  history,
+  { label, before, after, coalesceKey = null, at = Date.now() },
+  limit = EDIT_HISTORY_LIMIT,
+) => {
+  const last = history.past[history.past.length - 1];
+  if (
+    coalesceKey &&
+    last?.coalesceKey === coalesceKey &&
+    at - last.at <= COALESCE_WINDOW_MS
+  ) {
+    return {
+      past: [...history.past.slice(0, -1), { ...last, after, at }],
+      future: [],
+    };
+  }
+
+  return {
+    past: [...history.past, { label, before, after, coalesceKey, at }].slice(
+      -limit,
+    ),
+    future: [],
+  };
+};
+
+// Both return the entry to apply (null when there is nothing to step over)
+// and the history after the step.
+export const undoEdit = (history) => {
+  const entry = history.past[history.past.length - 1];
+  if (!entry) return { history, entry: null };
+  return {
+    history: {
+      past: history.past.slice(0, -1),
+      future: [...history.future, entry],
+    },
+    entry,
+  };
+};
+
+export const redoEdit = (history) => {
+  const entry = history.future[history.future.length - 1];
+  if (!entry) return { history, entry: null };
+  return {
+    history: {
+      past: [...history.past, entry],
+      future: history.future.slice(0, -1),
+    },
+    entry,
+  };
+};
+
+// Applies `patch` to every snapshot, e.g. to carry changes that arrived from
+// another editor, so stepping through history does not revert them.
+export const rebaseEdits = (history, patch) => {
+  const rebase = (entry) => ({
+    ...entry,
+    before: patch(entry.before),
+    after: patch(entry.after),
+  });
+  return {
+    past: history.past.map(rebase),
+    future: history.future.map(rebase),
+  };
+};
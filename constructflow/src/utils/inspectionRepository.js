@@ -0,0 +1,139 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  runTransaction,
+  where,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import {
+  approveCompletion,
+  getInspectionStatus,
+  INSPECTION_STATUS,
+  rejectCompletion,
+} from "./completionEvidence";
+
+export const INSPECTION_STALE_ERROR = "inspection/stale";
+
+// The units progress is counted in: required point tasks, or the object
+// itself when it has none.
+const getInspectionUnits = (obj) => {
+  const tasks = Array.isArray(obj?.pointTasks) ? obj.pointTasks : [];
+  const required = tasks
+    .map((task, pointIndex) => ({ unit: task, pointIndex }))
+    .filter(({ unit }) => unit?.requiredType);
+  return required.length > 0 ? required : [{ unit: obj, pointIndex: null }];
+};
+
+/**
+ * Installed work waiting for sign-off across `blueprints`, longest waiting
+ * first. Each entry is one object or point task:
+ * { key, blueprintId, blueprintName, projectId, taskId, objectId,
+ *   pointIndex, object, unit }.
+ */
+export const buildInspectionQueue = (blueprints = []) =>
+  blueprints
+    .flatMap((blueprint) =>
+      Object.entries(blueprint.objects || {}).flatMap(([objectId, obj]) =>
+        getInspectionUnits(obj)
+          .filter(
+            ({ unit }) =>
+              getInspectionStatus(unit) === INSPECTION_STATUS.PENDING,
+          )
+          .map(({ unit, pointIndex }) => ({
+            key: `${blueprint.id}:${objectId}:${pointIndex ?? "object"}`,
+            blueprintId: blueprint.id,
+            blueprintName: blueprint.name || "",
+            projectId: blueprint.projectId || null,
+            taskId: blueprint.taskId || null,
+            objectId,
+            pointIndex,
+            object: obj,
+            unit,
+          })),
+      ),
+    )
+    .sort((a, b) =>
+      (a.unit.evidence?.at || "").localeCompare(b.unit.evidence?.at || ""),
+    );
+
+export const loadInspectionData = async ({ organizationId }) => {
+  if (!organizationId) return { blueprints: [], projects: [] };
+  const [blueprintSnap, projectSnap] = await Promise.all([
+    getDocs(
+      query(
+        collection(db, "blueprints"),
+        where("organizationId", "==", organizationId),
+      ),
+    ),
+    getDocs(
+      query(
+        collection(db, "projects"),
+        where("organizationId", "==", organizationId),
+      ),
+    ),
+  ]);
+  return {
+    blueprints: blueprintSnap.docs.map((d) => ({ id: d.id, ...d.data() })),
+    projects: projectSnap.docs.map((d) => ({
+      id: d.id,
+      name: d.data()?.name || "Project",
+    })),
+  };
+};
+
+/**
+ * Approves or rejects one queued completion. Only that object's field is
+ * written, so edits to the rest of the blueprint made meanwhile are kept.
+ * Throws INSPECTION_STALE_ERROR when the work is no longer waiting, e.g. the
+ * worker reopened it or another manager got there first.
+ */
+export const reviewBlueprintCompletion = ({
+  blueprintId,
+  objectId,
+  pointIndex = null,
+  approve,
+  reason = "",
+  user,
+}) =>
+  runTransaction(db, async (transaction) => {
+    const blueprintRef = doc(db, "blueprints", blueprintId);
+    const snap = await transaction.get(blueprintRef);
+    const obj = snap.exists() ? snap.data().objects?.[objectId] : null;
+    const unit = pointIndex === null ? obj : obj?.pointTasks?.[pointIndex];
+    if (!unit || getInspectionStatus(unit) !== INSPECTION_STATUS.PENDING) {
+      const err = new Error("This work is no longer waiting for inspection.");
+      err.code = INSPECTION_STALE_ERROR;
+      err.details = { blueprintId, objectId, pointIndex };
+      throw err;
+    }
+
+    const decide = (item) =>
+      approve
+        ? approveCompletion(item, { user })
+        : rejectCompletion(item, { reason, user });
+    let next;
+    if (pointIndex === null) {
+      next = decide(obj);
+    } else {
+      const pointTasks = obj.pointTasks.map((task, index) =>
+        index === pointIndex ? decide(task) : task,
+      );
+      next = {
+        ...obj,
+        pointTasks,
+        completed: pointTasks
+          .filter((task) => task?.requiredType)
+          .every((task) => task.completed),
+      };
+    }
+
+    transaction.update(blueprintRef, {
+      [`objects.${objectId}`]: next,
+      updatedAt: new Date(),
+      updatedBy: user?.uid || null,
+      updatedByName: user?.name || null,
+    });
+    return next;
+  });
@@ -1,4 +1,16 @@
-import { DEFAULT_MATERIAL_UNIT, MATERIAL_STATUS } from "./materialsConstants";
+import {
+  DEFAULT_MATERIAL_UNIT,
+  MATERIAL_ALLOCATION_STATUS,
+  MATERIAL_REPORT_KIND,
+  MATERIAL_STATUS,
+  MATERIAL_STOCK_LEVEL,
+  MATERIAL_TRANSACTION_TYPE,
+} from "./materialsConstants";
+import {
+  areUnitsCompatible,
+  convertQuantity,
+  normalizeUnit,
+} from "./unitConversion";
 
 const toNumber = (value, fallback = 0) => {
   const parsed = Number(value);
@@ -14,7 +26,9 @@ export const normalizeInventoryMaterial = (raw = {}) => ({
   name: String(raw.name || "").trim(),
   unit: String(raw.unit || DEFAULT_MATERIAL_UNIT).trim(),
   quantityOnHand: toNonNegative(raw.quantityOnHand, 0),
+  quantityReserved: toNonNegative(raw.quantityReserved, 0),
   minimumThreshold: toNonNegative(raw.minimumThreshold, 0),
+  unitCost: toNonNegative(raw.unitCost, 0),
   status:
     raw.status === MATERIAL_STATUS.DEPLETED
       ? MATERIAL_STATUS.DEPLETED
@@ -22,28 +36,167 @@ export const normalizeInventoryMaterial = (raw = {}) => ({
   updatedAt: raw.updatedAt || null,
 });
 
-export const normalizeTaskAllocation = (raw = {}) => ({
-  materialId: String(raw.materialId || "").trim(),
-  quantityRequired: toNonNegative(raw.quantityRequired, 0),
-});
+// Stock that is on hand but not held by a task reservation.
+export const getAvailableQuantity = (material = {}) => {
+  const normalized = normalizeInventoryMaterial(material);
+  return Math.max(0, normalized.quantityOnHand - normalized.quantityReserved);
+};
 
-export const mergeAllocationsByMaterial = (allocations = []) => {
-  const totals = new Map();
+export const isBelowMinimumThreshold = (material = {}) => {
+  const normalized = normalizeInventoryMaterial(material);
+  return (
+    normalized.minimumThreshold > 0 &&
+    getAvailableQuantity(normalized) < normalized.minimumThreshold
+  );
+};
+
+export const getMaterialStockLevel = (material = {}) => {
+  const normalized = normalizeInventoryMaterial(material);
+  if (getAvailableQuantity(normalized) === 0) {
+    return MATERIAL_STOCK_LEVEL.DEPLETED;
+  }
+  if (isBelowMinimumThreshold(normalized)) return MATERIAL_STOCK_LEVEL.LOW;
+  return MATERIAL_STOCK_LEVEL.IN_STOCK;
+};
+
+export const isLowStock = (material = {}) =>
+  getMaterialStockLevel(material) !== MATERIAL_STOCK_LEVEL.IN_STOCK;
+
+// True when reserving `quantity` would leave the available stock under the
+// threshold (or empty) while it is currently at or above it.
+export const wouldDropBelowThreshold = (material = {}, quantity = 0) => {
+  const normalized = normalizeInventoryMaterial(material);
+  const before = getMaterialStockLevel(normalized);
+  const after = getMaterialStockLevel({
+    ...normalized,
+    quantityReserved: normalized.quantityReserved + toNonNegative(quantity),
+  });
+  return before === MATERIAL_STOCK_LEVEL.IN_STOCK && after !== before;
+};
+
+// `unit` is optional: an allocation without one is in the material's stock unit.
+export const normalizeTaskAllocation = (raw = {}) => {
+  const unit = String(raw.unit || "").trim();
+  return {
+    materialId: String(raw.materialId || "").trim(),
+    quantityRequired: toNonNegative(raw.quantityRequired, 0),
+    ...(unit ? { unit } : {}),
+  };
+};
 
+const toAllocationRows = (allocations = []) =>
   allocations
     .map(normalizeTaskAllocation)
-    .filter((row) => row.materialId && row.quantityRequired > 0)
-    .forEach((row) => {
-      const prev = totals.get(row.materialId) || 0;
-      totals.set(row.materialId, prev + row.quantityRequired);
-    });
+    .filter((row) => row.materialId && row.quantityRequired > 0);
+
+// The distinct materials a list of allocations asks for.
+export const getAllocatedMaterialIds = (allocations = []) =>
+  Array.from(new Set(toAllocationRows(allocations).map((row) => row.materialId)));
+
+// Allocations for the same material are summed in the unit of the first one;
+// later rows in another compatible unit are converted, incompatible ones throw.
+// Rows without a unit are in the stock unit from `stockUnits` (by material id),
+// which is needed to combine them with rows that name a unit.
+export const mergeAllocationsByMaterial = (allocations = [], stockUnits = {}) => {
+  const totals = new Map();
+
+  toAllocationRows(allocations).forEach((row) => {
+    const prev = totals.get(row.materialId);
+    if (!prev) {
+      totals.set(row.materialId, { ...row });
+      return;
+    }
+
+    const stockUnit = stockUnits?.[row.materialId];
+    const quantity =
+      prev.unit || row.unit
+        ? convertQuantity(
+            row.quantityRequired,
+            row.unit || stockUnit,
+            prev.unit || stockUnit,
+          )
+        : row.quantityRequired;
+    prev.quantityRequired += quantity;
+  });
+
+  return Array.from(totals.values());
+};
+
+const stockUnitsOf = (inventoryById = {}) =>
+  Object.fromEntries(
+    Object.values(inventoryById).map((item) => [item.id, item.unit]),
+  );
+
+// Expresses an allocation in the material's stock unit.
+export const convertAllocationToMaterialUnit = (material = {}, allocation = {}) => {
+  const normalized = normalizeTaskAllocation(allocation);
+  const stockUnit = normalizeInventoryMaterial(material).unit;
+  if (!normalized.unit) {
+    return {
+      materialId: normalized.materialId,
+      quantityRequired: normalized.quantityRequired,
+    };
+  }
+
+  return {
+    materialId: normalized.materialId,
+    quantityRequired: convertQuantity(
+      normalized.quantityRequired,
+      normalized.unit,
+      stockUnit,
+    ),
+  };
+};
+
+// Stock, reservations, the threshold and allocations are all recorded in the
+// material's unit, so it can only be relabelled while there are none, and then
+// only to a compatible unit.
+export const canChangeMaterialUnit = (material = {}, { hasAllocations = false } = {}) => {
+  const normalized = normalizeInventoryMaterial(material);
+  return (
+    normalized.quantityOnHand === 0 &&
+    normalized.quantityReserved === 0 &&
+    !hasAllocations
+  );
+};
+
+export const assertUnitChangeAllowed = (material = {}, unit, options = {}) => {
+  const normalized = normalizeInventoryMaterial(material);
+  if (!unit || normalizeUnit(unit) === normalizeUnit(normalized.unit)) return;
+
+  if (!areUnitsCompatible(normalized.unit, unit)) {
+    const err = new Error(`Cannot change ${normalized.unit} to ${unit}`);
+    err.code = "INCOMPATIBLE_UNITS";
+    err.details = {
+      materialId: normalized.id,
+      fromUnit: normalized.unit,
+      toUnit: unit,
+    };
+    throw err;
+  }
 
-  return Array.from(totals.entries()).map(([materialId, quantityRequired]) => ({
-    materialId,
-    quantityRequired,
-  }));
+  if (!canChangeMaterialUnit(normalized, options)) {
+    const err = new Error(
+      "The unit cannot change while the material has stock or task allocations",
+    );
+    err.code = "UNIT_CHANGE_BLOCKED";
+    err.details = {
+      materialId: normalized.id,
+      fromUnit: normalized.unit,
+      toUnit: unit,
+    };
+    throw err;
+  }
 };
 
+const unitErrorFor = (allocation, material) => ({
+  code: "INCOMPATIBLE_UNITS",
+  materialId: allocation.materialId,
+  materialName: material?.name,
+  unit: allocation.unit,
+  materialUnit: material?.unit,
+});
+
 export const buildInventoryById = (inventoryItems = []) =>
   inventoryItems
     .map(normalizeInventoryMaterial)
@@ -55,27 +208,48 @@ export const buildInventoryById = (inventoryItems = []) =>
 
 export const validateAssignmentDeduction = (inventoryItems = [], allocations = []) => {
   const inventoryById = buildInventoryById(inventoryItems);
-  const mergedAllocations = mergeAllocationsByMaterial(allocations);
   const errors = [];
 
-  mergedAllocations.forEach((allocation) => {
-    const material = inventoryById[allocation.materialId];
+  let mergedAllocations = [];
+  try {
+    mergedAllocations = mergeAllocationsByMaterial(
+      allocations,
+      stockUnitsOf(inventoryById),
+    );
+  } catch (err) {
+    if (err.code !== "INCOMPATIBLE_UNITS") throw err;
+    errors.push({ code: "INCOMPATIBLE_UNITS", ...err.details });
+    return { ok: false, errors };
+  }
+
+  mergedAllocations.forEach((requested) => {
+    const material = inventoryById[requested.materialId];
 
     if (!material) {
       errors.push({
         code: "MATERIAL_NOT_FOUND",
-        materialId: allocation.materialId,
-        required: allocation.quantityRequired,
+        materialId: requested.materialId,
+        required: requested.quantityRequired,
       });
       return;
     }
 
-    if (material.quantityOnHand < allocation.quantityRequired) {
+    let allocation;
+    try {
+      allocation = convertAllocationToMaterialUnit(material, requested);
+    } catch (err) {
+      if (err.code !== "INCOMPATIBLE_UNITS") throw err;
+      errors.push(unitErrorFor(requested, material));
+      return;
+    }
+
+    const availableQty = getAvailableQuantity(material);
+    if (availableQty < allocation.quantityRequired) {
       errors.push({
         code: "INSUFFICIENT_STOCK",
         materialId: allocation.materialId,
         materialName: material.name,
-        available: material.quantityOnHand,
+        available: availableQty,
         required: allocation.quantityRequired,
       });
     }
@@ -89,8 +263,7 @@ export const validateAssignmentDeduction = (inventoryItems = [], allocations = [
 
 export const applyAssignmentDeduction = (inventoryItems = [], allocations = []) => {
   const normalizedInventory = inventoryItems.map(normalizeInventoryMaterial);
-  const mergedAllocations = mergeAllocationsByMaterial(allocations);
-  const validation = validateAssignmentDeduction(normalizedInventory, mergedAllocations);
+  const validation = validateAssignmentDeduction(normalizedInventory, allocations);
 
   if (!validation.ok) {
     const err = new Error("Inventory assignment deduction failed");
@@ -98,10 +271,20 @@ export const applyAssignmentDeduction = (inventoryItems = [], allocations = [])
     throw err;
   }
 
-  const deductionById = mergedAllocations.reduce((acc, row) => {
-    acc[row.materialId] = row.quantityRequired;
-    return acc;
-  }, {});
+  const inventoryById = buildInventoryById(normalizedInventory);
+  const deductionById = mergeAllocationsByMaterial(
+    allocations,
+    stockUnitsOf(inventoryById),
+  ).reduce(
+    (acc, row) => {
+      acc[row.materialId] = convertAllocationToMaterialUnit(
+        inventoryById[row.materialId],
+        row,
+      ).quantityRequired;
+      return acc;
+    },
+    {},
+  );
 
   const deductionLog = [];
   const updatedInventory = normalizedInventory.map((item) => {
@@ -134,3 +317,139 @@ export const applyAssignmentDeduction = (inventoryItems = [], allocations = [])
     deductionLog,
   };
 };
+
+const normalizeMaterialName = (name) =>
+  String(name || "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Picks the material in the destination project that a transfer of `source`
+ * should credit: same name (ignoring case) in a unit the quantity converts to,
+ * preferring the exact unit. Returns null when a new material is needed.
+ */
+export const findTransferTarget = (source = {}, candidates = []) => {
+  const normalizedSource = normalizeInventoryMaterial(source);
+  const name = normalizeMaterialName(normalizedSource.name);
+  const matches = candidates
+    .map(normalizeInventoryMaterial)
+    .filter(
+      (candidate) =>
+        candidate.id !== normalizedSource.id &&
+        normalizeMaterialName(candidate.name) === name &&
+        areUnitsCompatible(candidate.unit, normalizedSource.unit),
+    );
+
+  return (
+    matches.find(
+      (candidate) =>
+        normalizeUnit(candidate.unit) === normalizeUnit(normalizedSource.unit),
+    ) ||
+    matches[0] ||
+    null
+  );
+};
+
+export const describeMaterialReport = ({ kind, quantity, unit } = {}) => {
+  const amount = `${toNonNegative(quantity)} ${unit || DEFAULT_MATERIAL_UNIT}`;
+  if (kind === MATERIAL_REPORT_KIND.LEFTOVER) return `${amount} left over`;
+  if (kind === MATERIAL_REPORT_KIND.SHORTAGE) return `Needs ${amount} more`;
+  return `Used ${amount}`;
+};
+
+const reportError = (code, message, details) => {
+  const err = new Error(message);
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+/**
+ * Works out how applying a worker report changes an allocation and its
+ * material. Reserved allocations only move the reservation until stock is
+ * actually used; consumed ones move quantityOnHand.
+ *
+ * Returns the next allocation quantity and status, the on-hand and reserved
+ * deltas, and the ledger type to record (null when on-hand is unchanged).
+ */
+export const planMaterialReportResolution = ({
+  allocation = {},
+  material = {},
+  report = {},
+} = {}) => {
+  const allocated = toNonNegative(allocation.quantityRequired);
+  const isReserved = allocation.status === MATERIAL_ALLOCATION_STATUS.RESERVED;
+  const currentStatus = isReserved
+    ? MATERIAL_ALLOCATION_STATUS.RESERVED
+    : MATERIAL_ALLOCATION_STATUS.CONSUMED;
+  const normalized = normalizeInventoryMaterial(material);
+  const quantity = toNonNegative(report.quantity);
+  const details = {
+    materialId: normalized.id,
+    kind: report.kind,
+    quantity,
+    allocated,
+  };
+
+  let plan;
+  if (report.kind === MATERIAL_REPORT_KIND.USAGE) {
+    plan = isReserved
+      ? {
+          quantityRequired: quantity,
+          onHandDelta: -quantity,
+          reservedDelta: -allocated,
+        }
+      : {
+          quantityRequired: quantity,
+          onHandDelta: allocated - quantity,
+          reservedDelta: 0,
+        };
+    if (normalized.quantityOnHand + plan.onHandDelta < 0) {
+      throw reportError("INSUFFICIENT_STOCK", "Insufficient stock", {
+        ...details,
+        available: normalized.quantityOnHand,
+      });
+    }
+    plan.allocationStatus = MATERIAL_ALLOCATION_STATUS.CONSUMED;
+  } else if (report.kind === MATERIAL_REPORT_KIND.LEFTOVER) {
+    if (quantity > allocated) {
+      throw reportError(
+        "INVALID_QUANTITY",
+        "Leftovers cannot exceed the allocated quantity",
+        details,
+      );
+    }
+    plan = {
+      quantityRequired: allocated - quantity,
+      onHandDelta: isReserved ? 0 : quantity,
+      reservedDelta: isReserved ? -quantity : 0,
+      allocationStatus: currentStatus,
+    };
+  } else if (report.kind === MATERIAL_REPORT_KIND.SHORTAGE) {
+    const availableQty = getAvailableQuantity(normalized);
+    if (availableQty < quantity) {
+      throw reportError("INSUFFICIENT_STOCK", "Insufficient stock", {
+        ...details,
+        available: availableQty,
+      });
+    }
+    plan = {
+      quantityRequired: allocated + quantity,
+      onHandDelta: isReserved ? 0 : -quantity,
+      reservedDelta: isReserved ? quantity : 0,
+      allocationStatus: currentStatus,
+    };
+  } else {
+    throw reportError("INVALID_REPORT", "Unknown material report kind", details);
+  }
+
+  return {
+    ...plan,
+    ledgerType:
+      plan.onHandDelta < 0
+        ? MATERIAL_TRANSACTION_TYPE.TASK_CONSUMPTION
+        : plan.onHandDelta > 0
+          ? MATERIAL_TRANSACTION_TYPE.ALLOCATION_RELEASE
+          : null,
+  };
+};
@@ -0,0 +1,49 @@
+import { toDate } from "./dateTime";
+
+const QTY_EPSILON = 1e-9;
+
+const toMillis = (value) => {
+  const date = toDate(value);
+  return date ? date.getTime() : Number.POSITIVE_INFINITY;
+};
+
+const sameQty = (a, b) => Math.abs(Number(a) - Number(b)) < QTY_EPSILON;
+
+// Pending serverTimestamp() writes have no performedAt yet; keep them last.
+export const sortTransactionsChronologically = (transactions = []) =>
+  [...transactions].sort(
+    (a, b) => toMillis(a?.performedAt) - toMillis(b?.performedAt),
+  );
+
+/**
+ * Orders ledger rows chronologically and annotates each with a running balance
+ * for its material. A row whose beforeQty does not equal the previous row's
+ * afterQty for the same material is flagged: something changed the stock
+ * without writing a transaction.
+ */
+export const buildMaterialLedger = (transactions = []) => {
+  const lastByMaterial = new Map();
+
+  return sortTransactionsChronologically(transactions).map((tx) => {
+    const previous = lastByMaterial.get(tx.materialId);
+    const quantityDelta = Number(tx.quantityDelta) || 0;
+    const runningBalance = previous
+      ? previous.runningBalance + quantityDelta
+      : (Number(tx.beforeQty) || 0) + quantityDelta;
+    const balanceMismatch = previous
+      ? !sameQty(tx.beforeQty, previous.afterQty)
+      : false;
+
+    const row = {
+      ...tx,
+      runningBalance,
+      balanceMismatch,
+      expectedBeforeQty: previous ? previous.afterQty : null,
+    };
+    lastByMaterial.set(tx.materialId, row);
+    return row;
+  });
+};
+
+export const countLedgerMismatches = (rows = []) =>
+  rows.filter((row) => row.balanceMismatch).length;
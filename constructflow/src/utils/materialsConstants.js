@@ -2,6 +2,9 @@ export const MATERIAL_COLLECTIONS = {
   MATERIALS: "materials",
   TASK_ALLOCATIONS: "taskMaterialAllocations",
   TRANSACTIONS: "materialTransactions",
+  REPORTS: "materialReports",
+  SUPPLIERS: "suppliers",
+  PURCHASE_ORDERS: "purchaseOrders",
 };
 
 export const MATERIAL_STATUS = {
@@ -9,10 +12,55 @@ export const MATERIAL_STATUS = {
   DEPLETED: "depleted",
 };
 
+// Derived from the available quantity (on hand minus reserved) and
+// minimumThreshold; never stored on the doc.
+export const MATERIAL_STOCK_LEVEL = {
+  IN_STOCK: "in_stock",
+  LOW: "low",
+  DEPLETED: "depleted",
+};
+
 export const MATERIAL_TRANSACTION_TYPE = {
   TASK_ASSIGNMENT_DEDUCTION: "TASK_ASSIGNMENT_DEDUCTION",
   RESTOCK: "RESTOCK",
   MANUAL_ADJUSTMENT: "MANUAL_ADJUSTMENT",
+  ALLOCATION_RELEASE: "ALLOCATION_RELEASE",
+  TASK_CONSUMPTION: "TASK_CONSUMPTION",
+  WORKER_REPORT: "WORKER_REPORT",
+  // Written in pairs sharing a transferId: one debits the source project's
+  // material, the other credits the destination project's.
+  TRANSFER_OUT: "TRANSFER_OUT",
+  TRANSFER_IN: "TRANSFER_IN",
+};
+
+// Reserved allocations hold stock without deducting it; consumed ones have
+// been deducted from quantityOnHand.
+export const MATERIAL_ALLOCATION_STATUS = {
+  RESERVED: "reserved",
+  CONSUMED: "consumed",
+};
+
+// What a worker reports against a task allocation: the quantity actually used,
+// leftovers handed back, or extra quantity still needed.
+export const MATERIAL_REPORT_KIND = {
+  USAGE: "usage",
+  LEFTOVER: "leftover",
+  SHORTAGE: "shortage",
+};
+
+export const MATERIAL_REPORT_STATUS = {
+  PENDING: "pending",
+  APPLIED: "applied",
+  DISMISSED: "dismissed",
+};
+
+// Drafts can still be edited; once ordered, receiving moves an order through
+// partially received to received.
+export const PURCHASE_ORDER_STATUS = {
+  DRAFT: "draft",
+  ORDERED: "ordered",
+  PARTIALLY_RECEIVED: "partially_received",
+  RECEIVED: "received",
 };
 
 export const TASK_STATUS = {
@@ -27,10 +75,15 @@ export const MATERIAL_UNITS = [
   "unit",
   "pcs",
   "m",
+  "cm",
+  "mm",
   "ft",
+  "in",
   "kg",
   "g",
+  "lb",
   "l",
+  "ml",
   "box",
   "roll",
   "bundle",
@@ -0,0 +1,241 @@
+import {
+  getAvailableQuantity,
+  normalizeInventoryMaterial,
+} from "./inventoryDomain";
+import { MATERIAL_UNITS } from "./materialsConstants";
+import { toDate } from "./dateTime";
+import { sortTransactionsChronologically } from "./materialLedger";
+
+export const MATERIAL_CSV_FIELDS = [
+  { key: "name", label: "Name", required: true },
+  { key: "unit", label: "Unit", required: false },
+  { key: "quantityOnHand", label: "Quantity on hand", required: false },
+  { key: "minimumThreshold", label: "Minimum threshold", required: false },
+  { key: "unitCost", label: "Unit cost", required: false },
+];
+
+const HEADER_ALIASES = {
+  name: ["name", "material", "material name", "item", "description"],
+  unit: ["unit", "units", "uom", "unit of measure"],
+  quantityOnHand: [
+    "quantityonhand",
+    "quantity on hand",
+    "quantity",
+    "qty",
+    "on hand",
+    "stock",
+    "in stock",
+  ],
+  minimumThreshold: [
+    "minimumthreshold",
+    "minimum threshold",
+    "minimum",
+    "min",
+    "threshold",
+    "reorder level",
+  ],
+  unitCost: ["unitcost", "unit cost", "cost", "price", "unit price"],
+};
+
+const normalizeHeader = (value) =>
+  String(value || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[_-]+/g, " ")
+    .replace(/\s+/g, " ");
+
+/**
+ * Parses CSV text into an array of rows (arrays of strings). Handles quoted
+ * fields, escaped quotes ("") and CRLF line endings. Blank lines are dropped.
+ */
+export const parseCsv = (text = "") => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const source = String(text).replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && source[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+};
+
+const escapeCsvValue = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (headers = [], rows = []) =>
+  [headers, ...rows]
+    .map((cells) => cells.map(escapeCsvValue).join(","))
+    .join("\r\n");
+
+// Maps each material field to a column index (or -1) based on header names.
+export const guessColumnMapping = (headers = []) => {
+  const normalized = headers.map(normalizeHeader);
+  return MATERIAL_CSV_FIELDS.reduce((acc, field) => {
+    const aliases = HEADER_ALIASES[field.key].map(normalizeHeader);
+    acc[field.key] = normalized.findIndex((header) => aliases.includes(header));
+    return acc;
+  }, {});
+};
+
+const readCell = (cells, index) =>
+  index >= 0 && index < cells.length ? String(cells[index]).trim() : "";
+
+const validateNumberCell = (raw, label, errors) => {
+  if (raw === "") return;
+  const parsed = Number(raw);
+  if (!Number.isFinite(parsed)) {
+    errors.push(`${label} must be a number.`);
+  } else if (parsed < 0) {
+    errors.push(`${label} cannot be negative.`);
+  }
+};
+
+/**
+ * Turns parsed data rows into an import preview. Each entry has the
+ * spreadsheet row number, the normalized material and any validation errors.
+ * Names already in `existingNames` or repeated in the file are rejected.
+ */
+export const buildMaterialImportPreview = (
+  dataRows = [],
+  mapping = {},
+  { existingNames = [], firstRowNumber = 2 } = {},
+) => {
+  const seenNames = new Set(
+    existingNames.map((name) =>
+      String(name || "")
+        .trim()
+        .toLowerCase(),
+    ),
+  );
+
+  return dataRows.map((cells, index) => {
+    const errors = [];
+    const raw = {
+      name: readCell(cells, mapping.name),
+      unit: readCell(cells, mapping.unit),
+      quantityOnHand: readCell(cells, mapping.quantityOnHand),
+      minimumThreshold: readCell(cells, mapping.minimumThreshold),
+      unitCost: readCell(cells, mapping.unitCost),
+    };
+
+    if (!raw.name) errors.push("Name is required.");
+    if (raw.unit && !MATERIAL_UNITS.includes(raw.unit.toLowerCase())) {
+      errors.push(`Unknown unit "${raw.unit}".`);
+    }
+    validateNumberCell(raw.quantityOnHand, "Quantity on hand", errors);
+    validateNumberCell(raw.minimumThreshold, "Minimum threshold", errors);
+    validateNumberCell(raw.unitCost, "Unit cost", errors);
+
+    const material = normalizeInventoryMaterial({
+      ...raw,
+      unit: raw.unit.toLowerCase(),
+    });
+
+    const nameKey = material.name.toLowerCase();
+    if (nameKey && seenNames.has(nameKey)) {
+      errors.push(`"${material.name}" already exists.`);
+    }
+    if (nameKey) seenNames.add(nameKey);
+
+    return {
+      rowNumber: firstRowNumber + index,
+      material: {
+        name: material.name,
+        unit: material.unit,
+        quantityOnHand: material.quantityOnHand,
+        minimumThreshold: material.minimumThreshold,
+        unitCost: material.unitCost,
+      },
+      errors,
+    };
+  });
+};
+
+export const buildInventoryCsv = (materials = []) =>
+  toCsv(
+    [
+      "name",
+      "unit",
+      "quantityOnHand",
+      "quantityReserved",
+      "availableQty",
+      "minimumThreshold",
+      "unitCost",
+      "status",
+    ],
+    materials.map((material) => [
+      material.name,
+      material.unit,
+      material.quantityOnHand,
+      material.quantityReserved || 0,
+      getAvailableQuantity(material),
+      material.minimumThreshold,
+      material.unitCost || 0,
+      material.status,
+    ]),
+  );
+
+export const buildTransactionsCsv = (transactions = [], materialNames = {}) =>
+  toCsv(
+    [
+      "performedAt",
+      "material",
+      "type",
+      "quantityDelta",
+      "beforeQty",
+      "afterQty",
+      "unitCost",
+      "taskId",
+      "performedBy",
+      "note",
+    ],
+    sortTransactionsChronologically(transactions).map((tx) => [
+      toDate(tx.performedAt)?.toISOString() || "",
+      materialNames[tx.materialId] || tx.materialId,
+      tx.type,
+      tx.quantityDelta,
+      tx.beforeQty,
+      tx.afterQty,
+      tx.unitCost ?? "",
+      tx.taskId || "",
+      tx.performedBy,
+      tx.note,
+    ]),
+  );
@@ -0,0 +1,207 @@
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  updateDoc,
+  where,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import {
+  getMaterialStockLevel,
+  isBelowMinimumThreshold,
+} from "./inventoryDomain";
+import { buildMaterialLedger } from "./materialLedger";
+import {
+  listOrganizationMaterialTransactions,
+  listOrganizationMaterials,
+  listOrganizationTaskAllocations,
+  listProjectMaterialTransactions,
+  listProjectMaterials,
+} from "./materialsRepository";
+import { normalizeBudget, summarizeProjectCost } from "./projectCosting";
+
+export const INVENTORY_FILTER_ALL = "all";
+
+const byName = (a, b) =>
+  String(a?.name || "").localeCompare(String(b?.name || ""));
+
+export async function loadInventoryConsoleData({
+  organizationId,
+  currentUid,
+  isManager,
+}) {
+  if (!organizationId) {
+    return { projects: [], materials: [] };
+  }
+
+  const projectQ = query(
+    collection(db, "projects"),
+    where("organizationId", "==", organizationId),
+  );
+  const projectSnap = await getDocs(projectQ);
+  let projects = projectSnap.docs.map((d) => ({
+    id: d.id,
+    name: d.data()?.name || "Project",
+  }));
+
+  // Workers only see inventory for projects they have tasks in
+  if (!isManager) {
+    if (!currentUid) return { projects: [], materials: [] };
+
+    const taskQ = query(
+      collection(db, "tasks"),
+      where("assignedWorkerId", "==", currentUid),
+    );
+    const taskSnap = await getDocs(taskQ);
+    const assignedProjectIds = new Set(
+      taskSnap.docs
+        .map((d) => d.data())
+        .filter((task) => task.organizationId === organizationId)
+        .map((task) => task.projectId)
+        .filter(Boolean),
+    );
+    projects = projects.filter((project) => assignedProjectIds.has(project.id));
+  }
+
+  projects.sort(byName);
+
+  const materialsByProject = await Promise.all(
+    projects.map(async (project) => {
+      const materials = await listProjectMaterials({
+        organizationId,
+        projectId: project.id,
+      });
+      return materials.map((material) => ({
+        ...material,
+        projectId: project.id,
+        projectName: project.name,
+      }));
+    }),
+  );
+
+  const materials = materialsByProject
+    .flat()
+    .sort((a, b) => a.projectName.localeCompare(b.projectName) || byName(a, b));
+
+  return { projects, materials };
+}
+
+export function filterInventoryRows(
+  rows = [],
+  {
+    projectId = INVENTORY_FILTER_ALL,
+    status = INVENTORY_FILTER_ALL,
+    belowThresholdOnly = false,
+  } = {},
+) {
+  return rows.filter((row) => {
+    if (projectId !== INVENTORY_FILTER_ALL && row.projectId !== projectId) {
+      return false;
+    }
+    if (
+      status !== INVENTORY_FILTER_ALL &&
+      getMaterialStockLevel(row) !== status
+    ) {
+      return false;
+    }
+    if (belowThresholdOnly && !isBelowMinimumThreshold(row)) {
+      return false;
+    }
+    return true;
+  });
+}
+
+/**
+ * Loads the transaction ledger for a project, or for one material when
+ * materialId is given. Rows come back chronological with running balances and
+ * resolved names for the performer and linked task.
+ */
+export async function loadMaterialLedger({
+  organizationId,
+  projectId,
+  materialId = null,
+}) {
+  if (!organizationId || !projectId) return [];
+
+  const [transactions, userSnap, taskSnap] = await Promise.all([
+    listProjectMaterialTransactions({ organizationId, projectId }),
+    getDocs(
+      query(
+        collection(db, "users"),
+        where("organizationId", "==", organizationId),
+      ),
+    ),
+    getDocs(
+      query(collection(db, "tasks"), where("projectId", "==", projectId)),
+    ),
+  ]);
+
+  const userNames = new Map(
+    userSnap.docs.map((d) => [d.id, d.data()?.name || d.data()?.email || ""]),
+  );
+  const taskTitles = new Map(
+    taskSnap.docs.map((d) => [d.id, d.data()?.title || "Task"]),
+  );
+
+  const scoped = materialId
+    ? transactions.filter((tx) => tx.materialId === materialId)
+    : transactions;
+
+  return buildMaterialLedger(scoped).map((row) => ({
+    ...row,
+    performedByName: userNames.get(row.performedBy) || row.performedBy || "—",
+    taskTitle: row.taskId ? taskTitles.get(row.taskId) || row.taskId : "",
+  }));
+}
+
+const groupByProject = (rows = []) =>
+  rows.reduce((acc, row) => {
+    if (!row.projectId) return acc;
+    const current = acc.get(row.projectId) || [];
+    current.push(row);
+    acc.set(row.projectId, current);
+    return acc;
+  }, new Map());
+
+/**
+ * Material cost against budget for each of `projects` ({ id, budget }),
+ * returned as a Map keyed by project id. Reads the organisation's materials,
+ * allocations and ledger once and splits them per project.
+ */
+export async function loadProjectCostSummaries({
+  organizationId,
+  projects = [],
+}) {
+  if (!organizationId || projects.length === 0) return new Map();
+
+  const [materials, allocations, transactions] = await Promise.all([
+    listOrganizationMaterials({ organizationId }),
+    listOrganizationTaskAllocations({ organizationId }),
+    listOrganizationMaterialTransactions({ organizationId }),
+  ]);
+
+  const materialsByProject = groupByProject(materials);
+  const allocationsByProject = groupByProject(allocations);
+  const transactionsByProject = groupByProject(transactions);
+
+  return new Map(
+    projects.map((project) => [
+      project.id,
+      summarizeProjectCost({
+        budget: project.budget,
+        materials: materialsByProject.get(project.id) || [],
+        allocations: allocationsByProject.get(project.id) || [],
+        transactions: transactionsByProject.get(project.id) || [],
+      }),
+    ]),
+  );
+}
+
+export async function updateProjectBudget({ projectId, budget }) {
+  if (!projectId) throw new Error("projectId is required");
+
+  const nextBudget = normalizeBudget(budget);
+  await updateDoc(doc(db, "projects", projectId), { budget: nextBudget });
+  return nextBudget;
+}
@@ -1,7 +1,6 @@
 import {
   addDoc,
   collection,
-  deleteDoc,
   doc,
   getDocs,
   query,
@@ -10,18 +9,30 @@ import {
   setDoc,
   updateDoc,
   where,
+  writeBatch,
 } from "firebase/firestore";
 import { db } from "../firebase";
 import {
+  assertUnitChangeAllowed,
+  convertAllocationToMaterialUnit,
+  describeMaterialReport,
+  findTransferTarget,
+  getAllocatedMaterialIds,
+  getAvailableQuantity,
   mergeAllocationsByMaterial,
   normalizeInventoryMaterial,
   normalizeTaskAllocation,
+  planMaterialReportResolution,
 } from "./inventoryDomain";
 import {
+  MATERIAL_ALLOCATION_STATUS,
   MATERIAL_COLLECTIONS,
+  MATERIAL_REPORT_KIND,
+  MATERIAL_REPORT_STATUS,
   MATERIAL_STATUS,
   MATERIAL_TRANSACTION_TYPE,
 } from "./materialsConstants";
+import { convertQuantity, normalizeUnit } from "./unitConversion";
 
 export const buildTaskMaterialAllocationId = (taskId, materialId) =>
   `${String(taskId || "").trim()}_${String(materialId || "").trim()}`;
@@ -45,6 +56,13 @@ const normalizeAllocationDoc = (docSnap) => {
     projectId: data.projectId || "",
     taskId: data.taskId || "",
     ...normalized,
+    // Allocations written before reservations existed were deducted on
+    // assignment, so a missing status means consumed.
+    status:
+      data.status === MATERIAL_ALLOCATION_STATUS.RESERVED
+        ? MATERIAL_ALLOCATION_STATUS.RESERVED
+        : MATERIAL_ALLOCATION_STATUS.CONSUMED,
+    consumedAt: data.consumedAt || null,
     createdAt: data.createdAt || null,
     updatedAt: data.updatedAt || null,
   };
@@ -66,6 +84,14 @@ const normalizeTransactionDoc = (docSnap) => {
       ? Number(data.beforeQty)
       : 0,
     afterQty: Number.isFinite(Number(data.afterQty)) ? Number(data.afterQty) : 0,
+    // null on entries written before materials carried a unit cost
+    unitCost:
+      data.unitCost === undefined || data.unitCost === null
+        ? null
+        : Number(data.unitCost) || 0,
+    transferId: data.transferId || null,
+    counterpartProjectId: data.counterpartProjectId || null,
+    counterpartMaterialId: data.counterpartMaterialId || null,
     performedBy: data.performedBy || "",
     performedAt: data.performedAt || null,
     note: data.note || "",
@@ -85,6 +111,18 @@ export const listProjectMaterials = async ({ organizationId, projectId }) => {
   return snap.docs.map(normalizeMaterialDoc);
 };
 
+export const listOrganizationMaterials = async ({ organizationId }) => {
+  if (!organizationId) return [];
+
+  const ref = query(
+    collection(db, MATERIAL_COLLECTIONS.MATERIALS),
+    where("organizationId", "==", organizationId),
+  );
+
+  const snap = await getDocs(ref);
+  return snap.docs.map(normalizeMaterialDoc);
+};
+
 export const listTaskMaterialAllocations = async ({
   organizationId,
   projectId,
@@ -103,6 +141,30 @@ export const listTaskMaterialAllocations = async ({
   return snap.docs.map(normalizeAllocationDoc);
 };
 
+export const listOrganizationTaskAllocations = async ({ organizationId }) => {
+  if (!organizationId) return [];
+
+  const ref = query(
+    collection(db, MATERIAL_COLLECTIONS.TASK_ALLOCATIONS),
+    where("organizationId", "==", organizationId),
+  );
+
+  const snap = await getDocs(ref);
+  return snap.docs.map(normalizeAllocationDoc);
+};
+
+export const listOrganizationMaterialTransactions = async ({ organizationId }) => {
+  if (!organizationId) return [];
+
+  const ref = query(
+    collection(db, MATERIAL_COLLECTIONS.TRANSACTIONS),
+    where("organizationId", "==", organizationId),
+  );
+
+  const snap = await getDocs(ref);
+  return snap.docs.map(normalizeTransactionDoc);
+};
+
 export const listProjectMaterialTransactions = async ({
   organizationId,
   projectId,
@@ -144,6 +206,7 @@ export const createMaterial = async ({
   unit,
   quantityOnHand,
   minimumThreshold,
+  unitCost,
   createdBy,
 }) => {
   if (!organizationId || !projectId) {
@@ -155,6 +218,7 @@ export const createMaterial = async ({
     unit,
     quantityOnHand,
     minimumThreshold,
+    unitCost,
   });
 
   const status =
@@ -169,6 +233,7 @@ export const createMaterial = async ({
     unit: normalized.unit,
     quantityOnHand: normalized.quantityOnHand,
     minimumThreshold: normalized.minimumThreshold,
+    unitCost: normalized.unitCost,
     status,
     createdBy: createdBy || "",
     createdAt: serverTimestamp(),
@@ -179,9 +244,63 @@ export const createMaterial = async ({
   return { id: ref.id, ...payload };
 };
 
-export const updateMaterial = async ({ materialId, updates = {} }) => {
-  if (!materialId) throw new Error("materialId is required");
+// Firestore caps a write batch at 500 operations.
+const MAX_BATCH_WRITES = 500;
+
+export const createMaterialsBatch = async ({
+  organizationId,
+  projectId,
+  materials = [],
+  createdBy,
+}) => {
+  if (!organizationId || !projectId) {
+    throw new Error("organizationId and projectId are required");
+  }
+
+  const payloads = materials.map((material) => {
+    const normalized = normalizeInventoryMaterial(material);
+    return {
+      organizationId,
+      projectId,
+      name: normalized.name,
+      unit: normalized.unit,
+      quantityOnHand: normalized.quantityOnHand,
+      minimumThreshold: normalized.minimumThreshold,
+      unitCost: normalized.unitCost,
+      status:
+        normalized.quantityOnHand <= 0
+          ? MATERIAL_STATUS.DEPLETED
+          : MATERIAL_STATUS.ACTIVE,
+      createdBy: createdBy || "",
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    };
+  });
+
+  if (payloads.some((payload) => !payload.name)) {
+    const err = new Error("Every imported material needs a name");
+    err.code = "INVALID_MATERIAL";
+    throw err;
+  }
+
+  const created = [];
+  for (let start = 0; start < payloads.length; start += MAX_BATCH_WRITES) {
+    const batch = writeBatch(db);
+    payloads.slice(start, start + MAX_BATCH_WRITES).forEach((payload) => {
+      const ref = doc(collection(db, MATERIAL_COLLECTIONS.MATERIALS));
+      batch.set(ref, payload);
+      created.push({ id: ref.id, ...payload });
+    });
+    await batch.commit();
+  }
 
+  return created;
+};
+
+// Material details only. Stock never changes here: quantities go through
+// restockMaterial, adjustMaterialQuantity and the allocation functions so
+// every change is in the ledger.
+const buildMaterialPatch = (updates = {}) => {
   const patch = {};
 
   if (updates.name !== undefined) patch.name = String(updates.name || "").trim();
@@ -189,25 +308,485 @@ export const updateMaterial = async ({ materialId, updates = {} }) => {
   if (updates.minimumThreshold !== undefined) {
     patch.minimumThreshold = Math.max(0, Number(updates.minimumThreshold) || 0);
   }
-
-  if (updates.quantityOnHand !== undefined) {
-    patch.quantityOnHand = Math.max(0, Number(updates.quantityOnHand) || 0);
-    patch.status =
-      patch.quantityOnHand <= 0
-        ? MATERIAL_STATUS.DEPLETED
-        : MATERIAL_STATUS.ACTIVE;
+  if (updates.unitCost !== undefined) {
+    patch.unitCost = Math.max(0, Number(updates.unitCost) || 0);
   }
 
+  return patch;
+};
+
+// Throws unless `materialData` can be relabelled to `unit`; see
+// assertUnitChangeAllowed. Only queries allocations when the unit changes.
+const checkMaterialUnitChange = async (materialId, materialData, unit) => {
+  const material = normalizeInventoryMaterial({ id: materialId, ...materialData });
+  if (!unit || normalizeUnit(unit) === normalizeUnit(material.unit)) return;
+
+  const allocationsSnap = await getDocs(
+    query(
+      collection(db, MATERIAL_COLLECTIONS.TASK_ALLOCATIONS),
+      where("organizationId", "==", materialData.organizationId || ""),
+      where("projectId", "==", materialData.projectId || ""),
+      where("materialId", "==", materialId),
+    ),
+  );
+  assertUnitChangeAllowed(material, unit, {
+    hasAllocations: allocationsSnap.docs.length > 0,
+  });
+};
+
+export const updateMaterial = async ({ materialId, updates = {} }) => {
+  if (!materialId) throw new Error("materialId is required");
+
+  const patch = buildMaterialPatch(updates);
   patch.updatedAt = serverTimestamp();
 
+  if (patch.unit !== undefined) {
+    await runTransaction(db, async (transaction) => {
+      const materialRef = doc(db, MATERIAL_COLLECTIONS.MATERIALS, materialId);
+      const materialSnap = await transaction.get(materialRef);
+      if (!materialSnap.exists()) {
+        const err = new Error("Material not found");
+        err.code = "MATERIAL_NOT_FOUND";
+        err.details = { materialId };
+        throw err;
+      }
+      await checkMaterialUnitChange(materialId, materialSnap.data() || {}, patch.unit);
+      transaction.update(materialRef, patch);
+    });
+    return patch;
+  }
+
   await updateDoc(doc(db, MATERIAL_COLLECTIONS.MATERIALS, materialId), patch);
   return patch;
 };
 
+// Refuses while tasks hold reservations on the material: those allocations
+// would be left pointing at nothing. Release them first.
 export const removeMaterial = async ({ materialId }) => {
   if (!materialId) throw new Error("materialId is required");
 
-  await deleteDoc(doc(db, MATERIAL_COLLECTIONS.MATERIALS, materialId));
+  await runTransaction(db, async (transaction) => {
+    const materialRef = doc(db, MATERIAL_COLLECTIONS.MATERIALS, materialId);
+    const materialSnap = await transaction.get(materialRef);
+    if (!materialSnap.exists()) return;
+
+    const material = normalizeInventoryMaterial({
+      id: materialSnap.id,
+      ...materialSnap.data(),
+    });
+    if (material.quantityReserved > 0) {
+      const err = new Error(
+        "Material is reserved for tasks; release the reservations before removing it",
+      );
+      err.code = "MATERIAL_RESERVED";
+      err.details = { materialId, quantityReserved: material.quantityReserved };
+      throw err;
+    }
+
+    transaction.delete(materialRef);
+  });
+};
+
+// Writes a stock change and its ledger entry inside the caller's transaction.
+// `materialSnap` must already have been read there, since Firestore requires
+// every read before the first write. `patch` holds material details saved
+// together with the change.
+const applyStockChange = (
+  transaction,
+  {
+    materialRef,
+    materialSnap,
+    type,
+    resolveAfterQty,
+    note,
+    performedBy,
+    patch = {},
+  },
+) => {
+  const materialData = materialSnap.data() || {};
+  const material = normalizeInventoryMaterial({
+    id: materialSnap.id,
+    ...materialData,
+  });
+
+  const beforeQty = material.quantityOnHand;
+  const afterQty = Math.max(0, resolveAfterQty(beforeQty));
+  const nextStatus =
+    afterQty === 0 ? MATERIAL_STATUS.DEPLETED : MATERIAL_STATUS.ACTIVE;
+
+  transaction.update(materialRef, {
+    ...patch,
+    quantityOnHand: afterQty,
+    status: nextStatus,
+    updatedAt: serverTimestamp(),
+  });
+
+  const transactionRef = doc(collection(db, MATERIAL_COLLECTIONS.TRANSACTIONS));
+  transaction.set(transactionRef, {
+    organizationId: materialData.organizationId || "",
+    projectId: materialData.projectId || "",
+    taskId: null,
+    materialId: materialRef.id,
+    type,
+    quantityDelta: afterQty - beforeQty,
+    beforeQty,
+    afterQty,
+    unitCost: material.unitCost,
+    performedBy: performedBy || "",
+    performedAt: serverTimestamp(),
+    note,
+  });
+
+  return {
+    materialId: materialRef.id,
+    quantityDelta: afterQty - beforeQty,
+    beforeQty,
+    afterQty,
+    status: nextStatus,
+  };
+};
+
+const postMaterialStockChange = async ({
+  materialId,
+  type,
+  resolveAfterQty,
+  note,
+  performedBy,
+  patch = {},
+}) => {
+  let result = null;
+
+  await runTransaction(db, async (transaction) => {
+    const materialRef = doc(db, MATERIAL_COLLECTIONS.MATERIALS, materialId);
+    const materialSnap = await transaction.get(materialRef);
+    if (!materialSnap.exists()) {
+      const err = new Error("Material not found");
+      err.code = "MATERIAL_NOT_FOUND";
+      err.details = { materialId };
+      throw err;
+    }
+
+    await checkMaterialUnitChange(
+      materialId,
+      materialSnap.data() || {},
+      patch.unit,
+    );
+
+    result = applyStockChange(transaction, {
+      materialRef,
+      materialSnap,
+      type,
+      resolveAfterQty,
+      note,
+      performedBy,
+      patch,
+    });
+  });
+
+  return result;
+};
+
+/**
+ * Posts a RESTOCK for a material inside the caller's transaction, e.g. when a
+ * purchase order is received. Writes the same ledger entry as restockMaterial.
+ */
+export const postRestockInTransaction = (
+  transaction,
+  { materialRef, materialSnap, quantity, note, performedBy },
+) => {
+  const restockQty = Math.max(0, Number(quantity) || 0);
+  return applyStockChange(transaction, {
+    materialRef,
+    materialSnap,
+    type: MATERIAL_TRANSACTION_TYPE.RESTOCK,
+    resolveAfterQty: (beforeQty) => beforeQty + restockQty,
+    note: String(note || "").trim() || "Restocked",
+    performedBy,
+  });
+};
+
+export const restockMaterial = async ({
+  materialId,
+  quantity,
+  reason,
+  performedBy,
+}) => {
+  if (!materialId) throw new Error("materialId is required");
+
+  const restockQty = Number(quantity);
+  if (!Number.isFinite(restockQty) || restockQty <= 0) {
+    const err = new Error("Restock quantity must be greater than zero");
+    err.code = "INVALID_QUANTITY";
+    err.details = { materialId, quantity };
+    throw err;
+  }
+
+  return postMaterialStockChange({
+    materialId,
+    type: MATERIAL_TRANSACTION_TYPE.RESTOCK,
+    resolveAfterQty: (beforeQty) => beforeQty + restockQty,
+    note: String(reason || "").trim() || "Restocked",
+    performedBy,
+  });
+};
+
+// Sets the counted quantity. Detail `updates` (as for updateMaterial) are
+// saved in the same transaction, so an edit form either saves fully or not.
+export const adjustMaterialQuantity = async ({
+  materialId,
+  newQuantity,
+  reason,
+  performedBy,
+  updates,
+}) => {
+  if (!materialId) throw new Error("materialId is required");
+
+  const countedQty = Number(newQuantity);
+  if (!Number.isFinite(countedQty) || countedQty < 0) {
+    const err = new Error("Adjusted quantity cannot be negative");
+    err.code = "INVALID_QUANTITY";
+    err.details = { materialId, newQuantity };
+    throw err;
+  }
+
+  const trimmedReason = String(reason || "").trim();
+  if (!trimmedReason) {
+    const err = new Error("A reason is required for manual adjustments");
+    err.code = "REASON_REQUIRED";
+    err.details = { materialId };
+    throw err;
+  }
+
+  return postMaterialStockChange({
+    materialId,
+    type: MATERIAL_TRANSACTION_TYPE.MANUAL_ADJUSTMENT,
+    resolveAfterQty: () => countedQty,
+    note: trimmedReason,
+    performedBy,
+    patch: buildMaterialPatch(updates),
+  });
+};
+
+const readProjectName = async (transaction, { organizationId, projectId }) => {
+  const projectSnap = await transaction.get(doc(db, "projects", projectId));
+  const data = projectSnap.exists() ? projectSnap.data() || {} : null;
+  if (!data || data.organizationId !== organizationId) {
+    const err = new Error("Project not found");
+    err.code = "PROJECT_NOT_FOUND";
+    err.details = { projectId };
+    throw err;
+  }
+  return data.name || "another project";
+};
+
+/**
+ * Moves stock from a material in one project to the matching material in
+ * another, creating it there when the destination has no material of that
+ * name in a compatible unit. Only available stock (on hand minus reserved)
+ * can leave. Both sides are logged as a TRANSFER_OUT / TRANSFER_IN pair
+ * sharing a transferId.
+ */
+export const transferMaterialBetweenProjects = async ({
+  organizationId,
+  materialId,
+  targetProjectId,
+  quantity,
+  performedBy,
+  note,
+}) => {
+  if (!organizationId || !materialId || !targetProjectId) {
+    throw new Error("organizationId, materialId, and targetProjectId are required");
+  }
+
+  const transferQty = Number(quantity);
+  if (!Number.isFinite(transferQty) || transferQty <= 0) {
+    const err = new Error("Transfer quantity must be greater than zero");
+    err.code = "INVALID_QUANTITY";
+    err.details = { materialId, quantity };
+    throw err;
+  }
+
+  // Transactions cannot run queries, so look up the destination's materials
+  // first and re-read the chosen one inside the transaction.
+  const targetCandidates = await listProjectMaterials({
+    organizationId,
+    projectId: targetProjectId,
+  });
+
+  let result = null;
+
+  await runTransaction(db, async (transaction) => {
+    const sourceRef = doc(db, MATERIAL_COLLECTIONS.MATERIALS, materialId);
+    const sourceSnap = await transaction.get(sourceRef);
+    if (!sourceSnap.exists()) {
+      const err = new Error("Material not found");
+      err.code = "MATERIAL_NOT_FOUND";
+      err.details = { materialId };
+      throw err;
+    }
+
+    const sourceData = sourceSnap.data() || {};
+    const source = normalizeInventoryMaterial({
+      id: sourceSnap.id,
+      ...sourceData,
+    });
+
+    if (sourceData.organizationId !== organizationId) {
+      const err = new Error("Material belongs to a different organization");
+      err.code = "MATERIAL_SCOPE_MISMATCH";
+      err.details = { materialId, organizationId };
+      throw err;
+    }
+    if (source.projectId === targetProjectId) {
+      const err = new Error("Choose a different project to transfer to");
+      err.code = "INVALID_TRANSFER";
+      err.details = { materialId, targetProjectId };
+      throw err;
+    }
+
+    const available = getAvailableQuantity(source);
+    if (available < transferQty) {
+      const err = new Error("Insufficient stock");
+      err.code = "INSUFFICIENT_STOCK";
+      err.details = { materialId, available, required: transferQty };
+      throw err;
+    }
+
+    const sourceProjectName = await readProjectName(transaction, {
+      organizationId,
+      projectId: source.projectId,
+    });
+    const targetProjectName = await readProjectName(transaction, {
+      organizationId,
+      projectId: targetProjectId,
+    });
+
+    let target = null;
+    let targetRef = null;
+    const match = findTransferTarget(source, targetCandidates);
+    if (match) {
+      targetRef = doc(db, MATERIAL_COLLECTIONS.MATERIALS, match.id);
+      const targetSnap = await transaction.get(targetRef);
+      if (targetSnap.exists()) {
+        target = normalizeInventoryMaterial({
+          id: targetSnap.id,
+          ...targetSnap.data(),
+        });
+      }
+    }
+
+    const created = !target;
+    if (created) {
+      targetRef = doc(collection(db, MATERIAL_COLLECTIONS.MATERIALS));
+      target = {
+        ...source,
+        id: targetRef.id,
+        projectId: targetProjectId,
+        quantityOnHand: 0,
+        quantityReserved: 0,
+      };
+    }
+
+    const targetQty = convertQuantity(transferQty, source.unit, target.unit);
+    const sourceAfterQty = source.quantityOnHand - transferQty;
+    const targetAfterQty = target.quantityOnHand + targetQty;
+    const sourceStatus =
+      sourceAfterQty === 0 ? MATERIAL_STATUS.DEPLETED : MATERIAL_STATUS.ACTIVE;
+
+    transaction.update(sourceRef, {
+      quantityOnHand: sourceAfterQty,
+      status: sourceStatus,
+      updatedAt: serverTimestamp(),
+    });
+
+    if (created) {
+      transaction.set(targetRef, {
+        organizationId,
+        projectId: targetProjectId,
+        name: source.name,
+        unit: source.unit,
+        quantityOnHand: targetAfterQty,
+        minimumThreshold: source.minimumThreshold,
+        unitCost: source.unitCost,
+        status: MATERIAL_STATUS.ACTIVE,
+        createdBy: performedBy || "",
+        createdAt: serverTimestamp(),
+        updatedAt: serverTimestamp(),
+      });
+    } else {
+      transaction.update(targetRef, {
+        quantityOnHand: targetAfterQty,
+        status: MATERIAL_STATUS.ACTIVE,
+        updatedAt: serverTimestamp(),
+      });
+    }
+
+    const trimmedNote = String(note || "").trim();
+    const outRef = doc(collection(db, MATERIAL_COLLECTIONS.TRANSACTIONS));
+    const inRef = doc(collection(db, MATERIAL_COLLECTIONS.TRANSACTIONS));
+    const transferId = outRef.id;
+
+    transaction.set(outRef, {
+      organizationId,
+      projectId: source.projectId,
+      taskId: null,
+      materialId: source.id,
+      type: MATERIAL_TRANSACTION_TYPE.TRANSFER_OUT,
+      quantityDelta: -transferQty,
+      beforeQty: source.quantityOnHand,
+      afterQty: sourceAfterQty,
+      unitCost: source.unitCost,
+      transferId,
+      counterpartProjectId: targetProjectId,
+      counterpartMaterialId: target.id,
+      performedBy: performedBy || "",
+      performedAt: serverTimestamp(),
+      note: trimmedNote || `Transferred to ${targetProjectName}`,
+    });
+
+    transaction.set(inRef, {
+      organizationId,
+      projectId: targetProjectId,
+      taskId: null,
+      materialId: target.id,
+      type: MATERIAL_TRANSACTION_TYPE.TRANSFER_IN,
+      quantityDelta: targetQty,
+      beforeQty: target.quantityOnHand,
+      afterQty: targetAfterQty,
+      unitCost: target.unitCost,
+      transferId,
+      counterpartProjectId: source.projectId,
+      counterpartMaterialId: source.id,
+      performedBy: performedBy || "",
+      performedAt: serverTimestamp(),
+      note: trimmedNote || `Transferred from ${sourceProjectName}`,
+    });
+
+    result = {
+      transferId,
+      source: {
+        materialId: source.id,
+        projectId: source.projectId,
+        quantity: transferQty,
+        unit: source.unit,
+        beforeQty: source.quantityOnHand,
+        afterQty: sourceAfterQty,
+        status: sourceStatus,
+      },
+      target: {
+        materialId: target.id,
+        projectId: targetProjectId,
+        projectName: targetProjectName,
+        created,
+        quantity: targetQty,
+        unit: target.unit,
+        beforeQty: target.quantityOnHand,
+        afterQty: targetAfterQty,
+      },
+    };
+  });
+
+  return result;
 };
 
 export const upsertTaskMaterialAllocation = async ({
@@ -252,132 +831,847 @@ export const upsertTaskMaterialAllocation = async ({
   };
 };
 
-export const removeTaskMaterialAllocation = async ({ taskId, materialId }) => {
+/**
+ * Lowers a task allocation to `quantityRequired` (0 removes it). Releasing a
+ * reservation only frees the reserved quantity; releasing consumed stock
+ * credits it back to the material and logs an ALLOCATION_RELEASE entry.
+ */
+export const releaseTaskMaterialAllocation = async ({
+  taskId,
+  materialId,
+  quantityRequired = 0,
+  performedBy,
+  note,
+}) => {
   if (!taskId || !materialId) {
     throw new Error("taskId and materialId are required");
   }
 
+  const nextRequired = Number(quantityRequired);
+  if (!Number.isFinite(nextRequired) || nextRequired < 0) {
+    const err = new Error("Allocation quantity cannot be negative");
+    err.code = "INVALID_QUANTITY";
+    err.details = { taskId, materialId, quantityRequired };
+    throw err;
+  }
+
   const allocationId = buildTaskMaterialAllocationId(taskId, materialId);
-  await deleteDoc(doc(db, MATERIAL_COLLECTIONS.TASK_ALLOCATIONS, allocationId));
+  const allocationRef = doc(db, MATERIAL_COLLECTIONS.TASK_ALLOCATIONS, allocationId);
+  const materialRef = doc(db, MATERIAL_COLLECTIONS.MATERIALS, materialId);
+  let result = null;
+
+  await runTransaction(db, async (transaction) => {
+    const allocationSnap = await transaction.get(allocationRef);
+    if (!allocationSnap.exists()) {
+      const err = new Error("Task allocation not found");
+      err.code = "ALLOCATION_NOT_FOUND";
+      err.details = { taskId, materialId };
+      throw err;
+    }
+
+    const allocationData = allocationSnap.data() || {};
+    const currentRequired = normalizeTaskAllocation(allocationData).quantityRequired;
+
+    if (nextRequired > currentRequired) {
+      const err = new Error("Release cannot increase the allocated quantity");
+      err.code = "INVALID_QUANTITY";
+      err.details = {
+        taskId,
+        materialId,
+        allocated: currentRequired,
+        quantityRequired: nextRequired,
+      };
+      throw err;
+    }
+
+    const materialSnap = await transaction.get(materialRef);
+    if (!materialSnap.exists()) {
+      const err = new Error("Material not found");
+      err.code = "MATERIAL_NOT_FOUND";
+      err.details = { materialId };
+      throw err;
+    }
+
+    const materialData = materialSnap.data() || {};
+    const material = normalizeInventoryMaterial({
+      id: materialSnap.id,
+      ...materialData,
+    });
+
+    const released = currentRequired - nextRequired;
+    const isReserved =
+      allocationData.status === MATERIAL_ALLOCATION_STATUS.RESERVED;
+    const beforeQty = material.quantityOnHand;
+    const afterQty = isReserved ? beforeQty : beforeQty + released;
+    const nextStatus =
+      afterQty === 0 ? MATERIAL_STATUS.DEPLETED : MATERIAL_STATUS.ACTIVE;
+
+    if (nextRequired === 0) {
+      transaction.delete(allocationRef);
+    } else {
+      transaction.update(allocationRef, {
+        quantityRequired: nextRequired,
+        updatedBy: performedBy || "",
+        updatedAt: serverTimestamp(),
+      });
+    }
+
+    if (released > 0 && isReserved) {
+      transaction.update(materialRef, {
+        quantityReserved: Math.max(0, material.quantityReserved - released),
+        updatedAt: serverTimestamp(),
+      });
+    } else if (released > 0) {
+      transaction.update(materialRef, {
+        quantityOnHand: afterQty,
+        status: nextStatus,
+        updatedAt: serverTimestamp(),
+      });
+
+      const transactionRef = doc(collection(db, MATERIAL_COLLECTIONS.TRANSACTIONS));
+      transaction.set(transactionRef, {
+        organizationId: allocationData.organizationId || materialData.organizationId || "",
+        projectId: allocationData.projectId || materialData.projectId || "",
+        taskId,
+        materialId,
+        type: MATERIAL_TRANSACTION_TYPE.ALLOCATION_RELEASE,
+        quantityDelta: released,
+        beforeQty,
+        afterQty,
+        unitCost: material.unitCost,
+        performedBy: performedBy || "",
+        performedAt: serverTimestamp(),
+        note:
+          note ||
+          (nextRequired === 0 ? "Released from task" : "Task allocation reduced"),
+      });
+    }
+
+    result = {
+      allocationId,
+      materialId,
+      released,
+      quantityRequired: nextRequired,
+      allocationStatus: isReserved
+        ? MATERIAL_ALLOCATION_STATUS.RESERVED
+        : MATERIAL_ALLOCATION_STATUS.CONSUMED,
+      beforeQty,
+      afterQty,
+      status: nextStatus,
+    };
+  });
+
+  return result;
+};
+
+export const removeTaskMaterialAllocation = async ({
+  taskId,
+  materialId,
+  performedBy,
+  note,
+}) =>
+  releaseTaskMaterialAllocation({
+    taskId,
+    materialId,
+    quantityRequired: 0,
+    performedBy,
+    note,
+  });
+
+// Reads every requested material once inside a transaction and merges the
+// allocations per material. Rows without a unit are in the stock unit, so the
+// merge needs the materials first.
+const readAllocationMaterials = async (transaction, allocations) => {
+  const materialSnaps = {};
+  for (const materialId of getAllocatedMaterialIds(allocations)) {
+    materialSnaps[materialId] = await transaction.get(
+      doc(db, MATERIAL_COLLECTIONS.MATERIALS, materialId),
+    );
+  }
+
+  const stockUnits = Object.fromEntries(
+    Object.entries(materialSnaps)
+      .filter(([, snap]) => snap.exists())
+      .map(([materialId, snap]) => [
+        materialId,
+        normalizeInventoryMaterial(snap.data() || {}).unit,
+      ]),
+  );
+  return {
+    materialSnaps,
+    mergedAllocations: mergeAllocationsByMaterial(allocations, stockUnits),
+  };
 };
 
-export const assignMaterialsToTaskWithDeduction = async ({
+// Checks a material read by readAllocationMaterials and expresses `requested`
+// in its stock unit. Throws when the material is missing, belongs to another
+// project, the units cannot be converted or stock beyond `alreadyReserved`
+// (held by this task already) is short.
+const readMaterialForAllocation = (
+  materialSnap,
+  { organizationId, projectId, requested, alreadyReserved = 0 },
+) => {
+  const materialRef = doc(db, MATERIAL_COLLECTIONS.MATERIALS, requested.materialId);
+
+  if (!materialSnap.exists()) {
+    const err = new Error("Material not found");
+    err.code = "MATERIAL_NOT_FOUND";
+    err.details = { materialId: requested.materialId };
+    throw err;
+  }
+
+  const materialData = materialSnap.data() || {};
+  const material = normalizeInventoryMaterial({
+    id: materialSnap.id,
+    ...materialData,
+  });
+
+  // Requests in a compatible unit (e.g. ft against stock in m) are
+  // converted so allocations and ledger entries stay in the stock unit.
+  let allocation;
+  try {
+    allocation = convertAllocationToMaterialUnit(material, requested);
+  } catch (conversionErr) {
+    if (conversionErr.code === "INCOMPATIBLE_UNITS") {
+      conversionErr.details = {
+        ...conversionErr.details,
+        materialId: requested.materialId,
+      };
+    }
+    throw conversionErr;
+  }
+
+  if (
+    materialData.organizationId !== organizationId ||
+    materialData.projectId !== projectId
+  ) {
+    const err = new Error("Material does not belong to this project");
+    err.code = "MATERIAL_SCOPE_MISMATCH";
+    err.details = { materialId: allocation.materialId };
+    throw err;
+  }
+
+  const availableQty = getAvailableQuantity(material);
+  const extraQty = allocation.quantityRequired - alreadyReserved;
+  if (availableQty < extraQty) {
+    const err = new Error("Insufficient stock");
+    err.code = "INSUFFICIENT_STOCK";
+    err.details = {
+      materialId: allocation.materialId,
+      available: availableQty,
+      required: extraQty,
+    };
+    throw err;
+  }
+
+  return { materialRef, material, allocation };
+};
+
+/**
+ * Reserves stock for a task without deducting it: each material's
+ * quantityReserved grows by the requested amount and the allocation is stored
+ * as reserved. Availability is checked against on hand minus reserved.
+ *
+ * With `topUp`, a material the task already holds a reservation for is raised
+ * to the requested total, reserving only the difference; materials already
+ * covered or consumed are left alone and listed in `skippedMaterialIds`.
+ */
+export const reserveMaterialsForTask = async ({
   organizationId,
   projectId,
   taskId,
   allocations = [],
   performedBy,
-  note,
+  topUp = false,
 }) => {
   if (!organizationId || !projectId || !taskId) {
     throw new Error("organizationId, projectId, and taskId are required");
   }
 
-  const mergedAllocations = mergeAllocationsByMaterial(allocations);
-  if (mergedAllocations.length === 0) {
-    return { deductionLog: [], allocationIds: [] };
+  if (getAllocatedMaterialIds(allocations).length === 0) {
+    return { reservations: [], allocationIds: [], skippedMaterialIds: [] };
   }
 
-  const deductionLog = [];
+  const reservations = [];
   const allocationIds = [];
+  const skippedMaterialIds = [];
 
   await runTransaction(db, async (transaction) => {
-    for (const allocation of mergedAllocations) {
-      const materialRef = doc(
+    // Firestore transactions must finish every read before the first write.
+    const { materialSnaps, mergedAllocations } = await readAllocationMaterials(
+      transaction,
+      allocations,
+    );
+    const reads = [];
+    for (const requested of mergedAllocations) {
+      const allocationId = buildTaskMaterialAllocationId(
+        taskId,
+        requested.materialId,
+      );
+      const allocationRef = doc(
         db,
-        MATERIAL_COLLECTIONS.MATERIALS,
-        allocation.materialId,
+        MATERIAL_COLLECTIONS.TASK_ALLOCATIONS,
+        allocationId,
+      );
+      const allocationSnap = await transaction.get(allocationRef);
+      const existing =
+        topUp && allocationSnap.exists() ? allocationSnap.data() || {} : null;
+      if (existing && existing.status !== MATERIAL_ALLOCATION_STATUS.RESERVED) {
+        skippedMaterialIds.push(requested.materialId);
+        continue;
+      }
+
+      const alreadyReserved = existing
+        ? normalizeTaskAllocation(existing).quantityRequired
+        : 0;
+      const read = readMaterialForAllocation(
+        materialSnaps[requested.materialId],
+        { organizationId, projectId, requested, alreadyReserved },
       );
+      if (!topUp && allocationSnap.exists()) {
+        const err = new Error("Material is already allocated to this task");
+        err.code = "ALLOCATION_EXISTS";
+        err.details = { taskId, materialId: read.allocation.materialId };
+        throw err;
+      }
+      const extraQty = read.allocation.quantityRequired - alreadyReserved;
+      if (extraQty <= 0) {
+        skippedMaterialIds.push(requested.materialId);
+        continue;
+      }
+      reads.push({ ...read, allocationId, allocationRef, existing, extraQty });
+    }
+
+    reads.forEach((read) => {
+      const {
+        materialRef,
+        material,
+        allocation,
+        allocationId,
+        allocationRef,
+        existing,
+        extraQty,
+      } = read;
+      const reservedQty = material.quantityReserved + extraQty;
+
+      transaction.update(materialRef, {
+        quantityReserved: reservedQty,
+        updatedAt: serverTimestamp(),
+      });
+
+      if (existing) {
+        transaction.update(allocationRef, {
+          quantityRequired: allocation.quantityRequired,
+          updatedBy: performedBy || "",
+          updatedAt: serverTimestamp(),
+        });
+      } else {
+        transaction.set(allocationRef, {
+          organizationId,
+          projectId,
+          taskId,
+          materialId: allocation.materialId,
+          quantityRequired: allocation.quantityRequired,
+          status: MATERIAL_ALLOCATION_STATUS.RESERVED,
+          updatedBy: performedBy || "",
+          updatedAt: serverTimestamp(),
+          createdBy: performedBy || "",
+          createdAt: serverTimestamp(),
+        });
+      }
 
+      allocationIds.push(allocationId);
+      reservations.push({
+        materialId: allocation.materialId,
+        reserved: extraQty,
+        quantityReserved: reservedQty,
+        availableQty: Math.max(0, material.quantityOnHand - reservedQty),
+      });
+    });
+  });
+
+  return { reservations, allocationIds, skippedMaterialIds };
+};
+
+// Turns reserved allocations of one task into consumed stock. With `strict`
+// every listed allocation must still be reserved; otherwise others are skipped.
+const consumeReservedAllocations = async ({
+  taskId,
+  materialIds,
+  performedBy,
+  note,
+  strict,
+}) => {
+  const consumed = [];
+
+  await runTransaction(db, async (transaction) => {
+    const reads = [];
+    for (const materialId of materialIds) {
+      const allocationRef = doc(
+        db,
+        MATERIAL_COLLECTIONS.TASK_ALLOCATIONS,
+        buildTaskMaterialAllocationId(taskId, materialId),
+      );
+      const allocationSnap = await transaction.get(allocationRef);
+      const allocationData = allocationSnap.exists()
+        ? allocationSnap.data() || {}
+        : null;
+
+      if (allocationData?.status !== MATERIAL_ALLOCATION_STATUS.RESERVED) {
+        if (!strict) continue;
+        const err = new Error(
+          allocationData
+            ? "Material has already been consumed"
+            : "Task allocation not found",
+        );
+        err.code = allocationData ? "ALLOCATION_NOT_RESERVED" : "ALLOCATION_NOT_FOUND";
+        err.details = { taskId, materialId };
+        throw err;
+      }
+
+      const materialRef = doc(db, MATERIAL_COLLECTIONS.MATERIALS, materialId);
       const materialSnap = await transaction.get(materialRef);
       if (!materialSnap.exists()) {
+        // A material removed since it was reserved must not hold up the rest.
+        if (!strict) continue;
         const err = new Error("Material not found");
         err.code = "MATERIAL_NOT_FOUND";
-        err.details = { materialId: allocation.materialId };
+        err.details = { materialId };
         throw err;
       }
 
-      const materialData = materialSnap.data() || {};
       const material = normalizeInventoryMaterial({
         id: materialSnap.id,
-        ...materialData,
+        ...materialSnap.data(),
       });
+      const quantity = normalizeTaskAllocation(allocationData).quantityRequired;
 
-      if (
-        materialData.organizationId !== organizationId ||
-        materialData.projectId !== projectId
-      ) {
-        const err = new Error("Material does not belong to this project");
-        err.code = "MATERIAL_SCOPE_MISMATCH";
-        err.details = { materialId: allocation.materialId };
-        throw err;
-      }
-
-      if (material.quantityOnHand < allocation.quantityRequired) {
+      if (material.quantityOnHand < quantity) {
         const err = new Error("Insufficient stock");
         err.code = "INSUFFICIENT_STOCK";
         err.details = {
-          materialId: allocation.materialId,
+          materialId,
           available: material.quantityOnHand,
-          required: allocation.quantityRequired,
+          required: quantity,
         };
         throw err;
       }
 
+      reads.push({
+        allocationRef,
+        allocationData,
+        materialRef,
+        material,
+        quantity,
+      });
+    }
+
+    reads.forEach((read) => {
+      const { allocationRef, allocationData, materialRef, material, quantity } =
+        read;
       const beforeQty = material.quantityOnHand;
-      const afterQty = Math.max(0, beforeQty - allocation.quantityRequired);
+      const afterQty = beforeQty - quantity;
       const nextStatus =
         afterQty === 0 ? MATERIAL_STATUS.DEPLETED : MATERIAL_STATUS.ACTIVE;
 
       transaction.update(materialRef, {
         quantityOnHand: afterQty,
+        quantityReserved: Math.max(0, material.quantityReserved - quantity),
         status: nextStatus,
         updatedAt: serverTimestamp(),
       });
 
-      const allocationId = buildTaskMaterialAllocationId(taskId, allocation.materialId);
-      const allocationRef = doc(db, MATERIAL_COLLECTIONS.TASK_ALLOCATIONS, allocationId);
-
-      transaction.set(
-        allocationRef,
-        {
-          organizationId,
-          projectId,
-          taskId,
-          materialId: allocation.materialId,
-          quantityRequired: allocation.quantityRequired,
-          updatedBy: performedBy || "",
-          updatedAt: serverTimestamp(),
-          createdBy: performedBy || "",
-          createdAt: serverTimestamp(),
-        },
-        { merge: true },
-      );
+      transaction.update(allocationRef, {
+        status: MATERIAL_ALLOCATION_STATUS.CONSUMED,
+        consumedBy: performedBy || "",
+        consumedAt: serverTimestamp(),
+        updatedBy: performedBy || "",
+        updatedAt: serverTimestamp(),
+      });
 
       const transactionRef = doc(collection(db, MATERIAL_COLLECTIONS.TRANSACTIONS));
       transaction.set(transactionRef, {
-        organizationId,
-        projectId,
+        organizationId: allocationData.organizationId || "",
+        projectId: allocationData.projectId || "",
         taskId,
-        materialId: allocation.materialId,
-        type: MATERIAL_TRANSACTION_TYPE.TASK_ASSIGNMENT_DEDUCTION,
-        quantityDelta: -allocation.quantityRequired,
+        materialId: material.id,
+        type: MATERIAL_TRANSACTION_TYPE.TASK_CONSUMPTION,
+        quantityDelta: -quantity,
         beforeQty,
         afterQty,
+        unitCost: material.unitCost,
         performedBy: performedBy || "",
         performedAt: serverTimestamp(),
-        note: note || "Assigned to task",
+        note: note || "Consumed on task",
       });
 
-      allocationIds.push(allocationId);
-      deductionLog.push({
-        materialId: allocation.materialId,
-        deducted: allocation.quantityRequired,
+      consumed.push({
+        materialId: material.id,
+        consumed: quantity,
+        beforeQty,
+        afterQty,
+        status: nextStatus,
+      });
+    });
+  });
+
+  return consumed;
+};
+
+// Marks one reserved allocation as used, deducting it from stock.
+export const consumeTaskMaterialAllocation = async ({
+  taskId,
+  materialId,
+  performedBy,
+  note,
+}) => {
+  if (!taskId || !materialId) {
+    throw new Error("taskId and materialId are required");
+  }
+
+  const [consumed] = await consumeReservedAllocations({
+    taskId,
+    materialIds: [materialId],
+    performedBy,
+    note,
+    strict: true,
+  });
+  return consumed;
+};
+
+// Consumes every reservation still open on a task, e.g. once it completes.
+export const consumeTaskMaterials = async ({
+  organizationId,
+  projectId,
+  taskId,
+  performedBy,
+  note,
+}) => {
+  const allocations = await listTaskMaterialAllocations({
+    organizationId,
+    projectId,
+    taskId,
+  });
+  const reservedIds = allocations
+    .filter((allocation) => allocation.status === MATERIAL_ALLOCATION_STATUS.RESERVED)
+    .map((allocation) => allocation.materialId);
+  if (reservedIds.length === 0) return [];
+
+  return consumeReservedAllocations({
+    taskId,
+    materialIds: reservedIds,
+    performedBy,
+    note: note || "Consumed on task completion",
+    strict: false,
+  });
+};
+
+const normalizeReportDoc = (docSnap) => {
+  const data = docSnap.data() || {};
+  return {
+    id: docSnap.id,
+    organizationId: data.organizationId || "",
+    projectId: data.projectId || "",
+    taskId: data.taskId || "",
+    taskTitle: data.taskTitle || "",
+    materialId: data.materialId || "",
+    materialName: data.materialName || "",
+    unit: data.unit || "",
+    kind: data.kind || "",
+    quantity: Number.isFinite(Number(data.quantity)) ? Number(data.quantity) : 0,
+    reportedQuantity: data.reportedQuantity ?? null,
+    reportedUnit: data.reportedUnit || "",
+    note: data.note || "",
+    status: data.status || MATERIAL_REPORT_STATUS.PENDING,
+    reportedBy: data.reportedBy || "",
+    reportedByName: data.reportedByName || "",
+    reportedAt: data.reportedAt || null,
+    resolvedBy: data.resolvedBy || "",
+    resolvedAt: data.resolvedAt || null,
+  };
+};
+
+/**
+ * Records a worker's usage, leftover or shortage report against a task
+ * allocation. Stock is not changed: the report is logged to the ledger and
+ * waits for a manager to apply or dismiss it.
+ */
+export const reportTaskMaterialUsage = async ({
+  organizationId,
+  projectId,
+  taskId,
+  taskTitle,
+  materialId,
+  kind,
+  quantity,
+  unit,
+  note,
+  reportedBy,
+  reportedByName,
+}) => {
+  if (!organizationId || !projectId || !taskId || !materialId) {
+    throw new Error("organizationId, projectId, taskId, and materialId are required");
+  }
+
+  if (!Object.values(MATERIAL_REPORT_KIND).includes(kind)) {
+    const err = new Error("Unknown material report kind");
+    err.code = "INVALID_REPORT";
+    err.details = { kind };
+    throw err;
+  }
+
+  // "Used 0" is a valid report; leftovers and shortages need a quantity.
+  const reportedQty = Number(quantity);
+  if (
+    !Number.isFinite(reportedQty) ||
+    reportedQty < 0 ||
+    (reportedQty === 0 && kind !== MATERIAL_REPORT_KIND.USAGE)
+  ) {
+    const err = new Error(
+      kind === MATERIAL_REPORT_KIND.USAGE
+        ? "Used quantity cannot be negative"
+        : "Quantity must be greater than zero",
+    );
+    err.code = "INVALID_QUANTITY";
+    err.details = { kind, quantity };
+    throw err;
+  }
+
+  const allocationRef = doc(
+    db,
+    MATERIAL_COLLECTIONS.TASK_ALLOCATIONS,
+    buildTaskMaterialAllocationId(taskId, materialId),
+  );
+  const materialRef = doc(db, MATERIAL_COLLECTIONS.MATERIALS, materialId);
+  let result = null;
+
+  await runTransaction(db, async (transaction) => {
+    const allocationSnap = await transaction.get(allocationRef);
+    if (!allocationSnap.exists()) {
+      const err = new Error("Task allocation not found");
+      err.code = "ALLOCATION_NOT_FOUND";
+      err.details = { taskId, materialId };
+      throw err;
+    }
+
+    const materialSnap = await transaction.get(materialRef);
+    if (!materialSnap.exists()) {
+      const err = new Error("Material not found");
+      err.code = "MATERIAL_NOT_FOUND";
+      err.details = { materialId };
+      throw err;
+    }
+
+    const material = normalizeInventoryMaterial({
+      id: materialSnap.id,
+      ...materialSnap.data(),
+    });
+    const stockQty = convertAllocationToMaterialUnit(material, {
+      materialId,
+      quantityRequired: reportedQty,
+      unit,
+    }).quantityRequired;
+    const convertedFrom =
+      unit && normalizeUnit(unit) !== normalizeUnit(material.unit)
+        ? { reportedQuantity: reportedQty, reportedUnit: unit }
+        : {};
+
+    const report = {
+      organizationId,
+      projectId,
+      taskId,
+      taskTitle: taskTitle || "",
+      materialId,
+      materialName: material.name,
+      unit: material.unit,
+      kind,
+      quantity: stockQty,
+      ...convertedFrom,
+      note: String(note || "").trim(),
+      status: MATERIAL_REPORT_STATUS.PENDING,
+      reportedBy: reportedBy || "",
+      reportedByName: reportedByName || "",
+      reportedAt: serverTimestamp(),
+    };
+
+    const reportRef = doc(collection(db, MATERIAL_COLLECTIONS.REPORTS));
+    transaction.set(reportRef, report);
+
+    const summary = describeMaterialReport({
+      kind,
+      quantity: stockQty,
+      unit: material.unit,
+    });
+    const transactionRef = doc(collection(db, MATERIAL_COLLECTIONS.TRANSACTIONS));
+    transaction.set(transactionRef, {
+      organizationId,
+      projectId,
+      taskId,
+      materialId,
+      type: MATERIAL_TRANSACTION_TYPE.WORKER_REPORT,
+      quantityDelta: 0,
+      beforeQty: material.quantityOnHand,
+      afterQty: material.quantityOnHand,
+      unitCost: material.unitCost,
+      performedBy: reportedBy || "",
+      performedAt: serverTimestamp(),
+      note: report.note ? `${summary}: ${report.note}` : summary,
+    });
+
+    result = { id: reportRef.id, ...report };
+  });
+
+  return result;
+};
+
+export const listPendingMaterialReports = async ({ organizationId }) => {
+  if (!organizationId) return [];
+
+  const ref = query(
+    collection(db, MATERIAL_COLLECTIONS.REPORTS),
+    where("organizationId", "==", organizationId),
+    where("status", "==", MATERIAL_REPORT_STATUS.PENDING),
+  );
+
+  const snap = await getDocs(ref);
+  return snap.docs.map(normalizeReportDoc);
+};
+
+/**
+ * Applies a pending worker report: the allocation is settled to the reported
+ * figures, stock and reservations move accordingly and any on-hand change is
+ * written to the ledger.
+ */
+export const applyMaterialReport = async ({ reportId, resolvedBy }) => {
+  if (!reportId) throw new Error("reportId is required");
+
+  const reportRef = doc(db, MATERIAL_COLLECTIONS.REPORTS, reportId);
+  let result = null;
+
+  await runTransaction(db, async (transaction) => {
+    const reportSnap = await transaction.get(reportRef);
+    if (!reportSnap.exists()) {
+      const err = new Error("Material report not found");
+      err.code = "REPORT_NOT_FOUND";
+      err.details = { reportId };
+      throw err;
+    }
+
+    const report = normalizeReportDoc(reportSnap);
+    if (report.status !== MATERIAL_REPORT_STATUS.PENDING) {
+      const err = new Error("Material report has already been resolved");
+      err.code = "REPORT_ALREADY_RESOLVED";
+      err.details = { reportId, status: report.status };
+      throw err;
+    }
+
+    const allocationRef = doc(
+      db,
+      MATERIAL_COLLECTIONS.TASK_ALLOCATIONS,
+      buildTaskMaterialAllocationId(report.taskId, report.materialId),
+    );
+    const allocationSnap = await transaction.get(allocationRef);
+    if (!allocationSnap.exists()) {
+      const err = new Error("Task allocation not found");
+      err.code = "ALLOCATION_NOT_FOUND";
+      err.details = { taskId: report.taskId, materialId: report.materialId };
+      throw err;
+    }
+
+    const materialRef = doc(db, MATERIAL_COLLECTIONS.MATERIALS, report.materialId);
+    const materialSnap = await transaction.get(materialRef);
+    if (!materialSnap.exists()) {
+      const err = new Error("Material not found");
+      err.code = "MATERIAL_NOT_FOUND";
+      err.details = { materialId: report.materialId };
+      throw err;
+    }
+
+    const material = normalizeInventoryMaterial({
+      id: materialSnap.id,
+      ...materialSnap.data(),
+    });
+    const plan = planMaterialReportResolution({
+      allocation: normalizeAllocationDoc(allocationSnap),
+      material,
+      report,
+    });
+
+    const beforeQty = material.quantityOnHand;
+    const afterQty = beforeQty + plan.onHandDelta;
+    const nextStatus =
+      afterQty === 0 ? MATERIAL_STATUS.DEPLETED : MATERIAL_STATUS.ACTIVE;
+
+    if (plan.onHandDelta !== 0 || plan.reservedDelta !== 0) {
+      transaction.update(materialRef, {
+        quantityOnHand: afterQty,
+        quantityReserved: Math.max(
+          0,
+          material.quantityReserved + plan.reservedDelta,
+        ),
+        status: nextStatus,
+        updatedAt: serverTimestamp(),
+      });
+    }
+
+    if (plan.quantityRequired === 0) {
+      transaction.delete(allocationRef);
+    } else {
+      transaction.update(allocationRef, {
+        quantityRequired: plan.quantityRequired,
+        status: plan.allocationStatus,
+        ...(plan.allocationStatus === MATERIAL_ALLOCATION_STATUS.CONSUMED
+          ? { consumedBy: resolvedBy || "", consumedAt: serverTimestamp() }
+          : {}),
+        updatedBy: resolvedBy || "",
+        updatedAt: serverTimestamp(),
+      });
+    }
+
+    if (plan.ledgerType) {
+      const transactionRef = doc(collection(db, MATERIAL_COLLECTIONS.TRANSACTIONS));
+      transaction.set(transactionRef, {
+        organizationId: report.organizationId,
+        projectId: report.projectId,
+        taskId: report.taskId,
+        materialId: report.materialId,
+        type: plan.ledgerType,
+        quantityDelta: plan.onHandDelta,
         beforeQty,
         afterQty,
+        unitCost: material.unitCost,
+        performedBy: resolvedBy || "",
+        performedAt: serverTimestamp(),
+        note: `Worker report applied: ${describeMaterialReport(report)}`,
       });
     }
+
+    transaction.update(reportRef, {
+      status: MATERIAL_REPORT_STATUS.APPLIED,
+      resolvedBy: resolvedBy || "",
+      resolvedAt: serverTimestamp(),
+    });
+
+    result = {
+      reportId,
+      materialId: report.materialId,
+      quantityRequired: plan.quantityRequired,
+      quantityDelta: plan.onHandDelta,
+      beforeQty,
+      afterQty,
+      status: nextStatus,
+    };
   });
 
-  return { deductionLog, allocationIds };
+  return result;
+};
+
+export const dismissMaterialReport = async ({ reportId, resolvedBy }) => {
+  if (!reportId) throw new Error("reportId is required");
+
+  await updateDoc(doc(db, MATERIAL_COLLECTIONS.REPORTS, reportId), {
+    status: MATERIAL_REPORT_STATUS.DISMISSED,
+    resolvedBy: resolvedBy || "",
+    resolvedAt: serverTimestamp(),
+  });
 };
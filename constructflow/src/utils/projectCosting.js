@@ -0,0 +1,127 @@
+import {
+  normalizeInventoryMaterial,
+  normalizeTaskAllocation,
+} from "./inventoryDomain";
+import {
+  MATERIAL_ALLOCATION_STATUS,
+  MATERIAL_TRANSACTION_TYPE,
+} from "./materialsConstants";
+
+// Ledger entries that move stock onto or off a task. Restocks and manual
+// adjustments change what is on the shelf, not what a project has used.
+const TASK_COST_TYPES = new Set([
+  MATERIAL_TRANSACTION_TYPE.TASK_ASSIGNMENT_DEDUCTION,
+  MATERIAL_TRANSACTION_TYPE.TASK_CONSUMPTION,
+  MATERIAL_TRANSACTION_TYPE.ALLOCATION_RELEASE,
+  MATERIAL_TRANSACTION_TYPE.WORKER_REPORT,
+]);
+
+const roundCost = (value) => Math.round(value * 100) / 100;
+
+export const normalizeBudget = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : 0;
+};
+
+export const formatCost = (value) =>
+  (Number(value) || 0).toLocaleString(undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+/**
+ * Cost a ledger entry added to its task: deductions count positive, stock
+ * handed back negative. Entries written before costing existed have no
+ * unitCost and fall back to `fallbackUnitCost` (the material's current price).
+ */
+export const getTransactionCost = (transaction = {}, fallbackUnitCost = 0) => {
+  if (!TASK_COST_TYPES.has(transaction.type)) return 0;
+
+  const quantityDelta = Number(transaction.quantityDelta) || 0;
+  const unitCost =
+    transaction.unitCost === null || transaction.unitCost === undefined
+      ? fallbackUnitCost
+      : Number(transaction.unitCost) || 0;
+  return roundCost(-quantityDelta * unitCost);
+};
+
+/**
+ * Compares a project's material spend with its budget. Committed cost is what
+ * reserved allocations will cost at today's prices; consumed cost comes from
+ * the ledger at the price captured when stock was deducted.
+ *
+ * Returns the totals plus one row per material that has any cost.
+ */
+export const summarizeProjectCost = ({
+  budget,
+  materials = [],
+  allocations = [],
+  transactions = [],
+} = {}) => {
+  const materialsById = new Map(
+    materials.map((raw) => {
+      const material = normalizeInventoryMaterial(raw);
+      return [material.id, material];
+    }),
+  );
+  const rowsById = new Map();
+  const rowFor = (materialId) => {
+    if (!rowsById.has(materialId)) {
+      const material = materialsById.get(materialId);
+      rowsById.set(materialId, {
+        materialId,
+        materialName: material?.name || materialId,
+        unit: material?.unit || "",
+        unitCost: material?.unitCost || 0,
+        committedCost: 0,
+        consumedCost: 0,
+      });
+    }
+    return rowsById.get(materialId);
+  };
+
+  allocations
+    .filter((allocation) => allocation.status === MATERIAL_ALLOCATION_STATUS.RESERVED)
+    .forEach((allocation) => {
+      const { materialId, quantityRequired } = normalizeTaskAllocation(allocation);
+      const unitCost = materialsById.get(materialId)?.unitCost || 0;
+      if (!materialId || quantityRequired * unitCost === 0) return;
+      rowFor(materialId).committedCost += quantityRequired * unitCost;
+    });
+
+  transactions.forEach((transaction) => {
+    const cost = getTransactionCost(
+      transaction,
+      materialsById.get(transaction.materialId)?.unitCost || 0,
+    );
+    if (cost === 0) return;
+    rowFor(transaction.materialId).consumedCost += cost;
+  });
+
+  const rows = Array.from(rowsById.values())
+    .map((row) => ({
+      ...row,
+      committedCost: roundCost(row.committedCost),
+      consumedCost: roundCost(row.consumedCost),
+    }))
+    .sort((a, b) => a.materialName.localeCompare(b.materialName));
+
+  const committedCost = roundCost(
+    rows.reduce((sum, row) => sum + row.committedCost, 0),
+  );
+  const consumedCost = roundCost(
+    rows.reduce((sum, row) => sum + row.consumedCost, 0),
+  );
+  const normalizedBudget = normalizeBudget(budget);
+  const totalCost = roundCost(committedCost + consumedCost);
+
+  return {
+    budget: normalizedBudget,
+    committedCost,
+    consumedCost,
+    totalCost,
+    remaining: roundCost(normalizedBudget - totalCost),
+    overBudget: normalizedBudget > 0 && totalCost > normalizedBudget,
+    rows,
+  };
+};
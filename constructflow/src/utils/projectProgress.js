@@ -1,5 +1,14 @@
+// Installed counts work a worker marked complete; approved counts only work a
+// manager has since signed off.
+export const PROGRESS_MEASURE = {
+  INSTALLED: "installed",
+  APPROVED: "approved",
+};
+
+const isApproved = (unit) => Boolean(unit?.completed && unit?.approval);
+
 export const countBlueprintUnits = (objects = {}) => {
-  const stats = { total: 0, completed: 0 };
+  const stats = { total: 0, completed: 0, approved: 0 };
 
   Object.values(objects).forEach((obj) => {
     const pointTasks = Array.isArray(obj?.pointTasks) ? obj.pointTasks : [];
@@ -10,41 +19,57 @@ export const countBlueprintUnits = (objects = {}) => {
       stats.completed += requiredPointTasks.filter(
         (task) => task.completed,
       ).length;
+      stats.approved += requiredPointTasks.filter(isApproved).length;
       return;
     }
 
     stats.total += 1;
     if (obj?.completed) stats.completed += 1;
+    if (isApproved(obj)) stats.approved += 1;
   });
 
   return stats;
 };
 
-export const getBlueprintCompletion = (blueprint) => {
-  const { total, completed } = countBlueprintUnits(blueprint?.objects || {});
+export const getBlueprintCompletion = (
+  blueprint,
+  measure = PROGRESS_MEASURE.INSTALLED,
+) => {
+  const { total, completed, approved } = countBlueprintUnits(
+    blueprint?.objects || {},
+  );
   if (total === 0) return 0;
-  return Math.round((completed / total) * 100);
+  const done = measure === PROGRESS_MEASURE.APPROVED ? approved : completed;
+  return Math.round((done / total) * 100);
 };
 
-export const getTaskCompletion = (taskId, blueprints) => {
+export const getTaskCompletion = (
+  taskId,
+  blueprints,
+  measure = PROGRESS_MEASURE.INSTALLED,
+) => {
   const taskBlueprints = blueprints.filter(
     (blueprint) => blueprint.taskId === taskId,
   );
   if (taskBlueprints.length === 0) return 0;
 
   const totalPercentage = taskBlueprints.reduce(
-    (sum, blueprint) => sum + getBlueprintCompletion(blueprint),
+    (sum, blueprint) => sum + getBlueprintCompletion(blueprint, measure),
     0,
   );
 
   return Math.round(totalPercentage / taskBlueprints.length);
 };
 
-export const getProjectCompletion = (projectTasks = [], blueprints = []) => {
+export const getProjectCompletion = (
+  projectTasks = [],
+  blueprints = [],
+  measure = PROGRESS_MEASURE.INSTALLED,
+) => {
   if (projectTasks.length === 0) return 0;
 
   const totalTaskCompletion = projectTasks.reduce(
-    (sum, task) => sum + getTaskCompletion(task.id, blueprints),
+    (sum, task) => sum + getTaskCompletion(task.id, blueprints, measure),
     0,
   );
 
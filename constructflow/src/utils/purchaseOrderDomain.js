@@ -0,0 +1,181 @@
+import {
+  getAvailableQuantity,
+  normalizeInventoryMaterial,
+} from "./inventoryDomain";
+import {
+  DEFAULT_MATERIAL_UNIT,
+  PURCHASE_ORDER_STATUS,
+} from "./materialsConstants";
+
+const toNonNegative = (value) => {
+  const parsed = Number(value);
+  return Number.isFinite(parsed) ? Math.max(0, parsed) : 0;
+};
+
+const purchaseOrderError = (code, message, details) => {
+  const err = new Error(message);
+  err.code = code;
+  err.details = details;
+  return err;
+};
+
+export const normalizePurchaseOrderLine = (raw = {}) => ({
+  materialId: String(raw.materialId || "").trim(),
+  materialName: String(raw.materialName || "").trim(),
+  projectId: String(raw.projectId || "").trim(),
+  unit: String(raw.unit || DEFAULT_MATERIAL_UNIT).trim(),
+  quantityOrdered: toNonNegative(raw.quantityOrdered),
+  quantityReceived: toNonNegative(raw.quantityReceived),
+});
+
+export const getOutstandingQuantity = (line = {}) => {
+  const normalized = normalizePurchaseOrderLine(line);
+  return Math.max(0, normalized.quantityOrdered - normalized.quantityReceived);
+};
+
+/**
+ * Validates the lines of a draft order. Every line needs a material and a
+ * positive quantity, and each material may appear only once.
+ */
+export const validatePurchaseOrderLines = (lines = []) => {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw purchaseOrderError(
+      "INVALID_PURCHASE_ORDER",
+      "A purchase order needs at least one line",
+      { lines },
+    );
+  }
+
+  const seen = new Set();
+  return lines.map((raw, index) => {
+    const line = normalizePurchaseOrderLine({ ...raw, quantityReceived: 0 });
+    if (!line.materialId || line.quantityOrdered <= 0) {
+      throw purchaseOrderError(
+        "INVALID_PURCHASE_ORDER",
+        "Each line needs a material and a quantity greater than zero",
+        { index, line: raw },
+      );
+    }
+    if (seen.has(line.materialId)) {
+      throw purchaseOrderError(
+        "INVALID_PURCHASE_ORDER",
+        "A material can only appear once per purchase order",
+        { index, materialId: line.materialId },
+      );
+    }
+    seen.add(line.materialId);
+    return line;
+  });
+};
+
+// Drafts stay drafts; otherwise the status follows what has been received.
+export const derivePurchaseOrderStatus = (lines = [], currentStatus) => {
+  if (currentStatus === PURCHASE_ORDER_STATUS.DRAFT) {
+    return PURCHASE_ORDER_STATUS.DRAFT;
+  }
+
+  const normalized = lines.map(normalizePurchaseOrderLine);
+  if (
+    normalized.length > 0 &&
+    normalized.every((line) => getOutstandingQuantity(line) === 0)
+  ) {
+    return PURCHASE_ORDER_STATUS.RECEIVED;
+  }
+  if (normalized.some((line) => line.quantityReceived > 0)) {
+    return PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED;
+  }
+  return PURCHASE_ORDER_STATUS.ORDERED;
+};
+
+/**
+ * Works out a delivery against an order. `receipts` is a list of
+ * { materialId, quantity } in each line's unit; repeated materials are summed.
+ * Receiving more than is outstanding on a line is rejected.
+ *
+ * Returns the updated lines, the restocks to post per material and the next
+ * order status.
+ */
+export const planPurchaseOrderReceipt = (order = {}, receipts = []) => {
+  if (
+    order.status !== PURCHASE_ORDER_STATUS.ORDERED &&
+    order.status !== PURCHASE_ORDER_STATUS.PARTIALLY_RECEIVED
+  ) {
+    throw purchaseOrderError(
+      "PURCHASE_ORDER_NOT_OPEN",
+      order.status === PURCHASE_ORDER_STATUS.RECEIVED
+        ? "Purchase order has already been received"
+        : "Purchase order has not been placed yet",
+      { status: order.status },
+    );
+  }
+
+  const received = new Map();
+  receipts.forEach((receipt) => {
+    const materialId = String(receipt?.materialId || "").trim();
+    const quantity = Number(receipt?.quantity);
+    if (!Number.isFinite(quantity) || quantity < 0) {
+      throw purchaseOrderError(
+        "INVALID_QUANTITY",
+        "Received quantity cannot be negative",
+        { materialId, quantity: receipt?.quantity },
+      );
+    }
+    if (quantity === 0) return;
+    received.set(materialId, (received.get(materialId) || 0) + quantity);
+  });
+
+  if (received.size === 0) {
+    throw purchaseOrderError(
+      "INVALID_QUANTITY",
+      "Enter a received quantity for at least one line",
+      { receipts },
+    );
+  }
+
+  const lines = (order.lines || []).map(normalizePurchaseOrderLine);
+  const restocks = [];
+
+  received.forEach((quantity, materialId) => {
+    const line = lines.find((item) => item.materialId === materialId);
+    if (!line) {
+      throw purchaseOrderError(
+        "LINE_NOT_FOUND",
+        "Material is not on this purchase order",
+        { materialId },
+      );
+    }
+
+    const outstanding = getOutstandingQuantity(line);
+    if (quantity > outstanding) {
+      throw purchaseOrderError(
+        "OVER_RECEIPT",
+        `Only ${outstanding} ${line.unit} of ${line.materialName || "this material"} is outstanding`,
+        { materialId, outstanding, received: quantity },
+      );
+    }
+
+    line.quantityReceived += quantity;
+    restocks.push({ materialId, quantity });
+  });
+
+  return {
+    lines,
+    restocks,
+    status: derivePurchaseOrderStatus(lines, order.status),
+  };
+};
+
+// A draft line covering what a task needs beyond the material's available stock.
+export const buildShortageOrderLine = (material = {}, requiredQty = 0) => {
+  const normalized = normalizeInventoryMaterial(material);
+  return normalizePurchaseOrderLine({
+    materialId: normalized.id,
+    materialName: normalized.name,
+    projectId: normalized.projectId,
+    unit: normalized.unit,
+    quantityOrdered: Math.max(
+      0,
+      toNonNegative(requiredQty) - getAvailableQuantity(normalized),
+    ),
+  });
+};
@@ -0,0 +1,295 @@
+import {
+  addDoc,
+  collection,
+  deleteDoc,
+  doc,
+  getDocs,
+  query,
+  runTransaction,
+  serverTimestamp,
+  where,
+} from "firebase/firestore";
+import { db } from "../firebase";
+import {
+  MATERIAL_COLLECTIONS,
+  PURCHASE_ORDER_STATUS,
+} from "./materialsConstants";
+import { postRestockInTransaction } from "./materialsRepository";
+import {
+  normalizePurchaseOrderLine,
+  planPurchaseOrderReceipt,
+  validatePurchaseOrderLines,
+} from "./purchaseOrderDomain";
+
+const normalizeSupplierDoc = (docSnap) => {
+  const data = docSnap.data() || {};
+  return {
+    id: docSnap.id,
+    organizationId: data.organizationId || "",
+    name: data.name || "",
+    contactName: data.contactName || "",
+    email: data.email || "",
+    phone: data.phone || "",
+    createdAt: data.createdAt || null,
+  };
+};
+
+const normalizePurchaseOrderDoc = (docSnap) => {
+  const data = docSnap.data() || {};
+  return {
+    id: docSnap.id,
+    organizationId: data.organizationId || "",
+    supplierId: data.supplierId || "",
+    supplierName: data.supplierName || "",
+    status: Object.values(PURCHASE_ORDER_STATUS).includes(data.status)
+      ? data.status
+      : PURCHASE_ORDER_STATUS.DRAFT,
+    lines: Array.isArray(data.lines)
+      ? data.lines.map(normalizePurchaseOrderLine)
+      : [],
+    note: data.note || "",
+    createdBy: data.createdBy || "",
+    createdAt: data.createdAt || null,
+    orderedAt: data.orderedAt || null,
+    receivedAt: data.receivedAt || null,
+    updatedAt: data.updatedAt || null,
+  };
+};
+
+const readPurchaseOrder = async (transaction, orderId) => {
+  const orderRef = doc(db, MATERIAL_COLLECTIONS.PURCHASE_ORDERS, orderId);
+  const orderSnap = await transaction.get(orderRef);
+  if (!orderSnap.exists()) {
+    const err = new Error("Purchase order not found");
+    err.code = "PURCHASE_ORDER_NOT_FOUND";
+    err.details = { orderId };
+    throw err;
+  }
+  return { orderRef, order: normalizePurchaseOrderDoc(orderSnap) };
+};
+
+const assertDraft = (order) => {
+  if (order.status !== PURCHASE_ORDER_STATUS.DRAFT) {
+    const err = new Error("Only draft purchase orders can be changed");
+    err.code = "PURCHASE_ORDER_NOT_DRAFT";
+    err.details = { orderId: order.id, status: order.status };
+    throw err;
+  }
+};
+
+export const listSuppliers = async ({ organizationId }) => {
+  if (!organizationId) return [];
+
+  const ref = query(
+    collection(db, MATERIAL_COLLECTIONS.SUPPLIERS),
+    where("organizationId", "==", organizationId),
+  );
+
+  const snap = await getDocs(ref);
+  return snap.docs
+    .map(normalizeSupplierDoc)
+    .sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const createSupplier = async ({
+  organizationId,
+  name,
+  contactName,
+  email,
+  phone,
+  createdBy,
+}) => {
+  if (!organizationId) throw new Error("organizationId is required");
+
+  const trimmedName = String(name || "").trim();
+  if (!trimmedName) {
+    const err = new Error("Supplier name is required");
+    err.code = "INVALID_SUPPLIER";
+    throw err;
+  }
+
+  const payload = {
+    organizationId,
+    name: trimmedName,
+    contactName: String(contactName || "").trim(),
+    email: String(email || "").trim(),
+    phone: String(phone || "").trim(),
+    createdBy: createdBy || "",
+    createdAt: serverTimestamp(),
+  };
+
+  const ref = await addDoc(
+    collection(db, MATERIAL_COLLECTIONS.SUPPLIERS),
+    payload,
+  );
+  return { id: ref.id, ...payload };
+};
+
+export const removeSupplier = async ({ supplierId }) => {
+  if (!supplierId) throw new Error("supplierId is required");
+
+  await deleteDoc(doc(db, MATERIAL_COLLECTIONS.SUPPLIERS, supplierId));
+};
+
+export const listPurchaseOrders = async ({ organizationId }) => {
+  if (!organizationId) return [];
+
+  const ref = query(
+    collection(db, MATERIAL_COLLECTIONS.PURCHASE_ORDERS),
+    where("organizationId", "==", organizationId),
+  );
+
+  const snap = await getDocs(ref);
+  return snap.docs.map(normalizePurchaseOrderDoc);
+};
+
+export const createPurchaseOrder = async ({
+  organizationId,
+  supplierId,
+  supplierName,
+  lines = [],
+  note,
+  createdBy,
+}) => {
+  if (!organizationId) throw new Error("organizationId is required");
+
+  const payload = {
+    organizationId,
+    supplierId: supplierId || "",
+    supplierName: supplierName || "",
+    status: PURCHASE_ORDER_STATUS.DRAFT,
+    lines: validatePurchaseOrderLines(lines),
+    note: String(note || "").trim(),
+    createdBy: createdBy || "",
+    createdAt: serverTimestamp(),
+    updatedAt: serverTimestamp(),
+  };
+
+  const ref = await addDoc(
+    collection(db, MATERIAL_COLLECTIONS.PURCHASE_ORDERS),
+    payload,
+  );
+  return { id: ref.id, ...payload };
+};
+
+export const updatePurchaseOrderDraft = async ({ orderId, updates = {} }) => {
+  if (!orderId) throw new Error("orderId is required");
+
+  const patch = {};
+  if (updates.supplierId !== undefined) {
+    patch.supplierId = updates.supplierId || "";
+    patch.supplierName = updates.supplierName || "";
+  }
+  if (updates.lines !== undefined) {
+    patch.lines = validatePurchaseOrderLines(updates.lines);
+  }
+  if (updates.note !== undefined) {
+    patch.note = String(updates.note || "").trim();
+  }
+  patch.updatedAt = serverTimestamp();
+
+  await runTransaction(db, async (transaction) => {
+    const { orderRef, order } = await readPurchaseOrder(transaction, orderId);
+    assertDraft(order);
+    transaction.update(orderRef, patch);
+  });
+
+  return patch;
+};
+
+export const placePurchaseOrder = async ({ orderId, performedBy }) => {
+  if (!orderId) throw new Error("orderId is required");
+
+  await runTransaction(db, async (transaction) => {
+    const { orderRef, order } = await readPurchaseOrder(transaction, orderId);
+    assertDraft(order);
+
+    if (!order.supplierId) {
+      const err = new Error("Choose a supplier before placing the order");
+      err.code = "SUPPLIER_REQUIRED";
+      err.details = { orderId };
+      throw err;
+    }
+    validatePurchaseOrderLines(order.lines);
+
+    transaction.update(orderRef, {
+      status: PURCHASE_ORDER_STATUS.ORDERED,
+      orderedBy: performedBy || "",
+      orderedAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+  });
+};
+
+export const removePurchaseOrder = async ({ orderId }) => {
+  if (!orderId) throw new Error("orderId is required");
+
+  await runTransaction(db, async (transaction) => {
+    const { orderRef, order } = await readPurchaseOrder(transaction, orderId);
+    assertDraft(order);
+    transaction.delete(orderRef);
+  });
+};
+
+/**
+ * Records a delivery against a placed order. Each received line is restocked
+ * through the materials repository, so it lands in the ledger as a RESTOCK,
+ * and the order moves to partially received or received.
+ */
+export const receivePurchaseOrder = async ({
+  orderId,
+  receipts = [],
+  performedBy,
+}) => {
+  if (!orderId) throw new Error("orderId is required");
+
+  let result = null;
+
+  await runTransaction(db, async (transaction) => {
+    const { orderRef, order } = await readPurchaseOrder(transaction, orderId);
+    const plan = planPurchaseOrderReceipt(order, receipts);
+
+    const materialReads = [];
+    for (const restock of plan.restocks) {
+      const materialRef = doc(
+        db,
+        MATERIAL_COLLECTIONS.MATERIALS,
+        restock.materialId,
+      );
+      const materialSnap = await transaction.get(materialRef);
+      if (!materialSnap.exists()) {
+        const err = new Error("Material not found");
+        err.code = "MATERIAL_NOT_FOUND";
+        err.details = { materialId: restock.materialId };
+        throw err;
+      }
+      materialReads.push({ ...restock, materialRef, materialSnap });
+    }
+
+    const supplierLabel = order.supplierName
+      ? ` from ${order.supplierName}`
+      : "";
+    const restocked = materialReads.map(
+      ({ materialRef, materialSnap, quantity }) =>
+        postRestockInTransaction(transaction, {
+          materialRef,
+          materialSnap,
+          quantity,
+          note: `Received on purchase order${supplierLabel}`,
+          performedBy,
+        }),
+    );
+
+    const received = plan.status === PURCHASE_ORDER_STATUS.RECEIVED;
+    transaction.update(orderRef, {
+      lines: plan.lines,
+      status: plan.status,
+      ...(received ? { receivedAt: serverTimestamp() } : {}),
+      updatedAt: serverTimestamp(),
+    });
+
+    result = { orderId, status: plan.status, lines: plan.lines, restocked };
+  });
+
+  return result;
+};
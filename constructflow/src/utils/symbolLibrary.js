@@ -0,0 +1,153 @@
+import { POINT_TASK_LABELS } from "./blueprintLabels";
+
+// The organisation's point-task types ("symbols"). Each one is identified by
+// its tool group and key; the key is what point tasks store as requiredType,
+// so it never changes once created. The built-in types are always present
+// and can be relabelled or archived, but not removed.
+
+export const SYMBOL_INVALID_ERROR = "symbols/invalid";
+
+export const SYMBOL_TOOL_GROUPS = ["plumbing", "electrical"];
+
+// Shapes the blueprint export can draw; the palette mirrors them.
+export const SYMBOL_ICONS = ["circle", "square", "diamond", "cross"];
+
+export const DEFAULT_SYMBOL_COLOR = "#0f766e";
+
+const BUILT_IN_ICONS = {
+  valve: "circle",
+  join_2_way: "square",
+  join_3_way: "diamond",
+  join_4_way: "cross",
+};
+
+// Legacy point tasks use "fixture" for valves.
+const KEY_ALIASES = { fixture: "valve" };
+
+export const DEFAULT_SYMBOLS = SYMBOL_TOOL_GROUPS.flatMap((toolGroup) =>
+  Object.keys(BUILT_IN_ICONS).map((key) => ({
+    key,
+    toolGroup,
+    label: POINT_TASK_LABELS[toolGroup][key],
+    color: DEFAULT_SYMBOL_COLOR,
+    icon: BUILT_IN_ICONS[key],
+    materialName: "",
+    archived: false,
+    builtIn: true,
+  })),
+);
+
+const isBuiltIn = (toolGroup, key) =>
+  DEFAULT_SYMBOLS.some(
+    (symbol) => symbol.toolGroup === toolGroup && symbol.key === key,
+  );
+
+export const normalizeSymbol = (raw = {}) => {
+  const toolGroup = SYMBOL_TOOL_GROUPS.includes(raw.toolGroup)
+    ? raw.toolGroup
+    : "plumbing";
+  const key = String(raw.key || "").trim();
+  return {
+    key,
+    toolGroup,
+    label: String(raw.label || "").trim(),
+    color: /^#[0-9a-f]{6}$/i.test(raw.color || "")
+      ? raw.color.toLowerCase()
+      : DEFAULT_SYMBOL_COLOR,
+    icon: SYMBOL_ICONS.includes(raw.icon) ? raw.icon : "circle",
+    materialName: String(raw.materialName || "").trim(),
+    archived: Boolean(raw.archived),
+    builtIn: isBuiltIn(toolGroup, key),
+  };
+};
+
+/**
+ * The full library from what an organisation has stored: the built-ins with
+ * any saved changes applied, then the organisation's own symbols in the
+ * order they were added.
+ */
+export const buildSymbolLibrary = (stored = []) => {
+  const saved = (Array.isArray(stored) ? stored : [])
+    .map(normalizeSymbol)
+    .filter((symbol) => symbol.key);
+  const savedFor = (symbol) =>
+    saved.find(
+      (item) => item.toolGroup === symbol.toolGroup && item.key === symbol.key,
+    );
+
+  const builtIns = DEFAULT_SYMBOLS.map((symbol) => {
+    const override = savedFor(symbol);
+    return override
+      ? { ...override, label: override.label || symbol.label }
+      : symbol;
+  });
+  const custom = saved.filter(
+    (symbol, index) =>
+      !symbol.builtIn &&
+      saved.findIndex(
+        (item) =>
+          item.toolGroup === symbol.toolGroup && item.key === symbol.key,
+      ) === index,
+  );
+  return [...builtIns, ...custom];
+};
+
+export const findSymbol = (library = [], toolGroup = "plumbing", key) => {
+  const resolved = KEY_ALIASES[key] || key;
+  return (
+    library.find(
+      (symbol) => symbol.toolGroup === toolGroup && symbol.key === resolved,
+    ) || null
+  );
+};
+
+// Symbols managers can still place; archived ones only label existing tasks.
+export const getPaletteSymbols = (library = [], toolGroup = "plumbing") =>
+  library.filter(
+    (symbol) => symbol.toolGroup === toolGroup && !symbol.archived,
+  );
+
+/**
+ * A stable key for a new symbol, from its label: "GFCI Outlet" becomes
+ * "gfci_outlet", with a numeric suffix if the tool group already has it.
+ */
+export const createSymbolKey = (
+  label,
+  library = [],
+  toolGroup = "plumbing",
+) => {
+  const base =
+    String(label || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "_")
+      .replace(/^_+|_+$/g, "") || "symbol";
+  const taken = (key) =>
+    Boolean(findSymbol(library, toolGroup, key)) || Boolean(KEY_ALIASES[key]);
+  if (!taken(base)) return base;
+  let suffix = 2;
+  while (taken(`${base}_${suffix}`)) suffix += 1;
+  return `${base}_${suffix}`;
+};
+
+/**
+ * Throws SYMBOL_INVALID_ERROR when a symbol has no label, or two symbols a
+ * manager can place in the same tool group share one.
+ */
+export const validateSymbolLibrary = (library = []) => {
+  const seen = new Set();
+  library.forEach((symbol) => {
+    const label = symbol.label.trim().toLowerCase();
+    const fail = (message) => {
+      const err = new Error(message);
+      err.code = SYMBOL_INVALID_ERROR;
+      err.details = { toolGroup: symbol.toolGroup, key: symbol.key };
+      throw err;
+    };
+    if (!label) fail("Every symbol needs a label.");
+    if (symbol.archived) return;
+    const id = `${symbol.toolGroup}:${label}`;
+    if (seen.has(id))
+      fail(`There is already a symbol called "${symbol.label}".`);
+    seen.add(id);
+  });
+};
@@ -0,0 +1,38 @@
+import { doc, getDoc, updateDoc } from "firebase/firestore";
+import { db } from "../firebase";
+import {
+  buildSymbolLibrary,
+  normalizeSymbol,
+  validateSymbolLibrary,
+} from "./symbolLibrary";
+
+// The library lives on the organisation doc as `symbolLibrary`, a list of
+// the symbols managers have added or changed.
+
+export const loadSymbolLibrary = async ({ organizationId }) => {
+  if (!organizationId) return buildSymbolLibrary();
+  const snap = await getDoc(doc(db, "organizations", organizationId));
+  return buildSymbolLibrary(snap.exists() ? snap.data()?.symbolLibrary : []);
+};
+
+export const saveSymbolLibrary = async ({ organizationId, library, user }) => {
+  const normalized = library.map(normalizeSymbol);
+  validateSymbolLibrary(normalized);
+  const symbolLibrary = normalized.map(
+    ({ key, toolGroup, label, color, icon, materialName, archived }) => ({
+      key,
+      toolGroup,
+      label,
+      color,
+      icon,
+      materialName,
+      archived,
+    }),
+  );
+  await updateDoc(doc(db, "organizations", organizationId), {
+    symbolLibrary,
+    symbolLibraryUpdatedAt: new Date(),
+    symbolLibraryUpdatedBy: user?.uid || null,
+  });
+  return buildSymbolLibrary(symbolLibrary);
+};
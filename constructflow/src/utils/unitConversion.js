@@ -0,0 +1,75 @@
+export const UNIT_FAMILY = {
+  LENGTH: "length",
+  MASS: "mass",
+  VOLUME: "volume",
+  COUNT: "count",
+};
+
+// Factor to the family's base unit (m, kg, l, each). Packaging units such as
+// box, roll or bag have no fixed size, so they only match themselves.
+const UNIT_DEFINITIONS = {
+  mm: { family: UNIT_FAMILY.LENGTH, factor: 0.001 },
+  cm: { family: UNIT_FAMILY.LENGTH, factor: 0.01 },
+  m: { family: UNIT_FAMILY.LENGTH, factor: 1 },
+  in: { family: UNIT_FAMILY.LENGTH, factor: 0.0254 },
+  ft: { family: UNIT_FAMILY.LENGTH, factor: 0.3048 },
+  g: { family: UNIT_FAMILY.MASS, factor: 0.001 },
+  kg: { family: UNIT_FAMILY.MASS, factor: 1 },
+  lb: { family: UNIT_FAMILY.MASS, factor: 0.45359237 },
+  ml: { family: UNIT_FAMILY.VOLUME, factor: 0.001 },
+  l: { family: UNIT_FAMILY.VOLUME, factor: 1 },
+  unit: { family: UNIT_FAMILY.COUNT, factor: 1 },
+  pcs: { family: UNIT_FAMILY.COUNT, factor: 1 },
+};
+
+const PRECISION = 1e6;
+
+export const normalizeUnit = (unit) => String(unit || "").trim().toLowerCase();
+
+export const getUnitFamily = (unit) =>
+  UNIT_DEFINITIONS[normalizeUnit(unit)]?.family || null;
+
+export const areUnitsCompatible = (fromUnit, toUnit) => {
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (!from || !to) return false;
+  if (from === to) return true;
+
+  const family = getUnitFamily(from);
+  return family !== null && family === getUnitFamily(to);
+};
+
+export const getCompatibleUnits = (unit) => {
+  const normalized = normalizeUnit(unit);
+  const family = getUnitFamily(normalized);
+  if (!family) return normalized ? [normalized] : [];
+
+  return Object.keys(UNIT_DEFINITIONS).filter(
+    (candidate) => UNIT_DEFINITIONS[candidate].family === family,
+  );
+};
+
+export const convertQuantity = (quantity, fromUnit, toUnit) => {
+  const value = Number(quantity);
+  if (!Number.isFinite(value)) {
+    const err = new Error("Quantity must be a number");
+    err.code = "INVALID_QUANTITY";
+    err.details = { quantity, fromUnit, toUnit };
+    throw err;
+  }
+
+  if (!areUnitsCompatible(fromUnit, toUnit)) {
+    const err = new Error(`Cannot convert ${fromUnit || "?"} to ${toUnit || "?"}`);
+    err.code = "INCOMPATIBLE_UNITS";
+    err.details = { fromUnit, toUnit };
+    throw err;
+  }
+
+  const from = normalizeUnit(fromUnit);
+  const to = normalizeUnit(toUnit);
+  if (from === to) return value;
+
+  const converted =
+    (value * UNIT_DEFINITIONS[from].factor) / UNIT_DEFINITIONS[to].factor;
+  return Math.round(converted * PRECISION) / PRECISION;
+};
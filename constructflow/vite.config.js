@@ -9,6 +9,9 @@ export default defineConfig({
       output: {
         manualChunks(id) {
           if (!id.includes("node_modules")) return;
+          // pdf.js is imported on demand for PDF uploads; keep it out of the
+          // preloaded vendor chunk.
+          if (id.includes("pdfjs-dist")) return;
           if (id.includes("firebase")) return "firebase";
           if (id.includes("react-icons")) return "icons";
           if (id.includes("react")) return "react-vendor";